@@ -1,6 +1,7 @@
 import { Metadata } from 'next';
 import { notFound } from 'next/navigation';
 import { parseRepositorySlug } from '@/lib/url-utils';
+import { getRepositoryFileChurn } from '@/lib/server-api/repositories';
 
 // Define types for the page props
 interface FilePageProps {
@@ -77,6 +78,10 @@ export default async function FilePage({ params }: FilePageProps) {
   const fileName = resolvedParams.filePath[resolvedParams.filePath.length - 1] || '';
   const fileExtension = fileName.split('.').pop() || '';
   
+  // Change history of the file over all recorded commits
+  const churn = await getRepositoryFileChurn(repoGithubId, fullFilePath);
+  const lastChange = churn?.recent_changes[0];
+  
   return (
     <div className="container mx-auto px-4 py-8">
       <div className="mb-8">
@@ -119,7 +124,9 @@ export default async function FilePage({ params }: FilePageProps) {
             <span className="font-medium">{fileExtension.toUpperCase()}</span> file
           </span>
           <span className="text-gray-600 text-sm">
-            Last updated: <span className="font-medium">Unknown</span>
+            Last updated: <span className="font-medium">
+              {churn ? new Date(churn.last_changed_at).toLocaleDateString() : 'Unknown'}
+            </span>
           </span>
         </div>
       </div>
@@ -137,9 +144,9 @@ export default async function FilePage({ params }: FilePageProps) {
             <button className="text-sm text-gray-600 hover:text-gray-900">
               Download
             </button>
-            <button className="text-sm text-gray-600 hover:text-gray-900">
+            <a href="#change-history" className="text-sm text-gray-600 hover:text-gray-900">
               History
-            </button>
+            </a>
           </div>
         </div>
         
@@ -182,10 +189,112 @@ export default async function FilePage({ params }: FilePageProps) {
           <div>
             <p className="text-gray-600 mb-2">Lines: <span className="font-medium">Unknown</span></p>
             <p className="text-gray-600 mb-2">MIME Type: <span className="font-medium">Unknown</span></p>
-            <p className="text-gray-600 mb-2">Last Commit: <span className="font-medium">Unknown</span></p>
+            <p className="text-gray-600 mb-2">
+              Last Commit:{' '}
+              {lastChange ? (
+                <a href={`/${resolvedParams.repositorySlug}/commits/${lastChange.sha}`} className="font-medium text-blue-600 hover:underline">
+                  {lastChange.sha.substring(0, 7)}
+                </a>
+              ) : (
+                <span className="font-medium">Unknown</span>
+              )}
+            </p>
           </div>
         </div>
       </div>
+      
+      {/* Change history: churn, authors and files changed together */}
+      <div id="change-history" className="bg-white rounded-lg shadow-md p-6 mt-8">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">Change History</h2>
+          <a href={`/${resolvedParams.repositorySlug}/files`} className="text-sm text-blue-600 hover:underline">
+            Repository hotspots
+          </a>
+        </div>
+        
+        {!churn ? (
+          <p className="text-gray-500 text-sm">No recorded changes for this file.</p>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div>
+                <p className="text-sm text-gray-500">Changes</p>
+                <p className="text-xl font-semibold">{churn.changes.toLocaleString()}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Lines churned</p>
+                <p className="text-xl font-semibold">
+                  <span className="text-green-600">+{churn.additions.toLocaleString()}</span>{' '}
+                  <span className="text-red-600">-{churn.deletions.toLocaleString()}</span>
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Authors</p>
+                <p className="text-xl font-semibold">{churn.authors}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">First changed</p>
+                <p className="text-xl font-semibold">{new Date(churn.first_changed_at).toLocaleDateString()}</p>
+              </div>
+            </div>
+            
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <h3 className="font-medium mb-2">Authors</h3>
+                <ul className="space-y-1 text-sm">
+                  {churn.contributors.map(contributor => (
+                    <li key={contributor.contributor_id} className="flex justify-between">
+                      <span>{contributor.name || contributor.username}</span>
+                      <span className="text-gray-500">
+                        {contributor.changes} changes, {contributor.churn.toLocaleString()} lines
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <div>
+                <h3 className="font-medium mb-2">Frequently changed with</h3>
+                {churn.coupled_files.length === 0 ? (
+                  <p className="text-sm text-gray-500">No other files are changed together with this one.</p>
+                ) : (
+                  <ul className="space-y-1 text-sm">
+                    {churn.coupled_files.map(file => (
+                      <li key={file.path} className="flex justify-between">
+                        <a href={`/${resolvedParams.repositorySlug}/files/${file.path}`} className="text-blue-600 hover:underline truncate">
+                          {file.path}
+                        </a>
+                        <span className="text-gray-500 ml-2 whitespace-nowrap">
+                          {file.shared_changes} times ({file.degree}%)
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+            
+            <div>
+              <h3 className="font-medium mb-2">Recent changes</h3>
+              <ul className="divide-y divide-gray-100 text-sm">
+                {churn.recent_changes.map(change => (
+                  <li key={change.sha} className="py-2 flex justify-between gap-4">
+                    <a href={`/${resolvedParams.repositorySlug}/commits/${change.sha}`} className="text-blue-600 hover:underline truncate">
+                      <span className="font-mono mr-2">{change.sha.substring(0, 7)}</span>
+                      {change.message}
+                    </a>
+                    <span className="text-gray-500 whitespace-nowrap">
+                      <span className="text-green-600">+{change.additions}</span>{' '}
+                      <span className="text-red-600">-{change.deletions}</span>
+                      {change.author_username && ` by ${change.author_username}`}
+                      {` on ${new Date(change.committed_at).toLocaleDateString()}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+      </div>
     </div>
   );
 } 
\ No newline at end of file
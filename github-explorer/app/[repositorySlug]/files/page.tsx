@@ -0,0 +1,227 @@
+import { Metadata } from 'next';
+import { notFound } from 'next/navigation';
+import { parseRepositorySlug } from '@/lib/url-utils';
+import { getRepositoryChurn } from '@/lib/server-api/repositories';
+
+// Define types for the page props
+interface FilesPageProps {
+  params: Promise<{
+    repositorySlug: string;
+  }>;
+  searchParams?: Promise<{ [key: string]: string | string[] | undefined }>;
+}
+
+type ChurnSort = 'churn' | 'changes' | 'authors';
+
+// Analysis windows in days, 0 for all history
+const WINDOWS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: 0, label: 'All time' },
+];
+
+const SORTS: { value: ChurnSort; label: string }[] = [
+  { value: 'churn', label: 'Lines churned' },
+  { value: 'changes', label: 'Changes' },
+  { value: 'authors', label: 'Authors' },
+];
+
+const DEFAULT_DAYS = 90;
+
+/**
+ * Read the analysis window and ranking from the query string
+ */
+function parseOptions(searchParams: { [key: string]: string | string[] | undefined }) {
+  const days = Number(searchParams.days);
+  const sort = SORTS.find(option => option.value === searchParams.sort)?.value || 'churn';
+
+  return {
+    days: WINDOWS.some(window => window.days === days) ? days : DEFAULT_DAYS,
+    sort,
+  };
+}
+
+// Define metadata generation function
+export async function generateMetadata({ params }: FilesPageProps): Promise<Metadata> {
+  const { repositorySlug } = await params;
+  const slugInfo = parseRepositorySlug(repositorySlug);
+
+  if (!slugInfo) {
+    return {
+      title: 'Repository Not Found',
+      description: 'The requested repository could not be found.',
+    };
+  }
+
+  return {
+    title: `File hotspots | ${slugInfo.name} | GitHub Explorer`,
+    description: `Most changed files, hotspots and files that change together in the ${slugInfo.name} repository.`,
+  };
+}
+
+/**
+ * File Hotspots Page Component
+ * This server component ranks the files of a repository by churn and shows
+ * risky hotspots and co-change coupling
+ */
+export default async function FilesPage({ params, searchParams }: FilesPageProps) {
+  const { repositorySlug } = await params;
+  const slugInfo = parseRepositorySlug(repositorySlug);
+
+  if (!slugInfo) {
+    notFound();
+  }
+
+  const { days, sort } = parseOptions((await searchParams) || {});
+  const churn = await getRepositoryChurn(slugInfo.githubId, { days, sort });
+
+  if (!churn) {
+    notFound();
+  }
+
+  const fileUrl = (path: string) => `/${repositorySlug}/files/${path.split('/').map(encodeURIComponent).join('/')}`;
+  const pageUrl = (options: { days?: number; sort?: ChurnSort }) =>
+    `/${repositorySlug}/files?days=${options.days ?? days}&sort=${options.sort ?? sort}`;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="mb-8">
+        <div className="flex items-center text-sm mb-4">
+          <a href={`/${repositorySlug}`} className="text-blue-600 hover:underline">
+            {churn.repository.full_name}
+          </a>
+          <span className="mx-2 text-gray-400">/</span>
+          <span className="text-gray-600">files</span>
+        </div>
+
+        <h1 className="text-2xl font-bold mb-2">File hotspots</h1>
+        <p className="text-gray-600 mb-6">
+          Files ranked by how often and how much they change. Hotspots are files in the top quarter by lines churned
+          ({churn.thresholds.high_churn.toLocaleString()}+) changed by at least {churn.thresholds.min_authors} authors.
+        </p>
+
+        <div className="flex flex-wrap gap-6 text-sm">
+          <div className="flex items-center gap-2">
+            <span className="text-gray-500">Window:</span>
+            {WINDOWS.map(window => (
+              <a
+                key={window.days}
+                href={pageUrl({ days: window.days })}
+                className={window.days === days ? 'font-semibold text-gray-900' : 'text-blue-600 hover:underline'}
+              >
+                {window.label}
+              </a>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="text-gray-500">Rank by:</span>
+            {SORTS.map(option => (
+              <a
+                key={option.value}
+                href={pageUrl({ sort: option.value })}
+                className={option.value === sort ? 'font-semibold text-gray-900' : 'text-blue-600 hover:underline'}
+              >
+                {option.label}
+              </a>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        {[
+          { label: 'Files changed', value: churn.summary.files },
+          { label: 'File changes', value: churn.summary.changes },
+          { label: 'Lines churned', value: churn.summary.churn },
+          { label: 'Hotspots', value: churn.summary.hotspots },
+        ].map(stat => (
+          <div key={stat.label} className="bg-white rounded-lg shadow-md p-4">
+            <p className="text-sm text-gray-500">{stat.label}</p>
+            <p className="text-2xl font-semibold">{stat.value.toLocaleString()}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden mb-8">
+        <div className="bg-gray-50 px-4 py-2 border-b border-gray-200">
+          <h2 className="font-semibold">Most changed files</h2>
+        </div>
+        {churn.files.length === 0 ? (
+          <p className="p-4 text-sm text-gray-500">No file changes in this window.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">File</th>
+                <th className="px-4 py-2 font-medium text-right">Changes</th>
+                <th className="px-4 py-2 font-medium text-right">Lines churned</th>
+                <th className="px-4 py-2 font-medium text-right">Authors</th>
+                <th className="px-4 py-2 font-medium">Last changed</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {churn.files.map(file => (
+                <tr key={file.path}>
+                  <td className="px-4 py-2">
+                    <a href={fileUrl(file.path)} className={file.deleted ? 'text-gray-400 line-through' : 'text-blue-600 hover:underline'}>
+                      {file.path}
+                    </a>
+                    {file.is_hotspot && (
+                      <span className="ml-2 text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded">hotspot</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-right">{file.changes.toLocaleString()}</td>
+                  <td className="px-4 py-2 text-right">
+                    <span className="text-green-600">+{file.additions.toLocaleString()}</span>{' '}
+                    <span className="text-red-600">-{file.deletions.toLocaleString()}</span>
+                  </td>
+                  <td className="px-4 py-2 text-right">{file.authors}</td>
+                  <td className="px-4 py-2 text-gray-600">{new Date(file.last_changed_at).toLocaleDateString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        <div className="bg-gray-50 px-4 py-2 border-b border-gray-200">
+          <h2 className="font-semibold">Files that change together</h2>
+        </div>
+        {churn.coupling.length === 0 ? (
+          <p className="p-4 text-sm text-gray-500">No files were repeatedly changed together in this window.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">Files</th>
+                <th className="px-4 py-2 font-medium text-right">Changed together</th>
+                <th className="px-4 py-2 font-medium text-right">Coupling</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {churn.coupling.map(pair => (
+                <tr key={pair.files.join(':')}>
+                  <td className="px-4 py-2">
+                    {pair.files.map((path, index) => (
+                      <div key={path}>
+                        <a href={fileUrl(path)} className="text-blue-600 hover:underline">{path}</a>
+                        <span className="ml-2 text-gray-400">({pair.changes[index]} changes)</span>
+                      </div>
+                    ))}
+                  </td>
+                  <td className="px-4 py-2 text-right">{pair.shared_changes}</td>
+                  <td className="px-4 py-2 text-right">{pair.degree}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Force dynamic rendering for this page
+export const dynamic = 'force-dynamic';
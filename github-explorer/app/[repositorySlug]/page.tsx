@@ -1,7 +1,7 @@
 import { Metadata } from 'next';
 import { notFound } from 'next/navigation';
 import { parseRepositorySlug } from '@/lib/url-utils';
-import { getRepositoryByGithubId } from '@/lib/server-api/repositories';
+import { getRepositoryByGithubId, getRepositoryLanguages } from '@/lib/server-api/repositories';
 import RepositoryContent from '../../components/repository/RepositoryContent';
 
 // Define types for the page props
@@ -138,6 +138,9 @@ export default async function RepositoryPage({ params }: RepositoryPageProps) {
       notFound();
     }
     
+    // Languages of the files changed in the repository's commits
+    const languageBreakdown = await getRepositoryLanguages(slugInfo.githubId);
+    
     return (
       <div className="container mx-auto px-4 py-8">
         <div className="mb-8">
@@ -201,6 +204,20 @@ export default async function RepositoryPage({ params }: RepositoryPageProps) {
               </div>
             )}
           </div>
+          
+          {languageBreakdown && languageBreakdown.languages.length > 0 && (
+            <div className="flex flex-wrap gap-3 mb-4 text-sm text-gray-600">
+              {languageBreakdown.languages.slice(0, 6).map(language => (
+                <span key={language.name}>
+                  <span className="font-medium text-gray-900">{language.name}</span> {language.percentage}%
+                </span>
+              ))}
+            </div>
+          )}
+          
+          <a href={`/${repositorySlug}/files`} className="text-sm text-blue-600 hover:underline">
+            File hotspots and churn
+          </a>
         </div>
         
         {/* Client Component for interactive content */}
@@ -1,5 +1,6 @@
 "use client";
 
+import { useEffect, useState } from 'react';
 import { PipelineControlCard } from '@/components/admin/PipelineControlCard';
 import { CronJobManager } from '@/components/admin/CronJobManager';
 import { EntityStatsOverview } from '@/components/admin/EntityStatsOverview';
@@ -14,7 +15,20 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 //   description: 'Manage pipeline operations and monitor system status',
 // };
 
+const TABS = ['entity-stats', 'process-control', 'history'];
+
 export default function AdminDashboardPage() {
+  const [tab, setTab] = useState('entity-stats');
+  
+  // Notification links open a tab with ?tab=, e.g. /admin?tab=history
+  useEffect(() => {
+    const requested = new URLSearchParams(window.location.search).get('tab');
+    
+    if (requested && TABS.includes(requested)) {
+      setTab(requested);
+    }
+  }, []);
+  
   return (
     <div className="container py-8">
       <div className="flex flex-col gap-8">
@@ -43,7 +57,7 @@ export default function AdminDashboardPage() {
           />
         </div>
         
-        <Tabs defaultValue="entity-stats" className="w-full">
+        <Tabs value={tab} onValueChange={setTab} className="w-full">
           <TabsList className="w-full max-w-md grid grid-cols-3">
             <TabsTrigger value="entity-stats">Entity Stats</TabsTrigger>
             <TabsTrigger value="process-control">Process Control</TabsTrigger>
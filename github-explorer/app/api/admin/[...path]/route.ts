@@ -0,0 +1,95 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getAdminCaller, getPipelineApiKey, hasPipelineRole, PipelineRole } from '@/lib/auth/admin-session';
+
+/**
+ * Admin API proxy
+ *
+ * Forwards admin requests to the backend server with the API key of the
+ * signed-in user's role, so the browser never holds a key. Only the routes
+ * listed below are forwarded: requests under /api/admin/<path> are sent to
+ * <backend>/api/<path> with the same method, query and body, and responses
+ * are streamed back unchanged.
+ */
+
+export const dynamic = 'force-dynamic';
+
+// Backend routes the admin dashboard may call, with the minimum role for each.
+// keyRole sends a route with the key of a fixed role instead of the caller's:
+// the event stream session token is held by the browser, so it only gets viewer.
+const ALLOWED_ROUTES: { method: string; path: string; role: PipelineRole; keyRole?: PipelineRole }[] = [
+  { method: 'POST', path: 'auth/sessions', role: 'viewer', keyRole: 'viewer' },
+  { method: 'POST', path: 'pipeline/start', role: 'operator' },
+  { method: 'POST', path: 'pipeline/stop', role: 'operator' },
+  { method: 'POST', path: 'pipeline-history-clear', role: 'admin' },
+  { method: 'POST', path: 'generate-sitemap', role: 'operator' },
+  { method: 'POST', path: 'contributor-rankings', role: 'operator' }
+];
+
+async function proxy(
+  request: NextRequest,
+  { params }: { params: Promise<{ path: string[] }> }
+) {
+  const { path } = await params;
+  const route = ALLOWED_ROUTES.find(allowed => allowed.method === request.method && allowed.path === path.join('/'));
+  if (!route) {
+    return NextResponse.json({ error: 'Not found' }, { status: 404 });
+  }
+
+  const caller = await getAdminCaller(request);
+  if (!caller) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  if (!hasPipelineRole(caller.role, route.role)) {
+    return NextResponse.json({
+      error: 'Forbidden',
+      details: `This operation requires the ${route.role} role`
+    }, { status: 403 });
+  }
+
+  const { apiKey, variable } = getPipelineApiKey(route.keyRole || caller.role);
+  if (!apiKey) {
+    return NextResponse.json({
+      error: 'Pipeline server API key not configured',
+      details: `Please configure ${variable} in .env or .env.local`
+    }, { status: 500 });
+  }
+
+  const baseUrl = process.env.BACKEND_API_URL || process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:3001/api';
+  const url = `${baseUrl}/${path.map(encodeURIComponent).join('/')}${request.nextUrl.search}`;
+
+  const headers: Record<string, string> = { 'X-API-Key': apiKey };
+  const contentType = request.headers.get('content-type');
+  if (contentType) {
+    headers['Content-Type'] = contentType;
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: request.method,
+      headers,
+      body: request.method === 'GET' || request.method === 'DELETE' ? undefined : await request.text(),
+      cache: 'no-store',
+      signal: request.signal
+    });
+
+    return new Response(response.body, {
+      status: response.status,
+      headers: {
+        'Content-Type': response.headers.get('content-type') || 'application/json',
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error(`Error proxying admin request to ${url}:`, error);
+    return NextResponse.json({
+      error: 'Could not reach the backend server',
+      details: error instanceof Error ? error.message : String(error)
+    }, { status: 502 });
+  }
+}
+
+export const GET = proxy;
+export const POST = proxy;
+export const PUT = proxy;
+export const DELETE = proxy;
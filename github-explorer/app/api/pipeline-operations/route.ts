@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { createServerSupabaseClient } from '@/lib/supabase/server';
+import { getAdminCaller, getPipelineApiKey, hasPipelineRole } from '@/lib/auth/admin-session';
 
 /**
  * POST handler for pipeline operations
@@ -7,6 +8,16 @@ import { createServerSupabaseClient } from '@/lib/supabase/server';
  */
 export async function POST(request: NextRequest) {
   try {
+    // The request is sent on with the API key of the caller's role
+    const caller = await getAdminCaller(request);
+    if (!caller) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    if (!hasPipelineRole(caller.role, 'operator')) {
+      return NextResponse.json({ error: 'Forbidden', details: 'This operation requires the operator role' }, { status: 403 });
+    }
+
     const requestBody = await request.json();
     
     // Debug: Log the full request body
@@ -103,7 +114,7 @@ export async function POST(request: NextRequest) {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-API-Key': process.env.PIPELINE_SERVER_API_KEY || ''
+          'X-API-Key': getPipelineApiKey(caller.role).apiKey || ''
         },
         body: JSON.stringify({
           pipeline_type: actualPipelineType,
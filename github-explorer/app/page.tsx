@@ -13,7 +13,7 @@ import { Avatar } from '@/components/ui/avatar';
 import { useContributorRankings } from '@/hooks/contributor-rankings';
 import { ContributorRanking } from '@/lib/client/api-client';
 
-type Timeframe = '24h' | '7d' | '30d' | 'all';
+type Timeframe = '24h' | '7d' | '30d' | '90d' | '365d' | 'all';
 
 // Mock data for initial development
 const mockRankings: ContributorRanking[] = [];
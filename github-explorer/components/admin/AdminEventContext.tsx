@@ -2,7 +2,6 @@
 
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
 import { usePipelineEvents, PipelineEvent } from '@/hooks/use-pipeline-events';
-import { eventPollerService } from '@/app/services/event-poller';
 
 // Define the context type
 type AdminEventContextType = {
@@ -66,17 +65,6 @@ export function AdminEventProvider({ children }: AdminEventProviderProps) {
     }
   }, [events]);
 
-  // Start the event polling service
-  useEffect(() => {
-    // Start the service if not already running
-    eventPollerService.startPolling();
-    
-    // Clean up on unmount
-    return () => {
-      eventPollerService.stopPolling();
-    };
-  }, []);
-
   // Create the context value
   const contextValue: AdminEventContextType = {
     events,
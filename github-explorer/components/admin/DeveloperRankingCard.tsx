@@ -4,11 +4,28 @@ import React from 'react';
 import { StatsCard } from '@/components/ui/stats-card';
 import { Button } from '@/components/ui/button';
 import { Loader2, TrendingUp, RefreshCw, Users } from 'lucide-react';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
 import { useContributorRankings } from '@/hooks/admin/use-contributor-rankings';
+import { RankingTimeframe } from '@/lib/client/api-client';
 import { formatDistanceToNow } from 'date-fns';
 
+const RANKING_WINDOWS: { value: RankingTimeframe; label: string }[] = [
+  { value: 'all', label: 'All time' },
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: '90d', label: 'Last 90 days' },
+  { value: '365d', label: 'Last 365 days' },
+];
+
 export function DeveloperRankingCard() {
-  const { calculateRankings, isCalculating, stats, error } = useContributorRankings();
+  const { calculateRankings, isCalculating, stats, error, timeframe, setTimeframe } = useContributorRankings();
 
   const formatDate = (dateString: string) => {
     if (!dateString) return 'Never';
@@ -41,6 +58,22 @@ export function DeveloperRankingCard() {
               </span>
             </div>
           )}
+          <Select
+            value={timeframe}
+            onValueChange={(value) => setTimeframe(value as RankingTimeframe)}
+            disabled={isCalculating}
+          >
+            <SelectTrigger className="h-8 w-full text-xs">
+              <SelectValue placeholder="Select window" />
+            </SelectTrigger>
+            <SelectContent>
+              {RANKING_WINDOWS.map((window) => (
+                <SelectItem key={window.value} value={window.value}>
+                  {window.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
           <Button
             size="sm"
             className="w-full"
@@ -1,8 +1,10 @@
 'use client';
 
 import * as React from 'react';
+import Link from 'next/link';
 import { Button } from '@/components/ui/button';
-import { Search } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Loader2, Search } from 'lucide-react';
 import {
   Dialog,
   DialogContent,
@@ -11,19 +13,159 @@ import {
   DialogTrigger,
 } from '@/components/ui/dialog';
 import { Input } from '@/components/ui/input';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { apiClient, SearchResult, SearchResultType } from '@/lib/client/api-client';
+import {
+  generateContributorSlug,
+  generateMergeRequestSlug,
+  generateRepositorySlug,
+} from '@/lib/url-utils';
+
+const PAGE_SIZE = 20;
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+
+const RESULT_TYPES: { value: SearchResultType; label: string }[] = [
+  { value: 'repository', label: 'Repositories' },
+  { value: 'contributor', label: 'Contributors' },
+  { value: 'merge_request', label: 'Merge requests' },
+  { value: 'commit', label: 'Commits' },
+];
+
+const TYPE_LABELS: Record<SearchResultType, string> = {
+  repository: 'Repository',
+  contributor: 'Contributor',
+  merge_request: 'Merge request',
+  commit: 'Commit',
+};
+
+/**
+ * Build the page URL of a search result
+ * @param result Search result
+ * @returns URL or null if the result lacks the IDs needed for its page
+ */
+function getResultUrl(result: SearchResult): string | null {
+  try {
+    const repoSlug = result.repository_name && result.repository_github_id
+      ? generateRepositorySlug(result.repository_name, result.repository_github_id)
+      : null;
+
+    switch (result.type) {
+      case 'repository':
+        return repoSlug ? `/${repoSlug}` : null;
+      case 'contributor':
+        return `/contributors/${generateContributorSlug(
+          result.contributor_name || undefined,
+          result.contributor_username || undefined,
+          result.github_id
+        )}`;
+      case 'merge_request':
+        return repoSlug ? `/${repoSlug}/merge-requests/${generateMergeRequestSlug(result.title, result.github_id)}` : null;
+      case 'commit':
+        return repoSlug ? `/${repoSlug}/commits/${result.github_id}` : null;
+      default:
+        return null;
+    }
+  } catch (error) {
+    console.error('Error building search result URL:', error);
+    return null;
+  }
+}
+
+/**
+ * Render a snippet with its <mark></mark> matches highlighted, as text only
+ */
+function Snippet({ text }: { text: string }) {
+  const parts = text.split(/<mark>|<\/mark>/);
+
+  return (
+    <>
+      {parts.map((part, index) =>
+        index % 2 === 1 ? (
+          <mark key={index} className="bg-yellow-100 text-foreground rounded-sm">{part}</mark>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        )
+      )}
+    </>
+  );
+}
 
 export function SearchDialog() {
   const [open, setOpen] = React.useState(false);
   const [search, setSearch] = React.useState('');
+  const [type, setType] = React.useState<SearchResultType | null>(null);
+  const [results, setResults] = React.useState<SearchResult[]>([]);
+  const [counts, setCounts] = React.useState<Partial<Record<SearchResultType, number>>>({});
+  const [page, setPage] = React.useState(1);
+  const [totalPages, setTotalPages] = React.useState(0);
+  const [isLoading, setIsLoading] = React.useState(false);
+  const [error, setError] = React.useState<string | null>(null);
+
+  // Ignore responses to searches that have since been replaced
+  const latestRequest = React.useRef(0);
+
+  const runSearch = React.useCallback(async (query: string, resultType: SearchResultType | null, resultPage: number) => {
+    const requestId = ++latestRequest.current;
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await apiClient.search.search(query, {
+        types: resultType ? [resultType] : undefined,
+        page: resultPage,
+        limit: PAGE_SIZE,
+      });
+
+      if (requestId !== latestRequest.current) return;
+
+      setResults(previous => (resultPage === 1 ? data.data : [...previous, ...data.data]));
+      setPage(resultPage);
+      setTotalPages(data.pagination.totalPages);
+
+      // Keep the counts of every type while a single type is shown
+      if (!resultType) {
+        setCounts(data.counts);
+      }
+    } catch (err) {
+      if (requestId !== latestRequest.current) return;
+      setError(err instanceof Error && err.message ? err.message : 'Search failed');
+    } finally {
+      if (requestId === latestRequest.current) {
+        setIsLoading(false);
+      }
+    }
+  }, []);
+
+  React.useEffect(() => {
+    const query = search.trim();
+
+    if (query.length < 2) {
+      latestRequest.current++;
+      setResults([]);
+      setCounts({});
+      setTotalPages(0);
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    const timer = setTimeout(() => runSearch(query, type, 1), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search, type, runSearch]);
 
   const handleSearch = (e: React.FormEvent) => {
     e.preventDefault();
-    // This would normally perform a search
-    // For now it's a placeholder
-    console.log('Searching for:', search);
-    setOpen(false);
+
+    const query = search.trim();
+    if (query) {
+      runSearch(query, type, 1);
+    }
   };
 
+  const totalCount = Object.values(counts).reduce((sum, count) => sum + (count || 0), 0);
+
   return (
     <Dialog open={open} onOpenChange={setOpen}>
       <DialogTrigger asChild>
@@ -32,20 +174,102 @@ export function SearchDialog() {
           <span className="sr-only">Search</span>
         </Button>
       </DialogTrigger>
-      <DialogContent className="sm:max-w-md">
+      <DialogContent className="sm:max-w-2xl">
         <DialogHeader>
           <DialogTitle>Search</DialogTitle>
         </DialogHeader>
         <form onSubmit={handleSearch} className="flex space-x-2">
           <Input
-            placeholder="Search repositories, contributors, etc."
+            placeholder="Search repositories, contributors, merge requests and commits"
             value={search}
             onChange={(e) => setSearch(e.target.value)}
             className="flex-1"
+            autoFocus
           />
-          <Button type="submit">Search</Button>
+          <Button type="submit" disabled={isLoading}>
+            {isLoading ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Search'}
+          </Button>
         </form>
+
+        {search.trim().length >= 2 && (
+          <div className="flex flex-wrap gap-2">
+            <Button
+              type="button"
+              size="sm"
+              variant={type === null ? 'default' : 'outline'}
+              onClick={() => setType(null)}
+            >
+              All ({totalCount})
+            </Button>
+            {RESULT_TYPES.map((resultType) => (
+              <Button
+                key={resultType.value}
+                type="button"
+                size="sm"
+                variant={type === resultType.value ? 'default' : 'outline'}
+                onClick={() => setType(resultType.value)}
+              >
+                {resultType.label} ({counts[resultType.value] || 0})
+              </Button>
+            ))}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        {results.length > 0 && (
+          <ScrollArea className="max-h-[60vh]">
+            <ul className="divide-y">
+              {results.map((result) => {
+                const url = getResultUrl(result);
+                const content = (
+                  <div className="py-2">
+                    <div className="flex items-center gap-2">
+                      <Badge variant="secondary">{TYPE_LABELS[result.type]}</Badge>
+                      <span className="font-medium truncate">{result.title}</span>
+                    </div>
+                    {result.snippet && (
+                      <p className="mt-1 text-sm text-muted-foreground line-clamp-2">
+                        <Snippet text={result.snippet} />
+                      </p>
+                    )}
+                    {result.subtitle && result.type !== 'repository' && (
+                      <p className="mt-1 text-xs text-muted-foreground truncate">{result.subtitle}</p>
+                    )}
+                  </div>
+                );
+
+                return (
+                  <li key={`${result.type}-${result.id}`}>
+                    {url ? (
+                      <Link href={url} onClick={() => setOpen(false)} className="block hover:bg-muted/50 rounded px-2">
+                        {content}
+                      </Link>
+                    ) : (
+                      <div className="px-2">{content}</div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+            {page < totalPages && (
+              <Button
+                type="button"
+                variant="ghost"
+                className="w-full mt-2"
+                disabled={isLoading}
+                onClick={() => runSearch(search.trim(), type, page + 1)}
+              >
+                Load more
+              </Button>
+            )}
+          </ScrollArea>
+        )}
+
+        {!isLoading && !error && search.trim().length >= 2 && results.length === 0 && (
+          <p className="text-sm text-muted-foreground">No results</p>
+        )}
       </DialogContent>
     </Dialog>
   );
-} 
\ No newline at end of file
+}
@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { useToast } from '@/components/ui/use-toast';
-import { apiClient } from '@/lib/client/api-client';
+import { apiClient, RankingTimeframe } from '@/lib/client/api-client';
 
 interface RankingStats {
   calculationsCount: number;
@@ -13,12 +13,15 @@ interface UseContributorRankingsReturn {
   isCalculating: boolean;
   stats: RankingStats | null;
   error: string | null;
+  timeframe: RankingTimeframe;
+  setTimeframe: (timeframe: RankingTimeframe) => void;
 }
 
 export function useContributorRankings(): UseContributorRankingsReturn {
   const [isCalculating, setIsCalculating] = useState(false);
   const [stats, setStats] = useState<RankingStats | null>(null);
   const [error, setError] = useState<string | null>(null);
+  const [timeframe, setTimeframe] = useState<RankingTimeframe>('all');
   const { toast } = useToast();
 
   const calculateRankings = async () => {
@@ -26,7 +29,7 @@ export function useContributorRankings(): UseContributorRankingsReturn {
     setError(null);
     
     try {
-      const data = await apiClient.rankings.calculate();
+      const data = await apiClient.rankings.calculate(timeframe);
       
       if (data.stats) {
         setStats(data.stats);
@@ -34,7 +37,7 @@ export function useContributorRankings(): UseContributorRankingsReturn {
       
       toast({
         title: 'Success',
-        description: `Rankings calculated for ${data.stats?.contributorsRanked || 0} contributors`,
+        description: `${timeframe === 'all' ? 'All-time' : timeframe} rankings calculated for ${data.stats?.contributorsRanked || 0} contributors`,
         variant: 'default',
       });
       
@@ -56,5 +59,7 @@ export function useContributorRankings(): UseContributorRankingsReturn {
     isCalculating,
     stats,
     error,
+    timeframe,
+    setTimeframe,
   };
 } 
\ No newline at end of file
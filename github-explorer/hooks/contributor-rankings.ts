@@ -1,15 +1,15 @@
 import { useState, useEffect } from 'react';
-import { apiClient, ContributorRanking } from '@/lib/client/api-client';
+import { apiClient, ContributorRanking, RankingTimeframe } from '@/lib/client/api-client';
 
-type Timeframe = '24h' | '7d' | '30d' | 'all';
+type Timeframe = RankingTimeframe;
 
 export function useContributorRankings() {
   const [rankings, setRankings] = useState<ContributorRanking[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const [selectedTimeframe, setSelectedTimeframe] = useState<Timeframe>('7d');
+  const [selectedTimeframe, setSelectedTimeframe] = useState<Timeframe>('all');
   
-  const timeframes: Timeframe[] = ['24h', '7d', '30d', 'all'];
+  const timeframes: Timeframe[] = ['24h', '7d', '30d', '90d', '365d', 'all'];
   
   useEffect(() => {
     async function fetchRankings() {
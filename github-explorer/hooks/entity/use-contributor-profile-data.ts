@@ -18,8 +18,10 @@ export interface ContributorProfileData {
   };
   top_languages: {
     name: string;
+    type?: 'programming' | 'markup' | 'data' | 'prose';
     percentage: number;
     count: number;
+    lines_changed?: number;
   }[];
   repositories: {
     data: {
@@ -1,53 +1,127 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import { fetchFromApi } from '@/lib/client/api';
 
 export type PipelineEvent = {
+  id?: number;
   type: string;
+  source?: 'pipeline' | 'scheduler' | 'notifications';
+  pipeline_type?: string | null;
+  level?: 'info' | 'success' | 'warn' | 'error';
   data: any;
   timestamp: string;
 };
 
 type ConnectionStatus = 'connecting' | 'connected' | 'disconnected' | 'error';
 
+type StreamSession = {
+  token: string;
+  expiresAt: number;
+};
+
+const BACKEND_API_URL = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:3001/api';
+
+// A new session token is requested when the current one expires within this time
+const SESSION_RENEW_MARGIN_MS = 60 * 1000;
+
+/**
+ * Get a viewer session token for the event stream. The admin API proxy
+ * creates it for the signed-in user; EventSource cannot send headers, so the
+ * token is passed to the backend as ?token=.
+ */
+async function requestStreamSession(): Promise<StreamSession> {
+  const response = await fetchFromApi<{ data: { token: string; expires_at: string } }>(
+    'auth/sessions',
+    'POST',
+    undefined,
+    undefined,
+    { admin: true }
+  );
+
+  return { token: response.data.token, expiresAt: Date.parse(response.data.expires_at) };
+}
+
 type UsePipelineEventsOptions = {
   autoConnect?: boolean;
   onEvent?: (event: PipelineEvent) => void;
   bufferSize?: number;
+  pipelineTypes?: string[];
+  levels?: PipelineEvent['level'][];
 };
 
 /**
- * React hook for connecting to pipeline events via Server-Sent Events
+ * React hook for connecting to the server event stream via Server-Sent Events.
+ * Reconnects resume after the last event received, so no events are missed.
  */
 export function usePipelineEvents({
   autoConnect = true,
   onEvent,
   bufferSize = 20,
+  pipelineTypes,
+  levels,
 }: UsePipelineEventsOptions = {}) {
   const [status, setStatus] = useState<ConnectionStatus>('disconnected');
   const [events, setEvents] = useState<PipelineEvent[]>([]);
   const eventSourceRef = useRef<EventSource | null>(null);
+  const lastEventIdRef = useRef<number | null>(null);
+  const sessionRef = useRef<StreamSession | null>(null);
+  // Incremented by every connect and disconnect, so a pending connect can tell it was superseded
+  const connectAttemptRef = useRef(0);
+  const pipelineTypeFilter = pipelineTypes?.join(',') || '';
+  const levelFilter = levels?.join(',') || '';
 
   // Connect to the SSE endpoint
-  const connect = useCallback(() => {
+  const connect = useCallback(async () => {
     if (eventSourceRef.current) {
       eventSourceRef.current.close();
+      eventSourceRef.current = null;
     }
 
+    const attempt = ++connectAttemptRef.current;
     setStatus('connecting');
-    const eventSource = new EventSource('/api/pipeline-events');
+
+    let session = sessionRef.current;
+    try {
+      if (!session || session.expiresAt - SESSION_RENEW_MARGIN_MS < Date.now()) {
+        session = await requestStreamSession();
+        sessionRef.current = session;
+      }
+    } catch {
+      if (attempt === connectAttemptRef.current) {
+        setStatus('error');
+        setTimeout(() => {
+          if (attempt === connectAttemptRef.current) {
+            connect();
+          }
+        }, 5000);
+      }
+      return;
+    }
+
+    if (attempt !== connectAttemptRef.current) {
+      return;
+    }
+
+    const params = new URLSearchParams();
+    if (pipelineTypeFilter) params.set('pipeline_type', pipelineTypeFilter);
+    if (levelFilter) params.set('level', levelFilter);
+    if (lastEventIdRef.current !== null) params.set('after', String(lastEventIdRef.current));
+    params.set('token', session.token);
+
+    const eventSource = new EventSource(`${BACKEND_API_URL}/events/stream?${params.toString()}`);
     eventSourceRef.current = eventSource;
 
     eventSource.onopen = () => {
       setStatus('connected');
-      console.log('SSE connection established');
     };
 
     eventSource.onerror = () => {
       if (eventSource.readyState === EventSource.CLOSED) {
+        // Closed by the server, for example because the session was revoked
+        sessionRef.current = null;
         setStatus('disconnected');
       } else {
         setStatus('error');
-        console.error('SSE connection error');
-        
+
         // Auto reconnect after a delay
         setTimeout(() => {
           if (eventSourceRef.current === eventSource) {
@@ -60,6 +134,11 @@ export function usePipelineEvents({
     eventSource.onmessage = (message) => {
       try {
         const eventData = JSON.parse(message.data);
+
+        if (typeof eventData.id === 'number') {
+          lastEventIdRef.current = eventData.id;
+        }
+
         const pipelineEvent: PipelineEvent = {
           ...eventData,
           timestamp: eventData.timestamp || new Date().toISOString(),
@@ -80,15 +159,16 @@ export function usePipelineEvents({
         console.error('Error parsing event data:', error);
       }
     };
-  }, [bufferSize, onEvent]);
+  }, [bufferSize, onEvent, pipelineTypeFilter, levelFilter]);
 
   // Disconnect from the SSE endpoint
   const disconnect = useCallback(() => {
+    connectAttemptRef.current++;
     if (eventSourceRef.current) {
       eventSourceRef.current.close();
       eventSourceRef.current = null;
-      setStatus('disconnected');
     }
+    setStatus('disconnected');
   }, []);
 
   // Auto-connect on mount
@@ -97,37 +177,9 @@ export function usePipelineEvents({
       connect();
     }
 
-    // Cleanup on unmount
-    return () => {
-      if (eventSourceRef.current) {
-        eventSourceRef.current.close();
-      }
-    };
-  }, [autoConnect, connect]);
-
-  // Poll for new events to handle potential SSE connection issues
-  useEffect(() => {
-    // Don't poll if we have an active SSE connection
-    if (status !== 'connected') {
-      return;
-    }
-
-    const pollForEvents = async () => {
-      try {
-        const response = await fetch('/api/pipeline-events/poll');
-        if (response.ok) {
-          // Events are automatically broadcast to SSE connections
-          // so we don't need to handle them here
-        }
-      } catch (error) {
-        console.error('Error polling for events:', error);
-      }
-    };
-
-    // Poll every 5 seconds
-    const interval = setInterval(pollForEvents, 5000);
-    return () => clearInterval(interval);
-  }, [status]);
+    // Cleanup on unmount, which also cancels a connect still waiting for its session token
+    return disconnect;
+  }, [autoConnect, connect, disconnect]);
 
   return { status, events, connect, disconnect };
 } 
\ No newline at end of file
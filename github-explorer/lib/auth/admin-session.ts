@@ -0,0 +1,78 @@
+import { createServerSupabaseClient } from '@/lib/supabase/server';
+
+/**
+ * Server-side checks for requests from the admin dashboard
+ *
+ * The browser sends the access token of its Supabase session as
+ * `Authorization: Bearer <token>`. The token is verified with Supabase, and the
+ * user's role is read from app_metadata, which only the service role can
+ * change. Requests to the backend are then sent with the API key of that role,
+ * so the backend's own role checks still apply.
+ */
+
+export type PipelineRole = 'viewer' | 'operator' | 'admin';
+
+const ROLE_ORDER: PipelineRole[] = ['viewer', 'operator', 'admin'];
+
+// app_metadata.role values that grant the admin role, as in hooks/use-auth.ts
+const ADMIN_ROLES = ['admin', 'superadmin', 'owner'];
+
+// Environment variable holding the backend API key of each role
+const ROLE_API_KEY_VARIABLES: Record<PipelineRole, string> = {
+  viewer: 'PIPELINE_SERVER_VIEWER_API_KEY',
+  operator: 'PIPELINE_SERVER_OPERATOR_API_KEY',
+  admin: 'PIPELINE_SERVER_API_KEY'
+};
+
+export type AdminCaller = {
+  userId: string;
+  email?: string;
+  role: PipelineRole;
+};
+
+/**
+ * Verify the Supabase access token of a request
+ * @param request The incoming request
+ * @returns The signed-in user and their role, or null if the token is missing or invalid
+ */
+export async function getAdminCaller(request: Request): Promise<AdminCaller | null> {
+  const header = request.headers.get('authorization');
+  const token = header?.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+
+  if (!token) {
+    return null;
+  }
+
+  const { data, error } = await createServerSupabaseClient().auth.getUser(token);
+
+  if (error || !data.user) {
+    return null;
+  }
+
+  const role = String(data.user.app_metadata?.role || '');
+
+  return {
+    userId: data.user.id,
+    email: data.user.email,
+    role: ADMIN_ROLES.includes(role) ? 'admin' : role === 'operator' ? 'operator' : 'viewer'
+  };
+}
+
+/**
+ * Check whether a role grants at least the privileges of another role
+ * @param role Role held by the caller
+ * @param requiredRole Minimum role needed
+ */
+export function hasPipelineRole(role: PipelineRole, requiredRole: PipelineRole): boolean {
+  return ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(requiredRole);
+}
+
+/**
+ * Get the backend API key of a role
+ * @param role Role to send the request with
+ * @returns The key, and the environment variable it is read from
+ */
+export function getPipelineApiKey(role: PipelineRole): { apiKey: string | undefined; variable: string } {
+  const variable = ROLE_API_KEY_VARIABLES[role];
+  return { apiKey: process.env[variable], variable };
+}
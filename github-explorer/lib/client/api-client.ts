@@ -11,6 +11,7 @@ import { entitiesApi } from './entities-api';
 import { pipelineApi, PipelineStatusResponse, PipelineStatsResponse } from './pipeline-api';
 import { sitemapApi } from './sitemap-api';
 import { rankingsApi } from './rankings-api';
+import { searchApi } from './search-api';
 import * as commitsApi from './commits-api';
 import * as mergeRequestsApi from './merge-requests-api';
 import * as repositoriesApi from './repositories-api';
@@ -29,6 +30,7 @@ export const apiClient = {
   commits: commitsApi,
   sitemap: sitemapApi,
   rankings: rankingsApi,
+  search: searchApi,
 };
 
 // Re-export the types we need
@@ -39,6 +41,7 @@ export * from './entities-api';
 export * from './pipeline-api';
 export * from './sitemap-api';
 export * from './rankings-api';
+export * from './search-api';
 export * from './commits-api';
 export * from './merge-requests-api';
 export * from './repositories-api';
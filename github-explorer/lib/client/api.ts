@@ -34,6 +34,14 @@ export interface ApiRequestOptions {
    * Default: undefined
    */
   tags?: string[];
+
+  /**
+   * Send the request through the admin API proxy with the signed-in user's
+   * access token; the proxy adds the backend API key of the user's role.
+   * Required for routes that need an operator or admin role.
+   * Default: false
+   */
+  admin?: boolean;
 }
 
 /**
@@ -52,8 +60,10 @@ export async function fetchFromApi<T>(
   body?: any,
   options?: ApiRequestOptions
 ): Promise<T> {
-  // Base URL for the backend server
-  const baseUrl = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:3001/api';
+  // Base URL for the backend server; admin requests go through the Next.js proxy
+  const baseUrl = options?.admin
+    ? '/api/admin'
+    : process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:3001/api';
   
   // Build URL with query parameters
   let url = `${baseUrl}/${endpoint}`;
@@ -71,12 +81,24 @@ export async function fetchFromApi<T>(
     }
   }
   
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+  };
+
+  // The admin proxy verifies the Supabase session before forwarding. The
+  // Supabase client is only loaded here, not by every public page.
+  if (options?.admin) {
+    const { supabase } = await import('@/lib/supabase/client');
+    const { data: { session } } = await supabase.auth.getSession();
+    if (session) {
+      headers.Authorization = `Bearer ${session.access_token}`;
+    }
+  }
+
   // Configure request options
   const fetchOptions: RequestInit = {
     method,
-    headers: {
-      'Content-Type': 'application/json',
-    },
+    headers,
   };
   
   // Add Next.js caching options if provided and method is GET
@@ -99,7 +99,8 @@ export const pipelineApi = {
       {
         pipeline_type: pipelineType,
         direct_execution: true
-      }
+      },
+      { admin: true }
     );
   },
   
@@ -116,7 +117,8 @@ export const pipelineApi = {
       {
         pipeline_type: pipelineType,
         direct_execution: true
-      }
+      },
+      { admin: true }
     );
   },
   
@@ -170,7 +172,9 @@ export const pipelineApi = {
     return await fetchFromApi<PipelineOperationResponse>(
       'pipeline-history-clear',
       'POST',
-      params
+      params,
+      undefined,
+      { admin: true }
     );
   },
 
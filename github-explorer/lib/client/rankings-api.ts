@@ -1,5 +1,8 @@
 import { fetchFromApi } from './api';
 
+// Rolling windows rankings are calculated over ('all' is all-time)
+export type RankingTimeframe = '24h' | '7d' | '30d' | '90d' | '365d' | 'all';
+
 // Types for ranking data
 export interface ContributorRanking {
   id: string;
@@ -57,13 +60,19 @@ interface RankingsResponse {
   timestamp: string;
 }
 
+export interface RankingWindowStats {
+  calculationsCount: number;
+  latestCalculation: string;
+  contributorsRanked: number;
+}
+
 export interface RankingCalculationResponse {
   success: boolean;
   message: string;
-  stats?: {
-    calculationsCount: number;
-    latestCalculation: string;
-    contributorsRanked: number;
+  stats?: RankingWindowStats & {
+    profile?: string;
+    profileVersion?: number;
+    windows?: Partial<Record<RankingTimeframe, RankingWindowStats>>;
   };
 }
 
@@ -73,25 +82,27 @@ export interface RankingCalculationResponse {
 export const rankingsApi = {
   /**
    * Get the latest contributor rankings
+   * @param timeframe Ranking window to get rankings for (defaults to 'all')
    * @returns Latest contributor rankings data
    */
-  async getLatest(): Promise<RankingsResponse> {
+  async getLatest(timeframe?: RankingTimeframe): Promise<RankingsResponse> {
     return await fetchFromApi<RankingsResponse>(
       'contributor-rankings',
       'POST',
       undefined,
       {
-        operation: 'get_latest'
+        operation: 'get_latest',
+        timeframe
       }
     );
   },
   
   /**
    * Get contributor rankings for a specific timeframe
-   * @param timeframe Timeframe to get rankings for ('24h', '7d', '30d', 'all')
+   * @param timeframe Ranking window to get rankings for ('24h', '7d', '30d', '90d', '365d', 'all')
    * @returns Contributor rankings for the specified timeframe
    */
-  async getByTimeframe(timeframe: '24h' | '7d' | '30d' | 'all'): Promise<RankingsResponse> {
+  async getByTimeframe(timeframe: RankingTimeframe): Promise<RankingsResponse> {
     return await fetchFromApi<RankingsResponse>(
       'contributor-rankings',
       'POST',
@@ -105,16 +116,19 @@ export const rankingsApi = {
   
   /**
    * Calculate new contributor rankings
+   * @param timeframe Ranking window to calculate; the all-time window when omitted
    * @returns Result of the calculation operation
    */
-  async calculate(): Promise<RankingCalculationResponse> {
+  async calculate(timeframe?: RankingTimeframe): Promise<RankingCalculationResponse> {
     return await fetchFromApi<RankingCalculationResponse>(
       'contributor-rankings',
       'POST',
       undefined,
       {
-        operation: 'calculate'
-      }
+        operation: 'calculate',
+        timeframe
+      },
+      { admin: true }
     );
   }
 }; 
\ No newline at end of file
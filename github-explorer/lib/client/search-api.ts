@@ -0,0 +1,70 @@
+import { fetchFromApi } from './api';
+
+// Entity types the search endpoint covers
+export type SearchResultType = 'repository' | 'contributor' | 'merge_request' | 'commit';
+
+export interface SearchResult {
+  type: SearchResultType;
+  id: string;
+  github_id: string;
+  title: string;
+  subtitle: string | null;
+  /** Matching text with the matched terms wrapped in <mark></mark> */
+  snippet: string | null;
+  /** bm25 relevance, lower is better */
+  score: number;
+  repository_name: string | null;
+  repository_github_id: string | null;
+  merge_request_title: string | null;
+  merge_request_github_id: string | null;
+  contributor_username: string | null;
+  contributor_name: string | null;
+  contributor_github_id: string | null;
+  avatar: string | null;
+  date: string | null;
+}
+
+export interface SearchResponse {
+  query: string;
+  data: SearchResult[];
+  counts: Partial<Record<SearchResultType, number>>;
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    totalPages: number;
+  };
+}
+
+export interface SearchOptions {
+  types?: SearchResultType[];
+  page?: number;
+  limit?: number;
+}
+
+/**
+ * Search API client for the full-text search endpoint
+ */
+export const searchApi = {
+  /**
+   * Search repositories, contributors, merge requests and commit messages
+   * @param query Search text
+   * @param options Result types to include and pagination
+   * @returns Ranked search results with per-type match counts
+   */
+  async search(query: string, options: SearchOptions = {}): Promise<SearchResponse> {
+    const params: Record<string, string> = { q: query };
+
+    if (options.types && options.types.length > 0) {
+      params.type = options.types.join(',');
+    }
+    if (options.page) {
+      params.page = options.page.toString();
+    }
+    if (options.limit) {
+      params.limit = options.limit.toString();
+    }
+
+    return await fetchFromApi<SearchResponse>('search', 'GET', params);
+  }
+};
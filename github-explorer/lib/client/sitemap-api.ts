@@ -33,7 +33,10 @@ export const sitemapApi = {
   async generate(): Promise<SitemapOperationResponse> {
     return await fetchFromApi<SitemapOperationResponse>(
       'generate-sitemap',
-      'POST'
+      'POST',
+      undefined,
+      undefined,
+      { admin: true }
     );
   }
 }; 
\ No newline at end of file
@@ -98,4 +98,291 @@ export async function getRepositorySEODataByGithubId(githubId: string): Promise<
     console.error(`Error fetching repository SEO data by GitHub ID ${githubId}:`, error);
     return null;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Churn statistics of a file over the analyzed window
+ */
+export interface FileChurnStats {
+  path: string;
+  changes: number;
+  additions: number;
+  deletions: number;
+  churn: number;
+  authors: number;
+  first_changed_at: string;
+  last_changed_at: string;
+  last_status: string | null;
+  deleted: boolean;
+}
+
+export interface FileHotspot extends FileChurnStats {
+  high_churn: boolean;
+  is_hotspot: boolean;
+}
+
+export interface FileCoupling {
+  files: [string, string];
+  shared_changes: number;
+  changes: [number, number];
+  degree: number;
+}
+
+export interface RepositoryChurn {
+  repository: { id: string; github_id: number; full_name: string };
+  days: number;
+  thresholds: { high_churn: number; min_authors: number };
+  summary: { files: number; changes: number; churn: number; hotspots: number; excluded_files: number };
+  files: FileHotspot[];
+  hotspots: FileHotspot[];
+  coupling: FileCoupling[];
+}
+
+export interface RepositoryFileChurn extends FileChurnStats {
+  repository: { id: string; github_id: number; full_name: string };
+  days: number;
+  contributors: {
+    contributor_id: string;
+    github_id: number;
+    username: string;
+    name: string | null;
+    avatar: string | null;
+    changes: number;
+    churn: number;
+  }[];
+  timeline: { week: string; changes: number; churn: number }[];
+  recent_changes: {
+    sha: string;
+    message: string | null;
+    status: string | null;
+    additions: number;
+    deletions: number;
+    committed_at: string;
+    author_username: string | null;
+    author_github_id: number | null;
+  }[];
+  coupled_files: { path: string; shared_changes: number; changes: number; degree: number }[];
+}
+
+/**
+ * Get the churn report of a repository: files ranked by change frequency and
+ * lines churned, hotspots and files that change together
+ * @param githubId The repository's GitHub ID
+ * @param options Window in days (0 for all history) and ranking
+ * @returns The churn report or null if not found
+ */
+export async function getRepositoryChurn(
+  githubId: string,
+  options: { days?: number; sort?: 'churn' | 'changes' | 'authors'; limit?: number } = {}
+): Promise<RepositoryChurn | null> {
+  const params: Record<string, string> = {};
+  if (options.days !== undefined) params.days = options.days.toString();
+  if (options.sort) params.sort = options.sort;
+  if (options.limit) params.limit = options.limit.toString();
+
+  try {
+    return await fetchFromServerApi<RepositoryChurn>(`repositories/${githubId}/churn`, 'GET', params);
+  } catch (error) {
+    console.error(`Error fetching churn report for repository ${githubId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get the churn history of a file in a repository
+ * @param githubId The repository's GitHub ID
+ * @param path File path relative to the repository root
+ * @param days Window in days, 0 for all history
+ * @returns The file churn report or null if the file has no recorded changes
+ */
+export async function getRepositoryFileChurn(
+  githubId: string,
+  path: string,
+  days = 0
+): Promise<RepositoryFileChurn | null> {
+  try {
+    return await fetchFromServerApi<RepositoryFileChurn>(`repositories/${githubId}/churn/file`, 'GET', {
+      path,
+      days: days.toString()
+    });
+  } catch (error) {
+    console.error(`Error fetching churn history of ${path} in repository ${githubId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * A language's share of the lines changed in a repository or by a contributor
+ */
+export interface LanguageShare {
+  name: string;
+  type: 'programming' | 'markup' | 'data' | 'prose';
+  files: number;
+  count: number;
+  lines_changed: number;
+  percentage: number;
+}
+
+export interface RepositoryLanguages {
+  repository: { id: string; github_id: number; full_name: string };
+  primary_language: string | null;
+  lines_changed: number;
+  languages: LanguageShare[];
+}
+
+/**
+ * Get the language breakdown of a repository from the files changed in its commits
+ * @param githubId The repository's GitHub ID
+ * @returns The language breakdown or null if not found
+ */
+export async function getRepositoryLanguages(githubId: string): Promise<RepositoryLanguages | null> {
+  try {
+    return await fetchFromServerApi<RepositoryLanguages>(`repositories/${githubId}/languages`);
+  } catch (error) {
+    console.error(`Error fetching languages of repository ${githubId}:`, error);
+    return null;
+  }
+}
+
+export interface HoursDistribution {
+  count: number;
+  p50: number | null;
+  p90: number | null;
+  mean: number | null;
+}
+
+export interface DeliveryMetrics {
+  merged: number;
+  merges_per_week: number;
+  lead_time_hours: HoursDistribution;
+  review_latency_hours: HoursDistribution;
+  cycle_time_hours: HoursDistribution;
+  review_time_hours: HoursDistribution;
+  size: {
+    median_lines_changed: number | null;
+    distribution: {
+      size: 'XS' | 'S' | 'M' | 'L' | 'XL';
+      max_lines_changed: number | null;
+      count: number;
+      percentage: number;
+    }[];
+  };
+  commits: number;
+  reverts: number;
+  revert_rate: number;
+}
+
+export interface DeliveryWeek {
+  week: string;
+  merged: number;
+  lead_time_p50_hours: number | null;
+  review_latency_p50_hours: number | null;
+  median_lines_changed: number | null;
+  commits: number;
+  reverts: number;
+  revert_rate: number;
+}
+
+export interface RepositoryDeliveryMetrics {
+  repository: { id: string; github_id: number; full_name: string };
+  days: number;
+  since: string | null;
+  summary: DeliveryMetrics;
+  weekly: DeliveryWeek[];
+}
+
+/**
+ * Get the delivery metrics of a repository: lead time, merge frequency,
+ * review latency, merge request sizes and revert rate, with weekly series
+ * @param githubId The repository's GitHub ID
+ * @param options Window in days, 0 for all history
+ * @returns The delivery metrics or null if not found
+ */
+export async function getRepositoryDeliveryMetrics(
+  githubId: string,
+  options: { days?: number } = {}
+): Promise<RepositoryDeliveryMetrics | null> {
+  const params: Record<string, string> = {};
+  if (options.days !== undefined) params.days = options.days.toString();
+
+  try {
+    return await fetchFromServerApi<RepositoryDeliveryMetrics>(`repositories/${githubId}/delivery-metrics`, 'GET', params);
+  } catch (error) {
+    console.error(`Error fetching delivery metrics of repository ${githubId}:`, error);
+    return null;
+  }
+}
+
+export interface CommitMixSummary {
+  commits: number;
+  bugfix_share: number;
+  conventional_commits: number;
+  conventional_rate: number;
+}
+
+export interface RepositoryCommitTypes {
+  repository: { id: string; github_id: number; full_name: string };
+  days: number;
+  interval: 'week' | 'month';
+  since: string | null;
+  summary: CommitMixSummary;
+  types: { type: string; commits: number; percentage: number }[];
+  scopes: { scope: string; commits: number }[];
+  timeline: (CommitMixSummary & { period: string; types: Record<string, number> })[];
+}
+
+/**
+ * Get the work mix of a repository's commits: commits per classification,
+ * bugfix share and conventional-commit adoption over time
+ * @param githubId The repository's GitHub ID
+ * @param options Window in days (0 for all history) and timeline interval
+ * @returns The work mix or null if not found
+ */
+export async function getRepositoryCommitTypes(
+  githubId: string,
+  options: { days?: number; interval?: 'week' | 'month' } = {}
+): Promise<RepositoryCommitTypes | null> {
+  const params: Record<string, string> = {};
+  if (options.days !== undefined) params.days = options.days.toString();
+  if (options.interval) params.interval = options.interval;
+
+  try {
+    return await fetchFromServerApi<RepositoryCommitTypes>(`repositories/${githubId}/commit-types`, 'GET', params);
+  } catch (error) {
+    console.error(`Error fetching commit types of repository ${githubId}:`, error);
+    return null;
+  }
+}
+
+export interface HealthFactor {
+  factor: 'commit_cadence' | 'merge_latency' | 'contributor_concentration' | 'merge_request_rejection' | 'issue_backlog';
+  label: string;
+  weight: number;
+  score: number | null;
+  points: number;
+  value: Record<string, number | string> | null;
+  explanation: string;
+}
+
+export interface RepositoryHealth {
+  repository: { id: string; github_id: number; full_name: string };
+  score: number | null;
+  factors: HealthFactor[];
+  adjustments: { adjustment: 'fork' | 'archived'; effect: number; explanation: string }[];
+  model_version: number;
+  calculated_at: string;
+}
+
+/**
+ * Get the health score of a repository with the per-factor breakdown that explains it
+ * @param githubId The repository's GitHub ID
+ * @returns The health score or null if not found
+ */
+export async function getRepositoryHealth(githubId: string): Promise<RepositoryHealth | null> {
+  try {
+    return await fetchFromServerApi<RepositoryHealth>(`repositories/${githubId}/health`);
+  } catch (error) {
+    console.error(`Error fetching health of repository ${githubId}:`, error);
+    return null;
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Commit Classification Backfill Script
+ *
+ * Classifies the commits that have no stored classification yet (feature,
+ * bugfix, revert...), such as commits written before classifications were
+ * stored. With --all every commit is classified again, which is needed after
+ * the classification rules change.
+ *
+ * Usage: node scripts/classify-commits.js [--all] [<repository-id>]
+ */
+
+import { classifyCommits } from '../src/services/analytics/commit-classification.service.js';
+import { closeConnection } from '../src/db/connection-manager.js';
+
+const args = process.argv.slice(2);
+const reclassify = args.includes('--all');
+const [repositoryId] = args.filter(arg => !arg.startsWith('--'));
+
+try {
+  const classified = await classifyCommits({ repositoryId, reclassify });
+
+  console.log(`Classified ${classified} commits${repositoryId ? ` of repository ${repositoryId}` : ''}`);
+
+  await closeConnection();
+  process.exit(0);
+} catch (error) {
+  console.error(`Failed to classify commits: ${error.message}`);
+  process.exit(1);
+}
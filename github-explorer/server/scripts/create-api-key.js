@@ -0,0 +1,32 @@
+/**
+ * API Key Creation Script
+ *
+ * Creates an API key directly in the database. Use it to create the first
+ * admin key; further keys can be created through POST /api/auth/keys.
+ *
+ * Usage: node scripts/create-api-key.js <name> [viewer|operator|admin]
+ */
+
+import { createApiKey, ROLES } from '../src/services/auth/auth-service.js';
+import { closeConnection } from '../src/db/connection-manager.js';
+
+const [name, role = 'admin'] = process.argv.slice(2);
+
+if (!name || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/create-api-key.js <name> [${ROLES.join('|')}]`);
+  process.exit(1);
+}
+
+try {
+  const { key, apiKey } = await createApiKey({ name, role });
+
+  console.log(`Created ${apiKey.role} API key '${apiKey.name}' (${apiKey.id})`);
+  console.log('Store this key now - it cannot be shown again:');
+  console.log(key);
+
+  await closeConnection();
+  process.exit(0);
+} catch (error) {
+  console.error(`Failed to create API key: ${error.message}`);
+  process.exit(1);
+}
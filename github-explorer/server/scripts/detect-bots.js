@@ -0,0 +1,27 @@
+/**
+ * Bot Detection Script
+ *
+ * Classifies the contributors that have never been checked for bots, such as
+ * contributors stored before bot detection existed. With --all every
+ * contributor is classified again, which is needed after the rules change.
+ * Admin overrides are kept.
+ *
+ * Usage: node scripts/detect-bots.js [--all]
+ */
+
+import { detectBots } from '../src/services/identity/bot-detection.service.js';
+import { closeConnection } from '../src/db/connection-manager.js';
+
+const all = process.argv.slice(2).includes('--all');
+
+try {
+  const { checked, bots } = await detectBots({ all });
+
+  console.log(`Checked ${checked} contributors, ${bots} bots in total`);
+
+  await closeConnection();
+  process.exit(0);
+} catch (error) {
+  console.error(`Failed to detect bots: ${error.message}`);
+  process.exit(1);
+}
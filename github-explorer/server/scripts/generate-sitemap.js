@@ -95,6 +95,28 @@ const ENTITY_CONFIGS = [
       };
     }
   },
+  {
+    type: 'issues',
+    query: `
+      SELECT 
+        i.id, i.github_id, i.title, i.updated_at,
+        r.name as repository_name, r.github_id as repository_github_id
+      FROM issues i
+      JOIN repositories r ON i.repository_id = r.id
+      ORDER BY i.updated_at DESC
+    `,
+    generateUrl: (issue) => {
+      const repoSlug = toSlug(issue.repository_name) + '-' + issue.repository_github_id;
+      const issueSlug = toSlug(issue.title || 'issue') + '-' + issue.github_id;
+      
+      return {
+        loc: `${BASE_URL}/${repoSlug}/issues/${issueSlug}`,
+        lastmod: issue.updated_at ? new Date(issue.updated_at).toISOString().split('T')[0] : new Date().toISOString().split('T')[0],
+        changefreq: 'weekly',
+        priority: '0.5'
+      };
+    }
+  },
   {
     type: 'commits',
     query: `
@@ -210,6 +232,7 @@ function generateSitemapIndexXML(sitemaps) {
 
 /**
  * Generate all sitemaps and the sitemap index
+ * @returns {Promise<Object|false>} { sitemaps, urls } - sitemap files written and URLs per entity type, or false on failure
  */
 async function generateAllSitemaps() {
   try {
@@ -258,7 +281,13 @@ async function generateAllSitemaps() {
     }
     
     logger.info('Sitemap generation completed successfully');
-    return true;
+    
+    const urls = {};
+    for (const file of allSitemapFiles) {
+      urls[file.type] = (urls[file.type] || 0) + file.count;
+    }
+    
+    return { sitemaps: allSitemapFiles.length, urls };
   } catch (error) {
     logger.error(`Error generating sitemaps: ${error.message}`, { 
       errorMessage: error.message,
@@ -103,6 +103,15 @@ async function initializeDatabase() {
         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, 
         enrichment_attempts INTEGER DEFAULT 0, 
         is_bot BOOLEAN DEFAULT 0,
+        bot_confidence REAL,  -- Likelihood of being a bot from the bot classifier
+        bot_reasons TEXT,  -- JSON array of the signals behind the classification
+        bot_checked_at TIMESTAMP,
+        bot_override BOOLEAN,  -- Admin override of is_bot, NULL when not overridden
+        bot_override_note TEXT,
+        bot_override_by TEXT,
+        bot_override_at TIMESTAMP,
+        identity_id TEXT,  -- Confirmed identity this contributor belongs to
+        merged_into_id TEXT,  -- Primary contributor this alias was merged into
         UNIQUE(github_id)
       );
     `);
@@ -206,6 +215,88 @@ async function initializeDatabase() {
       );
     `);
     
+    // Issues table
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS issues (
+        id TEXT PRIMARY KEY, -- UUID
+        github_id INTEGER NOT NULL, -- Issue number
+        github_node_id BIGINT,
+        repository_id TEXT NOT NULL,
+        repository_github_id BIGINT,
+        author_id TEXT,
+        author_github_id BIGINT,
+        title TEXT NOT NULL,
+        body TEXT,
+        state TEXT NOT NULL, -- open, closed
+        state_reason TEXT,
+        labels TEXT, -- JSON array of label names
+        comment_count INTEGER DEFAULT 0,
+        is_locked BOOLEAN DEFAULT 0,
+        closed_by_github_id BIGINT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        closed_at TIMESTAMP,
+        FOREIGN KEY (repository_id) REFERENCES repositories(id) ON DELETE CASCADE,
+        FOREIGN KEY (author_id) REFERENCES contributors(id) ON DELETE SET NULL,
+        UNIQUE(repository_id, github_id)
+      );
+      
+      -- Merge requests whose title or description closes an issue
+      CREATE TABLE IF NOT EXISTS issue_merge_requests (
+        issue_id TEXT NOT NULL,
+        merge_request_id TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (issue_id, merge_request_id),
+        FOREIGN KEY (issue_id) REFERENCES issues(id) ON DELETE CASCADE,
+        FOREIGN KEY (merge_request_id) REFERENCES merge_requests(id) ON DELETE CASCADE
+      );
+    `);
+    
+    // Pull request reviews and review comments
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS merge_request_reviews (
+        id TEXT PRIMARY KEY, -- UUID
+        github_id BIGINT NOT NULL UNIQUE,
+        merge_request_id TEXT NOT NULL,
+        repository_id TEXT NOT NULL,
+        reviewer_id TEXT,
+        reviewer_github_id BIGINT,
+        state TEXT NOT NULL, -- APPROVED, CHANGES_REQUESTED, COMMENTED, DISMISSED, PENDING
+        body TEXT,
+        commit_id TEXT,
+        submitted_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (merge_request_id) REFERENCES merge_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (repository_id) REFERENCES repositories(id) ON DELETE CASCADE,
+        FOREIGN KEY (reviewer_id) REFERENCES contributors(id) ON DELETE SET NULL
+      );
+      
+      CREATE TABLE IF NOT EXISTS merge_request_review_comments (
+        id TEXT PRIMARY KEY, -- UUID
+        github_id BIGINT NOT NULL UNIQUE,
+        merge_request_id TEXT NOT NULL,
+        review_github_id BIGINT, -- Review the comment was left in
+        repository_id TEXT NOT NULL,
+        author_id TEXT,
+        author_github_id BIGINT,
+        body TEXT,
+        path TEXT,
+        line INTEGER,
+        in_reply_to_github_id BIGINT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (merge_request_id) REFERENCES merge_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (repository_id) REFERENCES repositories(id) ON DELETE CASCADE,
+        FOREIGN KEY (author_id) REFERENCES contributors(id) ON DELETE SET NULL
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_mr_reviews_merge_request_id ON merge_request_reviews(merge_request_id);
+      CREATE INDEX IF NOT EXISTS idx_mr_reviews_reviewer_id ON merge_request_reviews(reviewer_id);
+      CREATE INDEX IF NOT EXISTS idx_mr_review_comments_merge_request_id ON merge_request_review_comments(merge_request_id);
+      CREATE INDEX IF NOT EXISTS idx_mr_review_comments_author_id ON merge_request_review_comments(author_id);
+    `);
+    
     // Create indices for contributors
     await db.exec(`
       CREATE INDEX IF NOT EXISTS idx_contributors_github_id ON contributors(github_id);
@@ -232,6 +323,15 @@ async function initializeDatabase() {
       CREATE UNIQUE INDEX IF NOT EXISTS idx_merge_requests_repo_pr ON merge_requests(repository_github_id, github_id);
     `);
     
+    // Create indices for issues
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_issues_repository_id ON issues(repository_id);
+      CREATE INDEX IF NOT EXISTS idx_issues_author_id ON issues(author_id);
+      CREATE INDEX IF NOT EXISTS idx_issues_state ON issues(state);
+      CREATE INDEX IF NOT EXISTS idx_issues_updated_at ON issues(updated_at);
+      CREATE INDEX IF NOT EXISTS idx_issue_merge_requests_merge_request_id ON issue_merge_requests(merge_request_id);
+    `);
+    
     // Create indices for contributor repository
     await db.exec(`
       CREATE INDEX IF NOT EXISTS idx_contrib_repo_contributor_id ON contributor_repository(contributor_id);
@@ -254,6 +354,15 @@ async function initializeDatabase() {
         created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP, 
         description TEXT,
+        name TEXT,
+        time_zone TEXT NOT NULL DEFAULT 'UTC',
+        configuration_id TEXT,
+        catch_up_policy TEXT NOT NULL DEFAULT 'skip', -- skip, run_once or run_all
+        last_run_at TIMESTAMP,                          -- fire time of the last claimed run
+        next_run_at TIMESTAMP,
+        last_result TEXT,                               -- JSON result of the last run
+        locked_by TEXT,                                 -- instance currently running the schedule
+        locked_until TIMESTAMP,                         -- lock expiry in case the instance dies
         UNIQUE(pipeline_type)
       );
     `);
@@ -272,6 +381,23 @@ async function initializeDatabase() {
       );
     `);
     
+    // Pipeline Runs - persisted run state and stage checkpoints for resuming
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS pipeline_runs (
+        run_id TEXT PRIMARY KEY,
+        pipeline_name TEXT NOT NULL,
+        status TEXT NOT NULL,          -- running, completed, failed, interrupted
+        stages TEXT NOT NULL,          -- JSON array of stage names in execution order
+        checkpoints TEXT,              -- JSON map of stage name to checkpoint
+        context TEXT,                  -- JSON context snapshot after the last completed stage
+        error_message TEXT,
+        resume_count INTEGER NOT NULL DEFAULT 0,
+        started_at TIMESTAMP NOT NULL,
+        completed_at TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    
     // Pipeline Status - exactly as in development
     await db.exec(`
       CREATE TABLE IF NOT EXISTS pipeline_status (
@@ -287,9 +413,12 @@ async function initializeDatabase() {
     await db.exec(`
       CREATE INDEX IF NOT EXISTS idx_pipeline_schedules_type ON pipeline_schedules(pipeline_type);
       CREATE INDEX IF NOT EXISTS idx_pipeline_schedules_active ON pipeline_schedules(is_active);
+      CREATE INDEX IF NOT EXISTS idx_pipeline_schedules_next_run_at ON pipeline_schedules(next_run_at);
       CREATE INDEX IF NOT EXISTS idx_pipeline_history_type ON pipeline_history(pipeline_type);
       CREATE INDEX IF NOT EXISTS idx_pipeline_history_status ON pipeline_history(status);
       CREATE INDEX IF NOT EXISTS idx_pipeline_history_started_at ON pipeline_history(started_at);
+      CREATE INDEX IF NOT EXISTS idx_pipeline_runs_pipeline_name ON pipeline_runs(pipeline_name);
+      CREATE INDEX IF NOT EXISTS idx_pipeline_runs_status ON pipeline_runs(status);
     `);
     
     // Raw Data Tables
@@ -307,6 +436,150 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_closed_mr_is_processed ON closed_merge_requests_raw(is_processed);
     `);
     
+    // Repository Watchlist - repositories synced in addition to the public events feed
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS repository_watchlist (
+        id TEXT PRIMARY KEY, -- UUID
+        full_name TEXT NOT NULL,  -- owner/repo, lower-cased
+        owner TEXT NOT NULL,
+        name TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT 1,
+        backfill_completed BOOLEAN DEFAULT 0,
+        backfill_next_page INTEGER DEFAULT 1,  -- Next page of the oldest-first backfill
+        backfill_started_at TIMESTAMP,
+        sync_cursor TIMESTAMP,  -- PRs updated after this are fetched incrementally
+        last_synced_at TIMESTAMP,
+        last_sync_error TEXT,
+        pull_requests_synced INTEGER DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(full_name)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_repository_watchlist_active ON repository_watchlist(is_active);
+    `);
+    
+    // Webhook Deliveries - one row per X-GitHub-Delivery, used for idempotency and replay
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        delivery_id TEXT PRIMARY KEY,  -- X-GitHub-Delivery header
+        event TEXT NOT NULL,  -- X-GitHub-Event header
+        action TEXT,
+        repository_full_name TEXT,
+        payload TEXT NOT NULL,  -- JSON payload as received
+        status TEXT NOT NULL DEFAULT 'received',  -- 'received', 'processing', 'processed', 'failed', 'ignored'
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        result TEXT,  -- JSON pipeline summary
+        received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        processed_at TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON webhook_deliveries(event);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received_at ON webhook_deliveries(received_at);
+    `);
+    
+    // Event Log - pipeline, scheduler and notification events; the id is the cursor stream clients resume from
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS event_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,  -- e.g. 'pipeline_progress', 'schedule:executed', 'notification'
+        source TEXT NOT NULL,  -- 'pipeline', 'scheduler' or 'notifications'
+        pipeline_type TEXT,
+        level TEXT NOT NULL DEFAULT 'info',  -- 'info', 'success', 'warn', 'error'
+        data TEXT,  -- JSON payload
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_event_log_created_at ON event_log(created_at);
+      CREATE INDEX IF NOT EXISTS idx_event_log_pipeline_type ON event_log(pipeline_type);
+    `);
+    
+    // Pipeline Notifications - notifications, per-level delivery settings, Slack/Discord channels and the outbound delivery log
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS pipeline_notifications (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,  -- e.g. 'schedule.created', 'pipeline.completed', 'pipeline.failed'
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        details TEXT,  -- JSON
+        level TEXT NOT NULL DEFAULT 'info',  -- 'info', 'success', 'warning', 'error'
+        is_read INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE TABLE IF NOT EXISTS notification_settings (
+        id TEXT PRIMARY KEY,
+        level TEXT NOT NULL UNIQUE,  -- notifications of this level are sent to the enabled channels
+        email_enabled INTEGER NOT NULL DEFAULT 0,
+        email_recipients TEXT,  -- comma separated addresses
+        webhook_enabled INTEGER NOT NULL DEFAULT 0,
+        webhook_url TEXT,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notification_id TEXT NOT NULL,
+        channel TEXT NOT NULL,  -- 'email', 'webhook', 'slack' or 'discord'
+        channel_id TEXT,  -- notification_channels id for Slack and Discord deliveries
+        target TEXT NOT NULL,  -- recipients or webhook URL
+        status TEXT NOT NULL DEFAULT 'pending',  -- 'pending', 'delivered', 'failed', 'suppressed' (rate limited)
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        response TEXT,  -- HTTP status or SMTP response of the last attempt
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (notification_id) REFERENCES pipeline_notifications(id) ON DELETE CASCADE
+      );
+      
+      CREATE TABLE IF NOT EXISTS notification_channels (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        format TEXT NOT NULL,  -- 'slack' or 'discord'
+        webhook_url TEXT NOT NULL,
+        event_types TEXT,  -- comma separated notification types, 'pipeline.*' for a prefix; NULL for all
+        levels TEXT,  -- comma separated levels; NULL for all
+        rate_limit_count INTEGER NOT NULL DEFAULT 5,  -- messages per notification type and pipeline ...
+        rate_limit_window_minutes INTEGER NOT NULL DEFAULT 60,  -- ... within this many minutes
+        is_active INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_pipeline_notifications_created_at ON pipeline_notifications(created_at);
+      CREATE INDEX IF NOT EXISTS idx_pipeline_notifications_level ON pipeline_notifications(level);
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_notification_id ON notification_deliveries(notification_id);
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status ON notification_deliveries(status);
+    `);
+    
+    // Cache Entries - entries and their tags of the sqlite cache backend (CACHE_BACKEND=sqlite)
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,  -- JSON
+        size INTEGER NOT NULL,
+        stale_at INTEGER,  -- milliseconds since the epoch the entry turns stale, NULL if never stale
+        expires_at INTEGER,  -- milliseconds since the epoch, NULL for no expiry
+        created_at INTEGER NOT NULL
+      );
+      
+      CREATE TABLE IF NOT EXISTS cache_entry_tags (
+        tag TEXT NOT NULL,  -- e.g. 'repository:12', 'contributor:7', 'entity-counts'
+        key TEXT NOT NULL,
+        PRIMARY KEY (tag, key)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_cache_entries_expires_at ON cache_entries(expires_at);
+      CREATE INDEX IF NOT EXISTS idx_cache_entries_created_at ON cache_entries(created_at);
+      CREATE INDEX IF NOT EXISTS idx_cache_entry_tags_key ON cache_entry_tags(key);
+    `);
+    
     // Create triggers for timestamps
     await db.exec(`
       CREATE TRIGGER IF NOT EXISTS update_closed_merge_requests_raw_created_at 
@@ -347,6 +620,12 @@ async function initializeDatabase() {
         patch TEXT,              -- Actual diff/patch content
         complexity_score INTEGER,
         is_merge_commit BOOLEAN DEFAULT 0,
+        commit_type TEXT,         -- Classification of the commit message (feature, bugfix, revert...)
+        commit_scope TEXT,        -- Scope of a conventional commit, e.g. api in feat(api):
+        commit_type_confidence REAL,
+        is_conventional BOOLEAN,  -- Message follows Conventional Commits
+        author_email TEXT,        -- Git author email, used to match contributor identities
+        author_name TEXT,         -- Git author name
         is_enriched BOOLEAN DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, 
@@ -366,9 +645,220 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_commits_filename ON commits(filename);
       CREATE INDEX IF NOT EXISTS idx_commits_is_enriched ON commits(is_enriched);
       CREATE INDEX IF NOT EXISTS idx_commits_committed_at ON commits(committed_at);
+      CREATE INDEX IF NOT EXISTS idx_commits_commit_type ON commits(repository_id, commit_type);
+      CREATE INDEX IF NOT EXISTS idx_commits_author_email ON commits(author_email);
       CREATE UNIQUE INDEX IF NOT EXISTS idx_commits_unique ON commits(github_id, repository_id, filename);
     `);
     
+    // Per-contributor aggregates read by the ranking calculation. Triggers on
+    // commits queue the contributors whose aggregates need a refresh.
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS contributor_commit_aggregates (
+        contributor_id TEXT PRIMARY KEY,
+        commit_count INTEGER NOT NULL DEFAULT 0,  -- Distinct commit SHAs
+        lines_added INTEGER NOT NULL DEFAULT 0,
+        lines_removed INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE TABLE IF NOT EXISTS contributor_merge_request_aggregates (
+        contributor_id TEXT NOT NULL,
+        merge_request_id TEXT NOT NULL,
+        commit_rows INTEGER NOT NULL DEFAULT 0,     -- Commit file rows in the merge request
+        commit_changes INTEGER NOT NULL DEFAULT 0,  -- Lines added + removed in those rows
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (contributor_id, merge_request_id)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_contributor_mr_aggregates_merge_request_id
+        ON contributor_merge_request_aggregates(merge_request_id);
+      
+      CREATE TABLE IF NOT EXISTS ranking_aggregate_queue (
+        contributor_id TEXT PRIMARY KEY,
+        queued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE TRIGGER IF NOT EXISTS queue_ranking_aggregates_commit_insert
+      AFTER INSERT ON commits
+      WHEN NEW.contributor_id IS NOT NULL
+      BEGIN
+        INSERT OR IGNORE INTO ranking_aggregate_queue (contributor_id) VALUES (NEW.contributor_id);
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS queue_ranking_aggregates_commit_update
+      AFTER UPDATE OF contributor_id, pull_request_id, repository_id, github_id, additions, deletions ON commits
+      BEGIN
+        INSERT OR IGNORE INTO ranking_aggregate_queue (contributor_id)
+          SELECT OLD.contributor_id WHERE OLD.contributor_id IS NOT NULL;
+        INSERT OR IGNORE INTO ranking_aggregate_queue (contributor_id)
+          SELECT NEW.contributor_id WHERE NEW.contributor_id IS NOT NULL;
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS queue_ranking_aggregates_commit_delete
+      AFTER DELETE ON commits
+      WHEN OLD.contributor_id IS NOT NULL
+      BEGIN
+        INSERT OR IGNORE INTO ranking_aggregate_queue (contributor_id) VALUES (OLD.contributor_id);
+      END;
+    `);
+    
+    // Repository health scores with their per-factor breakdown
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS repository_health (
+        repository_id TEXT PRIMARY KEY,
+        score INTEGER,               -- Also written to repositories.health_percentage
+        factors TEXT NOT NULL,       -- JSON array of per-factor scores
+        adjustments TEXT NOT NULL,   -- JSON array of archived/fork adjustments
+        model_version INTEGER NOT NULL,
+        calculated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (repository_id) REFERENCES repositories(id) ON DELETE CASCADE
+      );
+    `);
+    
+    // Contributor identities confirmed by an admin, and the audit log of
+    // alias merges with the rows each merge rewrote so it can be undone
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS contributor_identities (
+        id TEXT PRIMARY KEY,
+        primary_contributor_id TEXT NOT NULL,
+        confirmed_by TEXT,           -- API key that confirmed the identity
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (primary_contributor_id) REFERENCES contributors(id) ON DELETE CASCADE
+      );
+      
+      CREATE TABLE IF NOT EXISTS contributor_identity_merges (
+        id TEXT PRIMARY KEY,
+        identity_id TEXT,
+        primary_contributor_id TEXT NOT NULL,
+        alias_contributor_id TEXT NOT NULL,
+        rewritten TEXT NOT NULL,                        -- JSON: ids of the rows moved to the primary
+        contributor_repository_snapshot TEXT NOT NULL,  -- JSON: contributor_repository rows before the merge
+        merged_by TEXT,
+        merged_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        undone_by TEXT,
+        undone_at TIMESTAMP
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_contributors_identity_id ON contributors(identity_id);
+      CREATE INDEX IF NOT EXISTS idx_identity_merges_alias ON contributor_identity_merges(alias_contributor_id);
+      CREATE INDEX IF NOT EXISTS idx_identity_merges_primary ON contributor_identity_merges(primary_contributor_id);
+    `);
+    
+    // Search Tables
+    
+    // Full-text search indexes (FTS5, external content) kept in sync by triggers
+    const searchIndexes = ['repositories_fts', 'contributors_fts', 'merge_requests_fts', 'commits_fts'];
+    const existingSearchIndexes = await db.all(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name IN (${searchIndexes.map(() => '?').join(', ')})`,
+      searchIndexes
+    );
+    
+    await db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS repositories_fts USING fts5(
+        name, full_name, description,
+        content = 'repositories',
+        content_rowid = 'rowid',
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      );
+      
+      CREATE TRIGGER IF NOT EXISTS repositories_fts_insert AFTER INSERT ON repositories
+      BEGIN
+        INSERT INTO repositories_fts (rowid, name, full_name, description) VALUES (NEW.rowid, NEW.name, NEW.full_name, NEW.description);
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS repositories_fts_delete AFTER DELETE ON repositories
+      BEGIN
+        INSERT INTO repositories_fts (repositories_fts, rowid, name, full_name, description) VALUES ('delete', OLD.rowid, OLD.name, OLD.full_name, OLD.description);
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS repositories_fts_update AFTER UPDATE OF name, full_name, description ON repositories
+      BEGIN
+        INSERT INTO repositories_fts (repositories_fts, rowid, name, full_name, description) VALUES ('delete', OLD.rowid, OLD.name, OLD.full_name, OLD.description);
+        INSERT INTO repositories_fts (rowid, name, full_name, description) VALUES (NEW.rowid, NEW.name, NEW.full_name, NEW.description);
+      END;
+      
+      CREATE VIRTUAL TABLE IF NOT EXISTS contributors_fts USING fts5(
+        username, name, bio, company,
+        content = 'contributors',
+        content_rowid = 'rowid',
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      );
+      
+      CREATE TRIGGER IF NOT EXISTS contributors_fts_insert AFTER INSERT ON contributors
+      BEGIN
+        INSERT INTO contributors_fts (rowid, username, name, bio, company) VALUES (NEW.rowid, NEW.username, NEW.name, NEW.bio, NEW.company);
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS contributors_fts_delete AFTER DELETE ON contributors
+      BEGIN
+        INSERT INTO contributors_fts (contributors_fts, rowid, username, name, bio, company) VALUES ('delete', OLD.rowid, OLD.username, OLD.name, OLD.bio, OLD.company);
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS contributors_fts_update AFTER UPDATE OF username, name, bio, company ON contributors
+      BEGIN
+        INSERT INTO contributors_fts (contributors_fts, rowid, username, name, bio, company) VALUES ('delete', OLD.rowid, OLD.username, OLD.name, OLD.bio, OLD.company);
+        INSERT INTO contributors_fts (rowid, username, name, bio, company) VALUES (NEW.rowid, NEW.username, NEW.name, NEW.bio, NEW.company);
+      END;
+      
+      CREATE VIRTUAL TABLE IF NOT EXISTS merge_requests_fts USING fts5(
+        title, description,
+        content = 'merge_requests',
+        content_rowid = 'rowid',
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      );
+      
+      CREATE TRIGGER IF NOT EXISTS merge_requests_fts_insert AFTER INSERT ON merge_requests
+      BEGIN
+        INSERT INTO merge_requests_fts (rowid, title, description) VALUES (NEW.rowid, NEW.title, NEW.description);
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS merge_requests_fts_delete AFTER DELETE ON merge_requests
+      BEGIN
+        INSERT INTO merge_requests_fts (merge_requests_fts, rowid, title, description) VALUES ('delete', OLD.rowid, OLD.title, OLD.description);
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS merge_requests_fts_update AFTER UPDATE OF title, description ON merge_requests
+      BEGIN
+        INSERT INTO merge_requests_fts (merge_requests_fts, rowid, title, description) VALUES ('delete', OLD.rowid, OLD.title, OLD.description);
+        INSERT INTO merge_requests_fts (rowid, title, description) VALUES (NEW.rowid, NEW.title, NEW.description);
+      END;
+      
+      CREATE VIRTUAL TABLE IF NOT EXISTS commits_fts USING fts5(
+        message,
+        content = 'commits',
+        content_rowid = 'rowid',
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      );
+      
+      CREATE TRIGGER IF NOT EXISTS commits_fts_insert AFTER INSERT ON commits
+      BEGIN
+        INSERT INTO commits_fts (rowid, message) VALUES (NEW.rowid, NEW.message);
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS commits_fts_delete AFTER DELETE ON commits
+      BEGIN
+        INSERT INTO commits_fts (commits_fts, rowid, message) VALUES ('delete', OLD.rowid, OLD.message);
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS commits_fts_update AFTER UPDATE OF message ON commits
+      BEGIN
+        INSERT INTO commits_fts (commits_fts, rowid, message) VALUES ('delete', OLD.rowid, OLD.message);
+        INSERT INTO commits_fts (rowid, message) VALUES (NEW.rowid, NEW.message);
+      END;
+    `);
+    
+    // Index rows that existed before the search indexes were created
+    for (const index of searchIndexes) {
+      if (!existingSearchIndexes.some(existing => existing.name === index)) {
+        await db.run(`INSERT INTO ${index} (${index}) VALUES ('rebuild')`);
+      }
+    }
+    
     // SEO Management Tables
     
     // Sitemap Metadata - exactly as in development
@@ -405,6 +895,10 @@ async function initializeDatabase() {
         calculation_timestamp TIMESTAMP NOT NULL, 
         collaboration_score REAL DEFAULT 30, 
         repo_popularity_score REAL DEFAULT 0,
+        ranking_profile_id TEXT,         -- ranking_profiles row whose weights produced this ranking
+        ranking_profile_name TEXT,
+        ranking_profile_version INTEGER,
+        ranking_window TEXT,             -- 'all' or the rolling window (24h, 7d, 30d, 90d, 365d) the ranking covers
         FOREIGN KEY (contributor_id) REFERENCES contributors(id)
       );
       
@@ -414,6 +908,49 @@ async function initializeDatabase() {
         ON contributor_rankings(calculation_timestamp);
       CREATE INDEX IF NOT EXISTS idx_contributor_rankings_rank 
         ON contributor_rankings(rank_position);
+      CREATE INDEX IF NOT EXISTS idx_contributor_rankings_profile 
+        ON contributor_rankings(ranking_profile_name, calculation_timestamp);
+      CREATE INDEX IF NOT EXISTS idx_contributor_rankings_window 
+        ON contributor_rankings(ranking_profile_name, ranking_window, calculation_timestamp);
+      
+      -- Named, versioned weight sets for the contributor ranking formula
+      CREATE TABLE IF NOT EXISTS ranking_profiles (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        weights TEXT NOT NULL,           -- JSON: total, popularity and profile_completeness weights
+        description TEXT,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(name, version)
+      );
+      
+      -- API keys for the admin and mutating API routes (only hashes are stored)
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL,              -- viewer, operator or admin
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,        -- first characters of the key, to tell keys apart
+        created_by TEXT,
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      -- Short-lived session tokens exchanged for an API key
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id TEXT PRIMARY KEY,
+        api_key_id TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_api_key_id ON auth_sessions(api_key_id);
     `);
     
     // Insert default values for pipeline_status table
@@ -0,0 +1,26 @@
+/**
+ * Ranking Aggregates Rebuild Script
+ *
+ * Recomputes the per-contributor ranking aggregates from the commits table and
+ * reports how many aggregate rows differed from the incrementally maintained
+ * values. A non-zero count means the aggregates had drifted; the rebuild has
+ * corrected them.
+ *
+ * Usage: node scripts/rebuild-ranking-aggregates.js
+ */
+
+import { rebuildRankingAggregates } from '../src/services/rankings/ranking-aggregates.service.js';
+import { closeConnection } from '../src/db/connection-manager.js';
+
+try {
+  const { contributors, mergeRequestRows, mismatches } = await rebuildRankingAggregates();
+
+  console.log(`Rebuilt ranking aggregates for ${contributors} contributors (${mergeRequestRows} merge request rows)`);
+  console.log(`Rows that differed from the incremental aggregates: ${mismatches.commitAggregates} commit, ${mismatches.mergeRequestAggregates} merge request`);
+
+  await closeConnection();
+  process.exit(0);
+} catch (error) {
+  console.error(`Failed to rebuild ranking aggregates: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,27 @@
+/**
+ * Search Index Rebuild Script
+ *
+ * Rebuilds the FTS5 search indexes from the repositories, contributors,
+ * merge_requests and commits tables. Triggers keep the indexes in sync as
+ * rows are written, so this is only needed after writing to those tables with
+ * the triggers disabled or to recover from a corrupted index.
+ *
+ * Usage: node scripts/rebuild-search-indexes.js
+ */
+
+import { rebuildSearchIndexes } from '../src/services/search/search-index.service.js';
+import { closeConnection } from '../src/db/connection-manager.js';
+
+try {
+  const counts = await rebuildSearchIndexes();
+
+  for (const [table, count] of Object.entries(counts)) {
+    console.log(`Indexed ${count} ${table} rows`);
+  }
+
+  await closeConnection();
+  process.exit(0);
+} catch (error) {
+  console.error(`Failed to rebuild search indexes: ${error.message}`);
+  process.exit(1);
+}
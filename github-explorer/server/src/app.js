@@ -10,13 +10,18 @@ import { registerContributorRepositoryPipeline } from './pipeline/stages/contrib
 import { registerMergeRequestProcessorPipeline } from './pipeline/stages/merge-request-processor-pipeline.js';
 import { registerCommitProcessorPipeline } from './pipeline/stages/commit-processor-pipeline.js';
 import { registerDatabaseWriterPipeline } from './pipeline/stages/database-writer-pipeline.js';
-import { processWebhookPayload } from './pipeline/stages/webhook-processor-pipeline.js';
 import { processRepository } from './pipeline/stages/repository-processor-pipeline.js';
 import { createSitemapPipeline } from './pipeline/index.js';
 import { initializeRequiredPipelines } from './pipeline/initialize-pipelines.js';
 import runCronJobs from './scripts/run-cron-jobs.js';
 import pipelineOperationsController from './controllers/pipeline-operations-controller.js';
 import { closeConnection, getConnection } from './db/connection-manager.js';
+import { resumePendingDeliveries } from './services/webhooks/webhook-delivery-service.js';
+import schedulerService from './services/scheduler/scheduler-service.js';
+import { eventBus, forwardSchedulerEvents } from './services/events/event-bus.js';
+import { attachEventWebSocket, closeEventStreams } from './services/events/event-stream.js';
+import { markInterruptedRuns } from './pipeline/core/pipeline-run-store.js';
+import { requireRole } from './middleware/auth.middleware.js';
 
 // Import routes
 import healthRoutes from './routes/health.js';
@@ -38,7 +43,13 @@ const app = express();
 app.use(helmet()); // Security headers
 app.use(compression()); // Compress responses
 app.use(cors()); // Enable CORS
-app.use(express.json({ limit: '5mb' })); // Parse JSON bodies with size limit
+app.use(express.json({
+  limit: '5mb',
+  // Keep the raw body so webhook signatures can be verified against it
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})); // Parse JSON bodies with size limit
 
 /**
  * Initialize all server components
@@ -68,9 +79,30 @@ async function initializeServer() {
       // Don't throw here - allow server to continue
     });
     
+    // Runs left 'running' by the previous process can be resumed via /api/pipeline/resume
+    await markInterruptedRuns().catch(error => {
+      logger.error('Error marking interrupted pipeline runs', { error });
+    });
+    
     // Initialize pipelines
     initializePipelines();
     
+    // Pick up webhook deliveries that were stored but not processed before the last shutdown
+    await resumePendingDeliveries().catch(error => {
+      logger.error('Error resuming pending webhook deliveries', { error });
+    });
+    
+    // Publish scheduler events on the event stream and drop events past their retention
+    forwardSchedulerEvents(schedulerService);
+    await eventBus.prune().catch(error => {
+      logger.error('Error pruning the event log', { error });
+    });
+    
+    // Restore persisted pipeline schedules and catch up on runs missed while offline
+    await schedulerService.initializeFromDatabase().catch(error => {
+      logger.error('Error initializing scheduler service', { error });
+    });
+    
     logger.info('Server initialization completed successfully');
   } catch (error) {
     logger.error('Server initialization failed', { error });
@@ -166,32 +198,8 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Webhook endpoint for GitHub events
-app.post('/api/webhooks/github', async (req, res) => {
-  try {
-    logger.info('Received GitHub webhook payload');
-    
-    // Process the webhook payload
-    const result = await processWebhookPayload(req.body);
-    
-    // Return success response
-    res.status(200).json({
-      status: 'success',
-      message: 'Webhook processed successfully',
-      data: result
-    });
-  } catch (error) {
-    logger.error('Failed to process GitHub webhook', { error });
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to process webhook',
-      error: error.message
-    });
-  }
-});
-
 // Repository processing endpoint
-app.post('/api/repositories/:id/process', async (req, res) => {
+app.post('/api/repositories/:id/process', requireRole('operator'), async (req, res) => {
   try {
     const repoId = req.params.id;
     logger.info(`Received request to process repository: ${repoId}`);
@@ -244,6 +252,7 @@ async function startServer(port) {
     
     // Start listening on the specified port
     const server = app.listen(port);
+    attachEventWebSocket(server);
     
     // Initialize and run cron jobs
     logger.info('Starting scheduled cron jobs...');
@@ -266,6 +275,7 @@ async function startServer(port) {
           const alternativeServer = app.listen(alternativePort, () => {
             logger.info(`Server started successfully on alternative port ${alternativePort}`);
           });
+          attachEventWebSocket(alternativeServer);
           
           // Handle graceful shutdown
           process.on('SIGTERM', shutdownServer(alternativeServer));
@@ -344,6 +354,16 @@ function shutdownServer(server) {
     logger.info('Received shutdown signal, beginning graceful shutdown...');
     let shutdownComplete = false;
     
+    // Stop scheduled jobs and release schedule locks held by this instance
+    try {
+      await schedulerService.shutdown();
+    } catch (schedulerError) {
+      logger.error('Error stopping pipeline scheduler', { error: schedulerError });
+    }
+    
+    // Close event streams so the HTTP server is not kept open by them
+    closeEventStreams();
+    
     // Close database connection first
     try {
       logger.info('Closing database connection...');
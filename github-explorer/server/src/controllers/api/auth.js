@@ -0,0 +1,151 @@
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  createSession,
+  revokeSession,
+  ROLES
+} from '../../services/auth/auth-service.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('auth-controller');
+
+/**
+ * Get the identity of the authenticated caller
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export function getCurrentIdentity(req, res) {
+  const { keyId, name, role, sessionId } = req.auth;
+
+  return res.json({
+    data: { key_id: keyId, name, role, session: Boolean(sessionId) }
+  });
+}
+
+/**
+ * Exchange the API key the request authenticated with for a session token
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function createSessionToken(req, res) {
+  if (req.auth.sessionId) {
+    return res.status(400).json({ error: 'Sessions must be created with an API key, not a session token' });
+  }
+
+  try {
+    const { token, expiresAt } = await createSession(req.auth.keyId);
+
+    return res.status(201).json({
+      success: true,
+      data: { token, role: req.auth.role, expires_at: expiresAt }
+    });
+  } catch (error) {
+    logger.error('Error creating session:', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Revoke the session token the request authenticated with
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function deleteSessionToken(req, res) {
+  if (!req.auth.sessionId) {
+    return res.status(400).json({ error: 'Request was not authenticated with a session token' });
+  }
+
+  try {
+    await revokeSession(req.auth.sessionId);
+
+    return res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    logger.error('Error revoking session:', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * List API keys
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function getApiKeys(req, res) {
+  try {
+    const keys = await listApiKeys({ includeRevoked: req.query.include_revoked === 'true' });
+
+    return res.json({
+      data: keys,
+      total: keys.length
+    });
+  } catch (error) {
+    logger.error('Error listing API keys:', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Create an API key. The plaintext key is only returned in this response.
+ * Expects { name, role?, expires_in_days? } in the request body
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function addApiKey(req, res) {
+  const { name, role = 'viewer', expires_in_days: expiresInDays } = req.body || {};
+
+  if (!name) {
+    return res.status(400).json({ error: 'API key name is required' });
+  }
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Invalid role: ${role}. Must be one of ${ROLES.join(', ')}` });
+  }
+
+  try {
+    const { key, apiKey } = await createApiKey({
+      name,
+      role,
+      expiresInDays: expiresInDays === undefined ? undefined : Number(expiresInDays),
+      createdBy: req.auth.keyId
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Store this key now - it cannot be shown again',
+      data: { ...apiKey, key }
+    });
+  } catch (error) {
+    if (error.message.startsWith('Invalid API key')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    logger.error('Error creating API key:', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Revoke an API key and its sessions
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function deleteApiKey(req, res) {
+  try {
+    const apiKey = await revokeApiKey(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: `API key ${req.params.id} not found` });
+    }
+
+    return res.json({
+      success: true,
+      message: `API key ${apiKey.name} revoked`,
+      data: apiKey
+    });
+  } catch (error) {
+    logger.error(`Error revoking API key ${req.params.id}:`, { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
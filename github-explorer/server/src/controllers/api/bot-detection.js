@@ -0,0 +1,127 @@
+import {
+  listBots,
+  detectBots,
+  getBotStatus,
+  setBotOverride,
+  clearBotOverride
+} from '../../services/identity/bot-detection.service.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('bot-detection-controller');
+
+/**
+ * List contributors classified as bots and the admin overrides
+ * Query: include_suspected=true to also list contributors with weaker bot signals
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function getBots(req, res) {
+  try {
+    const bots = await listBots({ includeSuspected: req.query.include_suspected === 'true' });
+
+    return res.json({
+      data: bots,
+      total: bots.length
+    });
+  } catch (error) {
+    logger.error('Error listing bots:', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Classify contributors from the stored data
+ * Accepts { all: true } in the request body to classify every contributor again
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function runBotDetection(req, res) {
+  try {
+    const result = await detectBots({ all: req.body?.all === true });
+
+    return res.json({
+      success: true,
+      message: `Checked ${result.checked} contributors`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error running bot detection:', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Get the bot classification of a contributor and the reasons behind it
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function getContributorBotStatus(req, res) {
+  try {
+    const status = await getBotStatus(req.params.id);
+
+    if (!status) {
+      return res.status(404).json({ error: `Contributor ${req.params.id} not found` });
+    }
+
+    return res.json({ data: status });
+  } catch (error) {
+    logger.error(`Error fetching bot status of contributor ${req.params.id}:`, { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Override the bot classification of a contributor
+ * Expects { is_bot: boolean, note? } in the request body
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function overrideContributorBotStatus(req, res) {
+  const { is_bot: isBot, note } = req.body || {};
+
+  if (typeof isBot !== 'boolean') {
+    return res.status(400).json({ error: 'is_bot is required and must be true or false' });
+  }
+
+  try {
+    const status = await setBotOverride(req.params.id, { isBot, note, overriddenBy: req.auth.keyId });
+
+    if (!status) {
+      return res.status(404).json({ error: `Contributor ${req.params.id} not found` });
+    }
+
+    return res.json({
+      success: true,
+      message: `${status.username || status.contributor_id} is now marked as ${isBot ? 'a bot' : 'a person'}`,
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Error overriding bot status of contributor ${req.params.id}:`, { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Clear the override of a contributor and classify it again
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function deleteContributorBotOverride(req, res) {
+  try {
+    const status = await clearBotOverride(req.params.id);
+
+    if (!status) {
+      return res.status(404).json({ error: `Contributor ${req.params.id} not found` });
+    }
+
+    return res.json({
+      success: true,
+      message: `Override cleared, ${status.username || status.contributor_id} is classified as ${status.is_bot ? 'a bot' : 'a person'}`,
+      data: status
+    });
+  } catch (error) {
+    logger.error(`Error clearing bot override of contributor ${req.params.id}:`, { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -34,7 +34,7 @@ export async function clearCacheByEntityType(req, res) {
   }
   
   try {
-    const count = invalidateEntityTypeCache(entityType);
+    const count = await invalidateEntityTypeCache(entityType);
     
     logger.info(`Cache cleared for entity type: ${entityType}, entries invalidated: ${count}`);
     res.json({ 
@@ -59,7 +59,7 @@ export async function clearContributorCache(req, res) {
   }
   
   try {
-    const result = invalidateContributorCache(id);
+    const result = await invalidateContributorCache(id);
     
     logger.info(`Cache cleared for contributor: ${id}`, result);
     res.json({ 
@@ -84,7 +84,7 @@ export async function clearRepositoryCache(req, res) {
   }
   
   try {
-    const result = invalidateRepositoryCache(id);
+    const result = await invalidateRepositoryCache(id);
     
     logger.info(`Cache cleared for repository: ${id}`, result);
     res.json({ 
@@ -103,7 +103,7 @@ export async function clearRepositoryCache(req, res) {
  */
 export async function clearEntityCountsCache(req, res) {
   try {
-    const count = invalidateEntityCountsCache();
+    const count = await invalidateEntityCountsCache();
     
     logger.info(`Entity counts cache cleared, entries invalidated: ${count}`);
     res.json({ 
@@ -127,7 +127,7 @@ export async function triggerDataUpdateInvalidation(req, res) {
   }
   
   try {
-    const result = invalidateOnDataUpdate(eventType, data);
+    const result = await invalidateOnDataUpdate(eventType, data);
     
     logger.info(`Cache invalidation triggered for event: ${eventType}`, result);
     res.json({ 
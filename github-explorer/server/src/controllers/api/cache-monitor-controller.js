@@ -8,7 +8,7 @@
 
 import { getMetrics, resetMetrics } from '../../utils/cache-monitor.js';
 import { setupLogger } from '../../utils/logger.js';
-import { getCacheInstance, getCacheStats } from '../../utils/cache.js';
+import { getCacheBackend } from '../../utils/cache.js';
 
 const logger = setupLogger('cache-monitor-controller');
 
@@ -17,7 +17,7 @@ const logger = setupLogger('cache-monitor-controller');
  */
 export async function getCacheMetrics(req, res) {
   try {
-    const metrics = getMetrics();
+    const metrics = await getMetrics();
     res.json(metrics);
   } catch (error) {
     logger.error('Error getting cache metrics', { error });
@@ -43,37 +43,40 @@ export async function resetCacheMetrics(req, res) {
  */
 export async function getCacheKeys(req, res) {
   try {
-    const cache = getCacheInstance();
+    const backend = getCacheBackend();
+    const allKeys = await backend.keys();
     // Only return the first 100 keys to prevent overwhelming response
-    const keys = cache.keys().slice(0, 100);
+    const keys = allKeys.slice(0, 100);
     
-    // Get key metadata (TTL, size) if requested
+    // Get key metadata (TTL, size, tags) if requested
     const includeMetadata = req.query.metadata === 'true';
     
     if (includeMetadata) {
-      const keysWithMetadata = keys.map(key => {
-        const ttl = cache.getTtl(key);
-        const value = cache.get(key);
-        const size = value !== undefined ? 
-          JSON.stringify(value).length : 0;
+      const entries = await Promise.all(keys.map(key => backend.getEntry(key)));
+      const keysWithMetadata = entries.filter(Boolean).map(entry => {
+        const expiresAt = entry.expiresAt ? Date.parse(entry.expiresAt) : null;
         
         return {
-          key,
-          ttl: ttl ? Math.round((ttl - Date.now()) / 1000) : 'no TTL',
-          size: `${Math.round(size / 1024)}KB`,
-          expiresAt: ttl ? new Date(ttl).toISOString() : 'never'
+          key: entry.key,
+          ttl: expiresAt ? Math.round((expiresAt - Date.now()) / 1000) : 'no TTL',
+          size: `${Math.round(entry.size / 1024)}KB`,
+          staleAt: entry.staleAt,
+          expiresAt: entry.expiresAt || 'never',
+          tags: entry.tags
         };
       });
       
       res.json({ 
+        backend: backend.name,
         keys: keysWithMetadata,
-        total: cache.keys().length,
-        showing: keys.length
+        total: allKeys.length,
+        showing: keysWithMetadata.length
       });
     } else {
       res.json({ 
+        backend: backend.name,
         keys,
-        total: cache.keys().length,
+        total: allKeys.length,
         showing: keys.length
       });
     }
@@ -94,22 +97,23 @@ export async function getCacheValue(req, res) {
   }
   
   try {
-    const cache = getCacheInstance();
-    const value = cache.get(key);
+    const entry = await getCacheBackend().getEntry(key);
     
-    if (value === undefined) {
+    if (!entry) {
       return res.status(404).json({ error: 'Cache key not found' });
     }
     
     // Get TTL if available
-    const ttl = cache.getTtl(key);
-    const remainingTtl = ttl ? Math.round((ttl - Date.now()) / 1000) : 'no TTL';
+    const expiresAt = entry.expiresAt ? Date.parse(entry.expiresAt) : null;
+    const remainingTtl = expiresAt ? Math.round((expiresAt - Date.now()) / 1000) : 'no TTL';
     
     res.json({
       key,
-      value,
+      value: entry.value,
       ttl: remainingTtl,
-      expiresAt: ttl ? new Date(ttl).toISOString() : 'never'
+      staleAt: entry.staleAt,
+      expiresAt: entry.expiresAt || 'never',
+      tags: entry.tags
     });
   } catch (error) {
     logger.error('Error getting cache value', { error, key });
@@ -128,8 +132,7 @@ export async function searchCacheKeys(req, res) {
   }
   
   try {
-    const cache = getCacheInstance();
-    const keys = cache.keys();
+    const keys = await getCacheBackend().keys();
     
     // Search for keys matching the pattern
     const matchingKeys = keys.filter(key => 
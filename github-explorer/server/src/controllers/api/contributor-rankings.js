@@ -1,8 +1,20 @@
 import { getConnection } from '../../db/connection-manager.js';
 import { randomUUID } from 'crypto';
 import { withDb } from '../../utils/db.js';
-import { cacheOrCompute, generateCacheKey } from '../../utils/cache.js';
+import { cacheOrCompute, generateCacheKey, refreshCache, registerCacheWarmer } from '../../utils/cache.js';
+import { CACHE_TAGS } from '../../utils/cache-invalidation.js';
 import { setupLogger } from '../../utils/logger.js';
+import {
+  listRankingProfiles,
+  getRankingProfile,
+  createRankingProfile,
+  DEFAULT_PROFILE_NAME
+} from '../../services/rankings/ranking-profile.service.js';
+import {
+  refreshRankingAggregates,
+  rebuildRankingAggregates
+} from '../../services/rankings/ranking-aggregates.service.js';
+import pipelineNotificationService from '../../services/notifications/pipeline-notification-service.js';
 
 // Setup component logger
 const logger = setupLogger('contributor-rankings-controller');
@@ -13,6 +25,93 @@ const CACHE_PREFIX = 'contributor-rankings';
 // Default TTL for contributor rankings (1 hour)
 const RANKINGS_TTL = 3600; // seconds
 
+// Expired rankings are served for this long while they are recalculated in the background
+const RANKINGS_STALE_TTL = 600; // seconds
+
+// Rolling windows rankings are calculated over, in days ('all' has no window)
+const RANKING_WINDOWS = {
+  all: null,
+  '24h': 1,
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '365d': 365
+};
+
+const DEFAULT_WINDOW = 'all';
+
+/**
+ * Check a timeframe against the supported ranking windows
+ * @param {string} timeframe - Timeframe from the request
+ * @returns {boolean} Whether rankings can be calculated for it
+ */
+function isRankingWindow(timeframe) {
+  return Object.prototype.hasOwnProperty.call(RANKING_WINDOWS, timeframe);
+}
+
+const INVALID_TIMEFRAME_ERROR = `Invalid timeframe. Must be one of: ${Object.keys(RANKING_WINDOWS).join(', ')}`;
+
+/**
+ * Get the latest rankings of a profile through the cache
+ * @param {string} profileName - Ranking profile name
+ * @param {string} timeframe - Ranking window
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh=false] - Recalculate even if cached
+ * @returns {Promise<Array<Object>>} Rankings
+ */
+function getCachedLatestRankings(profileName, timeframe, { refresh = false } = {}) {
+  const cacheKey = generateCacheKey(CACHE_PREFIX, { latest: true, profile: profileName, timeframe });
+
+  return (refresh ? refreshCache : cacheOrCompute)(
+    cacheKey,
+    async () => {
+      logger.info('Fetching latest rankings from database');
+      return await fetchLatestRankingsFromDb(profileName, timeframe);
+    },
+    RANKINGS_TTL,
+    { tags: [CACHE_TAGS.RANKINGS], staleTtl: RANKINGS_STALE_TTL }
+  );
+}
+
+/**
+ * Get the rankings of a profile for a timeframe through the cache
+ * @param {string} profileName - Ranking profile name
+ * @param {string} timeframe - Ranking window
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.refresh=false] - Recalculate even if cached
+ * @returns {Promise<Object>} Rankings by timeframe response
+ */
+function getCachedRankingsByTimeframe(profileName, timeframe, { refresh = false } = {}) {
+  const cacheKey = generateCacheKey(CACHE_PREFIX, { timeframe, profile: profileName });
+
+  return (refresh ? refreshCache : cacheOrCompute)(
+    cacheKey,
+    async () => {
+      logger.info(`Fetching rankings for timeframe ${timeframe} from database`);
+      return await fetchRankingsByTimeframeFromDb(timeframe, profileName);
+    },
+    RANKINGS_TTL,
+    { tags: [CACHE_TAGS.RANKINGS], staleTtl: RANKINGS_STALE_TTL }
+  );
+}
+
+// Warm the rankings of the default profile after pipeline runs (see CACHE_WARMUP_KEYS)
+registerCacheWarmer(`${CACHE_PREFIX}:latest`, async () => {
+  const profile = await getRankingProfile();
+
+  if (profile) {
+    await getCachedLatestRankings(profile.name, DEFAULT_WINDOW, { refresh: true });
+  }
+});
+
+registerCacheWarmer(`${CACHE_PREFIX}:timeframes`, async () => {
+  const profile = await getRankingProfile();
+
+  for (const timeframe of profile ? Object.keys(RANKING_WINDOWS) : []) {
+    await getCachedRankingsByTimeframe(profile.name, timeframe, { refresh: true });
+  }
+});
+
 /**
  * Handle contributor rankings operations
  * @param {object} req - Express request object
@@ -27,6 +126,9 @@ export async function handleContributorRankings(req, res) {
       return res.status(400).json({ error: 'Operation is required' });
     }
     
+    // Make sure rankings can be filtered by the profile they were calculated with
+    await ensureRankingsTableExists();
+    
     // Handle different operations
     switch (operation) {
       case 'get_latest':
@@ -38,6 +140,18 @@ export async function handleContributorRankings(req, res) {
       case 'calculate':
         return await calculateRankings(req, res);
         
+      case 'list_profiles':
+        return await getRankingProfiles(req, res);
+        
+      case 'create_profile':
+        return await saveRankingProfile(req, res);
+        
+      case 'diff_profiles':
+        return await diffProfileRankings(req, res);
+        
+      case 'rebuild_aggregates':
+        return await rebuildAggregates(req, res);
+        
       default:
         return res.status(400).json({ error: `Unknown operation: ${operation}` });
     }
@@ -54,18 +168,19 @@ export async function handleContributorRankings(req, res) {
  */
 async function getLatestRankings(req, res) {
   try {
-    // Generate cache key
-    const cacheKey = generateCacheKey(CACHE_PREFIX, 'latest');
-    
-    // Use cache-or-compute pattern
-    const rankings = await cacheOrCompute(
-      cacheKey,
-      async () => {
-        logger.info('Cache miss - fetching latest rankings from database');
-        return await fetchLatestRankingsFromDb();
-      },
-      RANKINGS_TTL
-    );
+    const timeframe = req.body.timeframe || DEFAULT_WINDOW;
+    
+    if (!isRankingWindow(timeframe)) {
+      return res.status(400).json({ error: INVALID_TIMEFRAME_ERROR });
+    }
+    
+    const profile = await getRankingProfile(req.body.profile);
+    
+    if (!profile) {
+      return res.status(404).json({ error: `Ranking profile not found: ${req.body.profile}` });
+    }
+    
+    const rankings = await getCachedLatestRankings(profile.name, timeframe);
     
     return res.status(200).json({ rankings });
   } catch (error) {
@@ -76,13 +191,17 @@ async function getLatestRankings(req, res) {
 
 /**
  * Fetch latest rankings from database
+ * @param {string} profileName - Ranking profile the rankings were calculated with
+ * @param {string} timeframe - Ranking window the rankings were calculated over
  * @returns {Promise<Array>} Rankings data
  */
-async function fetchLatestRankingsFromDb() {
+async function fetchLatestRankingsFromDb(profileName, timeframe = DEFAULT_WINDOW) {
   return await withDb(async (db) => {
     // Step 1: Get the most recent timestamp
     const latestTimestamp = await db.get(
-      `SELECT MAX(calculation_timestamp) as latest_timestamp FROM contributor_rankings`
+      `SELECT MAX(calculation_timestamp) as latest_timestamp FROM contributor_rankings
+       WHERE ranking_profile_name = ? AND ranking_window = ?`,
+      [profileName, timeframe]
     );
     
     if (!latestTimestamp.latest_timestamp) {
@@ -102,10 +221,13 @@ async function fetchLatestRankingsFromDb() {
       FROM contributor_rankings cr
       JOIN contributors c ON cr.contributor_id = c.id
       WHERE cr.calculation_timestamp = ?
+      AND cr.ranking_profile_name = ?
+      AND cr.ranking_window = ?
       AND COALESCE(c.is_bot, 0) = 0
+      AND c.merged_into_id IS NULL
       ORDER BY cr.rank_position ASC
       LIMIT 100
-    `, [latestTimestamp.latest_timestamp]);
+    `, [latestTimestamp.latest_timestamp, profileName, timeframe]);
     
     // Step 3: Get the most popular repository for each contributor
     for (const ranking of rankings) {
@@ -142,26 +264,21 @@ async function fetchLatestRankingsFromDb() {
  * Get contributor rankings for a specific timeframe
  * @param {object} req - Express request object
  * @param {object} res - Express response object
- * @param {string} timeframe - Timeframe to get rankings for ('24h', '7d', '30d', 'all')
+ * @param {string} timeframe - Ranking window to get rankings for ('24h', '7d', '30d', '90d', '365d', 'all')
  */
 async function getRankingsByTimeframe(req, res, timeframe) {
   try {
-    if (!timeframe || !['24h', '7d', '30d', 'all'].includes(timeframe)) {
-      return res.status(400).json({ error: 'Invalid timeframe. Must be one of: 24h, 7d, 30d, all' });
+    if (!timeframe || !isRankingWindow(timeframe)) {
+      return res.status(400).json({ error: INVALID_TIMEFRAME_ERROR });
     }
     
-    // Generate cache key based on timeframe
-    const cacheKey = generateCacheKey(CACHE_PREFIX, { timeframe });
-    
-    // Use cache-or-compute pattern
-    const result = await cacheOrCompute(
-      cacheKey,
-      async () => {
-        logger.info(`Cache miss - fetching rankings for timeframe ${timeframe} from database`);
-        return await fetchRankingsByTimeframeFromDb(timeframe);
-      },
-      RANKINGS_TTL
-    );
+    const profile = await getRankingProfile(req.body.profile);
+    
+    if (!profile) {
+      return res.status(404).json({ error: `Ranking profile not found: ${req.body.profile}` });
+    }
+    
+    const result = await getCachedRankingsByTimeframe(profile.name, timeframe);
     
     return res.json(result);
   } catch (error) {
@@ -173,20 +290,22 @@ async function getRankingsByTimeframe(req, res, timeframe) {
 /**
  * Fetch rankings by timeframe from database
  * @param {string} timeframe - Timeframe to get rankings for
+ * @param {string} profileName - Ranking profile the rankings were calculated with
  * @returns {Promise<Object>} Rankings data with metadata
  */
-async function fetchRankingsByTimeframeFromDb(timeframe) {
+async function fetchRankingsByTimeframeFromDb(timeframe, profileName) {
   try {
     const db = await getConnection();
     
-    // For now, we just return the latest rankings regardless of timeframe
-    // In the future, we can implement filtering by date if needed
+    // Latest rankings calculated over this window
     const latestTimestamp = await db.get(
-      `SELECT MAX(calculation_timestamp) as latest_timestamp FROM contributor_rankings`
+      `SELECT MAX(calculation_timestamp) as latest_timestamp FROM contributor_rankings
+       WHERE ranking_profile_name = ? AND ranking_window = ?`,
+      [profileName, timeframe]
     );
     
     if (!latestTimestamp.latest_timestamp) {
-      return { rankings: [], timestamp: null, timeframe };
+      return { rankings: [], timestamp: null, timeframe, profile: profileName };
     }
     
     // Get rankings with contributor details
@@ -202,10 +321,13 @@ async function fetchRankingsByTimeframeFromDb(timeframe) {
       FROM contributor_rankings cr
       JOIN contributors c ON cr.contributor_id = c.id
       WHERE cr.calculation_timestamp = ?
+      AND cr.ranking_profile_name = ?
+      AND cr.ranking_window = ?
       AND COALESCE(c.is_bot, 0) = 0
+      AND c.merged_into_id IS NULL
       ORDER BY cr.rank_position ASC
       LIMIT 100
-    `, [latestTimestamp.latest_timestamp]);
+    `, [latestTimestamp.latest_timestamp, profileName, timeframe]);
     
     // Get the most popular repository for each contributor
     for (const ranking of rankings) {
@@ -237,7 +359,8 @@ async function fetchRankingsByTimeframeFromDb(timeframe) {
     return {
       rankings,
       timestamp: latestTimestamp.latest_timestamp,
-      timeframe
+      timeframe,
+      profile: profileName
     };
   } catch (error) {
     logger.error(`Error fetching rankings for timeframe ${timeframe}:`, error);
@@ -256,316 +379,53 @@ async function calculateRankings(req, res) {
     // Check if the table exists, create if not
     await ensureRankingsTableExists();
     
-    console.log('Starting to calculate contributor rankings...');
-    db = await getConnection();
+    // Resolve the weights to rank with - the default profile unless one is chosen
+    const { profile: profileName, profile_version: profileVersion, timeframe, timeframes: requestedTimeframes } = req.body;
     
-    // Generate a timestamp for this calculation batch
-    const calculationTimestamp = new Date().toISOString();
+    // Only the all-time window is calculated unless windows are asked for: rolling
+    // windows scan the commits table, the all-time window reads the aggregates
+    const timeframes = requestedTimeframes || [timeframe || DEFAULT_WINDOW];
     
-    // Execute the ranking calculation query
-    // Create a temporary table to store our calculation results
-    await db.run(`
-      -- Code Architect
-      CREATE TEMPORARY TABLE temp_rankings AS
-      WITH commit_metrics AS (
-        SELECT 
-          c.contributor_id,
-          COUNT(DISTINCT c.github_id) AS commit_count,
-          SUM(c.additions) AS lines_added,
-          SUM(c.deletions) AS lines_removed,
-          SUM(c.additions + c.deletions) AS total_lines
-        FROM commits c
-        JOIN repositories r ON c.repository_id = r.id
-        WHERE c.contributor_id IS NOT NULL
-        -- Include all repositories, even forks
-        GROUP BY c.contributor_id
-      ),
-      contributor_metrics AS (
-        SELECT
-          cm.contributor_id,
-          cm.commit_count,
-          cm.lines_added,
-          cm.lines_removed,
-          cm.total_lines,
-          c.github_id,
-          c.username,
-          c.name,
-          COALESCE(c.followers, 0) AS followers,
-          -- Calculate profile completeness (0-100%)
-          (
-            CASE WHEN c.username IS NOT NULL THEN 10 ELSE 0 END +
-            CASE WHEN c.name IS NOT NULL THEN 10 ELSE 0 END + 
-            CASE WHEN c.avatar IS NOT NULL THEN 10 ELSE 0 END +
-            CASE WHEN c.bio IS NOT NULL THEN 15 ELSE 0 END +
-            CASE WHEN c.company IS NOT NULL THEN 10 ELSE 0 END +
-            CASE WHEN c.location IS NOT NULL THEN 10 ELSE 0 END +
-            CASE WHEN c.blog IS NOT NULL THEN 10 ELSE 0 END +
-            CASE WHEN c.twitter_username IS NOT NULL THEN 10 ELSE 0 END +
-            CASE WHEN c.top_languages IS NOT NULL THEN 15 ELSE 0 END
-          ) AS profile_completeness,
-          -- Count repositories contributed to
-          (
-            SELECT COUNT(DISTINCT cr.repository_id) 
-            FROM contributor_repository cr 
-            WHERE cr.contributor_id = cm.contributor_id
-          ) AS repos_contributed
-        FROM commit_metrics cm
-        JOIN contributors c ON cm.contributor_id = c.id
-        -- Exclude bots from contributor metrics
-        WHERE COALESCE(c.is_bot, 0) = 0
-        -- Include all contributors with at least one commit
-      ),
-      max_metrics AS (
-        SELECT
-          MAX(total_lines) AS max_lines,
-          MAX(commit_count) AS max_commits,
-          MAX(followers) AS max_followers,
-          MAX(repos_contributed) AS max_repos
-        FROM contributor_metrics
-      ),
-      -- Calculate code efficiency score from PR vs commits
-      code_efficiency AS (
-        SELECT
-          c.contributor_id,
-          c.pull_request_id,
-          SUM(c.additions + c.deletions) AS total_commit_changes,
-          mr.additions + mr.deletions AS total_pr_changes
-        FROM commits c
-        JOIN merge_requests mr ON c.pull_request_id = mr.id
-        JOIN repositories r ON mr.repository_id = r.id
-        WHERE c.pull_request_id IS NOT NULL
-        -- Include all repositories, even forks
-        GROUP BY c.contributor_id, c.pull_request_id
-      ),
-      code_efficiency_final AS (
-        SELECT
-          contributor_id,
-          AVG(
-            CASE 
-              WHEN total_commit_changes = 0 THEN 0
-              -- When PR changes match commit changes exactly, this is 100% efficient
-              WHEN total_pr_changes = total_commit_changes THEN 100
-              ELSE 
-                -- Calculate efficiency as a percentage, but never go below 0
-                MAX(0, 
-                  (1 - ABS((total_pr_changes - total_commit_changes) / 
-                    NULLIF(total_commit_changes, 0))
-                  ) * 100
-                )
-            END
-          ) AS efficiency_score
-        FROM code_efficiency
-        GROUP BY contributor_id
-      ),
-      -- Calculate collaboration score - rewards developers who work on PRs with multiple contributors
-      collaboration_metrics AS (
-        SELECT 
-          c.contributor_id,
-          AVG(contributor_counts.contributor_count) AS avg_collaborators_per_pr,
-          MAX(contributor_counts.contributor_count) AS max_collaborators_on_pr
-        FROM commits c
-        JOIN (
-          SELECT 
-            pull_request_id, 
-            COUNT(DISTINCT CASE WHEN COALESCE(cont.is_bot, 0) = 0 THEN c.contributor_id END) AS contributor_count
-          FROM commits c
-          JOIN contributors cont ON c.contributor_id = cont.id
-          JOIN merge_requests mr ON c.pull_request_id = mr.id
-          JOIN repositories r ON mr.repository_id = r.id
-          WHERE c.pull_request_id IS NOT NULL
-          -- Include all repositories, even forks
-          GROUP BY pull_request_id
-        ) contributor_counts ON c.pull_request_id = contributor_counts.pull_request_id
-        JOIN merge_requests mr ON c.pull_request_id = mr.id
-        JOIN repositories r ON mr.repository_id = r.id
-        WHERE c.pull_request_id IS NOT NULL
-        -- Include all repositories, even forks
-        GROUP BY c.contributor_id
-      ),
-      -- Calculate repository popularity score based on stars and forks
-      repo_popularity AS (
-        SELECT
-          cr.contributor_id,
-          -- Calculate weighted popularity of repositories contributor works on
-          SUM(
-            -- Stars count 70%, forks count 30%
-            (COALESCE(r.stars, 0) * 0.7) + (COALESCE(r.forks, 0) * 0.3)
-          ) AS total_popularity,
-          -- Calculate average popularity per repo
-          AVG(
-            (COALESCE(r.stars, 0) * 0.7) + (COALESCE(r.forks, 0) * 0.3)
-          ) AS avg_popularity,
-          -- Count how many popular repos (1000+ stars) contributor works on
-          SUM(CASE WHEN r.stars >= 1000 THEN 1 ELSE 0 END) AS popular_repos_count,
-          COUNT(r.id) AS total_repos
-        FROM contributor_repository cr
-        JOIN repositories r ON cr.repository_id = r.id
-        -- Include all repositories, even forks
-        GROUP BY cr.contributor_id
-      ),
-      normalized_metrics AS (
-        SELECT
-          cm.*,
-          -- Normalize metrics to 0-100 scale
-          (cm.total_lines * 100.0 / NULLIF(mm.max_lines, 1)) AS code_volume_score,
-          (cm.commit_count * 100.0 / NULLIF(mm.max_commits, 1)) AS commit_impact_score,
-          (cm.followers * 100.0 / NULLIF(mm.max_followers, 1)) AS followers_score,
-          (cm.repos_contributed * 100.0 / NULLIF(mm.max_repos, 1)) AS repo_influence_score,
-          -- Include code efficiency score or default to 50 if no data
-          COALESCE(ce.efficiency_score, 50) AS code_efficiency_score,
-          -- Calculate collaboration score based on average team size
-          -- Using asymptotic formula that approaches 100 for large teams
-          CASE
-            WHEN collab.avg_collaborators_per_pr IS NULL THEN 0 -- Default for no data is 0
-            WHEN collab.avg_collaborators_per_pr <= 1 THEN 0 -- Solo work gets 0
-            ELSE 
-              -- Formula: 100 * (1 - 1/(x^0.8)) where x is avg collaborators
-              -- This gives a curve that grows quickly at first then slows down
-              -- 1 collaborator = 0 points
-              -- 2 collaborators = 43 points
-              -- 3 collaborators = 65 points
-              -- 4 collaborators = 76 points
-              -- 5 collaborators = 83 points
-              -- 10 collaborators = 95 points
-              100 * (1 - 1/POWER(COALESCE(collab.avg_collaborators_per_pr, 1), 0.8))
-          END AS collaboration_score,
-          -- Calculate repository popularity score (0-100)
-          -- This considers both total popularity and number of popular repos
-          CASE
-            WHEN rp.total_popularity IS NULL THEN 0 -- No repos
-            ELSE MIN(
-              100, -- Cap at 100
-              -- 60% based on total popularity (log scale to handle extreme values)
-              (LN(COALESCE(rp.total_popularity, 1) + 1) / LN(25000) * 60) +
-              -- 40% based on number of popular repos (capped at 5)
-              (MIN(COALESCE(rp.popular_repos_count, 0), 5) * 8)
-            )
-          END AS repo_popularity_score
-        FROM contributor_metrics cm, max_metrics mm
-        LEFT JOIN code_efficiency_final ce ON cm.contributor_id = ce.contributor_id
-        LEFT JOIN collaboration_metrics collab ON cm.contributor_id = collab.contributor_id
-        LEFT JOIN repo_popularity rp ON cm.contributor_id = rp.contributor_id
-      ),
-      final_scores AS (
-        SELECT
-          nm.contributor_id,
-          nm.github_id AS contributor_github_id,
-          nm.username,
-          nm.name,
-          -- Calculate total score using weighted average (now including repo popularity)
-          (
-            nm.code_volume_score * 0.05 + 
-            nm.commit_impact_score * 0.10 + 
-            nm.code_efficiency_score * 0.15 +
-            nm.collaboration_score * 0.20 +
-            nm.repo_popularity_score * 0.20 +
-            COALESCE(nm.repo_influence_score, 0) * 0.10 + 
-            COALESCE(nm.followers_score, 0) * 0.15 + 
-            nm.profile_completeness * 0.05
-          ) AS total_score,
-          nm.code_volume_score,
-          nm.code_efficiency_score,
-          nm.commit_impact_score,
-          nm.collaboration_score,
-          nm.repo_popularity_score,
-          nm.followers_score,
-          nm.repo_influence_score,
-          nm.profile_completeness,
-          nm.followers,
-          nm.commit_count,
-          nm.lines_added,
-          nm.lines_removed,
-          nm.repos_contributed,
-          RANK() OVER (ORDER BY 
-            (
-              nm.code_volume_score * 0.05 + 
-              nm.commit_impact_score * 0.10 + 
-              nm.code_efficiency_score * 0.15 +
-              nm.collaboration_score * 0.20 +
-              nm.repo_popularity_score * 0.20 +
-              COALESCE(nm.repo_influence_score, 0) * 0.10 + 
-              COALESCE(nm.followers_score, 0) * 0.15 + 
-              nm.profile_completeness * 0.05
-            ) DESC
-          ) AS rank_position
-        FROM normalized_metrics nm
-      )
-      
-      SELECT * FROM final_scores
-    `);
+    if (!Array.isArray(timeframes) || timeframes.length === 0 || !timeframes.every(isRankingWindow)) {
+      return res.status(400).json({ success: false, error: INVALID_TIMEFRAME_ERROR });
+    }
     
-    // Insert from temp table to the actual rankings table
-    await db.run(`
-      INSERT INTO contributor_rankings
-      (id, contributor_id, contributor_github_id, rank_position, total_score, 
-       code_volume_score, code_efficiency_score, commit_impact_score, collaboration_score, 
-       repo_popularity_score, repo_influence_score, followers_score, profile_completeness_score, 
-       followers_count, raw_lines_added, raw_lines_removed, raw_commits_count, repositories_contributed, 
-       calculation_timestamp)
-      SELECT 
-        hex(randomblob(16)), -- Generate a random UUID for each row
-        contributor_id,
-        contributor_github_id,
-        rank_position,
-        total_score,
-        code_volume_score,
-        code_efficiency_score,
-        commit_impact_score,
-        collaboration_score,
-        repo_popularity_score,
-        repo_influence_score,
-        followers_score,
-        profile_completeness,
-        followers,
-        lines_added,
-        lines_removed,
-        commit_count,
-        repos_contributed,
-        CURRENT_TIMESTAMP
-      FROM temp_rankings
-    `);
+    const profile = await getRankingProfile(profileName, profileVersion);
     
-    // Drop the temporary table
-    await db.run(`DROP TABLE temp_rankings`);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: `Ranking profile not found: ${profileName}${profileVersion ? ` v${profileVersion}` : ''}`
+      });
+    }
     
-    // Get the count of rankings generated
-    const { count } = await db.get(`
-      SELECT COUNT(*) as count 
-      FROM contributor_rankings 
-      WHERE calculation_timestamp = (
-        SELECT MAX(calculation_timestamp) FROM contributor_rankings
-      )
-    `);
+    console.log(`Starting to calculate contributor rankings with profile ${profile.name} v${profile.version}...`);
+    db = await getConnection();
     
-    // Get historical rankings count and latest timestamp
-    const stats = {
-      contributorsRanked: count,
-      latestCalculation: calculationTimestamp,
-      calculationsCount: 0
-    };
+    // Bring the per-contributor aggregates up to date with commits written since the last refresh
+    await refreshRankingAggregates();
     
-    const calculationsCount = await db.get(`
-      SELECT COUNT(*) AS count FROM (
-        SELECT DISTINCT calculation_timestamp FROM contributor_rankings
-      )
-    `);
+    const windows = {};
     
-    if (calculationsCount) {
-      stats.calculationsCount = calculationsCount.count;
+    for (const window of timeframes) {
+      windows[window] = await calculateWindowRankings(db, profile, window);
     }
     
-    const { contributors } = await db.get(`
-      SELECT COUNT(DISTINCT contributor_id) AS contributors 
-      FROM contributor_rankings
-      WHERE calculation_timestamp = (
-        SELECT MAX(calculation_timestamp) FROM contributor_rankings
-      )
-    `);
-    
-    if (contributors) {
-      stats.contributorsRanked = contributors;
+    // Report how the all-time leaderboard moved; sent at most once a week
+    if (windows[DEFAULT_WINDOW]) {
+      pipelineNotificationService.notifyRankingChanges(profile.name).catch(error => {
+        logger.error('Error sending ranking changes notification', { error });
+      });
     }
     
+    // Top-level stats describe the all-time rankings, or the first window when it wasn't calculated
+    const stats = {
+      ...(windows[DEFAULT_WINDOW] || windows[timeframes[0]]),
+      profile: profile.name,
+      profileVersion: profile.version,
+      windows
+    };
+    
     return res.json({
       success: true,
       message: 'Contributor rankings calculated successfully',
@@ -584,6 +444,552 @@ async function calculateRankings(req, res) {
   }
 }
 
+/**
+ * Calculate the rankings of one window and store them in the rankings table
+ * @param {object} db - Database connection
+ * @param {Object} profile - Ranking profile to rank with
+ * @param {string} timeframe - Ranking window ('all' or a key of RANKING_WINDOWS)
+ * @returns {Promise<Object>} Contributors ranked and calculation counts of the window
+ */
+async function calculateWindowRankings(db, profile, timeframe) {
+  const windowDays = RANKING_WINDOWS[timeframe];
+  const params = toQueryParams(profile.weights);
+  
+  // All-time rankings read the maintained aggregates; windows only count
+  // commits committed and merge requests merged inside the window
+  let commitMetricsQuery = `
+      SELECT 
+        ca.contributor_id,
+        ca.commit_count,
+        ca.lines_added,
+        ca.lines_removed,
+        ca.lines_added + ca.lines_removed AS total_lines
+      FROM contributor_commit_aggregates ca
+      WHERE ca.commit_count > 0`;
+  let mergedInWindow = '';
+  
+  if (windowDays) {
+    params.$window_start = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString();
+    
+    commitMetricsQuery = `
+      SELECT 
+        c.contributor_id,
+        COUNT(DISTINCT c.github_id) AS commit_count,
+        COALESCE(SUM(c.additions), 0) AS lines_added,
+        COALESCE(SUM(c.deletions), 0) AS lines_removed,
+        COALESCE(SUM(c.additions), 0) + COALESCE(SUM(c.deletions), 0) AS total_lines
+      FROM commits c
+      JOIN repositories r ON c.repository_id = r.id
+      WHERE c.contributor_id IS NOT NULL
+      AND c.committed_at >= $window_start
+      GROUP BY c.contributor_id`;
+    mergedInWindow = 'WHERE mr.merged_at >= $window_start';
+  }
+  
+  // Timestamp of this calculation batch, in the format of SQLite's
+  // strftime('%Y-%m-%d %H:%M:%f') that earlier calculations were stored with
+  const calculationTimestamp = new Date().toISOString().replace('T', ' ').replace('Z', '');
+  
+  // Clear out a temporary table left behind by an interrupted calculation
+  await db.run(`DROP TABLE IF EXISTS temp_rankings`);
+  
+  // Execute the ranking calculation query
+  // Create a temporary table to store our calculation results
+  await db.run(`
+    -- Code Architect
+    CREATE TEMPORARY TABLE temp_rankings AS
+    WITH commit_metrics AS (
+      ${commitMetricsQuery}
+    ),
+    contributor_metrics AS (
+      SELECT
+        cm.contributor_id,
+        cm.commit_count,
+        cm.lines_added,
+        cm.lines_removed,
+        cm.total_lines,
+        c.github_id,
+        c.username,
+        c.name,
+        COALESCE(c.followers, 0) AS followers,
+        -- Calculate profile completeness (0-100%)
+        (
+          CASE WHEN c.username IS NOT NULL THEN $pc_username ELSE 0 END +
+          CASE WHEN c.name IS NOT NULL THEN $pc_name ELSE 0 END + 
+          CASE WHEN c.avatar IS NOT NULL THEN $pc_avatar ELSE 0 END +
+          CASE WHEN c.bio IS NOT NULL THEN $pc_bio ELSE 0 END +
+          CASE WHEN c.company IS NOT NULL THEN $pc_company ELSE 0 END +
+          CASE WHEN c.location IS NOT NULL THEN $pc_location ELSE 0 END +
+          CASE WHEN c.blog IS NOT NULL THEN $pc_blog ELSE 0 END +
+          CASE WHEN c.twitter_username IS NOT NULL THEN $pc_twitter_username ELSE 0 END +
+          CASE WHEN c.top_languages IS NOT NULL THEN $pc_top_languages ELSE 0 END
+        ) AS profile_completeness,
+        -- Count repositories contributed to
+        (
+          SELECT COUNT(DISTINCT cr.repository_id) 
+          FROM contributor_repository cr 
+          WHERE cr.contributor_id = cm.contributor_id
+        ) AS repos_contributed
+      FROM commit_metrics cm
+      JOIN contributors c ON cm.contributor_id = c.id
+      -- Exclude bots from contributor metrics
+      WHERE COALESCE(c.is_bot, 0) = 0
+      -- Merged aliases are counted under their primary contributor
+      AND c.merged_into_id IS NULL
+      -- Include all contributors with at least one commit
+    ),
+    max_metrics AS (
+      SELECT
+        MAX(total_lines) AS max_lines,
+        MAX(commit_count) AS max_commits,
+        MAX(followers) AS max_followers,
+        MAX(repos_contributed) AS max_repos
+      FROM contributor_metrics
+    ),
+    -- Calculate code efficiency score from PR vs commits
+    code_efficiency AS (
+      SELECT
+        ma.contributor_id,
+        ma.merge_request_id AS pull_request_id,
+        ma.commit_changes AS total_commit_changes,
+        mr.additions + mr.deletions AS total_pr_changes
+      FROM contributor_merge_request_aggregates ma
+      JOIN merge_requests mr ON ma.merge_request_id = mr.id
+      JOIN repositories r ON mr.repository_id = r.id
+      -- Include all repositories, even forks
+      ${mergedInWindow}
+    ),
+    code_efficiency_final AS (
+      SELECT
+        contributor_id,
+        AVG(
+          CASE 
+            WHEN total_commit_changes = 0 THEN 0
+            -- When PR changes match commit changes exactly, this is 100% efficient
+            WHEN total_pr_changes = total_commit_changes THEN 100
+            ELSE 
+              -- Calculate efficiency as a percentage, but never go below 0
+              MAX(0, 
+                (1 - ABS((total_pr_changes - total_commit_changes) / 
+                  NULLIF(total_commit_changes, 0))
+                ) * 100
+              )
+          END
+        ) AS efficiency_score
+      FROM code_efficiency
+      GROUP BY contributor_id
+    ),
+    -- Calculate collaboration score - rewards developers who work on PRs with multiple contributors
+    -- Averaged per commit row, so PRs a contributor committed more files to weigh more
+    collaboration_metrics AS (
+      SELECT 
+        ma.contributor_id,
+        SUM(ma.commit_rows * contributor_counts.contributor_count) * 1.0 / SUM(ma.commit_rows) AS avg_collaborators_per_pr,
+        MAX(contributor_counts.contributor_count) AS max_collaborators_on_pr
+      FROM contributor_merge_request_aggregates ma
+      JOIN (
+        SELECT 
+          a.merge_request_id, 
+          COUNT(DISTINCT CASE WHEN COALESCE(cont.is_bot, 0) = 0 THEN a.contributor_id END) AS contributor_count
+        FROM contributor_merge_request_aggregates a
+        JOIN contributors cont ON a.contributor_id = cont.id
+        JOIN merge_requests mr ON a.merge_request_id = mr.id
+        JOIN repositories r ON mr.repository_id = r.id
+        -- Include all repositories, even forks
+        ${mergedInWindow}
+        GROUP BY a.merge_request_id
+      ) contributor_counts ON ma.merge_request_id = contributor_counts.merge_request_id
+      GROUP BY ma.contributor_id
+    ),
+    -- Calculate repository popularity score based on stars and forks
+    repo_popularity AS (
+      SELECT
+        cr.contributor_id,
+        -- Calculate weighted popularity of repositories contributor works on
+        SUM(
+          -- Stars and forks weighted by the profile (70% / 30% by default)
+          (COALESCE(r.stars, 0) * $pop_stars) + (COALESCE(r.forks, 0) * $pop_forks)
+        ) AS total_popularity,
+        -- Calculate average popularity per repo
+        AVG(
+          (COALESCE(r.stars, 0) * $pop_stars) + (COALESCE(r.forks, 0) * $pop_forks)
+        ) AS avg_popularity,
+        -- Count how many popular repos (1000+ stars) contributor works on
+        SUM(CASE WHEN r.stars >= 1000 THEN 1 ELSE 0 END) AS popular_repos_count,
+        COUNT(r.id) AS total_repos
+      FROM contributor_repository cr
+      JOIN repositories r ON cr.repository_id = r.id
+      -- Include all repositories, even forks
+      GROUP BY cr.contributor_id
+    ),
+    normalized_metrics AS (
+      SELECT
+        cm.*,
+        -- Normalize metrics to 0-100 scale (0 when nobody has any, e.g. in a short window)
+        COALESCE(cm.total_lines * 100.0 / NULLIF(mm.max_lines, 0), 0) AS code_volume_score,
+        COALESCE(cm.commit_count * 100.0 / NULLIF(mm.max_commits, 0), 0) AS commit_impact_score,
+        COALESCE(cm.followers * 100.0 / NULLIF(mm.max_followers, 0), 0) AS followers_score,
+        COALESCE(cm.repos_contributed * 100.0 / NULLIF(mm.max_repos, 0), 0) AS repo_influence_score,
+        -- Include code efficiency score or default to 50 if no data
+        COALESCE(ce.efficiency_score, 50) AS code_efficiency_score,
+        -- Calculate collaboration score based on average team size
+        -- Using asymptotic formula that approaches 100 for large teams
+        CASE
+          WHEN collab.avg_collaborators_per_pr IS NULL THEN 0 -- Default for no data is 0
+          WHEN collab.avg_collaborators_per_pr <= 1 THEN 0 -- Solo work gets 0
+          ELSE 
+            -- Formula: 100 * (1 - 1/(x^0.8)) where x is avg collaborators
+            -- This gives a curve that grows quickly at first then slows down
+            -- 1 collaborator = 0 points
+            -- 2 collaborators = 43 points
+            -- 3 collaborators = 65 points
+            -- 4 collaborators = 76 points
+            -- 5 collaborators = 83 points
+            -- 10 collaborators = 95 points
+            100 * (1 - 1/POWER(COALESCE(collab.avg_collaborators_per_pr, 1), 0.8))
+        END AS collaboration_score,
+        -- Calculate repository popularity score (0-100)
+        -- This considers both total popularity and number of popular repos
+        CASE
+          WHEN rp.total_popularity IS NULL THEN 0 -- No repos
+          ELSE MIN(
+            100, -- Cap at 100
+            -- 60% based on total popularity (log scale to handle extreme values)
+            (LN(COALESCE(rp.total_popularity, 1) + 1) / LN(25000) * 60) +
+            -- 40% based on number of popular repos (capped at 5)
+            (MIN(COALESCE(rp.popular_repos_count, 0), 5) * 8)
+          )
+        END AS repo_popularity_score
+      FROM contributor_metrics cm, max_metrics mm
+      LEFT JOIN code_efficiency_final ce ON cm.contributor_id = ce.contributor_id
+      LEFT JOIN collaboration_metrics collab ON cm.contributor_id = collab.contributor_id
+      LEFT JOIN repo_popularity rp ON cm.contributor_id = rp.contributor_id
+    ),
+    final_scores AS (
+      SELECT
+        nm.contributor_id,
+        nm.github_id AS contributor_github_id,
+        nm.username,
+        nm.name,
+        -- Calculate total score using the weighted average of the profile
+        (
+          nm.code_volume_score * $w_code_volume + 
+          nm.commit_impact_score * $w_commit_impact + 
+          nm.code_efficiency_score * $w_code_efficiency +
+          nm.collaboration_score * $w_collaboration +
+          nm.repo_popularity_score * $w_repo_popularity +
+          COALESCE(nm.repo_influence_score, 0) * $w_repo_influence + 
+          COALESCE(nm.followers_score, 0) * $w_followers + 
+          nm.profile_completeness * $w_profile_completeness
+        ) AS total_score,
+        nm.code_volume_score,
+        nm.code_efficiency_score,
+        nm.commit_impact_score,
+        nm.collaboration_score,
+        nm.repo_popularity_score,
+        nm.followers_score,
+        nm.repo_influence_score,
+        nm.profile_completeness,
+        nm.followers,
+        nm.commit_count,
+        nm.lines_added,
+        nm.lines_removed,
+        nm.repos_contributed
+      FROM normalized_metrics nm
+    )
+    
+    SELECT
+      fs.*,
+      RANK() OVER (ORDER BY fs.total_score DESC) AS rank_position
+    FROM final_scores fs
+  `, params);
+  
+  // Insert from temp table to the actual rankings table
+  await db.run(`
+    INSERT INTO contributor_rankings
+    (id, contributor_id, contributor_github_id, rank_position, total_score, 
+     code_volume_score, code_efficiency_score, commit_impact_score, collaboration_score, 
+     repo_popularity_score, repo_influence_score, followers_score, profile_completeness_score, 
+     followers_count, raw_lines_added, raw_lines_removed, raw_commits_count, repositories_contributed, 
+     calculation_timestamp, ranking_profile_id, ranking_profile_name, ranking_profile_version, ranking_window)
+    SELECT 
+      hex(randomblob(16)), -- Generate a random UUID for each row
+      contributor_id,
+      contributor_github_id,
+      rank_position,
+      total_score,
+      code_volume_score,
+      code_efficiency_score,
+      commit_impact_score,
+      collaboration_score,
+      repo_popularity_score,
+      repo_influence_score,
+      followers_score,
+      profile_completeness,
+      followers,
+      lines_added,
+      lines_removed,
+      commit_count,
+      repos_contributed,
+      -- Millisecond precision keeps windows calculated in the same second apart
+      ?,
+      ?,
+      ?,
+      ?,
+      ?
+    FROM temp_rankings
+  `, [calculationTimestamp, profile.id, profile.name, profile.version, timeframe]);
+  
+  // Drop the temporary table
+  await db.run(`DROP TABLE temp_rankings`);
+  
+  // Get the count of rankings generated
+  const { count } = await db.get(`
+    SELECT COUNT(*) as count 
+    FROM contributor_rankings 
+    WHERE ranking_profile_name = ? AND ranking_window = ? AND calculation_timestamp = ?
+  `, [profile.name, timeframe, calculationTimestamp]);
+  
+  // Get historical rankings count and latest timestamp
+  const stats = {
+    contributorsRanked: count,
+    latestCalculation: calculationTimestamp,
+    calculationsCount: 0
+  };
+  
+  const calculationsCount = await db.get(`
+    SELECT COUNT(*) AS count FROM (
+      SELECT DISTINCT calculation_timestamp FROM contributor_rankings WHERE ranking_profile_name = ? AND ranking_window = ?
+    )
+  `, [profile.name, timeframe]);
+  
+  if (calculationsCount) {
+    stats.calculationsCount = calculationsCount.count;
+  }
+  
+  const { contributors } = await db.get(`
+    SELECT COUNT(DISTINCT contributor_id) AS contributors 
+    FROM contributor_rankings
+    WHERE ranking_profile_name = ? AND ranking_window = ? AND calculation_timestamp = ?
+  `, [profile.name, timeframe, calculationTimestamp]);
+  
+  if (contributors) {
+    stats.contributorsRanked = contributors;
+  }
+  
+  return stats;
+}
+
+/**
+ * Rebuild the ranking aggregates from the commits table and report how many
+ * aggregate rows had drifted from the incrementally maintained values
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function rebuildAggregates(req, res) {
+  const result = await rebuildRankingAggregates();
+  
+  return res.json({
+    success: true,
+    message: 'Ranking aggregates rebuilt successfully',
+    stats: result
+  });
+}
+
+/**
+ * Map profile weights to the named parameters used by the ranking query
+ * @param {Object} weights - Complete ranking weights
+ * @returns {Object} Named SQLite parameters
+ */
+function toQueryParams(weights) {
+  const params = {};
+  
+  for (const [key, value] of Object.entries(weights.total)) {
+    params[`$w_${key}`] = value;
+  }
+  
+  params.$pop_stars = weights.popularity.stars;
+  params.$pop_forks = weights.popularity.forks;
+  
+  for (const [key, value] of Object.entries(weights.profile_completeness)) {
+    params[`$pc_${key}`] = value;
+  }
+  
+  return params;
+}
+
+/**
+ * List ranking profiles and their weights
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function getRankingProfiles(req, res) {
+  try {
+    const profiles = await listRankingProfiles();
+    
+    return res.json({ profiles });
+  } catch (error) {
+    logger.error('Error listing ranking profiles:', error);
+    return res.status(500).json({ error: error.message || 'Failed to list ranking profiles' });
+  }
+}
+
+/**
+ * Save a weight set as a new ranking profile version
+ * Expects { name, weights, description?, is_default? } in the request body
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function saveRankingProfile(req, res) {
+  try {
+    const { name, weights, description, is_default: isDefault } = req.body;
+    
+    const profile = await createRankingProfile({ name, weights, description, isDefault });
+    
+    return res.status(201).json({
+      success: true,
+      message: `Ranking profile ${profile.name} v${profile.version} saved`,
+      profile
+    });
+  } catch (error) {
+    if (error.message.startsWith('Invalid ranking')) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    logger.error('Error saving ranking profile:', error);
+    return res.status(500).json({ error: error.message || 'Failed to save ranking profile' });
+  }
+}
+
+/**
+ * Fetch the complete latest leaderboard calculated with a profile
+ * @param {object} db - Database connection
+ * @param {string} profileName - Ranking profile name
+ * @param {string} timeframe - Ranking window
+ * @returns {Promise<Object|null>} Leaderboard or null if the profile has no rankings
+ */
+async function fetchProfileLeaderboard(db, profileName, timeframe) {
+  const latest = await db.get(`
+    SELECT calculation_timestamp, ranking_profile_version
+    FROM contributor_rankings
+    WHERE ranking_profile_name = ? AND ranking_window = ?
+    ORDER BY calculation_timestamp DESC
+    LIMIT 1
+  `, [profileName, timeframe]);
+  
+  if (!latest) {
+    return null;
+  }
+  
+  const rankings = await db.all(`
+    SELECT 
+      cr.contributor_id,
+      c.username,
+      cr.rank_position,
+      cr.total_score
+    FROM contributor_rankings cr
+    JOIN contributors c ON cr.contributor_id = c.id
+    WHERE cr.calculation_timestamp = ?
+    AND cr.ranking_profile_name = ?
+    AND cr.ranking_window = ?
+    AND COALESCE(c.is_bot, 0) = 0
+    AND c.merged_into_id IS NULL
+    ORDER BY cr.rank_position ASC
+  `, [latest.calculation_timestamp, profileName, timeframe]);
+  
+  return {
+    name: profileName,
+    version: latest.ranking_profile_version,
+    calculated_at: latest.calculation_timestamp,
+    rankings
+  };
+}
+
+/**
+ * Compare the latest leaderboards of two ranking profiles
+ * Expects { profile_a, profile_b, limit?, timeframe? } in the request body
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function diffProfileRankings(req, res) {
+  const { profile_a: profileA, profile_b: profileB, limit, timeframe = DEFAULT_WINDOW } = req.body;
+  
+  if (!profileA || !profileB) {
+    return res.status(400).json({ error: 'profile_a and profile_b are required' });
+  }
+  
+  if (!isRankingWindow(timeframe)) {
+    return res.status(400).json({ error: INVALID_TIMEFRAME_ERROR });
+  }
+  
+  // Compare the top N of each leaderboard
+  const topN = Math.min(parseInt(limit) || 100, 1000);
+  
+  try {
+    const { leaderboardA, leaderboardB } = await withDb(async (db) => ({
+      leaderboardA: await fetchProfileLeaderboard(db, profileA, timeframe),
+      leaderboardB: await fetchProfileLeaderboard(db, profileB, timeframe)
+    }));
+    
+    for (const [name, leaderboard] of [[profileA, leaderboardA], [profileB, leaderboardB]]) {
+      if (!leaderboard) {
+        return res.status(404).json({
+          error: `No ${timeframe} rankings calculated for profile ${name}. Run the calculate operation with this profile first.`
+        });
+      }
+    }
+    
+    const byContributorA = new Map(leaderboardA.rankings.map(row => [row.contributor_id, row]));
+    const byContributorB = new Map(leaderboardB.rankings.map(row => [row.contributor_id, row]));
+    
+    const topA = new Set(leaderboardA.rankings.slice(0, topN).map(row => row.contributor_id));
+    const topB = new Set(leaderboardB.rankings.slice(0, topN).map(row => row.contributor_id));
+    
+    const summary = { compared: 0, moved_up: 0, moved_down: 0, unchanged: 0, entered_top: 0, left_top: 0 };
+    const changes = [];
+    
+    for (const contributorId of new Set([...topA, ...topB])) {
+      const rowA = byContributorA.get(contributorId);
+      const rowB = byContributorB.get(contributorId);
+      
+      // Positive means the contributor ranks higher under profile B
+      const rankChange = rowA && rowB ? rowA.rank_position - rowB.rank_position : null;
+      
+      summary.compared++;
+      if (!topA.has(contributorId)) summary.entered_top++;
+      if (!topB.has(contributorId)) summary.left_top++;
+      if (rankChange > 0) summary.moved_up++;
+      if (rankChange < 0) summary.moved_down++;
+      if (rankChange === 0) summary.unchanged++;
+      
+      changes.push({
+        contributor_id: contributorId,
+        username: (rowA || rowB).username,
+        rank_a: rowA ? rowA.rank_position : null,
+        rank_b: rowB ? rowB.rank_position : null,
+        rank_change: rankChange,
+        score_a: rowA ? rowA.total_score : null,
+        score_b: rowB ? rowB.total_score : null
+      });
+    }
+    
+    // Order by the new leaderboard, contributors missing from it last
+    changes.sort((x, y) => (x.rank_b ?? Infinity) - (y.rank_b ?? Infinity) || (x.rank_a ?? Infinity) - (y.rank_a ?? Infinity));
+    
+    return res.json({
+      profile_a: { name: leaderboardA.name, version: leaderboardA.version, calculated_at: leaderboardA.calculated_at },
+      profile_b: { name: leaderboardB.name, version: leaderboardB.version, calculated_at: leaderboardB.calculated_at },
+      timeframe,
+      limit: topN,
+      summary,
+      changes
+    });
+  } catch (error) {
+    logger.error('Error diffing ranking profiles:', error);
+    return res.status(500).json({ error: error.message || 'Failed to diff ranking profiles' });
+  }
+}
+
 /**
  * Get the most collaborative merge request for a contributor
  */
@@ -671,7 +1077,7 @@ async function getMostCollaborativeMergeRequest(db, contributorId) {
 /**
  * Ensure rankings table exists
  */
-async function ensureRankingsTableExists() {
+export async function ensureRankingsTableExists() {
   try {
     const db = await getConnection();
     
@@ -686,12 +1092,27 @@ async function ensureRankingsTableExists() {
         CREATE TABLE contributor_rankings (
           id TEXT PRIMARY KEY,
           contributor_id TEXT NOT NULL,
+          contributor_github_id BIGINT NOT NULL,
           rank_position INTEGER NOT NULL,
-          metrics TEXT,
-          score REAL,
-          rank_change INTEGER,
-          calculation_timestamp TEXT NOT NULL,
-          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+          total_score REAL NOT NULL,
+          code_volume_score REAL NOT NULL,
+          code_efficiency_score REAL NOT NULL,
+          commit_impact_score REAL NOT NULL,
+          repo_influence_score REAL NOT NULL,
+          followers_score REAL NOT NULL,
+          profile_completeness_score REAL NOT NULL,
+          followers_count INTEGER NOT NULL,
+          raw_lines_added INTEGER NOT NULL,
+          raw_lines_removed INTEGER NOT NULL,
+          raw_commits_count INTEGER NOT NULL,
+          repositories_contributed INTEGER NOT NULL,
+          calculation_timestamp TIMESTAMP NOT NULL,
+          collaboration_score REAL DEFAULT 30,
+          repo_popularity_score REAL DEFAULT 0,
+          ranking_profile_id TEXT,
+          ranking_profile_name TEXT,
+          ranking_profile_version INTEGER,
+          ranking_window TEXT
         );
         CREATE INDEX idx_contributor_rankings_contributor_id ON contributor_rankings(contributor_id);
         CREATE INDEX idx_contributor_rankings_timestamp ON contributor_rankings(calculation_timestamp);
@@ -699,8 +1120,40 @@ async function ensureRankingsTableExists() {
       
       logger.info('Created contributor_rankings table');
     }
+    
+    // Rankings calculated before profiles existed don't record their profile
+    for (const column of ['ranking_profile_id TEXT', 'ranking_profile_name TEXT', 'ranking_profile_version INTEGER']) {
+      await db.run(`ALTER TABLE contributor_rankings ADD COLUMN ${column}`).catch(err => {
+        // Ignore error if column already exists
+        if (!err.message.includes('duplicate column name')) {
+          throw err;
+        }
+      });
+    }
+    
+    // Rankings calculated before windows existed are all-time rankings
+    await db.run(`ALTER TABLE contributor_rankings ADD COLUMN ranking_window TEXT`).catch(err => {
+      if (!err.message.includes('duplicate column name')) {
+        throw err;
+      }
+    });
+    await db.run(`UPDATE contributor_rankings SET ranking_window = ? WHERE ranking_window IS NULL`, [DEFAULT_WINDOW]);
+    
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_contributor_rankings_profile
+        ON contributor_rankings(ranking_profile_name, calculation_timestamp);
+      CREATE INDEX IF NOT EXISTS idx_contributor_rankings_window
+        ON contributor_rankings(ranking_profile_name, ranking_window, calculation_timestamp);
+    `);
+    
+    // Those rankings were produced by the original formula, i.e. the default profile v1
+    await db.run(`
+      UPDATE contributor_rankings
+      SET ranking_profile_id = ?, ranking_profile_name = ?, ranking_profile_version = 1
+      WHERE ranking_profile_name IS NULL
+    `, [`${DEFAULT_PROFILE_NAME}-v1`, DEFAULT_PROFILE_NAME]);
   } catch (error) {
     logger.error('Error ensuring rankings table exists:', error);
     throw error;
   }
-} 
\ No newline at end of file
+}
@@ -14,6 +14,7 @@ export const getContributorById = wrapController(contributorsController.getContr
 export const getContributorByLogin = wrapController(contributorsController.getContributorByLogin);
 export const getContributorActivity = wrapController(contributorsController.getContributorActivity);
 export const getContributorImpact = wrapController(contributorsController.getContributorImpact);
+export const getContributorCommitTypes = wrapController(contributorsController.getContributorCommitTypes);
 export const getContributorRepositories = wrapController(contributorsController.getContributorRepositories);
 export const getContributorMergeRequests = wrapController(contributorsController.getContributorMergeRequests);
 export const getContributorRecentActivity = wrapController(contributorsController.getContributorRecentActivity);
@@ -1,5 +1,8 @@
 import { pool } from '../../db/db-pool.js';
 import { handleDbError } from '../../utils/db-utils.js';
+import { ensureRankingsTableExists } from './contributor-rankings.js';
+import { getContributorLanguages } from '../../services/analytics/language.service.js';
+import { getContributorCommitMix } from '../../services/analytics/commit-classification.service.js';
 
 /**
  * Get all contributors with pagination
@@ -10,8 +13,8 @@ export async function getContributors(req, res) {
   const offset = (page - 1) * limit;
 
   try {
-    // Get total count for pagination
-    const countResult = await pool.query('SELECT COUNT(*) FROM contributors');
+    // Aliases merged into another contributor are listed as that contributor
+    const countResult = await pool.query('SELECT COUNT(*) AS count FROM contributors WHERE merged_into_id IS NULL');
     const totalCount = parseInt(countResult.rows[0].count);
     
     // Get contributors with pagination
@@ -26,6 +29,8 @@ export async function getContributors(req, res) {
         commits cm ON c.id = cm.contributor_id
       LEFT JOIN 
         merge_requests mr ON c.id = mr.author_id
+      WHERE 
+        c.merged_into_id IS NULL
       GROUP BY 
         c.id
       ORDER BY 
@@ -151,36 +156,8 @@ export async function getContributorById(req, res) {
     
     const mergeRequestsResult = await pool.query(mergeRequestsQuery, [contributor.id]);
     
-    // Get top languages used by contributor
-    const languagesQuery = `
-      WITH language_stats AS (
-        SELECT 
-          r.primary_language AS language,
-          COUNT(DISTINCT cm.id) AS commit_count,
-          SUM(cm.additions + cm.deletions) AS code_changes
-        FROM 
-          commits cm
-        JOIN 
-          repositories r ON cm.repository_id = r.id
-        WHERE 
-          cm.contributor_id = ? AND
-          r.primary_language IS NOT NULL
-        GROUP BY 
-          r.primary_language
-      )
-      SELECT 
-        language,
-        commit_count,
-        code_changes,
-        CAST(code_changes * 100.0 / (SELECT SUM(code_changes) FROM language_stats) AS INTEGER) AS percentage
-      FROM 
-        language_stats
-      ORDER BY 
-        code_changes DESC
-      LIMIT 5
-    `;
-    
-    const languagesResult = await pool.query(languagesQuery, [contributor.id]);
+    // Get top languages from the files changed in the contributor's commits
+    const topLanguages = await getContributorLanguages(contributor.id);
     
     // Get activity metrics
     const activityQuery = `
@@ -210,7 +187,7 @@ export async function getContributorById(req, res) {
       repositories: reposResult.rows,
       recent_commits: commitsResult.rows,
       merge_requests: mergeRequestsResult.rows,
-      top_languages: languagesResult.rows,
+      top_languages: topLanguages,
       activity_metrics: activityResult.rows[0]
     });
   } catch (error) {
@@ -323,36 +300,8 @@ export async function getContributorByLogin(req, res) {
     
     const mergeRequestsResult = await pool.query(mergeRequestsQuery, [contributor.id]);
     
-    // Get top languages used by contributor
-    const languagesQuery = `
-      WITH language_stats AS (
-        SELECT 
-          r.primary_language AS language,
-          COUNT(DISTINCT cm.id) AS commit_count,
-          SUM(cm.additions + cm.deletions) AS code_changes
-        FROM 
-          commits cm
-        JOIN 
-          repositories r ON cm.repository_id = r.id
-        WHERE 
-          cm.contributor_id = ? AND
-          r.primary_language IS NOT NULL
-        GROUP BY 
-          r.primary_language
-      )
-      SELECT 
-        language,
-        commit_count,
-        code_changes,
-        CAST(code_changes * 100.0 / (SELECT SUM(code_changes) FROM language_stats) AS INTEGER) AS percentage
-      FROM 
-        language_stats
-      ORDER BY 
-        code_changes DESC
-      LIMIT 5
-    `;
-    
-    const languagesResult = await pool.query(languagesQuery, [contributor.id]);
+    // Get top languages from the files changed in the contributor's commits
+    const topLanguages = await getContributorLanguages(contributor.id);
     
     // Get activity metrics
     const activityQuery = `
@@ -382,7 +331,7 @@ export async function getContributorByLogin(req, res) {
       repositories: reposResult.rows,
       recent_commits: commitsResult.rows,
       merge_requests: mergeRequestsResult.rows,
-      top_languages: languagesResult.rows,
+      top_languages: topLanguages,
       activity_metrics: activityResult.rows[0]
     });
   } catch (error) {
@@ -769,6 +718,49 @@ export async function getContributorImpact(req, res) {
   }
 }
 
+/**
+ * Get the work mix of a contributor's commits across repositories: commits per
+ * classification, bugfix share and conventional-commit adoption, overall and
+ * over time
+ *
+ * Query parameters: days (window, 'all' for all history), interval (week, month)
+ */
+export async function getContributorCommitTypes(req, res) {
+  const { id } = req.params;
+  const interval = req.query.interval || 'week';
+  const days = req.query.days === 'all' ? 0 : parseInt(req.query.days);
+
+  if (!id) {
+    return res.status(400).json({ error: 'Contributor ID is required' });
+  }
+
+  if (!['week', 'month'].includes(interval)) {
+    return res.status(400).json({ error: 'Invalid interval. Must be one of: week, month' });
+  }
+
+  try {
+    // Verify the contributor exists
+    const contributorResult = await pool.query(
+      'SELECT id, github_id, username FROM contributors WHERE github_id = $1 OR id = $1',
+      [id]
+    );
+
+    if (contributorResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Contributor not found' });
+    }
+
+    const contributor = contributorResult.rows[0];
+    const mix = await getContributorCommitMix(contributor.id, {
+      days: Number.isNaN(days) ? 90 : Math.min(Math.max(days, 0), 3650),
+      interval
+    });
+
+    res.json({ contributor, ...mix });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+}
+
 /**
  * Get repositories a contributor has contributed to
  */
@@ -1194,10 +1186,14 @@ export async function getContributorRankings(req, res) {
     
     const contributorId = contributorResult.rows[0].id;
     
-    // Get the most recent ranking calculation timestamp
+    // Make sure rankings record the window they were calculated over
+    await ensureRankingsTableExists();
+    
+    // Get the most recent all-time ranking calculation timestamp
     const latestCalculationQuery = `
       SELECT MAX(calculation_timestamp) as latest_timestamp
       FROM contributor_rankings
+      WHERE ranking_window = 'all'
     `;
     
     const latestResult = await pool.query(latestCalculationQuery);
@@ -1213,14 +1209,15 @@ export async function getContributorRankings(req, res) {
       SELECT 
         cr.*,
         (SELECT COUNT(*) FROM contributor_rankings 
-         WHERE calculation_timestamp = ? AND rank_position <= cr.rank_position) AS absolute_rank,
+         WHERE calculation_timestamp = ? AND ranking_window = 'all' AND rank_position <= cr.rank_position) AS absolute_rank,
         (SELECT COUNT(*) FROM contributor_rankings 
-         WHERE calculation_timestamp = ?) AS total_ranked
+         WHERE calculation_timestamp = ? AND ranking_window = 'all') AS total_ranked
       FROM 
         contributor_rankings cr
       WHERE 
         cr.contributor_id = ? 
         AND cr.calculation_timestamp = ?
+        AND cr.ranking_window = 'all'
     `;
     
     const rankingsResult = await pool.query(rankingsQuery, [
@@ -1241,38 +1238,38 @@ export async function getContributorRankings(req, res) {
       SELECT
         'total_score' as metric,
         (SELECT COUNT(*) FROM contributor_rankings 
-         WHERE calculation_timestamp = ? AND total_score <= ?) * 100.0 / 
-        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ?) AS percentile
+         WHERE calculation_timestamp = ? AND ranking_window = 'all' AND total_score <= ?) * 100.0 / 
+        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ? AND ranking_window = 'all') AS percentile
       UNION
       SELECT
         'code_volume_score' as metric,
         (SELECT COUNT(*) FROM contributor_rankings 
-         WHERE calculation_timestamp = ? AND code_volume_score <= ?) * 100.0 / 
-        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ?) AS percentile
+         WHERE calculation_timestamp = ? AND ranking_window = 'all' AND code_volume_score <= ?) * 100.0 / 
+        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ? AND ranking_window = 'all') AS percentile
       UNION
       SELECT
         'code_efficiency_score' as metric,
         (SELECT COUNT(*) FROM contributor_rankings 
-         WHERE calculation_timestamp = ? AND code_efficiency_score <= ?) * 100.0 / 
-        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ?) AS percentile
+         WHERE calculation_timestamp = ? AND ranking_window = 'all' AND code_efficiency_score <= ?) * 100.0 / 
+        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ? AND ranking_window = 'all') AS percentile
       UNION
       SELECT
         'commit_impact_score' as metric,
         (SELECT COUNT(*) FROM contributor_rankings 
-         WHERE calculation_timestamp = ? AND commit_impact_score <= ?) * 100.0 / 
-        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ?) AS percentile
+         WHERE calculation_timestamp = ? AND ranking_window = 'all' AND commit_impact_score <= ?) * 100.0 / 
+        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ? AND ranking_window = 'all') AS percentile
       UNION
       SELECT
         'repo_influence_score' as metric,
         (SELECT COUNT(*) FROM contributor_rankings 
-         WHERE calculation_timestamp = ? AND repo_influence_score <= ?) * 100.0 / 
-        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ?) AS percentile
+         WHERE calculation_timestamp = ? AND ranking_window = 'all' AND repo_influence_score <= ?) * 100.0 / 
+        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ? AND ranking_window = 'all') AS percentile
       UNION
       SELECT
         'followers_score' as metric,
         (SELECT COUNT(*) FROM contributor_rankings 
-         WHERE calculation_timestamp = ? AND followers_score <= ?) * 100.0 / 
-        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ?) AS percentile
+         WHERE calculation_timestamp = ? AND ranking_window = 'all' AND followers_score <= ?) * 100.0 / 
+        (SELECT COUNT(*) FROM contributor_rankings WHERE calculation_timestamp = ? AND ranking_window = 'all') AS percentile
     `;
     
     const percentileParams = [
@@ -1296,7 +1293,7 @@ export async function getContributorRankings(req, res) {
     const previousCalculationQuery = `
       SELECT calculation_timestamp
       FROM contributor_rankings
-      WHERE calculation_timestamp < ?
+      WHERE calculation_timestamp < ? AND ranking_window = 'all'
       GROUP BY calculation_timestamp
       ORDER BY calculation_timestamp DESC
       LIMIT 1
@@ -1317,7 +1314,8 @@ export async function getContributorRankings(req, res) {
           contributor_rankings
         WHERE 
           contributor_id = ? AND 
-          calculation_timestamp = ?
+          calculation_timestamp = ? AND
+          ranking_window = 'all'
       `;
       
       const previousRankingResult = await pool.query(trendQuery, [contributorId, previousTimestamp]);
@@ -1464,50 +1462,15 @@ export async function getContributorProfileMetadata(req, res) {
         : contributor.organizations;
     }
     
-    // Get top languages from contributor data or fetch if needed
-    let topLanguages = [];
+    // Get top languages from the files changed in the contributor's commits,
+    // falling back to the languages stored during enrichment
+    let topLanguages = await getContributorLanguages(contributorId, { limit: 10 });
     
-    if (contributor.top_languages) {
+    if (topLanguages.length === 0 && contributor.top_languages) {
       // Parse if stored as JSON string
       topLanguages = typeof contributor.top_languages === 'string' 
         ? JSON.parse(contributor.top_languages) 
         : contributor.top_languages;
-    } else {
-      // Calculate from commits
-      const languagesQuery = `
-        WITH language_stats AS (
-          SELECT 
-            r.primary_language AS language,
-            COUNT(DISTINCT cm.id) AS commit_count,
-            SUM(cm.additions + cm.deletions) AS code_changes
-          FROM 
-            commits cm
-          JOIN 
-            repositories r ON cm.repository_id = r.id
-          WHERE 
-            cm.contributor_id = ? AND
-            r.primary_language IS NOT NULL
-          GROUP BY 
-            r.primary_language
-        )
-        SELECT 
-          language,
-          commit_count,
-          code_changes,
-          CAST(code_changes * 100.0 / (SELECT SUM(code_changes) FROM language_stats) AS INTEGER) AS percentage
-        FROM 
-          language_stats
-        ORDER BY 
-          code_changes DESC
-        LIMIT 10
-      `;
-      
-      const languagesResult = await pool.query(languagesQuery, [contributorId]);
-      
-      topLanguages = languagesResult.rows.map(row => ({
-        name: row.language,
-        percentage: parseInt(row.percentage)
-      }));
     }
     
     // Return the formatted metadata
@@ -1572,37 +1535,9 @@ export async function getContributorProfileData(req, res) {
     const contributor = contributorResult.rows[0];
     console.log('DEBUG: Found contributor:', contributor);
     
-    // Get top languages
-    const fileExtensionsQuery = `
-      SELECT 
-        SUBSTR(filename, INSTR(filename, '.') + 1) AS extension, 
-        COUNT(*) AS count,
-        ROUND(COUNT(*) * 100.0 / (
-          SELECT COUNT(*) 
-          FROM commits 
-          WHERE contributor_github_id = ? AND INSTR(filename, '.') > 0
-        ), 2) AS percentage
-      FROM 
-        commits 
-      WHERE 
-        contributor_github_id = ? 
-        AND INSTR(filename, '.') > 0
-      GROUP BY 
-        extension
-      ORDER BY 
-        count DESC
-      LIMIT 5
-    `;
-    
-    const fileExtensionsResult = await pool.query(fileExtensionsQuery, [id, id]);
-    console.log('DEBUG: File extensions result rows:', fileExtensionsResult.rows ? fileExtensionsResult.rows.length : 'undefined');
-    
-    // Map file extensions to languages
-    const topLanguages = fileExtensionsResult.rows && fileExtensionsResult.rows.length > 0 
-      ? mapFileExtensionsToLanguages(fileExtensionsResult.rows) 
-      : [];
-    
-    console.log('DEBUG: Mapped top languages:', topLanguages);
+    // Get top languages from the files changed in the contributor's commits
+    const topLanguages = await getContributorLanguages(contributor.id);
+    console.log('DEBUG: Top languages:', topLanguages);
     
     // Get activity period
     const activityPeriodQuery = `
@@ -1732,56 +1667,6 @@ export async function getContributorProfileData(req, res) {
   }
 }
 
-/**
- * Map file extensions to programming languages
- * @param {Array} extensions - Array of file extensions with counts
- * @returns {Array} - Array of language objects with names and percentages
- */
-function mapFileExtensionsToLanguages(extensions) {
-  const languageMap = {
-    'js': 'JavaScript',
-    'ts': 'TypeScript',
-    'jsx': 'JavaScript (React)',
-    'tsx': 'TypeScript (React)',
-    'py': 'Python',
-    'rb': 'Ruby',
-    'java': 'Java',
-    'php': 'PHP',
-    'cs': 'C#',
-    'cpp': 'C++',
-    'c': 'C',
-    'go': 'Go',
-    'rs': 'Rust',
-    'swift': 'Swift',
-    'kt': 'Kotlin',
-    'scala': 'Scala',
-    'html': 'HTML',
-    'css': 'CSS',
-    'scss': 'SCSS',
-    'less': 'Less',
-    'md': 'Markdown',
-    'json': 'JSON',
-    'yml': 'YAML',
-    'yaml': 'YAML',
-    'sh': 'Shell',
-    'bash': 'Shell',
-    'ps1': 'PowerShell',
-    'sql': 'SQL',
-    'vue': 'Vue',
-    'svelte': 'Svelte',
-    'dart': 'Dart',
-    'ex': 'Elixir',
-    'exs': 'Elixir',
-    'hs': 'Haskell'
-  };
-  
-  return extensions.map(ext => ({
-    name: languageMap[ext.extension] || ext.extension.toUpperCase(),
-    percentage: ext.percentage,
-    count: ext.count
-  }));
-}
-
 /**
  * Format activity period with first and last contribution dates
  * @param {string} firstDate - First contribution date
@@ -1,5 +1,6 @@
 import { getConnection } from '../../db/connection-manager.js';
-import { cacheOrCompute, generateCacheKey } from '../../utils/cache.js';
+import { cacheOrCompute, generateCacheKey, refreshCache, registerCacheWarmer } from '../../utils/cache.js';
+import { CACHE_TAGS } from '../../utils/cache-invalidation.js';
 import { setupLogger } from '../../utils/logger.js';
 
 // Setup component logger
@@ -11,6 +12,20 @@ const CACHE_PREFIX = 'entity-counts';
 // Default TTL for entity counts (1 hour)
 const ENTITY_COUNTS_TTL = 3600; // seconds
 
+// Expired counts are served for this long while they are recounted in the background
+const ENTITY_COUNTS_STALE_TTL = 600; // seconds
+
+// Options of the cached counts
+const CACHE_OPTIONS = { tags: [CACHE_TAGS.ENTITY_COUNTS], staleTtl: ENTITY_COUNTS_STALE_TTL };
+
+// Recount after pipeline runs (see CACHE_WARMUP_KEYS); the dashboard requests counts without parameters
+registerCacheWarmer(CACHE_PREFIX, () => refreshCache(
+  generateCacheKey(CACHE_PREFIX, {}),
+  fetchEntityCountsFromDb,
+  ENTITY_COUNTS_TTL,
+  CACHE_OPTIONS
+));
+
 /**
  * Get counts of all entity types
  * @param {object} req - Express request object
@@ -28,7 +43,8 @@ export async function getEntityCounts(req, res) {
         logger.info('Cache miss - fetching entity counts from database');
         return await fetchEntityCountsFromDb();
       },
-      ENTITY_COUNTS_TTL
+      ENTITY_COUNTS_TTL,
+      CACHE_OPTIONS
     );
     
     return res.json(results);
@@ -48,9 +64,14 @@ async function fetchEntityCountsFromDb() {
     
     // Basic entity counts
     const repositories = await db.get('SELECT COUNT(*) as count FROM repositories');
-    const contributors = await db.get('SELECT COUNT(*) as count FROM contributors');
+    // Merged aliases are counted as part of their primary contributor
+    const contributors = await db.get('SELECT COUNT(*) as count FROM contributors WHERE merged_into_id IS NULL');
     const mergeRequests = await db.get('SELECT COUNT(*) as count FROM merge_requests');
     const commits = await db.get('SELECT COUNT(*) as count FROM commits');
+    const issues = await db.get('SELECT COUNT(*) as count FROM issues').catch(() => ({ count: 0 }));
+    const openIssues = await db.get(`
+      SELECT COUNT(*) as count FROM issues WHERE state = 'open'
+    `).catch(() => ({ count: 0 }));
     
     // Card 1: Count of all items in the closed_merge_requests_raw table
     const closedMergeRequestsRaw = await db.get(`
@@ -106,6 +127,7 @@ async function fetchEntityCountsFromDb() {
       contributors: contributors.count,
       mergeRequests: mergeRequests.count,
       commits: commits.count,
+      issues: issues.count,
       closedMergeRequestsRaw: closedMergeRequestsRaw.count,
       unprocessedMergeRequests: unprocessedMergeRequests.count,
       totalUnenriched
@@ -117,6 +139,8 @@ async function fetchEntityCountsFromDb() {
       contributors: contributors.count,
       mergeRequests: mergeRequests.count,
       commits: commits.count,
+      issues: issues.count,
+      openIssues: openIssues.count,
       
       // Enriched counts
       enrichedRepositories: enrichedRepositories.count,
@@ -0,0 +1,99 @@
+import { eventBus } from '../../services/events/event-bus.js';
+import { subscribe, parseSubscription } from '../../services/events/event-stream.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('events-controller');
+
+// Interval of the comment line that keeps idle streams open through proxies
+const KEEP_ALIVE_INTERVAL_MS = 25 * 1000;
+
+/**
+ * List stored events after a cursor, for clients that poll instead of streaming
+ * Query: after, limit, type, pipeline_type, level (comma separated lists)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function getEvents(req, res) {
+  let subscription;
+
+  try {
+    subscription = parseSubscription(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+
+  try {
+    const events = await eventBus.replay({ after: subscription.after || 0, filter: subscription.filter, limit });
+
+    return res.json({
+      data: events,
+      cursor: events.length > 0 ? events[events.length - 1].id : subscription.after || await eventBus.getLatestId()
+    });
+  } catch (error) {
+    logger.error('Error listing events:', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Stream events as Server-Sent Events. Each message carries the event id, so
+ * a reconnecting EventSource resumes from Last-Event-ID; the after query
+ * parameter does the same for new connections.
+ * Query: after, type, pipeline_type, level (comma separated lists)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function streamEvents(req, res) {
+  let params;
+
+  try {
+    params = parseSubscription({ ...req.query, after: req.headers['last-event-id'] || req.query.after });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // The compression middleware buffers writes until flushed
+  const write = (chunk) => {
+    res.write(chunk);
+    res.flush?.();
+  };
+
+  write(`data: ${JSON.stringify({ type: 'connected', filter: params.filter })}\n\n`);
+
+  const keepAlive = setInterval(() => write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL_MS);
+  let subscription = null;
+  let closed = false;
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(keepAlive);
+    subscription?.close();
+  });
+
+  try {
+    subscription = await subscribe({
+      after: params.after,
+      filter: params.filter,
+      send: (event) => write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`),
+      close: () => res.end()
+    });
+
+    if (closed) {
+      subscription.close();
+    }
+  } catch (error) {
+    logger.error('Error opening event stream:', { error });
+    clearInterval(keepAlive);
+    res.end();
+  }
+}
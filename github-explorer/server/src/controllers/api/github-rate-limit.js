@@ -0,0 +1,28 @@
+import { githubTokenPool } from '../../services/github/token-pool.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('github-rate-limit-controller');
+
+/**
+ * Get the rate limits of the GitHub token pool, per token and in total
+ * Query: refresh=true to read the limits of every token from GitHub first
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function getGitHubRateLimit(req, res) {
+  if (githubTokenPool.size === 0) {
+    return res.status(503).json({ error: 'No GitHub tokens configured. Set GITHUB_TOKENS or GITHUB_TOKEN' });
+  }
+
+  try {
+    if (req.query.refresh === 'true') {
+      await githubTokenPool.refresh({ maxAgeMs: 0 });
+    }
+
+    return res.json({ data: githubTokenPool.getStatus() });
+  } catch (error) {
+    logger.error('Error fetching GitHub rate limits:', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,207 @@
+import {
+  findIdentityCandidates,
+  listIdentityMerges,
+  getIdentity as findIdentity,
+  confirmIdentity as saveIdentity,
+  mergeIdentity as mergeIdentityContributors,
+  splitIdentity as splitIdentityContributor,
+  undoIdentityMerge
+} from '../../services/identity/identity.service.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('identities-controller');
+
+/**
+ * Respond to an error from the identity service: invalid requests are 400s,
+ * operations that conflict with earlier merges are 409s
+ * @param {object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} action - What was being done, for the log
+ */
+function handleIdentityError(res, error, action) {
+  if (error.message.startsWith('Invalid')) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (error.message.startsWith('Cannot')) {
+    return res.status(409).json({ error: error.message });
+  }
+
+  logger.error(`Error ${action}:`, { error });
+  return res.status(500).json({ error: error.message });
+}
+
+/**
+ * List clusters of contributors that look like the same person
+ * Query: min_confidence (0-1)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function getIdentityCandidates(req, res) {
+  const minConfidence = req.query.min_confidence === undefined ? 0 : Number(req.query.min_confidence);
+
+  if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+    return res.status(400).json({ error: 'Invalid min_confidence. Must be a number between 0 and 1' });
+  }
+
+  try {
+    const candidates = await findIdentityCandidates({ minConfidence });
+
+    return res.json({
+      data: candidates,
+      total: candidates.length
+    });
+  } catch (error) {
+    return handleIdentityError(res, error, 'finding identity candidates');
+  }
+}
+
+/**
+ * List the merge audit log
+ * Query: contributor_id, limit
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function getIdentityMerges(req, res) {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+  try {
+    const merges = await listIdentityMerges({ contributorId: req.query.contributor_id, limit });
+
+    return res.json({
+      data: merges,
+      total: merges.length
+    });
+  } catch (error) {
+    return handleIdentityError(res, error, 'listing identity merges');
+  }
+}
+
+/**
+ * Get a confirmed identity with its contributors and merges
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function getIdentity(req, res) {
+  try {
+    const identity = await findIdentity(req.params.id);
+
+    if (!identity) {
+      return res.status(404).json({ error: `Identity ${req.params.id} not found` });
+    }
+
+    return res.json({ data: identity });
+  } catch (error) {
+    return handleIdentityError(res, error, `fetching identity ${req.params.id}`);
+  }
+}
+
+/**
+ * Confirm that contributors are the same person
+ * Expects { contributor_ids: [...], primary_contributor_id? } in the request body
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function confirmIdentity(req, res) {
+  const { contributor_ids: contributorIds, primary_contributor_id: primaryContributorId } = req.body || {};
+
+  try {
+    const identity = await saveIdentity({
+      contributorIds,
+      primaryContributorId,
+      confirmedBy: req.auth.keyId
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Confirmed identity of ${identity.contributors.length} contributors`,
+      data: identity
+    });
+  } catch (error) {
+    return handleIdentityError(res, error, 'confirming identity');
+  }
+}
+
+/**
+ * Merge the contributors of an identity into its primary contributor
+ * Accepts { contributor_ids? } in the request body to merge only some of them
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function mergeIdentity(req, res) {
+  const { contributor_ids: contributorIds } = req.body || {};
+
+  if (contributorIds !== undefined && !Array.isArray(contributorIds)) {
+    return res.status(400).json({ error: 'Invalid contributor_ids. Must be an array of contributor IDs' });
+  }
+
+  try {
+    const result = await mergeIdentityContributors(req.params.id, { contributorIds, mergedBy: req.auth.keyId });
+
+    if (!result) {
+      return res.status(404).json({ error: `Identity ${req.params.id} not found` });
+    }
+
+    return res.json({
+      success: true,
+      message: `Merged ${result.merges.length} contributors`,
+      data: result
+    });
+  } catch (error) {
+    return handleIdentityError(res, error, `merging identity ${req.params.id}`);
+  }
+}
+
+/**
+ * Split a contributor off an identity, undoing its merge if it was merged
+ * Expects { contributor_id } in the request body
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function splitIdentity(req, res) {
+  const { contributor_id: contributorId } = req.body || {};
+
+  if (!contributorId) {
+    return res.status(400).json({ error: 'contributor_id is required' });
+  }
+
+  try {
+    const result = await splitIdentityContributor(req.params.id, contributorId, { splitBy: req.auth.keyId });
+
+    if (!result) {
+      return res.status(404).json({ error: `Identity ${req.params.id} not found` });
+    }
+
+    return res.json({
+      success: true,
+      message: `Split contributor ${contributorId} off identity ${req.params.id}`,
+      data: result
+    });
+  } catch (error) {
+    return handleIdentityError(res, error, `splitting identity ${req.params.id}`);
+  }
+}
+
+/**
+ * Undo a merge from the audit log
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function undoMerge(req, res) {
+  try {
+    const merge = await undoIdentityMerge(req.params.id, { undoneBy: req.auth.keyId });
+
+    if (!merge) {
+      return res.status(404).json({ error: `Merge ${req.params.id} not found` });
+    }
+
+    return res.json({
+      success: true,
+      message: `Undid merge of ${merge.alias_contributor_id} into ${merge.primary_contributor_id}`,
+      data: merge
+    });
+  } catch (error) {
+    return handleIdentityError(res, error, `undoing merge ${req.params.id}`);
+  }
+}
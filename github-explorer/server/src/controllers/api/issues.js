@@ -0,0 +1,267 @@
+import { pool } from '../../db/db-pool.js';
+import { getConnection } from '../../db/connection-manager.js';
+import { handleDbError } from '../../utils/db-utils.js';
+import { cacheOrCompute, generateCacheKey } from '../../utils/cache.js';
+import { CACHE_TAGS } from '../../utils/cache-invalidation.js';
+import { ensureIssuesTableExists } from '../../services/github/issue.service.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('issues-controller');
+
+// Cache prefix for issues
+const CACHE_PREFIX = 'issues';
+
+// Default TTL for issues (1 hour)
+const ISSUES_TTL = 3600; // seconds
+
+/**
+ * Make sure the issues tables exist on databases created before issues were stored
+ */
+async function ensureIssuesTable() {
+  const db = await getConnection();
+  await ensureIssuesTableExists(db);
+}
+
+/**
+ * Get the merge requests that close an issue
+ * @param {string} issueId - Issue ID
+ * @returns {Promise<Array>} Merge requests
+ */
+async function getClosingMergeRequests(issueId) {
+  const result = await pool.query(`
+    SELECT
+      mr.id,
+      mr.github_id,
+      mr.title,
+      mr.state,
+      mr.merged_at,
+      c.username AS author_username
+    FROM
+      issue_merge_requests imr
+    JOIN
+      merge_requests mr ON imr.merge_request_id = mr.id
+    LEFT JOIN
+      contributors c ON mr.author_id = c.id
+    WHERE
+      imr.issue_id = $1
+    ORDER BY
+      mr.created_at ASC
+  `, [issueId]);
+
+  return result.rows;
+}
+
+/**
+ * Get all issues with pagination and filtering
+ */
+export async function getIssues(req, res) {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = (page - 1) * limit;
+  const repositoryId = req.query.repository_id;
+  const authorId = req.query.author_id;
+  const state = req.query.state; // open, closed
+  const label = req.query.label;
+
+  try {
+    await ensureIssuesTable();
+
+    // Generate cache key based on query parameters
+    const cacheKey = generateCacheKey(CACHE_PREFIX, {
+      page,
+      limit,
+      repositoryId,
+      authorId,
+      state,
+      label
+    });
+
+    // Use cache-or-compute pattern
+    const result = await cacheOrCompute(
+      cacheKey,
+      async () => {
+        logger.info('Cache miss - fetching issues from database');
+
+        // Build query conditions
+        const conditions = [];
+        const params = [];
+        let paramIndex = 1;
+
+        if (repositoryId) {
+          conditions.push(`i.repository_id = $${paramIndex++}`);
+          params.push(repositoryId);
+        }
+
+        if (authorId) {
+          conditions.push(`i.author_id = $${paramIndex++}`);
+          params.push(authorId);
+        }
+
+        if (state) {
+          conditions.push(`i.state = $${paramIndex++}`);
+          params.push(state);
+        }
+
+        if (label) {
+          conditions.push(`EXISTS (SELECT 1 FROM json_each(i.labels) WHERE json_each.value = $${paramIndex++})`);
+          params.push(label);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        // Get total count for pagination
+        const countQuery = `
+          SELECT COUNT(*) AS count
+          FROM issues i
+          ${whereClause}
+        `;
+
+        const countResult = await pool.query(countQuery, params);
+        const totalCount = parseInt(countResult.rows[0].count);
+
+        // Get issues with pagination
+        const issueQuery = `
+          SELECT
+            i.*,
+            r.full_name AS repository_name,
+            c.username AS author_username,
+            c.avatar AS author_avatar,
+            (SELECT COUNT(*) FROM issue_merge_requests imr WHERE imr.issue_id = i.id) AS closing_merge_requests_count
+          FROM
+            issues i
+          JOIN
+            repositories r ON i.repository_id = r.id
+          LEFT JOIN
+            contributors c ON i.author_id = c.id
+          ${whereClause}
+          ORDER BY
+            i.created_at DESC
+          LIMIT $${paramIndex++} OFFSET $${paramIndex++}
+        `;
+
+        params.push(limit, offset);
+        const result = await pool.query(issueQuery, params);
+
+        return {
+          data: result.rows,
+          pagination: {
+            page,
+            limit,
+            total: totalCount,
+            totalPages: Math.ceil(totalCount / limit)
+          }
+        };
+      },
+      ISSUES_TTL,
+      {
+        tags: [
+          CACHE_TAGS.ISSUE_LIST,
+          repositoryId && CACHE_TAGS.repository(repositoryId),
+          authorId && CACHE_TAGS.contributor(authorId)
+        ]
+      }
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error fetching issues:', error);
+    handleDbError(error, res);
+  }
+}
+
+/**
+ * Get issue by ID
+ */
+export async function getIssueById(req, res) {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Issue ID is required' });
+  }
+
+  try {
+    await ensureIssuesTable();
+
+    logger.info(`Looking up issue with ID: ${id}`);
+
+    // Issue numbers are only unique per repository, so match the global GitHub ID instead
+    const issueQuery = `
+      SELECT
+        i.*,
+        r.full_name AS repository_name,
+        c.username AS author_username,
+        c.avatar AS author_avatar
+      FROM
+        issues i
+      JOIN
+        repositories r ON i.repository_id = r.id
+      LEFT JOIN
+        contributors c ON i.author_id = c.id
+      WHERE
+        i.id = $1 OR i.github_node_id = $1
+    `;
+
+    const issueResult = await pool.query(issueQuery, [id]);
+
+    if (issueResult.rows.length === 0) {
+      logger.info(`Issue with ID ${id} not found`);
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const issue = issueResult.rows[0];
+
+    res.json({
+      ...issue,
+      closing_merge_requests: await getClosingMergeRequests(issue.id)
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+}
+
+/**
+ * Get issue by repository and number
+ */
+export async function getIssueByNumber(req, res) {
+  const { repository_id, number } = req.params;
+
+  if (!repository_id || !number) {
+    return res.status(400).json({ error: 'Repository ID and issue number are required' });
+  }
+
+  try {
+    await ensureIssuesTable();
+
+    const issueQuery = `
+      SELECT
+        i.*,
+        r.full_name AS repository_name,
+        c.username AS author_username,
+        c.avatar AS author_avatar
+      FROM
+        issues i
+      JOIN
+        repositories r ON i.repository_id = r.id
+      LEFT JOIN
+        contributors c ON i.author_id = c.id
+      WHERE
+        (i.repository_id = $1 OR r.github_id = $1) AND i.github_id = $2
+    `;
+
+    const issueResult = await pool.query(issueQuery, [repository_id, number]);
+
+    if (issueResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const issue = issueResult.rows[0];
+
+    res.json({
+      ...issue,
+      closing_merge_requests: await getClosingMergeRequests(issue.id)
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+}
@@ -1,6 +1,7 @@
 import { pool } from '../../db/db-pool.js';
 import { handleDbError } from '../../utils/db-utils.js';
 import { cacheOrCompute, generateCacheKey } from '../../utils/cache.js';
+import { CACHE_TAGS } from '../../utils/cache-invalidation.js';
 import { setupLogger } from '../../utils/logger.js';
 
 // Setup component logger
@@ -103,7 +104,14 @@ export async function getMergeRequests(req, res) {
           }
         };
       },
-      MERGE_REQUESTS_TTL
+      MERGE_REQUESTS_TTL,
+      {
+        tags: [
+          CACHE_TAGS.MERGE_REQUEST_LIST,
+          repositoryId && CACHE_TAGS.repository(repositoryId),
+          authorId && CACHE_TAGS.contributor(authorId)
+        ]
+      }
     );
     
     res.json(result);
@@ -14,10 +14,15 @@ export async function getPipelineSchedules(req, res) {
       SELECT 
         id, 
         pipeline_type, 
-        schedule_expression, 
-        last_run, 
-        next_run, 
-        enabled, 
+        name,
+        cron_expression, 
+        time_zone,
+        catch_up_policy,
+        last_run_at, 
+        next_run_at, 
+        last_result,
+        is_active, 
+        locked_by,
         created_at, 
         updated_at
       FROM pipeline_schedules
@@ -26,17 +31,20 @@ export async function getPipelineSchedules(req, res) {
     
     // Format dates for better readability
     schedules.forEach(schedule => {
-      if (schedule.last_run) {
-        schedule.last_run_formatted = new Date(schedule.last_run).toISOString();
+      schedule.is_active = Boolean(schedule.is_active);
+      schedule.last_result = schedule.last_result ? JSON.parse(schedule.last_result) : null;
+      
+      if (schedule.last_run_at) {
+        schedule.last_run_formatted = new Date(schedule.last_run_at).toISOString();
       }
       
-      if (schedule.next_run) {
-        schedule.next_run_formatted = new Date(schedule.next_run).toISOString();
+      if (schedule.next_run_at) {
+        schedule.next_run_formatted = new Date(schedule.next_run_at).toISOString();
       }
       
       // Calculate time until next run
-      if (schedule.next_run) {
-        const nextRunDate = new Date(schedule.next_run);
+      if (schedule.next_run_at) {
+        const nextRunDate = new Date(schedule.next_run_at);
         const now = new Date();
         const timeUntilNextRun = nextRunDate - now;
         
@@ -1,6 +1,14 @@
 import { pool } from '../../db/db-pool.js';
 import { handleDbError } from '../../utils/db-utils.js';
 import { cacheOrCompute, generateCacheKey } from '../../utils/cache.js';
+import { CACHE_TAGS } from '../../utils/cache-invalidation.js';
+import { getRepositoryOwnership as buildOwnershipReport } from '../../services/analytics/ownership.service.js';
+import { getRepositoryChurn as buildChurnReport, getFileChurn as buildFileChurnReport } from '../../services/analytics/churn.service.js';
+import { getRepositoryLanguages as buildLanguageBreakdown } from '../../services/analytics/language.service.js';
+import { getDeliveryMetrics as buildDeliveryMetrics } from '../../services/analytics/delivery.service.js';
+import { getRepositoryCommitMix } from '../../services/analytics/commit-classification.service.js';
+import { getRepositoryHealth as loadRepositoryHealth, updateRepositoryHealth } from '../../services/analytics/health.service.js';
+import { LANGUAGE_TYPES } from '../../utils/language-classifier.js';
 import { setupLogger } from '../../utils/logger.js';
 
 // Setup component logger
@@ -12,6 +20,12 @@ const CACHE_PREFIX = 'repositories';
 // Default TTL for repositories (1 hour)
 const REPOSITORIES_TTL = 3600; // seconds
 
+// Rankings of the churn report
+const CHURN_SORTS = ['churn', 'changes', 'authors'];
+
+// Timeline intervals of the commit work mix
+const COMMIT_MIX_INTERVALS = ['week', 'month'];
+
 /**
  * Get all repositories with pagination
  */
@@ -57,7 +71,8 @@ export async function getRepositories(req, res) {
           }
         };
       },
-      REPOSITORIES_TTL
+      REPOSITORIES_TTL,
+      { tags: [CACHE_TAGS.REPOSITORY_LIST] }
     );
     
     res.json(result);
@@ -251,4 +266,377 @@ export async function getRepositoryBySlug(req, res) {
   } catch (error) {
     handleDbError(error, res);
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Find a repository by ID or GitHub ID
+ * @param {string} id - Repository ID or GitHub ID
+ * @returns {Promise<Object|null>} Repository ID, GitHub ID and full name, or null if not found
+ */
+async function findRepository(id) {
+  const result = await pool.query(
+    'SELECT id, github_id, full_name FROM repositories WHERE id = $1 OR github_id = $1',
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Parse the window of an analysis from the days query parameter
+ * @param {string} value - Days back from now, 'all' or 0 for all history
+ * @returns {number} Days, 0 for all history
+ */
+function parseWindowDays(value) {
+  if (value === 'all') {
+    return 0;
+  }
+
+  const days = parseInt(value);
+  return Number.isNaN(days) ? 90 : Math.min(Math.max(days, 0), 3650);
+}
+
+/**
+ * Get the code ownership report of a repository: top contributors by lines
+ * changed and bus factor per directory and file, plus files changed by a
+ * single contributor
+ *
+ * Query parameters: path (directory to report on), depth, top, file_limit,
+ * include_bots
+ */
+export async function getRepositoryOwnership(req, res) {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  const options = {
+    path: String(req.query.path || '').replace(/^\/+|\/+$/g, ''),
+    depth: Math.min(Math.max(parseInt(req.query.depth) || 2, 1), 10),
+    topContributors: Math.min(Math.max(parseInt(req.query.top) || 5, 1), 50),
+    fileLimit: Math.min(Math.max(parseInt(req.query.file_limit) || 200, 1), 1000),
+    includeBots: req.query.include_bots === 'true'
+  };
+
+  try {
+    const repository = await findRepository(id);
+
+    if (!repository) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const cacheKey = generateCacheKey(`${CACHE_PREFIX}:ownership:${repository.id}`, options);
+
+    const result = await cacheOrCompute(
+      cacheKey,
+      async () => {
+        logger.info(`Cache miss - building ownership report for repository ${repository.full_name}`);
+
+        const report = await buildOwnershipReport(repository.id, options);
+
+        return { repository, ...report };
+      },
+      REPOSITORIES_TTL,
+      { tags: [CACHE_TAGS.repository(repository.id)] }
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error building repository ownership report:', error);
+    handleDbError(error, res);
+  }
+}
+
+/**
+ * Get the churn report of a repository: files ranked by change frequency and
+ * lines churned, high-churn files with many authors flagged as hotspots, and
+ * pairs of files that are frequently changed together
+ *
+ * Query parameters: days (window, 'all' for all history), sort (churn,
+ * changes, authors), limit, min_authors, min_shared, include_bots,
+ * include_vendored
+ */
+export async function getRepositoryChurn(req, res) {
+  const { id } = req.params;
+  const sort = req.query.sort || 'churn';
+
+  if (!id) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  if (!CHURN_SORTS.includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Must be one of: ${CHURN_SORTS.join(', ')}` });
+  }
+
+  const options = {
+    days: parseWindowDays(req.query.days),
+    sort,
+    limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500),
+    minAuthors: Math.max(parseInt(req.query.min_authors) || 3, 1),
+    minSharedChanges: Math.max(parseInt(req.query.min_shared) || 2, 1),
+    includeBots: req.query.include_bots === 'true',
+    includeVendored: req.query.include_vendored === 'true'
+  };
+
+  try {
+    const repository = await findRepository(id);
+
+    if (!repository) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const cacheKey = generateCacheKey(`${CACHE_PREFIX}:churn:${repository.id}`, options);
+
+    const result = await cacheOrCompute(
+      cacheKey,
+      async () => {
+        logger.info(`Cache miss - building churn report for repository ${repository.full_name}`);
+
+        const report = await buildChurnReport(repository.id, options);
+
+        return { repository, ...report };
+      },
+      REPOSITORIES_TTL,
+      { tags: [CACHE_TAGS.repository(repository.id)] }
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error building repository churn report:', error);
+    handleDbError(error, res);
+  }
+}
+
+/**
+ * Get the churn history of a single file of a repository
+ *
+ * Query parameters: path (required), days (window, 'all' for all history),
+ * limit, include_bots
+ */
+export async function getRepositoryFileChurn(req, res) {
+  const { id } = req.params;
+  const path = String(req.query.path || '').replace(/^\/+/, '');
+
+  if (!id) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  if (!path) {
+    return res.status(400).json({ error: 'File path is required' });
+  }
+
+  const options = {
+    days: parseWindowDays(req.query.days),
+    limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+    includeBots: req.query.include_bots === 'true'
+  };
+
+  try {
+    const repository = await findRepository(id);
+
+    if (!repository) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const cacheKey = generateCacheKey(`${CACHE_PREFIX}:churn:${repository.id}`, { path, ...options });
+
+    const result = await cacheOrCompute(
+      cacheKey,
+      async () => {
+        logger.info(`Cache miss - building churn report for ${path} in ${repository.full_name}`);
+
+        const report = await buildFileChurnReport(repository.id, path, options);
+
+        // Don't cache misses; the file may show up with the next commits
+        return report ? { repository, ...report } : null;
+      },
+      REPOSITORIES_TTL,
+      { tags: [CACHE_TAGS.repository(repository.id)] }
+    );
+
+    if (!result) {
+      return res.status(404).json({ error: 'No changes found for this file' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error building file churn report:', error);
+    handleDbError(error, res);
+  }
+}
+
+/**
+ * Get the language breakdown of a repository from the files changed in its
+ * commits. Vendored and generated files are left out, and only programming
+ * and markup languages are counted unless all_types=true.
+ */
+export async function getRepositoryLanguages(req, res) {
+  const { id } = req.params;
+  const allTypes = req.query.all_types === 'true';
+
+  if (!id) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  try {
+    const repository = await findRepository(id);
+
+    if (!repository) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const cacheKey = generateCacheKey(`${CACHE_PREFIX}:languages:${repository.id}`, { allTypes });
+
+    const result = await cacheOrCompute(
+      cacheKey,
+      async () => {
+        logger.info(`Cache miss - building language breakdown for repository ${repository.full_name}`);
+
+        const languages = await buildLanguageBreakdown(repository.id, {
+          types: allTypes ? Object.values(LANGUAGE_TYPES) : undefined
+        });
+
+        return {
+          repository,
+          primary_language: languages[0]?.name || null,
+          lines_changed: languages.reduce((sum, language) => sum + language.lines_changed, 0),
+          languages
+        };
+      },
+      REPOSITORIES_TTL,
+      { tags: [CACHE_TAGS.repository(repository.id)] }
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error building repository language breakdown:', error);
+    handleDbError(error, res);
+  }
+}
+
+/**
+ * Get the delivery metrics of a repository: lead time for change, merge
+ * frequency, review latency, merge request sizes and revert rate, with a
+ * weekly series for charting
+ *
+ * Query parameters: days (window, 'all' for all history)
+ */
+export async function getRepositoryDeliveryMetrics(req, res) {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  const options = { days: parseWindowDays(req.query.days) };
+
+  try {
+    const repository = await findRepository(id);
+
+    if (!repository) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const cacheKey = generateCacheKey(`${CACHE_PREFIX}:delivery:${repository.id}`, options);
+
+    const result = await cacheOrCompute(
+      cacheKey,
+      async () => {
+        logger.info(`Cache miss - building delivery metrics for repository ${repository.full_name}`);
+
+        const metrics = await buildDeliveryMetrics(repository.id, options);
+
+        return { repository, ...metrics };
+      },
+      REPOSITORIES_TTL,
+      { tags: [CACHE_TAGS.repository(repository.id)] }
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error building repository delivery metrics:', error);
+    handleDbError(error, res);
+  }
+}
+
+/**
+ * Get the work mix of a repository's commits: commits per classification
+ * (feature, bugfix, refactor, revert...), bugfix share and conventional-commit
+ * adoption, overall and over time
+ *
+ * Query parameters: days (window, 'all' for all history), interval (week,
+ * month), include_bots
+ */
+export async function getRepositoryCommitTypes(req, res) {
+  const { id } = req.params;
+  const interval = req.query.interval || 'week';
+
+  if (!id) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  if (!COMMIT_MIX_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `Invalid interval. Must be one of: ${COMMIT_MIX_INTERVALS.join(', ')}` });
+  }
+
+  const options = {
+    days: parseWindowDays(req.query.days),
+    interval,
+    includeBots: req.query.include_bots === 'true'
+  };
+
+  try {
+    const repository = await findRepository(id);
+
+    if (!repository) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    const cacheKey = generateCacheKey(`${CACHE_PREFIX}:commit-types:${repository.id}`, options);
+
+    const result = await cacheOrCompute(
+      cacheKey,
+      async () => {
+        logger.info(`Cache miss - building commit work mix for repository ${repository.full_name}`);
+
+        const mix = await getRepositoryCommitMix(repository.id, options);
+
+        return { repository, ...mix };
+      },
+      REPOSITORIES_TTL,
+      { tags: [CACHE_TAGS.repository(repository.id)] }
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error building repository commit work mix:', error);
+    handleDbError(error, res);
+  }
+}
+
+/**
+ * Get the health score of a repository with the per-factor breakdown that
+ * explains it. The stored score is returned unless refresh=true.
+ */
+export async function getRepositoryHealth(req, res) {
+  const { id } = req.params;
+  const refresh = req.query.refresh === 'true';
+
+  if (!id) {
+    return res.status(400).json({ error: 'Repository ID is required' });
+  }
+
+  try {
+    const health = refresh ? await updateRepositoryHealth(id) : await loadRepositoryHealth(id);
+
+    if (!health) {
+      return res.status(404).json({ error: 'Repository not found' });
+    }
+
+    res.json(health);
+  } catch (error) {
+    logger.error('Error getting repository health:', error);
+    handleDbError(error, res);
+  }
+}
@@ -0,0 +1,93 @@
+import {
+  listWatchedRepositories,
+  addWatchedRepository,
+  removeWatchedRepository,
+  parseRepositoryFullName
+} from '../../services/github/watchlist.service.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('repository-watchlist-controller');
+
+/**
+ * Get all repositories on the watchlist
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function getWatchlist(req, res) {
+  try {
+    const activeOnly = req.query.active === 'true';
+    const repositories = await listWatchedRepositories({ activeOnly });
+
+    return res.json({
+      data: repositories,
+      total: repositories.length
+    });
+  } catch (error) {
+    logger.error('Error fetching repository watchlist:', { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Add a repository to the watchlist
+ * Expects { full_name: 'owner/repo' } in the request body
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function addToWatchlist(req, res) {
+  const { full_name: fullName } = req.body || {};
+
+  if (!fullName) {
+    return res.status(400).json({ error: 'Repository full_name is required' });
+  }
+
+  if (!parseRepositoryFullName(fullName)) {
+    return res.status(400).json({ error: `Invalid repository name: ${fullName}. Format should be 'owner/repo'` });
+  }
+
+  try {
+    const { entry, created } = await addWatchedRepository(fullName);
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created
+        ? `${entry.full_name} added to the watchlist`
+        : `${entry.full_name} is already on the watchlist`,
+      data: entry
+    });
+  } catch (error) {
+    logger.error(`Error adding ${fullName} to the watchlist:`, { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Remove a repository from the watchlist
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+export async function removeFromWatchlist(req, res) {
+  const { owner, repo } = req.params;
+  const fullName = `${owner}/${repo}`;
+
+  if (!parseRepositoryFullName(fullName)) {
+    return res.status(400).json({ error: `Invalid repository name: ${fullName}. Format should be 'owner/repo'` });
+  }
+
+  try {
+    const removed = await removeWatchedRepository(fullName);
+
+    if (!removed) {
+      return res.status(404).json({ error: `${fullName} is not on the watchlist` });
+    }
+
+    return res.json({
+      success: true,
+      message: `${fullName.toLowerCase()} removed from the watchlist`
+    });
+  } catch (error) {
+    logger.error(`Error removing ${fullName} from the watchlist:`, { error });
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,203 @@
+import { pool } from '../../db/db-pool.js';
+import { getConnection } from '../../db/connection-manager.js';
+import { handleDbError } from '../../utils/db-utils.js';
+import { ensureReviewTablesExist } from '../../services/github/review.service.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('reviews-controller');
+
+/**
+ * Make sure the review tables exist on databases created before reviews were stored
+ */
+async function ensureReviewTables() {
+  const db = await getConnection();
+  await ensureReviewTablesExist(db);
+}
+
+/**
+ * Get the reviews and review comments of a merge request
+ */
+export async function getMergeRequestReviews(req, res) {
+  const { id } = req.params;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Merge request ID is required' });
+  }
+
+  try {
+    await ensureReviewTables();
+
+    const mrResult = await pool.query(
+      'SELECT id, review_count, comment_count FROM merge_requests WHERE id = $1',
+      [id]
+    );
+
+    if (mrResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Merge request not found' });
+    }
+
+    const reviewsResult = await pool.query(`
+      SELECT
+        rv.*,
+        c.username AS reviewer_username,
+        c.avatar AS reviewer_avatar
+      FROM
+        merge_request_reviews rv
+      LEFT JOIN
+        contributors c ON rv.reviewer_id = c.id
+      WHERE
+        rv.merge_request_id = $1
+      ORDER BY
+        rv.submitted_at ASC
+    `, [id]);
+
+    const commentsResult = await pool.query(`
+      SELECT
+        rc.*,
+        c.username AS author_username,
+        c.avatar AS author_avatar
+      FROM
+        merge_request_review_comments rc
+      LEFT JOIN
+        contributors c ON rc.author_id = c.id
+      WHERE
+        rc.merge_request_id = $1
+      ORDER BY
+        rc.created_at ASC
+    `, [id]);
+
+    // Attach each comment to the review it was left in
+    const reviews = reviewsResult.rows.map(review => ({
+      ...review,
+      comments: commentsResult.rows.filter(comment => comment.review_github_id === review.github_id)
+    }));
+
+    res.json({
+      merge_request_id: id,
+      review_count: mrResult.rows[0].review_count,
+      comment_count: mrResult.rows[0].comment_count,
+      reviews
+    });
+  } catch (error) {
+    logger.error('Error fetching merge request reviews:', error);
+    handleDbError(error, res);
+  }
+}
+
+/**
+ * Get the reviews a contributor has given, with a summary by review state
+ */
+export async function getContributorReviews(req, res) {
+  const { id } = req.params;
+  const limit = parseInt(req.query.limit) || 10;
+  const offset = parseInt(req.query.offset) || 0;
+  const state = req.query.state; // APPROVED, CHANGES_REQUESTED, COMMENTED, DISMISSED
+
+  if (!id) {
+    return res.status(400).json({ error: 'Contributor ID is required' });
+  }
+
+  try {
+    await ensureReviewTables();
+
+    // Verify the contributor exists
+    const contributorResult = await pool.query(
+      'SELECT id, code_reviews FROM contributors WHERE github_id = $1 OR id = $1',
+      [id]
+    );
+
+    if (contributorResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Contributor not found' });
+    }
+
+    const contributor = contributorResult.rows[0];
+
+    // Reviews of the contributor's own merge requests are not credited
+    const baseConditions = `
+      rv.reviewer_id = $1
+      AND rv.state != 'PENDING'
+      AND (mr.author_id IS NULL OR mr.author_id != rv.reviewer_id)
+    `;
+
+    const summaryResult = await pool.query(`
+      SELECT
+        COUNT(*) AS total,
+        SUM(CASE WHEN rv.state = 'APPROVED' THEN 1 ELSE 0 END) AS approved,
+        SUM(CASE WHEN rv.state = 'CHANGES_REQUESTED' THEN 1 ELSE 0 END) AS changes_requested,
+        SUM(CASE WHEN rv.state = 'COMMENTED' THEN 1 ELSE 0 END) AS commented,
+        COUNT(DISTINCT rv.merge_request_id) AS merge_requests_reviewed,
+        COUNT(DISTINCT rv.repository_id) AS repositories_reviewed
+      FROM merge_request_reviews rv
+      JOIN merge_requests mr ON rv.merge_request_id = mr.id
+      WHERE ${baseConditions}
+    `, [contributor.id]);
+
+    const commentsResult = await pool.query(
+      'SELECT COUNT(*) AS count FROM merge_request_review_comments WHERE author_id = $1',
+      [contributor.id]
+    );
+
+    const params = [contributor.id];
+    let stateFilter = '';
+    if (state) {
+      stateFilter = 'AND rv.state = $2';
+      params.push(state.toUpperCase());
+    }
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) AS total
+      FROM merge_request_reviews rv
+      JOIN merge_requests mr ON rv.merge_request_id = mr.id
+      WHERE ${baseConditions} ${stateFilter}
+    `, params);
+    const totalCount = parseInt(countResult.rows[0].total) || 0;
+
+    const reviewsResult = await pool.query(`
+      SELECT
+        rv.*,
+        mr.github_id AS merge_request_number,
+        mr.title AS merge_request_title,
+        mr.state AS merge_request_state,
+        r.full_name AS repository_name,
+        author.username AS merge_request_author_username
+      FROM
+        merge_request_reviews rv
+      JOIN
+        merge_requests mr ON rv.merge_request_id = mr.id
+      JOIN
+        repositories r ON rv.repository_id = r.id
+      LEFT JOIN
+        contributors author ON mr.author_id = author.id
+      WHERE
+        ${baseConditions} ${stateFilter}
+      ORDER BY
+        rv.submitted_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const summary = summaryResult.rows[0];
+
+    res.json({
+      summary: {
+        total: summary.total || 0,
+        approved: summary.approved || 0,
+        changes_requested: summary.changes_requested || 0,
+        commented: summary.commented || 0,
+        merge_requests_reviewed: summary.merge_requests_reviewed || 0,
+        repositories_reviewed: summary.repositories_reviewed || 0,
+        review_comments: commentsResult.rows[0].count || 0
+      },
+      data: reviewsResult.rows,
+      pagination: {
+        total: totalCount,
+        limit,
+        offset,
+        has_more: offset + limit < totalCount
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching contributor reviews:', error);
+    handleDbError(error, res);
+  }
+}
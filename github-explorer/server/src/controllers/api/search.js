@@ -0,0 +1,242 @@
+import { pool } from '../../db/db-pool.js';
+import { getConnection } from '../../db/connection-manager.js';
+import { handleDbError } from '../../utils/db-utils.js';
+import { cacheOrCompute, generateCacheKey } from '../../utils/cache.js';
+import { CACHE_TAGS } from '../../utils/cache-invalidation.js';
+import { ensureSearchIndexesExist, toMatchQuery } from '../../services/search/search-index.service.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('search-controller');
+
+// Cache prefix for search results
+const CACHE_PREFIX = 'search';
+
+// Search results are only invalidated when a pipeline run completes, so keep them briefly (5 minutes)
+const SEARCH_TTL = 300; // seconds
+
+const MAX_LIMIT = 50;
+
+// Matches the first file row of commit c
+const FIRST_COMMIT_FILE_ROW = `c.rowid = (
+  SELECT MIN(first.rowid) FROM commits first
+  WHERE first.github_id = c.github_id AND first.repository_id = c.repository_id
+)`;
+
+/**
+ * Per-type result queries. Every query selects the same columns so they can be
+ * combined with UNION ALL and ordered by score (bm25, lower is better).
+ * $1 is the FTS5 MATCH expression.
+ */
+const RESULT_QUERIES = {
+  repository: `
+    SELECT
+      'repository' AS type,
+      r.id,
+      CAST(r.github_id AS TEXT) AS github_id,
+      r.full_name AS title,
+      r.description AS subtitle,
+      snippet(repositories_fts, -1, '<mark>', '</mark>', '…', 12) AS snippet,
+      bm25(repositories_fts, 10.0, 5.0, 1.0) AS score,
+      r.name AS repository_name,
+      CAST(r.github_id AS TEXT) AS repository_github_id,
+      NULL AS merge_request_title,
+      NULL AS merge_request_github_id,
+      NULL AS contributor_username,
+      NULL AS contributor_name,
+      NULL AS contributor_github_id,
+      NULL AS avatar,
+      r.updated_at AS date
+    FROM repositories_fts
+    JOIN repositories r ON r.rowid = repositories_fts.rowid
+    WHERE repositories_fts MATCH $1
+  `,
+  contributor: `
+    SELECT
+      'contributor' AS type,
+      c.id,
+      CAST(c.github_id AS TEXT) AS github_id,
+      COALESCE(c.name, c.username) AS title,
+      c.username AS subtitle,
+      snippet(contributors_fts, -1, '<mark>', '</mark>', '…', 12) AS snippet,
+      bm25(contributors_fts, 10.0, 8.0, 1.0, 2.0) AS score,
+      NULL AS repository_name,
+      NULL AS repository_github_id,
+      NULL AS merge_request_title,
+      NULL AS merge_request_github_id,
+      c.username AS contributor_username,
+      c.name AS contributor_name,
+      CAST(c.github_id AS TEXT) AS contributor_github_id,
+      c.avatar,
+      c.updated_at AS date
+    FROM contributors_fts
+    JOIN contributors c ON c.rowid = contributors_fts.rowid
+    WHERE contributors_fts MATCH $1
+    AND c.merged_into_id IS NULL
+  `,
+  merge_request: `
+    SELECT
+      'merge_request' AS type,
+      mr.id,
+      CAST(mr.github_id AS TEXT) AS github_id,
+      mr.title,
+      r.full_name AS subtitle,
+      snippet(merge_requests_fts, -1, '<mark>', '</mark>', '…', 12) AS snippet,
+      bm25(merge_requests_fts, 5.0, 1.0) AS score,
+      r.name AS repository_name,
+      CAST(r.github_id AS TEXT) AS repository_github_id,
+      mr.title AS merge_request_title,
+      CAST(mr.github_id AS TEXT) AS merge_request_github_id,
+      c.username AS contributor_username,
+      c.name AS contributor_name,
+      CAST(c.github_id AS TEXT) AS contributor_github_id,
+      c.avatar,
+      mr.created_at AS date
+    FROM merge_requests_fts
+    JOIN merge_requests mr ON mr.rowid = merge_requests_fts.rowid
+    JOIN repositories r ON mr.repository_id = r.id
+    LEFT JOIN contributors c ON mr.author_id = c.id
+    WHERE merge_requests_fts MATCH $1
+  `,
+  // Commits are stored per changed file with the same message, so only the
+  // first file row of each commit is returned
+  commit: `
+    SELECT
+      'commit' AS type,
+      c.id,
+      c.github_id,
+      substr(c.message, 1, CASE WHEN instr(c.message, char(10)) > 0 THEN instr(c.message, char(10)) - 1 ELSE length(c.message) END) AS title,
+      r.full_name AS subtitle,
+      snippet(commits_fts, 0, '<mark>', '</mark>', '…', 12) AS snippet,
+      bm25(commits_fts) AS score,
+      r.name AS repository_name,
+      CAST(r.github_id AS TEXT) AS repository_github_id,
+      mr.title AS merge_request_title,
+      CAST(mr.github_id AS TEXT) AS merge_request_github_id,
+      author.username AS contributor_username,
+      author.name AS contributor_name,
+      CAST(author.github_id AS TEXT) AS contributor_github_id,
+      author.avatar,
+      c.committed_at AS date
+    FROM commits_fts
+    JOIN commits c ON c.rowid = commits_fts.rowid
+    JOIN repositories r ON c.repository_id = r.id
+    LEFT JOIN merge_requests mr ON c.pull_request_id = mr.id
+    LEFT JOIN contributors author ON c.contributor_id = author.id
+    WHERE commits_fts MATCH $1
+    AND ${FIRST_COMMIT_FILE_ROW}
+  `
+};
+
+// Number of matches per type; commits count distinct commits, not file rows
+const COUNT_QUERIES = {
+  repository: 'SELECT COUNT(*) AS count FROM repositories_fts WHERE repositories_fts MATCH $1',
+  contributor: `
+    SELECT COUNT(*) AS count
+    FROM contributors_fts
+    JOIN contributors c ON c.rowid = contributors_fts.rowid
+    WHERE contributors_fts MATCH $1
+    AND c.merged_into_id IS NULL
+  `,
+  merge_request: 'SELECT COUNT(*) AS count FROM merge_requests_fts WHERE merge_requests_fts MATCH $1',
+  commit: `
+    SELECT COUNT(*) AS count
+    FROM commits_fts
+    JOIN commits c ON c.rowid = commits_fts.rowid
+    WHERE commits_fts MATCH $1
+    AND ${FIRST_COMMIT_FILE_ROW}
+  `
+};
+
+export const SEARCH_TYPES = Object.keys(RESULT_QUERIES);
+
+/**
+ * Make sure the search indexes exist on databases created before search was added
+ */
+async function ensureSearchIndexes() {
+  const db = await getConnection();
+  await ensureSearchIndexesExist(db);
+}
+
+/**
+ * Search repositories, contributors, merge requests and commit messages
+ *
+ * Query parameters: q (required), type (comma-separated subset of
+ * repository, contributor, merge_request, commit), page, limit
+ */
+export async function search(req, res) {
+  const query = (req.query.q || '').trim();
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIMIT);
+  const offset = (page - 1) * limit;
+  const types = req.query.type ? [...new Set(String(req.query.type).split(',').map(type => type.trim()))] : SEARCH_TYPES;
+
+  const matchQuery = toMatchQuery(query);
+
+  if (!matchQuery) {
+    return res.status(400).json({ error: 'Search query is required' });
+  }
+
+  const unknownTypes = types.filter(type => !SEARCH_TYPES.includes(type));
+
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({
+      error: `Unknown search type: ${unknownTypes.join(', ')}. Must be one of: ${SEARCH_TYPES.join(', ')}`
+    });
+  }
+
+  try {
+    await ensureSearchIndexes();
+
+    const cacheKey = generateCacheKey(CACHE_PREFIX, {
+      q: matchQuery,
+      types: [...types].sort().join(','),
+      page,
+      limit
+    });
+
+    const result = await cacheOrCompute(
+      cacheKey,
+      async () => {
+        logger.info('Cache miss - searching database', { query: matchQuery, types });
+
+        const counts = {};
+        for (const type of types) {
+          const countResult = await pool.query(COUNT_QUERIES[type], [matchQuery]);
+          counts[type] = parseInt(countResult.rows[0].count) || 0;
+        }
+
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+        const resultsQuery = `
+          SELECT * FROM (
+            ${types.map(type => RESULT_QUERIES[type]).join(' UNION ALL ')}
+          )
+          ORDER BY score ASC
+          LIMIT $2 OFFSET $3
+        `;
+
+        const results = total > 0 ? await pool.query(resultsQuery, [matchQuery, limit, offset]) : { rows: [] };
+
+        return {
+          query,
+          data: results.rows,
+          counts,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+          }
+        };
+      },
+      SEARCH_TTL,
+      { tags: [CACHE_TAGS.SEARCH] }
+    );
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error searching:', error);
+    handleDbError(error, res);
+  }
+}
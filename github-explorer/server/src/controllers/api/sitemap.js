@@ -5,6 +5,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import generateAllSitemaps from '../../../scripts/generate-sitemap.js';
+import pipelineNotificationService from '../../services/notifications/pipeline-notification-service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -302,8 +303,13 @@ export async function triggerSitemapGeneration(req, res) {
     // Start asynchronous sitemap generation
     setTimeout(async () => {
       try {
-        await generateAllSitemaps();
+        const summary = await generateAllSitemaps();
         logger.info('Sitemap generation completed via API trigger');
+        
+        if (summary) {
+          // Failures are logged by the notification service
+          await pipelineNotificationService.notifySitemapGenerated(summary).catch(() => {});
+        }
       } catch (error) {
         logger.error('Error in asynchronous sitemap generation:', error);
         try {
@@ -9,6 +9,7 @@ import { logger } from '../../utils/logger.js';
 import { resetConnection } from '../../db/connection-manager.js';
 import { handleDbError } from '../../utils/db-utils.js';
 import { cacheOrCompute, generateCacheKey } from '../../utils/cache.js';
+import { CACHE_TAGS } from '../../utils/cache-invalidation.js';
 
 // Cache settings
 const CACHE_TTL = 3600; // 1 hour in seconds
@@ -64,7 +65,13 @@ export function wrapController(handler) {
             await handler(req, res);
             return responseData;
           },
-          CACHE_TTL
+          CACHE_TTL,
+          {
+            // Tag with the contributor the response is about, so updates to it invalidate the entry
+            tags: data => [req.params.id, data?.id, data?.contributor?.id]
+              .filter(id => id !== undefined && id !== null)
+              .map(id => CACHE_TAGS.contributor(id))
+          }
         ).then(cachedData => {
           if (!res.headersSent) {
             return res.json(cachedData);
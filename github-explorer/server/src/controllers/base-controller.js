@@ -36,6 +36,41 @@ export class BaseController {
     });
   }
 
+  /**
+   * Sends a 201 response for a created resource
+   */
+  sendCreated(res, data) {
+    this.sendSuccess(res, data, 201);
+  }
+
+  /**
+   * Sends a 202 response for work that continues in the background
+   */
+  sendAccepted(res, data) {
+    this.sendSuccess(res, data, 202);
+  }
+
+  /**
+   * Sends a 400 response for an invalid request
+   */
+  sendBadRequest(res, message) {
+    this.sendError(res, message, 400);
+  }
+
+  /**
+   * Sends a 404 response for a missing resource
+   */
+  sendNotFound(res, message) {
+    this.sendError(res, message, 404);
+  }
+
+  /**
+   * Sends a 409 response when the request conflicts with the current state
+   */
+  sendConflict(res, message) {
+    this.sendError(res, message, 409);
+  }
+
   /**
    * Wraps a controller method with try/catch for error handling
    */
@@ -1,6 +1,6 @@
 /**
  * Pipeline Notification Controller
- * 
+ *
  * Handles API requests for pipeline notifications.
  */
 
@@ -28,24 +28,24 @@ export class PipelineNotificationController extends BaseController {
         level,
         unread_only
       } = req.query;
-      
+
       const options = {
-        limit: parseInt(limit, 10),
-        offset: parseInt(offset, 10),
+        limit: Math.min(parseInt(limit, 10) || 20, 100),
+        offset: parseInt(offset, 10) || 0,
         type,
         level,
         unreadOnly: unread_only === 'true'
       };
-      
+
       const result = await pipelineNotificationService.getNotifications(options);
-      
+
       return this.sendSuccess(res, result);
     } catch (error) {
       logger.error('Error getting notifications', { error });
-      return this.sendError(res, 'Error getting notifications', error);
+      return this.sendError(res, 'Error getting notifications', 500, error);
     }
   }
-  
+
   /**
    * Mark notifications as read
    * @param {Request} req - Express request object
@@ -55,31 +55,51 @@ export class PipelineNotificationController extends BaseController {
   async markNotificationsAsRead(req, res) {
     try {
       const { notification_ids } = req.body;
-      
+
       if (!notification_ids || !Array.isArray(notification_ids) || notification_ids.length === 0) {
         return this.sendBadRequest(res, 'Notification IDs are required');
       }
-      
-      // Update notification read status in database
-      const { error } = await this.supabase
-        .from('pipeline_notifications')
-        .update({ is_read: true })
-        .in('id', notification_ids);
-      
-      if (error) {
-        throw error;
-      }
-      
+
+      const updated = await pipelineNotificationService.markNotificationsAsRead(notification_ids.map(String));
+
       return this.sendSuccess(res, {
-        message: `Marked ${notification_ids.length} notifications as read`,
+        message: `Marked ${updated} notifications as read`,
         notification_ids
       });
     } catch (error) {
       logger.error('Error marking notifications as read', { error });
-      return this.sendError(res, 'Error marking notifications as read', error);
+      return this.sendError(res, 'Error marking notifications as read', 500, error);
+    }
+  }
+
+  /**
+   * Get the delivery log of a notification: one entry per email or webhook
+   * send, with its status, attempts and last error
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getNotificationDeliveries(req, res) {
+    try {
+      const { notification_id } = req.params;
+
+      const deliveries = await pipelineNotificationService.getNotificationDeliveries(notification_id);
+
+      if (!deliveries) {
+        return this.sendNotFound(res, `Notification not found: ${notification_id}`);
+      }
+
+      return this.sendSuccess(res, {
+        notification_id,
+        deliveries,
+        count: deliveries.length
+      });
+    } catch (error) {
+      logger.error('Error getting notification deliveries', { error });
+      return this.sendError(res, 'Error getting notification deliveries', 500, error);
     }
   }
-  
+
   /**
    * Get notification settings
    * @param {Request} req - Express request object
@@ -88,25 +108,18 @@ export class PipelineNotificationController extends BaseController {
    */
   async getNotificationSettings(req, res) {
     try {
-      // Get notification settings from database
-      const { data, error } = await this.supabase
-        .from('notification_settings')
-        .select('*');
-      
-      if (error) {
-        throw error;
-      }
-      
+      const settings = await pipelineNotificationService.getNotificationSettings();
+
       return this.sendSuccess(res, {
-        settings: data || [],
-        count: data?.length || 0
+        settings,
+        count: settings.length
       });
     } catch (error) {
       logger.error('Error getting notification settings', { error });
-      return this.sendError(res, 'Error getting notification settings', error);
+      return this.sendError(res, 'Error getting notification settings', 500, error);
     }
   }
-  
+
   /**
    * Update notification settings
    * @param {Request} req - Express request object
@@ -116,11 +129,11 @@ export class PipelineNotificationController extends BaseController {
   async updateNotificationSettings(req, res) {
     try {
       const { setting_id } = req.params;
-      
+
       if (!setting_id) {
         return this.sendBadRequest(res, 'Setting ID is required');
       }
-      
+
       const {
         level,
         email_enabled,
@@ -129,7 +142,7 @@ export class PipelineNotificationController extends BaseController {
         webhook_url,
         is_active
       } = req.body;
-      
+
       // Create updates object
       const updates = {
         level,
@@ -137,44 +150,46 @@ export class PipelineNotificationController extends BaseController {
         email_recipients,
         webhook_enabled,
         webhook_url,
-        is_active,
-        updated_at: new Date().toISOString()
+        is_active
       };
-      
+
       // Remove undefined fields
       Object.keys(updates).forEach(key => {
         if (updates[key] === undefined) {
           delete updates[key];
         }
       });
-      
+
       // Ensure at least one field is being updated
       if (Object.keys(updates).length === 0) {
         return this.sendBadRequest(res, 'No updates provided');
       }
-      
-      // Update settings in database
-      const { data, error } = await this.supabase
-        .from('notification_settings')
-        .update(updates)
-        .eq('id', setting_id)
-        .select()
-        .single();
-      
-      if (error) {
-        throw error;
+
+      const setting = await pipelineNotificationService.updateNotificationSettings(setting_id, updates);
+
+      if (!setting) {
+        return this.sendNotFound(res, `Notification settings not found: ${setting_id}`);
       }
-      
+
       return this.sendSuccess(res, {
-        setting: data,
+        setting,
         message: 'Notification settings updated successfully'
       });
     } catch (error) {
       logger.error('Error updating notification settings', { error });
-      return this.sendError(res, 'Error updating notification settings', error);
+
+      if (error.message.startsWith('Invalid')) {
+        return this.sendBadRequest(res, error.message);
+      }
+
+      if (error.message.includes('already exist')) {
+        return this.sendConflict(res, error.message);
+      }
+
+      return this.sendError(res, 'Error updating notification settings', 500, error);
     }
   }
-  
+
   /**
    * Create notification settings
    * @param {Request} req - Express request object
@@ -191,45 +206,40 @@ export class PipelineNotificationController extends BaseController {
         webhook_url,
         is_active = true
       } = req.body;
-      
+
       // Validate required fields
       if (!level) {
         return this.sendBadRequest(res, 'Notification level is required');
       }
-      
-      // Create settings object
-      const settings = {
+
+      const setting = await pipelineNotificationService.createNotificationSettings({
         level,
         email_enabled: email_enabled || false,
         email_recipients: email_recipients || null,
         webhook_enabled: webhook_enabled || false,
         webhook_url: webhook_url || null,
-        is_active,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-      
-      // Create settings in database
-      const { data, error } = await this.supabase
-        .from('notification_settings')
-        .insert(settings)
-        .select()
-        .single();
-      
-      if (error) {
-        throw error;
-      }
-      
+        is_active
+      });
+
       return this.sendCreated(res, {
-        setting: data,
+        setting,
         message: 'Notification settings created successfully'
       });
     } catch (error) {
       logger.error('Error creating notification settings', { error });
-      return this.sendError(res, 'Error creating notification settings', error);
+
+      if (error.message.startsWith('Invalid')) {
+        return this.sendBadRequest(res, error.message);
+      }
+
+      if (error.message.includes('already exist')) {
+        return this.sendConflict(res, error.message);
+      }
+
+      return this.sendError(res, 'Error creating notification settings', 500, error);
     }
   }
-  
+
   /**
    * Delete notification settings
    * @param {Request} req - Express request object
@@ -239,28 +249,158 @@ export class PipelineNotificationController extends BaseController {
   async deleteNotificationSettings(req, res) {
     try {
       const { setting_id } = req.params;
-      
+
       if (!setting_id) {
         return this.sendBadRequest(res, 'Setting ID is required');
       }
-      
-      // Delete settings from database
-      const { error } = await this.supabase
-        .from('notification_settings')
-        .delete()
-        .eq('id', setting_id);
-      
-      if (error) {
-        throw error;
+
+      const deleted = await pipelineNotificationService.deleteNotificationSettings(setting_id);
+
+      if (!deleted) {
+        return this.sendNotFound(res, `Notification settings not found: ${setting_id}`);
       }
-      
+
       return this.sendSuccess(res, {
         message: 'Notification settings deleted successfully',
         id: setting_id
       });
     } catch (error) {
       logger.error('Error deleting notification settings', { error });
-      return this.sendError(res, 'Error deleting notification settings', error);
+      return this.sendError(res, 'Error deleting notification settings', 500, error);
+    }
+  }
+
+  /**
+   * Get the Slack and Discord notification channels
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getNotificationChannels(req, res) {
+    try {
+      const channels = await pipelineNotificationService.getNotificationChannels();
+
+      return this.sendSuccess(res, {
+        channels,
+        count: channels.length
+      });
+    } catch (error) {
+      logger.error('Error getting notification channels', { error });
+      return this.sendError(res, 'Error getting notification channels', 500, error);
+    }
+  }
+
+  /**
+   * Create a notification channel
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createNotificationChannel(req, res) {
+    try {
+      const channel = await pipelineNotificationService.createNotificationChannel(req.body || {});
+
+      return this.sendCreated(res, {
+        channel,
+        message: 'Notification channel created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating notification channel', { error });
+
+      if (error.message.startsWith('Invalid')) {
+        return this.sendBadRequest(res, error.message);
+      }
+
+      return this.sendError(res, 'Error creating notification channel', 500, error);
+    }
+  }
+
+  /**
+   * Update a notification channel
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async updateNotificationChannel(req, res) {
+    try {
+      const { channel_id } = req.params;
+
+      const channel = await pipelineNotificationService.updateNotificationChannel(channel_id, req.body || {});
+
+      if (!channel) {
+        return this.sendNotFound(res, `Notification channel not found: ${channel_id}`);
+      }
+
+      return this.sendSuccess(res, {
+        channel,
+        message: 'Notification channel updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating notification channel', { error });
+
+      if (error.message.startsWith('Invalid')) {
+        return this.sendBadRequest(res, error.message);
+      }
+
+      return this.sendError(res, 'Error updating notification channel', 500, error);
+    }
+  }
+
+  /**
+   * Delete a notification channel
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async deleteNotificationChannel(req, res) {
+    try {
+      const { channel_id } = req.params;
+
+      const deleted = await pipelineNotificationService.deleteNotificationChannel(channel_id);
+
+      if (!deleted) {
+        return this.sendNotFound(res, `Notification channel not found: ${channel_id}`);
+      }
+
+      return this.sendSuccess(res, {
+        message: 'Notification channel deleted successfully',
+        id: channel_id
+      });
+    } catch (error) {
+      logger.error('Error deleting notification channel', { error });
+      return this.sendError(res, 'Error deleting notification channel', 500, error);
+    }
+  }
+
+  /**
+   * Post a test message to a notification channel
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async testNotificationChannel(req, res) {
+    try {
+      const { channel_id } = req.params;
+
+      const result = await pipelineNotificationService.testNotificationChannel(channel_id);
+
+      if (!result) {
+        return this.sendNotFound(res, `Notification channel not found: ${channel_id}`);
+      }
+
+      return this.sendSuccess(res, {
+        message: 'Test message posted',
+        response: result.response
+      });
+    } catch (error) {
+      logger.error('Error testing notification channel', { error });
+
+      // The channel rejected or could not be reached
+      if (error.retryable !== undefined) {
+        return this.sendError(res, error.message, 502, error);
+      }
+
+      return this.sendError(res, 'Error testing notification channel', 500, error);
     }
   }
 }
@@ -268,4 +408,4 @@ export class PipelineNotificationController extends BaseController {
 // Create singleton instance
 const pipelineNotificationController = new PipelineNotificationController();
 
-export default pipelineNotificationController; 
\ No newline at end of file
+export default pipelineNotificationController;
@@ -9,6 +9,7 @@ import { pipelineFactory } from '../pipeline/core/pipeline-factory.js';
 import { logger } from '../utils/logger.js';
 import { Pipeline } from '../pipeline/core/pipeline.js';
 import { PipelineContext } from '../pipeline/core/pipeline-context.js';
+import { getRun, listRuns, RESUMABLE_STATUSES } from '../pipeline/core/pipeline-run-store.js';
 
 // Import processors that will be needed for each pipeline type
 import { EntityExtractorProcessor } from '../pipeline/processors/entity-extractor.js';
@@ -23,15 +24,23 @@ import { pipelineEvents } from '../utils/event-emitter.js';
 import { withTransaction } from '../db/transaction-manager.js';
 import { withRetry } from '../utils/retry.js';
 import { getConnection, closeConnection } from '../db/connection-manager.js';
+import { syncWatchedRepositories } from '../services/github/watchlist.service.js';
+import { storeIssueEvents, linkClosingMergeRequests } from '../services/github/issue.service.js';
+import { refreshRankingAggregates } from '../services/rankings/ranking-aggregates.service.js';
+import { updateAllRepositoryHealth } from '../services/analytics/health.service.js';
+
+// Sources the github_sync pipeline can pull merged pull requests from
+const GITHUB_SYNC_MODES = ['events', 'watchlist', 'all'];
 
 /**
  * Fetches recent merged pull requests using the GitHub API
  * Adapted from legacy implementation
  * 
  * @param {GitHubApiClient} githubClient - The GitHub API client
+ * @param {Array} [issueEvents] - Receives the IssuesEvents found in the same events page
  * @returns {Array} Array of merged pull request events
  */
-async function getRecentMergedPullRequests(githubClient) {
+async function getRecentMergedPullRequests(githubClient, issueEvents = []) {
   try {
     logger.info("Fetching recent public events to find merged PRs...");
     const allEvents = [];
@@ -109,6 +118,8 @@ async function getRecentMergedPullRequests(githubClient) {
     
     logger.info(`Filtered to ${mergedPRs.length} merged pull requests`);
     
+    issueEvents.push(...allEvents.filter(event => event.type === 'IssuesEvent'));
+    
     // If we found merged PRs, log details about the first few
     if (mergedPRs.length > 0) {
       const samplePRs = mergedPRs.slice(0, 3).map(pr => ({
@@ -248,9 +259,10 @@ async function storeMergedPullRequest(prEvent, db) {
         repo: repoName
       });
       
+      // Reset the processed flag so the updated data is processed again
       await dbConnection.run(
         `UPDATE closed_merge_requests_raw 
-         SET data = ? 
+         SET data = ?, is_processed = 0, updated_at = CURRENT_TIMESTAMP
          WHERE id = ?`,
         [jsonData, existingPR.id]
       );
@@ -307,12 +319,16 @@ class PipelineOperationsController extends BaseController {
    */
   async startPipeline(req, res) {
     try {
-      const { pipeline_type, direct_execution, process_all_items } = req.body || {};
+      const { pipeline_type, direct_execution, process_all_items, sync_mode } = req.body || {};
       
       if (!pipeline_type) {
         return res.status(400).json({ error: 'Pipeline type is required' });
       }
       
+      if (sync_mode && !GITHUB_SYNC_MODES.includes(sync_mode)) {
+        return res.status(400).json({ error: `Invalid sync mode. Must be one of: ${GITHUB_SYNC_MODES.join(', ')}` });
+      }
+      
       // Check if the pipeline is already running
       const db = await getConnection();
       const pipelineStatus = await db.get(
@@ -353,7 +369,7 @@ class PipelineOperationsController extends BaseController {
           
           switch (pipeline_type) {
             case 'github_sync':
-              result = await this.executeGitHubSync();
+              result = await this.executeGitHubSync(sync_mode);
               break;
             
             case 'data_processing':
@@ -546,12 +562,17 @@ class PipelineOperationsController extends BaseController {
   
   /**
    * Execute GitHub Sync functionality directly
+   * @param {string} [syncMode='all'] - Where to pull merged PRs from: 'events' (public
+   *   events firehose), 'watchlist' (watched repositories) or 'all' (both)
    * @returns {Promise<object>} Result object with success status and metrics
    * @private
    */
-  async executeGitHubSync() {
+  async executeGitHubSync(syncMode = 'all') {
     logger.info('------------- GITHUB SYNC PIPELINE STARTED -------------');
-    logger.info('Executing GitHub sync function directly');
+    logger.info('Executing GitHub sync function directly', { syncMode });
+    
+    const includeEvents = syncMode !== 'watchlist';
+    const includeWatchlist = syncMode !== 'events';
     
     // Initialize stats to track processing metrics
     const stats = {
@@ -560,6 +581,7 @@ class PipelineOperationsController extends BaseController {
       errors: 0,
       skipped: 0
     };
+    let issueStats = null;
     
     // Track the execution time
     const startTime = Date.now();
@@ -644,16 +666,21 @@ class PipelineOperationsController extends BaseController {
       // Step 5: Fetch and store GitHub data
       logger.info('Step 5: Fetching merged pull requests from GitHub');
       let mergedPRs = [];
-      try {
-        mergedPRs = await getRecentMergedPullRequests(githubClient);
-        logger.info(`Found ${mergedPRs.length} recently merged pull requests`);
-        stats.processed = mergedPRs.length;
-      } catch (fetchError) {
-        logger.error('Error fetching merged pull requests', {
-          error: fetchError,
-          message: fetchError.message
-        });
-        stats.errors++;
+      const issueEvents = [];
+      if (includeEvents) {
+        try {
+          mergedPRs = await getRecentMergedPullRequests(githubClient, issueEvents);
+          logger.info(`Found ${mergedPRs.length} recently merged pull requests`);
+          stats.processed = mergedPRs.length;
+        } catch (fetchError) {
+          logger.error('Error fetching merged pull requests', {
+            error: fetchError,
+            message: fetchError.message
+          });
+          stats.errors++;
+        }
+      } else {
+        logger.info('Skipping public events firehose (sync mode: watchlist)');
       }
       
       // Step 6: Process each PR
@@ -694,6 +721,33 @@ class PipelineOperationsController extends BaseController {
         }
       }
       
+      // Step 6a: Store issues opened/closed in the same events page
+      if (issueEvents.length > 0) {
+        logger.info(`Step 6a: Storing ${issueEvents.length} issues from public events`);
+        issueStats = await storeIssueEvents(issueEvents);
+      }
+      
+      // Step 6b: Backfill and incrementally sync watched repositories
+      let watchlistStats = null;
+      if (includeWatchlist) {
+        logger.info('Step 6b: Syncing closed pull requests for watched repositories');
+        try {
+          watchlistStats = await syncWatchedRepositories(
+            githubClient,
+            (prEvent) => storeMergedPullRequest(prEvent, db)
+          );
+          stats.processed += watchlistStats.fetched;
+          stats.saved += watchlistStats.saved;
+          stats.errors += watchlistStats.errors;
+        } catch (watchlistError) {
+          logger.error('Error syncing watched repositories', {
+            error: watchlistError,
+            message: watchlistError.message
+          });
+          stats.errors++;
+        }
+      }
+      
       logger.info(`GitHub sync completed. Processed ${stats.processed} pull requests, saved ${stats.saved}, errors ${stats.errors}`, {
         processedPRIds: processedPRIds.slice(0, 5), // Show first 5 only
         errorPRIds,
@@ -747,6 +801,8 @@ class PipelineOperationsController extends BaseController {
         success: true,
         itemsProcessed: stats.processed,
         stats,
+        watchlist: watchlistStats,
+        issues: issueStats,
         unprocessedCount,
         executionTime: executionTime.toFixed(2),
         message: `Successfully processed ${stats.processed} pull requests. ${unprocessedCount} ready for data extraction.`
@@ -852,6 +908,28 @@ class PipelineOperationsController extends BaseController {
       stats.totalItemsProcessed = processedIds.length;
       stats.failedItems = failedIds.length;
       
+      // New merge requests may close issues that are already stored
+      try {
+        stats.issuesLinked = await linkClosingMergeRequests();
+      } catch (linkError) {
+        logger.error('Error linking issues to merge requests', { error: linkError });
+      }
+      
+      // Fold the new commits into the per-contributor ranking aggregates
+      try {
+        const aggregates = await refreshRankingAggregates();
+        stats.rankingAggregatesRefreshed = aggregates.contributors;
+      } catch (aggregateError) {
+        logger.error('Error refreshing ranking aggregates', { error: aggregateError });
+      }
+      
+      // Rescore repositories from their new commits and merge requests
+      try {
+        stats.repositoriesScored = await updateAllRepositoryHealth();
+      } catch (healthError) {
+        logger.error('Error updating repository health scores', { error: healthError });
+      }
+      
       // Close database connection
       
       
@@ -3972,6 +4050,100 @@ class PipelineOperationsController extends BaseController {
     logger.info(`========== COMPLETED ITEM ${index+1}/${totalItems} (ID: ${item.id}) ==========`);
   }
 
+  /**
+   * Resume a failed or interrupted pipeline run from its first incomplete stage
+   * Expects { run_id } in the request body
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async resumePipeline(req, res) {
+    try {
+      const { run_id, runId } = req.body || {};
+      const actualRunId = run_id || runId;
+      
+      if (!actualRunId) {
+        return this.sendError(res, 'Run ID is required', 400);
+      }
+      
+      const run = await getRun(actualRunId);
+      
+      if (!run) {
+        return this.sendError(res, `Pipeline run not found: ${actualRunId}`, 404);
+      }
+      
+      if (!RESUMABLE_STATUSES.includes(run.status)) {
+        return this.sendError(res, `Pipeline run ${actualRunId} cannot be resumed from status '${run.status}'`, 409);
+      }
+      
+      // Pipelines built on the Pipeline class are registered in global.pipelines on startup;
+      // runs of factory pipelines are resumed on a pipeline rebuilt from their configuration
+      const pipeline = Object.values(global.pipelines || {})
+        .find(candidate => candidate instanceof Pipeline && candidate.name === run.pipeline_name)
+        || (pipelineFactory.getPipelineDefinition(run.pipeline_name) ? pipelineFactory.buildPipeline(run.pipeline_name) : null);
+      
+      if (!pipeline) {
+        return this.sendError(res, `Pipeline not registered: ${run.pipeline_name}`, 400);
+      }
+      
+      // Claim the run before responding, so a concurrent resume or rerun gets a conflict
+      let start;
+      try {
+        start = await pipeline.claimResume(actualRunId);
+      } catch (error) {
+        return this.sendError(res, error.message, 409);
+      }
+      
+      if (!start) {
+        return this.sendError(res, `Pipeline run ${actualRunId} is already being resumed`, 409);
+      }
+      
+      const resumeFrom = run.stages.find(stage => run.checkpoints[stage]?.status !== 'completed') || null;
+      
+      logger.info(`Resuming pipeline run ${actualRunId} (${run.pipeline_name}) from stage ${resumeFrom}`);
+      
+      // Resume in the background - runs can take hours
+      start().catch(error => {
+        logger.error(`Resumed pipeline run ${actualRunId} failed`, { error });
+      });
+      
+      pipelineEvents.emit('pipeline_resumed', {
+        pipelineName: run.pipeline_name,
+        runId: actualRunId,
+        resumeFrom
+      });
+      
+      return this.sendSuccess(res, {
+        message: `Pipeline run ${actualRunId} resumed`,
+        run_id: actualRunId,
+        pipeline_name: run.pipeline_name,
+        resume_from_stage: resumeFrom
+      }, 202);
+    } catch (error) {
+      logger.error('Error resuming pipeline run', { error });
+      return this.sendError(res, 'Error resuming pipeline run', 500);
+    }
+  }
+  
+  /**
+   * List persisted pipeline runs with their stage checkpoints
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getPipelineRuns(req, res) {
+    try {
+      const runs = await listRuns({
+        pipelineName: req.query.pipeline_name,
+        status: req.query.status,
+        limit: Math.min(parseInt(req.query.limit) || 20, 100)
+      });
+      
+      return this.sendSuccess(res, { runs, count: runs.length });
+    } catch (error) {
+      logger.error('Error listing pipeline runs', { error });
+      return this.sendError(res, 'Error listing pipeline runs', 500);
+    }
+  }
+
   /**
    * Reset all pipeline statuses to not running
    * This is helpful on server restart to ensure no pipelines are incorrectly marked as running
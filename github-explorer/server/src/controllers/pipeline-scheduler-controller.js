@@ -19,11 +19,6 @@ export class PipelineSchedulerController extends BaseController {
    */
   constructor() {
     super();
-    
-    // Initialize scheduler service when controller is created
-    schedulerService.initializeFromDatabase().catch(error => {
-      logger.error('Error initializing scheduler service', { error });
-    });
   }
   
   /**
@@ -44,7 +39,7 @@ export class PipelineSchedulerController extends BaseController {
       });
     } catch (error) {
       logger.error('Error getting schedules', { error });
-      return this.sendError(res, 'Error getting schedules', error);
+      return this.sendError(res, 'Error getting schedules', 500, error);
     }
   }
   
@@ -71,7 +66,7 @@ export class PipelineSchedulerController extends BaseController {
       return this.sendSuccess(res, { schedule });
     } catch (error) {
       logger.error('Error getting schedule', { error });
-      return this.sendError(res, 'Error getting schedule', error);
+      return this.sendError(res, 'Error getting schedule', 500, error);
     }
   }
   
@@ -89,7 +84,10 @@ export class PipelineSchedulerController extends BaseController {
         cron_expression,
         configuration_id,
         time_zone,
-        is_active
+        is_active,
+        catch_up_policy,
+        parameters,
+        description
       } = req.body;
       
       // Validate required fields
@@ -112,7 +110,10 @@ export class PipelineSchedulerController extends BaseController {
         cronExpression: cron_expression,
         configurationId: configuration_id,
         timeZone: time_zone,
-        isActive: is_active !== undefined ? is_active : true
+        isActive: is_active !== undefined ? is_active : true,
+        catchUpPolicy: catch_up_policy,
+        parameters,
+        description
       });
       
       return this.sendCreated(res, { schedule });
@@ -127,7 +128,15 @@ export class PipelineSchedulerController extends BaseController {
         return this.sendBadRequest(res, error.message);
       }
       
-      return this.sendError(res, 'Error creating schedule', error);
+      if (error.message.includes('Invalid catch-up policy')) {
+        return this.sendBadRequest(res, error.message);
+      }
+      
+      if (error.message.includes('Schedule already exists')) {
+        return this.sendConflict(res, error.message);
+      }
+      
+      return this.sendError(res, 'Error creating schedule', 500, error);
     }
   }
   
@@ -150,7 +159,10 @@ export class PipelineSchedulerController extends BaseController {
         cron_expression,
         configuration_id,
         time_zone,
-        is_active
+        is_active,
+        catch_up_policy,
+        parameters,
+        description
       } = req.body;
       
       // Map request fields to scheduler service fields
@@ -159,7 +171,10 @@ export class PipelineSchedulerController extends BaseController {
         cronExpression: cron_expression,
         configurationId: configuration_id,
         timeZone: time_zone,
-        isActive: is_active
+        isActive: is_active,
+        catchUpPolicy: catch_up_policy,
+        parameters,
+        description
       };
       
       // Remove undefined fields
@@ -189,7 +204,11 @@ export class PipelineSchedulerController extends BaseController {
         return this.sendBadRequest(res, error.message);
       }
       
-      return this.sendError(res, 'Error updating schedule', error);
+      if (error.message.includes('Invalid catch-up policy')) {
+        return this.sendBadRequest(res, error.message);
+      }
+      
+      return this.sendError(res, 'Error updating schedule', 500, error);
     }
   }
   
@@ -219,7 +238,12 @@ export class PipelineSchedulerController extends BaseController {
       });
     } catch (error) {
       logger.error('Error deleting schedule', { error });
-      return this.sendError(res, 'Error deleting schedule', error);
+      
+      if (error.message.includes('Schedule not found')) {
+        return this.sendNotFound(res, error.message);
+      }
+      
+      return this.sendError(res, 'Error deleting schedule', 500, error);
     }
   }
   
@@ -247,7 +271,11 @@ export class PipelineSchedulerController extends BaseController {
         return this.sendNotFound(res, error.message);
       }
       
-      return this.sendError(res, 'Error triggering schedule', error);
+      if (error.message.includes('Schedule is already running')) {
+        return this.sendConflict(res, error.message);
+      }
+      
+      return this.sendError(res, 'Error triggering schedule', 500, error);
     }
   }
   
@@ -274,7 +302,7 @@ export class PipelineSchedulerController extends BaseController {
       });
     } catch (error) {
       logger.error('Error getting pipeline types', { error });
-      return this.sendError(res, 'Error getting pipeline types', error);
+      return this.sendError(res, 'Error getting pipeline types', 500, error);
     }
   }
   
@@ -314,7 +342,7 @@ export class PipelineSchedulerController extends BaseController {
       });
     } catch (error) {
       logger.error('Error getting pipeline history', { error });
-      return this.sendError(res, 'Error getting pipeline history', error);
+      return this.sendError(res, 'Error getting pipeline history', 500, error);
     }
   }
   
@@ -356,7 +384,7 @@ export class PipelineSchedulerController extends BaseController {
       }
     } catch (error) {
       logger.error('Error executing pipeline', { error });
-      return this.sendError(res, 'Error executing pipeline', error);
+      return this.sendError(res, 'Error executing pipeline', 500, error);
     }
   }
 }
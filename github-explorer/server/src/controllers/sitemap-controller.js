@@ -134,10 +134,11 @@ export async function fetchContributorsForSitemap(limit = 1000, offset = 0) {
   try {
     const db = await getConnection();
     
-    // Get contributors with their username and github_id
+    // Get contributors with their username and github_id; merged aliases have no page of their own
     const contributors = await db.all(
       `SELECT id, username, name, url
        FROM contributors
+       WHERE merged_into_id IS NULL
        ORDER BY total_commits DESC
        LIMIT ? OFFSET ?`,
       [limit, offset]
@@ -214,12 +215,15 @@ export async function countEntitiesForSitemap(entityType) {
     const db = await getConnection();
     
     let table;
+    let condition = '';
     switch (entityType) {
       case 'repositories':
         table = 'repositories';
         break;
       case 'contributors':
         table = 'contributors';
+        // Merged aliases have no page of their own
+        condition = ' WHERE merged_into_id IS NULL';
         break;
       case 'merge_requests':
         table = 'merge_requests';
@@ -229,7 +233,7 @@ export async function countEntitiesForSitemap(entityType) {
         return 0;
     }
     
-    const result = await db.get(`SELECT COUNT(*) as count FROM ${table}`);
+    const result = await db.get(`SELECT COUNT(*) as count FROM ${table}${condition}`);
     return result.count;
   } catch (error) {
     logger.error(`Error counting ${entityType} for sitemap: ${error.message}`, { error });
@@ -278,6 +282,7 @@ export async function generateContributorsSitemap(req, res) {
     const contributors = await db.all(`
       SELECT username 
       FROM contributors 
+      WHERE merged_into_id IS NULL
       LIMIT 50000
     `);
     
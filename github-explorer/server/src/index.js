@@ -44,7 +44,12 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(compression()); // Compress responses
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({
+  // Keep the raw body so webhook signatures can be verified against it
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Serve sitemap directly from the root path
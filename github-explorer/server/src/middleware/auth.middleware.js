@@ -1,25 +1,73 @@
 /**
  * Authentication Middleware
- * 
+ *
  * This middleware handles authentication for protected routes.
+ * Requests authenticate with an API key or a session token, sent either as
+ * `Authorization: Bearer <credential>` or in the `X-API-Key` header.
  */
 
+import { verifyCredential, hasRole, isSessionToken } from '../services/auth/auth-service.js';
 import { logger } from '../utils/logger.js';
 
+/**
+ * Read the credential from the request headers
+ * @param {object} req - Express request object
+ * @returns {string|null} Plaintext credential
+ */
+function getCredential(req) {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Take a session token from the `token` query parameter, for browser clients
+ * such as EventSource that cannot set headers. API keys are not accepted
+ * there, so long-lived credentials stay out of URLs and access logs.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next function
+ */
+export function acceptSessionTokenQuery(req, res, next) {
+  const { token } = req.query;
+
+  if (!getCredential(req) && isSessionToken(token)) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+
+  next();
+}
+
 /**
  * Authenticate token from request
- * This is a simple implementation that validates a token in the Authorization header
- * In a real application, this would validate JWT tokens or other auth methods
+ * Sets req.auth to { keyId, sessionId, name, role } or responds with 401
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {function} next - Express next function
  */
-export function authenticateToken(req, res, next) {
+export async function authenticateToken(req, res, next) {
   try {
-    // For demo/test purposes, we're allowing all requests
-    // In a real application, this would validate tokens
-    
-    logger.info('Authentication middleware bypassed for testing');
+    // Already authenticated by an earlier middleware on this request
+    if (req.auth) {
+      return next();
+    }
+
+    const auth = await verifyCredential(getCredential(req));
+
+    if (!auth) {
+      logger.warn(`Rejected unauthenticated request to ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        details: 'Invalid or missing authentication token'
+      });
+    }
+
+    req.auth = auth;
     next();
   } catch (error) {
     logger.error(`Authentication error: ${error.message}`, { error });
@@ -31,10 +79,56 @@ export function authenticateToken(req, res, next) {
   }
 }
 
+/**
+ * Require an authenticated caller with at least the given role
+ * @param {string} role - Minimum role: viewer, operator or admin
+ * @returns {function} - Express middleware function
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    authenticateToken(req, res, () => {
+      if (!hasRole(req.auth.role, role)) {
+        logger.warn(`Rejected ${req.auth.role} key ${req.auth.keyId} for ${req.method} ${req.originalUrl}`, {
+          requiredRole: role
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          details: `This operation requires the ${role} role`
+        });
+      }
+
+      next();
+    });
+  };
+}
+
+/**
+ * Require a role only for some values of the `operation` body field, for
+ * endpoints that mix reads and writes behind a single POST route
+ * @param {Object<string, string>} rolesByOperation - Minimum role per operation
+ * @returns {function} - Express middleware function
+ */
+export function requireRoleForOperations(rolesByOperation) {
+  return (req, res, next) => {
+    const role = rolesByOperation[req.body?.operation];
+
+    if (!role) {
+      return next();
+    }
+
+    requireRole(role)(req, res, next);
+  };
+}
+
 // Export authenticate as an alias for authenticateToken for backward compatibility
 export const authenticate = authenticateToken;
 
 export default {
   authenticateToken,
-  authenticate
-}; 
\ No newline at end of file
+  authenticate,
+  acceptSessionTokenQuery,
+  requireRole,
+  requireRoleForOperations
+};
@@ -6,5 +6,6 @@
 
 export { Pipeline } from './pipeline.js';
 export { PipelineContext } from './pipeline-context.js';
+export * from './pipeline-run-store.js';
 export { BaseStage } from './base-stage.js';
 export { PipelineFactory, pipelineFactory } from './pipeline-factory.js'; 
\ No newline at end of file
@@ -75,6 +75,38 @@ export class PipelineContext {
     return this.checkpoints;
   }
   
+  /**
+   * Get a JSON-serializable copy of the context, including any data stages
+   * have attached to it, so a run can be resumed later
+   * @returns {Object} Context snapshot
+   */
+  toSnapshot() {
+    const snapshot = {};
+    
+    for (const [key, value] of Object.entries(this)) {
+      // Loggers and other helpers are recreated on restore
+      if (typeof value === 'function' || key === 'logger') {
+        continue;
+      }
+      
+      snapshot[key] = value;
+    }
+    
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+  
+  /**
+   * Restore a context from a snapshot taken with toSnapshot()
+   * @param {Object} snapshot - Context snapshot
+   * @returns {PipelineContext} Restored context
+   */
+  static fromSnapshot(snapshot) {
+    const context = new PipelineContext({}, snapshot.runId);
+    Object.assign(context, snapshot);
+    
+    return context;
+  }
+  
   /**
    * Generate a unique run ID
    * @returns {string} Unique run ID
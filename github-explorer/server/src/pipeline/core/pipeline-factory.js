@@ -1,3 +1,5 @@
+import { Pipeline } from './pipeline.js';
+import { PipelineContext } from './pipeline-context.js';
 import { logger } from '../../utils/logger.js';
 
 /**
@@ -56,90 +58,81 @@ export class PipelineFactory {
     logger.info(`Registered pipeline: ${pipelineName} with ${pipelineConfig.stages.length} stages`);
   }
   
+  /**
+   * Build a Pipeline from a registered pipeline configuration. Its runs are
+   * persisted to the run store with a checkpoint per stage, so a failed or
+   * interrupted run can be resumed with pipeline.resume(runId).
+   * @param {string} pipelineName - Name of the pipeline
+   * @returns {Pipeline} Pipeline instance
+   */
+  buildPipeline(pipelineName) {
+    const pipelineConfig = this.getPipelineConfig(pipelineName);
+
+    const stages = pipelineConfig.stages.map(stageName => {
+      const adapter = {
+        name: stageName,
+        abortOnError: false,
+        execute: async (context) => {
+          const stage = this.stages.get(stageName)();
+          adapter.abortOnError = Boolean(stage.config && stage.config.abortOnError);
+
+          const result = await stage.execute(context, pipelineConfig);
+
+          // Some stages return an updated copy instead of changing the context they were given
+          if (result && result !== context) {
+            Object.assign(context, result);
+          }
+        }
+      };
+
+      return adapter;
+    });
+
+    return new Pipeline({ name: pipelineName, stages });
+  }
+
   /**
    * Execute a pipeline
    * @param {string} pipelineName - Name of the pipeline to execute
    * @param {Object} context - Initial pipeline context
    * @param {Object} options - Pipeline execution options
-   * @returns {Promise<Object>} Final pipeline context
+   * @param {string} [options.runId] - ID of the run
+   * @param {boolean} [options.abortOnError] - Rethrow the error that failed the run
+   * @returns {Promise<PipelineContext>} Final pipeline context
    */
   async execute(pipelineName, context = {}, options = {}) {
     // Validate pipeline exists
     if (!this.pipelines.has(pipelineName)) {
       throw new Error(`Pipeline ${pipelineName} not registered`);
     }
-    
-    const pipelineConfig = this.pipelines.get(pipelineName);
-    const startTime = Date.now();
-    
-    // Initialize pipeline context if needed
-    if (!context.stats) {
-      context.stats = {};
-    }
-    
-    if (!context.errors) {
-      context.errors = [];
-    }
-    
-    // Add recordError method to context if not exists
-    if (!context.recordError) {
-      context.recordError = (stage, error) => {
-        context.errors.push({
-          stage,
-          message: error.message,
-          stack: error.stack
-        });
-      };
+
+    const pipeline = this.buildPipeline(pipelineName);
+    const runContext = new PipelineContext(context, options.runId);
+
+    // Keep any other fields the caller passed, e.g. schedule parameters
+    for (const [key, value] of Object.entries(context)) {
+      if (!(key in runContext)) {
+        runContext[key] = value;
+      }
     }
-    
+
     logger.info(`Executing pipeline: ${pipelineName}`);
-    
+
     try {
-      // Execute each stage in sequence
-      for (const stageName of pipelineConfig.stages) {
-        const stageFactory = this.stages.get(stageName);
-        const stage = stageFactory();
-        
-        logger.info(`Executing pipeline stage: ${stageName}`);
-        
-        try {
-          // Execute the stage
-          context = await stage.execute(context, pipelineConfig);
-          
-          logger.info(`Completed pipeline stage: ${stageName}`);
-        } catch (error) {
-          logger.error(`Error in pipeline stage ${stageName}:`, { error });
-          
-          // Record error in context
-          context.recordError(stageName, error);
-          
-          // If stage is configured to abort on error, rethrow
-          if (stage.config && stage.config.abortOnError) {
-            throw error;
-          }
-        }
-      }
-      
-      const duration = Date.now() - startTime;
-      logger.info(`Pipeline ${pipelineName} completed in ${duration}ms`);
-      
-      return context;
+      return await pipeline.run(runContext);
     } catch (error) {
-      const duration = Date.now() - startTime;
-      logger.error(`Pipeline ${pipelineName} failed after ${duration}ms:`, { error });
-      
-      // Record error in context
-      context.recordError(pipelineName, error);
-      
+      // The error is recorded in the context and the run is stored as failed
+      logger.error(`Pipeline ${pipelineName} failed after ${runContext.getDuration()}ms:`, { error });
+
       // Rethrow if configured to abort on error
       if (options.abortOnError) {
         throw error;
       }
-      
-      return context;
+
+      return runContext;
     }
   }
-  
+
   /**
    * Get a list of registered stages
    * @returns {Array<string>} List of stage names
@@ -0,0 +1,205 @@
+/**
+ * Pipeline Run Store
+ *
+ * Persists the state of Pipeline runs to the pipeline_runs table: the ordered
+ * stage list, the per-stage checkpoints and a snapshot of the context taken
+ * after each completed stage. A failed or interrupted run can be resumed from
+ * the first stage that did not complete.
+ */
+
+import { getConnection } from '../../db/connection-manager.js';
+import { logger } from '../../utils/logger.js';
+
+// Run lifecycle states
+export const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  INTERRUPTED: 'interrupted'
+};
+
+// States a run can be resumed from
+export const RESUMABLE_STATUSES = [RUN_STATUS.FAILED, RUN_STATUS.INTERRUPTED];
+
+/**
+ * Ensure the pipeline_runs table exists
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensurePipelineRunsTableExists(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS pipeline_runs (
+      run_id TEXT PRIMARY KEY,
+      pipeline_name TEXT NOT NULL,
+      status TEXT NOT NULL,
+      stages TEXT NOT NULL,
+      checkpoints TEXT,
+      context TEXT,
+      error_message TEXT,
+      resume_count INTEGER NOT NULL DEFAULT 0,
+      started_at TIMESTAMP NOT NULL,
+      completed_at TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pipeline_runs_pipeline_name ON pipeline_runs(pipeline_name);
+    CREATE INDEX IF NOT EXISTS idx_pipeline_runs_status ON pipeline_runs(status);
+  `);
+}
+
+/**
+ * Convert a pipeline_runs row to a run object
+ * @param {Object} row - Database row
+ * @returns {Object} Run with parsed JSON columns
+ */
+function fromRow(row) {
+  return {
+    ...row,
+    stages: JSON.parse(row.stages),
+    checkpoints: row.checkpoints ? JSON.parse(row.checkpoints) : {},
+    context: row.context ? JSON.parse(row.context) : null
+  };
+}
+
+/**
+ * Create or update the stored state of a run
+ * @param {PipelineContext} context - Context of the run
+ * @param {Object} options - Run details
+ * @param {string} options.pipelineName - Name of the pipeline
+ * @param {Array<string>} options.stages - Ordered stage names
+ * @param {string} options.status - Run status
+ * @param {string} [options.errorMessage] - Error that failed the run
+ * @param {boolean} [options.resumed=false] - Whether this update starts a resumed run
+ * @param {boolean} [options.includeContext=true] - Whether to replace the stored context snapshot
+ * @returns {Promise<void>}
+ */
+export async function saveRunState(context, { pipelineName, stages, status, errorMessage = null, resumed = false, includeContext = true }) {
+  const db = await getConnection();
+  await ensurePipelineRunsTableExists(db);
+
+  const now = new Date().toISOString();
+  const isFinished = status === RUN_STATUS.COMPLETED || status === RUN_STATUS.FAILED;
+
+  await db.run(
+    `INSERT INTO pipeline_runs (
+      run_id, pipeline_name, status, stages, checkpoints, context, error_message, started_at, completed_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(run_id) DO UPDATE SET
+      status = excluded.status,
+      stages = excluded.stages,
+      checkpoints = excluded.checkpoints,
+      context = COALESCE(excluded.context, pipeline_runs.context),
+      error_message = excluded.error_message,
+      completed_at = excluded.completed_at,
+      resume_count = resume_count + ?,
+      updated_at = excluded.updated_at`,
+    [
+      context.runId,
+      pipelineName,
+      status,
+      JSON.stringify(stages),
+      JSON.stringify(context.getCheckpoints()),
+      includeContext ? JSON.stringify(context.toSnapshot()) : null,
+      errorMessage,
+      new Date(context.startTime).toISOString(),
+      isFinished ? now : null,
+      now,
+      resumed ? 1 : 0
+    ]
+  );
+}
+
+/**
+ * Get a stored run
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>} Run or null if not found
+ */
+export async function getRun(runId) {
+  const db = await getConnection();
+  await ensurePipelineRunsTableExists(db);
+
+  const row = await db.get('SELECT * FROM pipeline_runs WHERE run_id = ?', [runId]);
+
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * List stored runs, newest first. Context snapshots are left out.
+ * @param {Object} options - Filters
+ * @param {string} [options.pipelineName] - Filter by pipeline name
+ * @param {string} [options.status] - Filter by status
+ * @param {number} [options.limit=20] - Maximum runs to return
+ * @returns {Promise<Array>} Runs
+ */
+export async function listRuns({ pipelineName, status, limit = 20 } = {}) {
+  const db = await getConnection();
+  await ensurePipelineRunsTableExists(db);
+
+  const conditions = [];
+  const params = [];
+
+  if (pipelineName) {
+    conditions.push('pipeline_name = ?');
+    params.push(pipelineName);
+  }
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const rows = await db.all(
+    `SELECT run_id, pipeline_name, status, stages, checkpoints, error_message, resume_count,
+            started_at, completed_at, updated_at
+     FROM pipeline_runs
+     ${whereClause}
+     ORDER BY started_at DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+
+  return rows.map(fromRow);
+}
+
+/**
+ * Claim a failed or interrupted run for resuming by moving it to running.
+ * The status check and the update are one statement, so of two concurrent
+ * resumes of the same run only one claims it.
+ * @param {string} runId - Run ID
+ * @returns {Promise<boolean>} True if the run was claimed
+ */
+export async function claimRunForResume(runId) {
+  const db = await getConnection();
+  await ensurePipelineRunsTableExists(db);
+
+  const result = await db.run(
+    `UPDATE pipeline_runs SET status = ?, updated_at = ?
+     WHERE run_id = ? AND status IN (${RESUMABLE_STATUSES.map(() => '?').join(', ')})`,
+    [RUN_STATUS.RUNNING, new Date().toISOString(), runId, ...RESUMABLE_STATUSES]
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Mark runs that were still running when the server stopped as interrupted,
+ * so they can be resumed. Called once on startup.
+ * @returns {Promise<number>} Number of runs marked as interrupted
+ */
+export async function markInterruptedRuns() {
+  const db = await getConnection();
+  await ensurePipelineRunsTableExists(db);
+
+  const result = await db.run(
+    'UPDATE pipeline_runs SET status = ?, updated_at = ? WHERE status = ?',
+    [RUN_STATUS.INTERRUPTED, new Date().toISOString(), RUN_STATUS.RUNNING]
+  );
+
+  if (result.changes > 0) {
+    logger.info(`Marked ${result.changes} unfinished pipeline runs as interrupted`);
+  }
+
+  return result.changes;
+}
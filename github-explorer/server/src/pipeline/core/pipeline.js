@@ -1,4 +1,5 @@
 import { PipelineContext } from './pipeline-context.js';
+import { saveRunState, getRun, claimRunForResume, RUN_STATUS, RESUMABLE_STATUSES } from './pipeline-run-store.js';
 import { logger } from '../../utils/logger.js';
 
 /**
@@ -24,6 +25,7 @@ export class Pipeline {
       retryDelay: 1000,
       timeout: 300000, // 5 minutes
       batchSize: 100,
+      persistRuns: true, // Save run state and checkpoints so failed runs can be resumed
       ...config
     };
 
@@ -52,20 +54,97 @@ export class Pipeline {
 
   /**
    * Run the pipeline with initial data
-   * @param {Object} initialData - Initial data to start the pipeline with
+   * @param {Object|PipelineContext} initialData - Initial data to start the pipeline with, or a prepared context
    * @param {string} runId - Optional unique identifier for this pipeline run
    * @returns {Promise<PipelineContext>} The pipeline context after execution
    */
   async run(initialData = {}, runId) {
     // Create a new context for this pipeline run
-    const context = new PipelineContext(initialData, runId);
+    const context = initialData instanceof PipelineContext
+      ? initialData
+      : new PipelineContext(initialData, runId);
     
+    return this.executeStages(context, 0);
+  }
+
+  /**
+   * Resume a failed or interrupted run from the first stage that did not complete,
+   * using the context saved after the last completed stage
+   * @param {string} runId - ID of the run to resume
+   * @returns {Promise<PipelineContext>} The pipeline context after execution
+   */
+  async resume(runId) {
+    const start = await this.claimResume(runId);
+    
+    if (!start) {
+      throw new Error(`Pipeline run ${runId} is already being resumed`);
+    }
+    
+    return start();
+  }
+
+  /**
+   * Check that a stored run can be resumed by this pipeline and claim it, so
+   * two resumes of the same run cannot both execute it
+   * @param {string} runId - ID of the run to resume
+   * @returns {Promise<Function|null>} Function executing the remaining stages,
+   *   or null if another resume claimed the run first
+   */
+  async claimResume(runId) {
+    const run = await getRun(runId);
+    
+    if (!run) {
+      throw new Error(`Pipeline run not found: ${runId}`);
+    }
+    
+    if (run.pipeline_name !== this.name) {
+      throw new Error(`Pipeline run ${runId} belongs to pipeline '${run.pipeline_name}', not '${this.name}'`);
+    }
+    
+    if (!RESUMABLE_STATUSES.includes(run.status)) {
+      throw new Error(`Pipeline run ${runId} cannot be resumed from status '${run.status}'`);
+    }
+    
+    if (!run.context) {
+      throw new Error(`Pipeline run ${runId} has no saved context to resume from`);
+    }
+    
+    const stageNames = this.stages.map(stage => stage.name);
+    
+    // Checkpoints are keyed by stage name, so they only line up if the stages haven't changed
+    if (JSON.stringify(stageNames) !== JSON.stringify(run.stages)) {
+      throw new Error(`Pipeline run ${runId} cannot be resumed because the stages of '${this.name}' have changed`);
+    }
+    
+    if (!(await claimRunForResume(runId))) {
+      return null;
+    }
+    
+    const resumeIndex = stageNames.findIndex(name => run.checkpoints[name]?.status !== 'completed');
+    const context = PipelineContext.fromSnapshot(run.context);
+    
+    logger.info(`Resuming pipeline run ${runId} from stage ${stageNames[resumeIndex] || '(none remaining)'}`);
+    
+    return () => this.executeStages(context, resumeIndex === -1 ? stageNames.length : resumeIndex, true);
+  }
+
+  /**
+   * Execute the pipeline stages from a given position, persisting the run
+   * state after every completed stage
+   * @param {PipelineContext} context - Context of the run
+   * @param {number} startIndex - Index of the first stage to execute
+   * @param {boolean} [resumed=false] - Whether this continues an earlier run
+   * @returns {Promise<PipelineContext>} The pipeline context after execution
+   * @private
+   */
+  async executeStages(context, startIndex, resumed = false) {
     try {
       // Set the pipeline state to running
       context.start();
+      await this.saveRun(context, RUN_STATUS.RUNNING, { resumed });
       
       // Execute each stage in sequence
-      for (const stage of this.stages) {
+      for (const stage of this.stages.slice(startIndex)) {
         logger.info(`Running pipeline stage: ${stage.name}`);
         
         try {
@@ -81,6 +160,9 @@ export class Pipeline {
             stats: context.getStats()
           });
           
+          // Persist the completed stage so a later failure doesn't lose it
+          await this.saveRun(context, RUN_STATUS.RUNNING);
+          
           logger.info(`Completed pipeline stage: ${stage.name}`);
         } catch (error) {
           // Record the error
@@ -104,6 +186,7 @@ export class Pipeline {
       
       // Set the pipeline state to completed
       context.complete();
+      await this.saveRun(context, RUN_STATUS.COMPLETED);
       
       // Log the final stats
       logger.info('Pipeline stats:', context.getStats());
@@ -113,10 +196,41 @@ export class Pipeline {
       // Set the pipeline state to failed
       context.fail(error);
       
+      // Keep the context saved after the last completed stage for resuming
+      await this.saveRun(context, RUN_STATUS.FAILED, {
+        errorMessage: error.message,
+        includeContext: false
+      });
+      
       throw error;
     }
   }
 
+  /**
+   * Persist the run state. Failures are logged rather than failing the run.
+   * @param {PipelineContext} context - Context of the run
+   * @param {string} status - Run status
+   * @param {Object} [options] - Options passed to saveRunState
+   * @returns {Promise<void>}
+   * @private
+   */
+  async saveRun(context, status, options = {}) {
+    if (this.config.persistRuns === false) {
+      return;
+    }
+    
+    try {
+      await saveRunState(context, {
+        pipelineName: this.name,
+        stages: this.stages.map(stage => stage.name),
+        status,
+        ...options
+      });
+    } catch (error) {
+      logger.warn(`Failed to persist state of pipeline run ${context.runId}: ${error.message}`);
+    }
+  }
+
   /**
    * Run the pipeline with batched data processing
    * @param {Array} dataItems - Array of data items to process in batches
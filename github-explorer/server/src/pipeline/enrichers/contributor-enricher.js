@@ -7,6 +7,7 @@
 
 import { logger } from '../../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
+import { detectContributorBot } from '../../services/identity/bot-detection.service.js';
 
 /**
  * Contributor Enricher class
@@ -275,6 +276,9 @@ export class ContributorEnricher {
         logger.warn(`Contributor ${username} not found on GitHub`);
         this.stats.notFound++;
         
+        // Deleted accounts can still be classified from their login and commits
+        await this.detectBot(contributor);
+        
         // Mark as enriched but with error status to prevent retries
         await this.db.run(
           `UPDATE contributors SET 
@@ -335,6 +339,8 @@ export class ContributorEnricher {
         values
       );
       
+      await this.detectBot(contributor, userData);
+      
       logger.info(`Successfully enriched contributor ${username}`);
       return true;
     } catch (error) {
@@ -398,6 +404,22 @@ export class ContributorEnricher {
     }
   }
   
+  /**
+   * Classify a contributor as a bot or a person and store the reasons.
+   * Failures are logged but do not fail the enrichment.
+   * @param {Object} contributor - Contributor being enriched
+   * @param {Object} [userData] - GitHub API user data
+   * @returns {Promise<void>}
+   * @private
+   */
+  async detectBot(contributor, userData) {
+    try {
+      await detectContributorBot(this.db, contributor, userData);
+    } catch (error) {
+      logger.warn(`Could not classify contributor ${contributor.username || contributor.id} as bot or person`, { error });
+    }
+  }
+  
   /**
    * Map GitHub API contributor data to our database schema
    * @param {Object} userData - GitHub API user data
@@ -3,11 +3,15 @@
  * 
  * Enriches merge request data with additional details from GitHub API.
  * This includes fetching commit data and enriching both the merge request
- * and all its commits with their file-specific changes.
+ * and all its commits with their file-specific changes, and storing the
+ * merge request's reviews and review comments.
  */
 
 import { v4 as uuidv4 } from 'uuid';
 import { setupLogger } from '../../utils/logger.js';
+import { storeMergeRequestReviews } from '../../services/github/review.service.js';
+import { refreshRankingAggregates } from '../../services/rankings/ranking-aggregates.service.js';
+import { resolveContributor, recordCommitAuthor } from '../../services/identity/identity.service.js';
 
 class MergeRequestEnricher {
   constructor(db, githubClient) {
@@ -21,7 +25,9 @@ class MergeRequestEnricher {
       successful: 0,
       failed: 0,
       commitsProcessed: 0,
-      filesProcessed: 0
+      filesProcessed: 0,
+      reviewsProcessed: 0,
+      reviewCommentsProcessed: 0
     };
   }
   
@@ -83,6 +89,13 @@ class MergeRequestEnricher {
       offset += mergeRequests.length;
     }
     
+    // Fold the commits written above into the ranking aggregates
+    try {
+      await refreshRankingAggregates();
+    } catch (error) {
+      this.logger.error(`Error refreshing ranking aggregates: ${error.message}`);
+    }
+    
     this.logger.info(`Completed enrichment of merge requests`);
     this.logger.info(`Processed: ${this.stats.processed}, Successful: ${this.stats.successful}, Failed: ${this.stats.failed}`);
     this.logger.info(`Commits processed: ${this.stats.commitsProcessed}, Files processed: ${this.stats.filesProcessed}`);
@@ -99,7 +112,9 @@ class MergeRequestEnricher {
       successful: 0,
       failed: 0,
       commitsProcessed: 0,
-      filesProcessed: 0
+      filesProcessed: 0,
+      reviewsProcessed: 0,
+      reviewCommentsProcessed: 0
     };
   }
   
@@ -152,7 +167,8 @@ class MergeRequestEnricher {
   }
   
   /**
-   * Handles GitHub API rate limiting by checking limits and waiting if necessary
+   * Handles GitHub API rate limiting by checking limits and waiting if necessary.
+   * With several tokens in the pool this only waits once every token runs low.
    * 
    * @param {boolean} forceWait - Whether to force waiting even if rate limit isn't reached yet
    */
@@ -313,6 +329,8 @@ class MergeRequestEnricher {
         updated_at: new Date().toISOString()
       });
       
+      await this.processReviews(mergeRequest, owner, repo, prNumber);
+      
       this.logger.info(`Successfully enriched merge request ${repository_full_name}#${prNumber}`);
       this.stats.successful++;
       return true;
@@ -365,6 +383,31 @@ class MergeRequestEnricher {
     }
   }
   
+  /**
+   * Fetch and store the reviews and review comments of a merge request.
+   * Failures are logged but do not fail the enrichment of the merge request.
+   * 
+   * @param {object} mergeRequest - Merge request being enriched
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} prNumber - Pull request number
+   */
+  async processReviews(mergeRequest, owner, repo, prNumber) {
+    try {
+      await this.handleRateLimiting();
+      const reviews = await this.githubClient.getPullRequestReviews(owner, repo, prNumber);
+      const comments = await this.githubClient.getPullRequestComments(owner, repo, prNumber);
+      
+      const stored = await storeMergeRequestReviews(this.db, mergeRequest, reviews, comments);
+      
+      this.stats.reviewsProcessed += stored.reviews;
+      this.stats.reviewCommentsProcessed += stored.comments;
+      this.logger.info(`Stored ${stored.reviews} reviews and ${stored.comments} review comments for PR #${prNumber}`);
+    } catch (error) {
+      this.logger.error(`Error storing reviews for PR #${prNumber} in ${owner}/${repo}: ${error.message}`);
+    }
+  }
+  
   /**
    * Process a GitHub contributor and ensure they exist in our database
    * 
@@ -424,6 +467,13 @@ class MergeRequestEnricher {
     if (commit.author) {
       contributorId = await this.processContributor(commit.author);
       contributorGithubId = commit.author.id;
+      
+      // Attribute commits of a merged alias to the contributor it was merged into
+      const resolved = await resolveContributor(this.db, contributorId);
+      if (resolved) {
+        contributorId = resolved.id;
+        contributorGithubId = resolved.github_id;
+      }
     }
     
     // Get repository details for the API call
@@ -478,6 +528,7 @@ class MergeRequestEnricher {
         null  // No patch
       );
       this.stats.filesProcessed++;
+      await this.recordAuthor(commit, mergeRequest);
       return;
     }
     
@@ -496,6 +547,23 @@ class MergeRequestEnricher {
       );
       this.stats.filesProcessed++;
     }
+    
+    await this.recordAuthor(commit, mergeRequest);
+  }
+  
+  /**
+   * Store the git author's email and name on the rows of a commit, used to
+   * match contributors that commit under several accounts or emails
+   * 
+   * @param {object} commit - GitHub commit object
+   * @param {object} mergeRequest - Merge request this commit belongs to
+   */
+  async recordAuthor(commit, mergeRequest) {
+    try {
+      await recordCommitAuthor(this.db, commit.sha, mergeRequest.repository_id, commit.commit && commit.commit.author);
+    } catch (error) {
+      this.logger.warn(`Could not store the author of commit ${commit.sha}: ${error.message}`);
+    }
   }
   
   /**
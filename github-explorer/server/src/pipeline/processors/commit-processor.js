@@ -1,5 +1,8 @@
 import { BaseStage } from '../core/base-stage.js';
 import { logger } from '../../utils/logger.js';
+import { classifyFile, summarizeLanguages } from '../../utils/language-classifier.js';
+import { classifyCommitMessage } from '../../utils/commit-classifier.js';
+import { saveCommitClassifications } from '../../services/analytics/commit-classification.service.js';
 
 /**
  * CommitProcessorStage - Processes commit data to compute various statistics and metrics
@@ -108,6 +111,10 @@ export class CommitProcessorStage extends BaseStage {
         commit.commit_type = commitStats.classification?.type || commit.commit_type;
       }
       
+      if (config.computeCommitClassification) {
+        await this.storeCommitClassifications(context);
+      }
+      
       this.log('info', 'Commit processing completed');
       
       return context;
@@ -326,92 +333,27 @@ export class CommitProcessorStage extends BaseStage {
   computeCommitClassification(commit, context, config) {
     this.log('debug', `Computing classification for commit ${commit.hash} (${commit.title})`);
     
-    // Extract the message
-    const message = (commit.title || '') + (commit.message_body ? '\n' + commit.message_body : '');
-    const lowerMessage = message.toLowerCase();
-    
-    // Basic commit type detection based on message content
-    let type = 'unknown';
-    let confidence = 0.5;
-    let subtype = null;
-    
-    // Check for common commit message prefixes
-    if (commit.title.match(/^feat(\(.*\))?:/i)) {
-      type = 'feature';
-      confidence = 0.9;
-      subtype = commit.title.match(/^feat\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^fix(\(.*\))?:/i)) {
-      type = 'bugfix';
-      confidence = 0.9;
-      subtype = commit.title.match(/^fix\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^docs(\(.*\))?:/i)) {
-      type = 'documentation';
-      confidence = 0.9;
-      subtype = commit.title.match(/^docs\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^style(\(.*\))?:/i)) {
-      type = 'style';
-      confidence = 0.9;
-      subtype = commit.title.match(/^style\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^refactor(\(.*\))?:/i)) {
-      type = 'refactor';
-      confidence = 0.9;
-      subtype = commit.title.match(/^refactor\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^perf(\(.*\))?:/i)) {
-      type = 'performance';
-      confidence = 0.9;
-      subtype = commit.title.match(/^perf\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^test(\(.*\))?:/i)) {
-      type = 'test';
-      confidence = 0.9;
-      subtype = commit.title.match(/^test\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^build(\(.*\))?:/i)) {
-      type = 'build';
-      confidence = 0.9;
-      subtype = commit.title.match(/^build\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^chore(\(.*\))?:/i)) {
-      type = 'chore';
-      confidence = 0.9;
-      subtype = commit.title.match(/^chore\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^ci(\(.*\))?:/i)) {
-      type = 'ci';
-      confidence = 0.9;
-      subtype = commit.title.match(/^ci\((.*)\):/i)?.[1] || null;
-    } else if (commit.title.match(/^revert(\(.*\))?:/i)) {
-      type = 'revert';
-      confidence = 0.9;
-      subtype = commit.title.match(/^revert\((.*)\):/i)?.[1] || null;
-    } else if (lowerMessage.includes('fix') || lowerMessage.includes('bug') || lowerMessage.includes('issue')) {
-      type = 'bugfix';
-      confidence = 0.7;
-    } else if (lowerMessage.includes('feature') || lowerMessage.includes('add ') || lowerMessage.includes('new ')) {
-      type = 'feature';
-      confidence = 0.6;
-    } else if (lowerMessage.includes('refactor') || lowerMessage.includes('restructure') || lowerMessage.includes('reorganize')) {
-      type = 'refactor';
-      confidence = 0.7;
-    } else if (lowerMessage.includes('doc') || lowerMessage.includes('readme') || lowerMessage.includes('comment')) {
-      type = 'documentation';
-      confidence = 0.7;
-    } else if (lowerMessage.includes('test') || lowerMessage.includes('spec')) {
-      type = 'test';
-      confidence = 0.7;
-    } else if (lowerMessage.includes('style') || lowerMessage.includes('format') || lowerMessage.includes('lint')) {
-      type = 'style';
-      confidence = 0.7;
-    } else if (lowerMessage.includes('merge')) {
-      type = 'merge';
-      confidence = 0.8;
-    } else if (commit.parents && commit.parents.length > 1) {
-      type = 'merge';
-      confidence = 0.9;
-    }
+    return classifyCommitMessage(commit.title, {
+      body: commit.message_body,
+      parents: commit.parents
+    });
+  }
+  
+  /**
+   * Store the computed classifications on the commits table so they can be
+   * queried; a failure is logged without failing the stage
+   * @param {PipelineContext} context - Pipeline context
+   * @returns {Promise<void>}
+   */
+  async storeCommitClassifications(context) {
+    const classified = Object.values(context.commitStatistics).filter(stats => stats.classification);
     
-    return {
-      type,
-      subtype,
-      confidence,
-      message: message.split('\n')[0]
-    };
+    try {
+      const stored = await saveCommitClassifications(classified);
+      this.log('debug', `Stored classification of ${stored} commits`);
+    } catch (error) {
+      this.log('warn', 'Failed to store commit classifications', { error: error.message });
+    }
   }
   
   /**
@@ -424,29 +366,45 @@ export class CommitProcessorStage extends BaseStage {
   async computeLanguageDistribution(commit, context, config) {
     this.log('debug', `Computing language distribution for commit ${commit.hash} (${commit.title})`);
     
-    // In a real implementation, you would analyze the file paths and content
-    // to determine language distribution. Here we'll use a simplified approach.
+    // Changed files from the GitHub commit, or the single file of a per-file commit row
+    const files = Array.isArray(commit.files) && commit.files.length > 0
+      ? commit.files
+      : commit.filename ? [commit] : [];
     
     // Default empty response when we don't have enough data
-    if (!commit.diff) {
+    if (files.length === 0) {
       return {
         languages: {},
-        primary_language: null
+        primary_language: null,
+        files_by_language: {}
       };
     }
     
-    // Parse file paths from the diff (simplified)
+    const summary = summarizeLanguages(files);
     const languages = {};
-    const files = [];
+    const filesByLanguage = {};
+    
+    for (const language of summary) {
+      languages[language.name] = {
+        type: language.type,
+        files: language.files,
+        lines_changed: language.lines_changed,
+        percentage: language.percentage
+      };
+      filesByLanguage[language.name] = [];
+    }
     
-    // In a real implementation, you would parse the diff to extract file paths
-    // and then determine languages based on file extensions
+    for (const file of files) {
+      const language = classifyFile(file.filename, file);
+      if (language && filesByLanguage[language.name]) {
+        filesByLanguage[language.name].push(file.filename);
+      }
+    }
     
-    // For now, we'll return a placeholder
     return {
-      languages: {},
-      primary_language: null,
-      files_by_language: {}
+      languages,
+      primary_language: summary[0]?.name || null,
+      files_by_language: filesByLanguage
     };
   }
   
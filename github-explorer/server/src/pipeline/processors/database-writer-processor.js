@@ -9,12 +9,8 @@
 import { BaseStage } from '../core/base-stage.js';
 import { logger } from '../../utils/logger.js';
 // Import cache invalidation utilities
-import { 
-  invalidateContributorCache, 
-  invalidateRepositoryCache, 
-  invalidateEntityCountsCache,
-  invalidateOnDataUpdate
-} from '../../utils/cache-invalidation.js';
+import { invalidateCacheByTags } from '../../utils/cache.js';
+import { CACHE_TAGS, invalidateOnDataUpdate } from '../../utils/cache-invalidation.js';
 
 /**
  * DatabaseWriterProcessor - Processor for writing processed data to the database
@@ -59,7 +55,8 @@ export class DatabaseWriterProcessor extends BaseStage {
       const modifiedEntities = {
         repositories: new Set(),
         contributors: new Set(),
-        entityCountsChanged: false
+        entityCountsChanged: false,
+        mergeRequestsChanged: false
       };
 
       // Process different types of entities if they exist in the context
@@ -88,6 +85,7 @@ export class DatabaseWriterProcessor extends BaseStage {
       if (context.mergeRequests?.length > 0) {
         await this.storeMergeRequests(context.mergeRequests, context, config);
         modifiedEntities.entityCountsChanged = true;
+        modifiedEntities.mergeRequestsChanged = true;
       }
 
       if (context.commits?.length > 0) {
@@ -139,7 +137,8 @@ export class DatabaseWriterProcessor extends BaseStage {
   }
 
   /**
-   * Invalidate caches for modified entities
+   * Invalidate caches for modified entities. Only entries tagged with a modified
+   * repository or contributor (or with a list or count they change) are dropped.
    * @param {Object} modifiedEntities - Tracking of modified entities
    * @param {PipelineContext} context - Pipeline context
    * @returns {Promise<void>}
@@ -148,14 +147,17 @@ export class DatabaseWriterProcessor extends BaseStage {
     this.log('info', 'Invalidating caches for modified entities');
     
     try {
+      const tags = [];
+      
       // Invalidate repository caches
       const repositoryCount = modifiedEntities.repositories.size;
       if (repositoryCount > 0) {
         this.log('info', `Invalidating caches for ${repositoryCount} repositories`);
         
         for (const repoId of modifiedEntities.repositories) {
-          invalidateRepositoryCache(repoId);
+          tags.push(CACHE_TAGS.repository(repoId));
         }
+        tags.push(CACHE_TAGS.REPOSITORY_LIST);
       }
       
       // Invalidate contributor caches
@@ -164,16 +166,23 @@ export class DatabaseWriterProcessor extends BaseStage {
         this.log('info', `Invalidating caches for ${contributorCount} contributors`);
         
         for (const contributorId of modifiedEntities.contributors) {
-          invalidateContributorCache(contributorId);
+          tags.push(CACHE_TAGS.contributor(contributorId));
         }
       }
       
+      // Invalidate merge request lists if merge requests were written
+      if (modifiedEntities.mergeRequestsChanged) {
+        tags.push(CACHE_TAGS.MERGE_REQUEST_LIST);
+      }
+      
       // Invalidate entity counts if they changed
       if (modifiedEntities.entityCountsChanged) {
         this.log('info', 'Invalidating entity counts cache');
-        invalidateEntityCountsCache();
+        tags.push(CACHE_TAGS.ENTITY_COUNTS);
       }
       
+      const invalidated = await invalidateCacheByTags(tags);
+      
       // Trigger a pipeline_completed event if this was a full pipeline run
       if (
         repositoryCount > 0 &&
@@ -181,10 +190,10 @@ export class DatabaseWriterProcessor extends BaseStage {
         modifiedEntities.entityCountsChanged
       ) {
         this.log('info', 'Triggering pipeline_completed cache invalidation event');
-        invalidateOnDataUpdate('pipeline_completed');
+        await invalidateOnDataUpdate('pipeline_completed');
       }
       
-      this.log('info', 'Cache invalidation completed');
+      this.log('info', `Cache invalidation completed, ${invalidated} entries invalidated for ${tags.length} tags`);
     } catch (error) {
       this.log('error', 'Error invalidating caches', { error });
       // Don't throw the error, just log it to prevent pipeline failure
@@ -1,5 +1,6 @@
 import { BaseStage } from '../core/base-stage.js';
 import { logger } from '../../utils/logger.js';
+import { updateRepositoryHealth } from '../../services/analytics/health.service.js';
 
 /**
  * RepositoryProcessorStage - Processes repository data to compute various statistics like commit frequency, star history, fork statistics, etc.
@@ -98,14 +99,17 @@ export class RepositoryProcessorStage extends BaseStage {
           repoStats.language_breakdown = await this.computeLanguageBreakdown(repository, context, config);
         }
         
-        // Calculate overall health score
-        repoStats.health_score = this.calculateHealthScore(repoStats);
+        // Calculate and store the overall health score
+        const health = await this.calculateHealthScore(repository);
+        repoStats.health_score = health?.score ?? null;
+        repoStats.health_factors = health?.factors || [];
         
         // Store statistics in context
         context.repositoryStatistics[repository.id] = repoStats;
         
         // Update repository with health score
         repository.health_score = repoStats.health_score;
+        repository.health_percentage = repoStats.health_score;
       }
       
       this.log('info', 'Repository processing completed');
@@ -391,55 +395,17 @@ export class RepositoryProcessorStage extends BaseStage {
   }
   
   /**
-   * Calculate an overall health score for the repository
-   * @param {Object} repoStats - Repository statistics
-   * @returns {number} Health score (0-100)
+   * Calculate and store the health score of a repository from its commits,
+   * merge requests and issues (see services/analytics/health.service.js)
+   * @param {Object} repository - Repository to score
+   * @returns {Promise<Object|null>} Health score and per-factor breakdown, null if unavailable
    */
-  calculateHealthScore(repoStats) {
-    // In a real implementation, this would use a weighted algorithm
-    // that considers various metrics like:
-    // - Commit frequency (regular commits indicate active development)
-    // - Star growth (increasing interest from the community)
-    // - Fork activity (engagement from developers)
-    // - Contributor diversity (healthy community)
-    // - Issue response time (maintenance)
-    // - PR merge velocity (openness to contributions)
-    
-    // For now, implement a simple scoring system
-    let score = 50; // Start with a neutral score
-    
-    // Add points for commit frequency
-    if (repoStats.commit_frequency) {
-      // More regular commits = better score
-      if (repoStats.commit_frequency.daily_average > 3) score += 15;
-      else if (repoStats.commit_frequency.daily_average > 1) score += 10;
-      else if (repoStats.commit_frequency.daily_average > 0.5) score += 5;
-    }
-    
-    // Add points for star activity
-    if (repoStats.star_history) {
-      // Growing stars = better score
-      if (repoStats.star_history.daily_average_new_stars > 5) score += 15;
-      else if (repoStats.star_history.daily_average_new_stars > 1) score += 10;
-      else if (repoStats.star_history.daily_average_new_stars > 0.1) score += 5;
-    }
-    
-    // Add points for contributor diversity
-    if (repoStats.contributor_counts) {
-      // More contributors = better score
-      if (repoStats.contributor_counts.total_contributors > 20) score += 15;
-      else if (repoStats.contributor_counts.total_contributors > 10) score += 10;
-      else if (repoStats.contributor_counts.total_contributors > 5) score += 5;
-    }
-    
-    // Add points for language diversity
-    if (repoStats.language_breakdown) {
-      // More languages can indicate a more complex/complete project
-      if (repoStats.language_breakdown.total_languages > 5) score += 5;
-      else if (repoStats.language_breakdown.total_languages > 3) score += 3;
+  async calculateHealthScore(repository) {
+    try {
+      return await updateRepositoryHealth(repository.id);
+    } catch (error) {
+      this.log('warn', `Failed to calculate health score for repository ${repository.id}`, { error: error.message });
+      return null;
     }
-    
-    // Ensure the score is within 0-100 range
-    return Math.min(100, Math.max(0, score));
   }
 } 
\ No newline at end of file
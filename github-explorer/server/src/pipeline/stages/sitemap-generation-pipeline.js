@@ -74,7 +74,7 @@ export default class SitemapGenerationPipeline extends BaseStage {
               entities = await db.all(`
                 SELECT id, username, name
                 FROM contributors
-                WHERE is_enriched = 1
+                WHERE is_enriched = 1 AND merged_into_id IS NULL
                 LIMIT 50000
               `);
               break;
@@ -144,9 +144,9 @@ export async function processWebhookPayload(webhookPayload) {
     
     // Return a simplified summary 
     return {
-      runId: `run-${Date.now()}-${Math.random().toString(36).substring(5)}`,
-      state: 'completed',
-      duration: 4, // milliseconds
+      runId: result.runId,
+      state: result.state,
+      duration: result.getDuration(),
       stats: {
         rawDataProcessed: result.stats?.rawDataProcessed || 0,
         repositoriesExtracted: result.stats?.repositoriesExtracted || 0,
@@ -7,13 +7,14 @@ import { getPipelineSchedules } from '../controllers/api/pipeline-schedules.js';
 import { getPipelineItemCount } from '../controllers/api/pipeline-item-count.js';
 import { getSitemapStatus, triggerSitemapGeneration, getSitemapContent } from '../controllers/api/sitemap.js';
 import { handleContributorRankings } from '../controllers/api/contributor-rankings.js';
-import { getRepositories, getRepositoryById, getRepositoryBySlug } from '../controllers/api/repositories.js';
+import { getRepositories, getRepositoryById, getRepositoryBySlug, getRepositoryOwnership, getRepositoryChurn, getRepositoryFileChurn, getRepositoryLanguages, getRepositoryDeliveryMetrics, getRepositoryCommitTypes, getRepositoryHealth } from '../controllers/api/repositories.js';
 import { 
   getContributors, 
   getContributorById, 
   getContributorByLogin, 
   getContributorActivity, 
   getContributorImpact,
+  getContributorCommitTypes,
   getContributorRepositories,
   getContributorMergeRequests,
   getContributorRecentActivity,
@@ -23,6 +24,37 @@ import {
 } from '../controllers/api/contributors-wrapped.js';
 import { getMergeRequests, getMergeRequestById, getMergeRequestByNumber } from '../controllers/api/merge-requests.js';
 import { getCommits, getCommitById, getCommitBySha } from '../controllers/api/commits.js';
+import { getIssues, getIssueById, getIssueByNumber } from '../controllers/api/issues.js';
+import { getMergeRequestReviews, getContributorReviews } from '../controllers/api/reviews.js';
+import { search } from '../controllers/api/search.js';
+import { getWatchlist, addToWatchlist, removeFromWatchlist } from '../controllers/api/repository-watchlist.js';
+import {
+  getCurrentIdentity,
+  createSessionToken,
+  deleteSessionToken,
+  getApiKeys,
+  addApiKey,
+  deleteApiKey
+} from '../controllers/api/auth.js';
+import {
+  getIdentityCandidates,
+  getIdentityMerges,
+  getIdentity,
+  confirmIdentity,
+  mergeIdentity,
+  splitIdentity,
+  undoMerge
+} from '../controllers/api/identities.js';
+import {
+  getBots,
+  runBotDetection,
+  getContributorBotStatus,
+  overrideContributorBotStatus,
+  deleteContributorBotOverride
+} from '../controllers/api/bot-detection.js';
+import { getGitHubRateLimit } from '../controllers/api/github-rate-limit.js';
+import { getEvents, streamEvents } from '../controllers/api/events.js';
+import { authenticate, acceptSessionTokenQuery, requireRole, requireRoleForOperations } from '../middleware/auth.middleware.js';
 // Import cache invalidation controller
 import {
   clearCacheByEntityType,
@@ -43,6 +75,14 @@ import {
 
 const router = express.Router();
 
+// Auth endpoints
+router.get('/auth/me', authenticate, getCurrentIdentity);
+router.post('/auth/sessions', authenticate, createSessionToken);
+router.delete('/auth/sessions', authenticate, deleteSessionToken);
+router.get('/auth/keys', requireRole('admin'), getApiKeys);
+router.post('/auth/keys', requireRole('admin'), addApiKey);
+router.delete('/auth/keys/:id', requireRole('admin'), deleteApiKey);
+
 // Entity counts
 router.get('/entity-counts', getEntityCounts);
 
@@ -52,61 +92,108 @@ router.get('/pipeline-stats', getPipelineStats);
 router.get('/pipeline-history', getPipelineHistory);
 router.get('/pipeline-schedules', getPipelineSchedules);
 router.get('/pipeline-item-count', getPipelineItemCount);
-router.post('/pipeline-operations', handlePipelineOperations);
-router.post('/pipeline-history-clear', clearPipelineHistory);
+router.post('/pipeline-operations', requireRole('operator'), handlePipelineOperations);
+router.post('/pipeline-history-clear', requireRole('admin'), clearPipelineHistory);
+
+// Event stream (WebSocket clients connect to /api/events/ws); browsers pass a session token as ?token=
+router.get('/events', requireRole('viewer'), getEvents);
+router.get('/events/stream', acceptSessionTokenQuery, requireRole('viewer'), streamEvents);
+
+// GitHub token pool
+router.get('/github/rate-limit', requireRole('viewer'), getGitHubRateLimit);
 
 // Repository endpoints
 router.get('/repositories', getRepositories);
 router.get('/repositories/id/:id', getRepositoryById);
+router.get('/repositories/:id/ownership', getRepositoryOwnership);
+router.get('/repositories/:id/churn', getRepositoryChurn);
+router.get('/repositories/:id/churn/file', getRepositoryFileChurn);
+router.get('/repositories/:id/languages', getRepositoryLanguages);
+router.get('/repositories/:id/delivery-metrics', getRepositoryDeliveryMetrics);
+router.get('/repositories/:id/commit-types', getRepositoryCommitTypes);
+router.get('/repositories/:id/health', getRepositoryHealth);
 router.get('/repositories/:slug', getRepositoryBySlug);
 
+// Repository watchlist endpoints
+router.get('/watchlist', getWatchlist);
+router.post('/watchlist', requireRole('operator'), addToWatchlist);
+router.delete('/watchlist/:owner/:repo', requireRole('operator'), removeFromWatchlist);
+
 // Contributor endpoints
 router.get('/contributors', getContributors);
 router.get('/contributors/id/:id', getContributorById);
 router.get('/contributors/:login', getContributorByLogin);
 router.get('/contributors/:id/activity', getContributorActivity);
 router.get('/contributors/:id/impact', getContributorImpact);
+router.get('/contributors/:id/commit-types', getContributorCommitTypes);
 router.get('/contributors/:id/repositories', getContributorRepositories);
 router.get('/contributors/:id/merge-requests', getContributorMergeRequests);
+router.get('/contributors/:id/reviews', getContributorReviews);
 router.get('/contributors/:id/recent-activity', getContributorRecentActivity);
 router.get('/contributors/:id/rankings', getContributorRankings);
 router.get('/contributors/:id/profile-metadata', getContributorProfileMetadata);
 router.get('/contributors/:id/profile-data', getContributorProfileData);
+router.get('/contributors/:id/bot-status', getContributorBotStatus);
+router.post('/contributors/:id/bot-override', requireRole('admin'), overrideContributorBotStatus);
+router.delete('/contributors/:id/bot-override', requireRole('admin'), deleteContributorBotOverride);
+
+// Bot detection endpoints
+router.get('/bot-detection', getBots);
+router.post('/bot-detection/run', requireRole('operator'), runBotDetection);
+
+// Contributor identity endpoints - candidates and the audit log expose commit emails
+router.get('/identities/candidates', requireRole('operator'), getIdentityCandidates);
+router.get('/identities/merges', requireRole('operator'), getIdentityMerges);
+router.post('/identities/merges/:id/undo', requireRole('admin'), undoMerge);
+router.post('/identities', requireRole('admin'), confirmIdentity);
+router.get('/identities/:id', requireRole('operator'), getIdentity);
+router.post('/identities/:id/merge', requireRole('admin'), mergeIdentity);
+router.post('/identities/:id/split', requireRole('admin'), splitIdentity);
 
 // Merge request endpoints
 router.get('/merge-requests', getMergeRequests);
 router.get('/merge-requests/id/:id', getMergeRequestById);
+router.get('/merge-requests/id/:id/reviews', getMergeRequestReviews);
 router.get('/merge-requests/repository/:repository_id/number/:number', getMergeRequestByNumber);
 
+// Issue endpoints
+router.get('/issues', getIssues);
+router.get('/issues/id/:id', getIssueById);
+router.get('/issues/repository/:repository_id/number/:number', getIssueByNumber);
+
 // Commit endpoints
 router.get('/commits', getCommits);
 router.get('/commits/id/:id', getCommitById);
 router.get('/commits/repository/:repository_id/sha/:sha', getCommitBySha);
 
+// Search endpoint
+router.get('/search', search);
+
 // Sitemap endpoints
 router.get('/sitemap-status', getSitemapStatus);
-router.post('/generate-sitemap', triggerSitemapGeneration);
+router.post('/generate-sitemap', requireRole('operator'), triggerSitemapGeneration);
 router.get('/sitemap.xml', getSitemapContent);
 
-// Ranking endpoints
-router.post('/contributor-rankings', handleContributorRankings);
+// Ranking endpoints - reads stay public, calculating and saving profiles do not
+router.post('/contributor-rankings', requireRoleForOperations({
+  calculate: 'operator',
+  rebuild_aggregates: 'operator',
+  create_profile: 'admin'
+}), handleContributorRankings);
 
 // Cache invalidation endpoints
 router.get('/cache/entity-types', getEntityTypes);
-router.post('/cache/invalidate/entity-type/:entityType', clearCacheByEntityType);
-router.post('/cache/invalidate/contributor/:id', clearContributorCache);
-router.post('/cache/invalidate/repository/:id', clearRepositoryCache);
-router.post('/cache/invalidate/entity-counts', clearEntityCountsCache);
-router.post('/cache/invalidate/data-update', triggerDataUpdateInvalidation);
+router.post('/cache/invalidate/entity-type/:entityType', requireRole('operator'), clearCacheByEntityType);
+router.post('/cache/invalidate/contributor/:id', requireRole('operator'), clearContributorCache);
+router.post('/cache/invalidate/repository/:id', requireRole('operator'), clearRepositoryCache);
+router.post('/cache/invalidate/entity-counts', requireRole('operator'), clearEntityCountsCache);
+router.post('/cache/invalidate/data-update', requireRole('operator'), triggerDataUpdateInvalidation);
 
 // Cache monitoring endpoints
 router.get('/cache/metrics', getCacheMetrics);
-router.post('/cache/metrics/reset', resetCacheMetrics);
+router.post('/cache/metrics/reset', requireRole('operator'), resetCacheMetrics);
 router.get('/cache/keys', getCacheKeys);
 router.get('/cache/key/:key', getCacheValue);
 router.get('/cache/search', searchCacheKeys);
 
-// The following endpoints will be implemented in future tasks:
-// - /bot-detection
-
 export default router; 
\ No newline at end of file
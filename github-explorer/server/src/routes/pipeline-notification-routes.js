@@ -6,7 +6,7 @@
 
 import express from 'express';
 import pipelineNotificationController from '../controllers/pipeline-notification-controller.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { authenticate, requireRole } from '../middleware/auth.middleware.js';
 
 // Create a router
 const router = express.Router();
@@ -17,11 +17,19 @@ router.use(authenticate);
 // Notification routes
 router.get('/notifications', pipelineNotificationController.getNotifications.bind(pipelineNotificationController));
 router.post('/notifications/mark-read', pipelineNotificationController.markNotificationsAsRead.bind(pipelineNotificationController));
+router.get('/notifications/:notification_id/deliveries', pipelineNotificationController.getNotificationDeliveries.bind(pipelineNotificationController));
 
 // Notification settings routes
 router.get('/settings', pipelineNotificationController.getNotificationSettings.bind(pipelineNotificationController));
-router.post('/settings', pipelineNotificationController.createNotificationSettings.bind(pipelineNotificationController));
-router.put('/settings/:setting_id', pipelineNotificationController.updateNotificationSettings.bind(pipelineNotificationController));
-router.delete('/settings/:setting_id', pipelineNotificationController.deleteNotificationSettings.bind(pipelineNotificationController));
+router.post('/settings', requireRole('operator'), pipelineNotificationController.createNotificationSettings.bind(pipelineNotificationController));
+router.put('/settings/:setting_id', requireRole('operator'), pipelineNotificationController.updateNotificationSettings.bind(pipelineNotificationController));
+router.delete('/settings/:setting_id', requireRole('operator'), pipelineNotificationController.deleteNotificationSettings.bind(pipelineNotificationController));
+
+// Slack and Discord channel routes; their webhook URLs are credentials
+router.get('/channels', requireRole('operator'), pipelineNotificationController.getNotificationChannels.bind(pipelineNotificationController));
+router.post('/channels', requireRole('operator'), pipelineNotificationController.createNotificationChannel.bind(pipelineNotificationController));
+router.put('/channels/:channel_id', requireRole('operator'), pipelineNotificationController.updateNotificationChannel.bind(pipelineNotificationController));
+router.delete('/channels/:channel_id', requireRole('operator'), pipelineNotificationController.deleteNotificationChannel.bind(pipelineNotificationController));
+router.post('/channels/:channel_id/test', requireRole('operator'), pipelineNotificationController.testNotificationChannel.bind(pipelineNotificationController));
 
 export default router; 
\ No newline at end of file
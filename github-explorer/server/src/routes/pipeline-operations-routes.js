@@ -1,12 +1,12 @@
 /**
  * Pipeline Operations Routes
  * 
- * This module defines the API routes for direct pipeline operations (start/stop).
+ * This module defines the API routes for direct pipeline operations (start/stop/resume).
  */
 
 import express from 'express';
 import pipelineOperationsController from '../controllers/pipeline-operations-controller.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { authenticate, requireRole } from '../middleware/auth.middleware.js';
 
 // Create a router
 const router = express.Router();
@@ -15,16 +15,25 @@ const router = express.Router();
 router.use(authenticate);
 
 // Pipeline operation routes
-router.post('/start', async (req, res) => {
+router.post('/start', requireRole('operator'), async (req, res) => {
   await pipelineOperationsController.startPipeline(req, res);
 });
 
-router.post('/stop', async (req, res) => {
+router.post('/stop', requireRole('operator'), async (req, res) => {
   await pipelineOperationsController.stopPipeline(req, res);
 });
 
-router.post('/restart', async (req, res) => {
+router.post('/restart', requireRole('operator'), async (req, res) => {
   await pipelineOperationsController.restartPipeline(req, res);
 });
 
+router.post('/resume', requireRole('operator'), async (req, res) => {
+  await pipelineOperationsController.resumePipeline(req, res);
+});
+
+// Persisted pipeline runs and their checkpoints
+router.get('/runs', async (req, res) => {
+  await pipelineOperationsController.getPipelineRuns(req, res);
+});
+
 export default router; 
\ No newline at end of file
@@ -6,7 +6,7 @@
 
 import express from 'express';
 import pipelineSchedulerController from '../controllers/pipeline-scheduler-controller.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { authenticate, requireRole } from '../middleware/auth.middleware.js';
 
 // Create a router
 const router = express.Router();
@@ -19,16 +19,16 @@ router.get('/types', pipelineSchedulerController.getPipelineTypes.bind(pipelineS
 
 // Schedule management routes
 router.get('/schedules', pipelineSchedulerController.getSchedules.bind(pipelineSchedulerController));
-router.post('/schedules', pipelineSchedulerController.createSchedule.bind(pipelineSchedulerController));
+router.post('/schedules', requireRole('operator'), pipelineSchedulerController.createSchedule.bind(pipelineSchedulerController));
 router.get('/schedules/:id', pipelineSchedulerController.getScheduleById.bind(pipelineSchedulerController));
-router.put('/schedules/:id', pipelineSchedulerController.updateSchedule.bind(pipelineSchedulerController));
-router.delete('/schedules/:id', pipelineSchedulerController.deleteSchedule.bind(pipelineSchedulerController));
-router.post('/schedules/:id/trigger', pipelineSchedulerController.triggerSchedule.bind(pipelineSchedulerController));
+router.put('/schedules/:id', requireRole('operator'), pipelineSchedulerController.updateSchedule.bind(pipelineSchedulerController));
+router.delete('/schedules/:id', requireRole('admin'), pipelineSchedulerController.deleteSchedule.bind(pipelineSchedulerController));
+router.post('/schedules/:id/trigger', requireRole('operator'), pipelineSchedulerController.triggerSchedule.bind(pipelineSchedulerController));
 
 // Pipeline execution history
 router.get('/history', pipelineSchedulerController.getPipelineHistory.bind(pipelineSchedulerController));
 
 // Direct pipeline execution
-router.post('/execute', pipelineSchedulerController.executePipeline.bind(pipelineSchedulerController));
+router.post('/execute', requireRole('operator'), pipelineSchedulerController.executePipeline.bind(pipelineSchedulerController));
 
 export default router; 
\ No newline at end of file
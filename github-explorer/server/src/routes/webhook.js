@@ -1,61 +1,176 @@
 import express from 'express';
-import { processWebhookPayload } from '../pipeline/stages/webhook-processor-pipeline.js';
+import {
+  verifyWebhookSignature,
+  recordDelivery,
+  processDelivery,
+  replayDeliveries,
+  listDeliveries,
+  getSupportedEvents,
+  DELIVERY_STATUS
+} from '../services/webhooks/webhook-delivery-service.js';
+import { requireRole } from '../middleware/auth.middleware.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
 /**
  * GitHub webhook endpoint
- * 
- * This endpoint receives GitHub webhook payloads and processes them
- * using the webhook processor pipeline.
+ *
+ * Verifies the X-Hub-Signature-256 header against GITHUB_WEBHOOK_SECRET,
+ * stores the delivery keyed on X-GitHub-Delivery and processes it in the
+ * background. Deliveries that were already processed are acknowledged
+ * without being processed again; redeliveries of failed or unfinished ones
+ * are processed again. Without a secret, webhooks are rejected unless
+ * GITHUB_WEBHOOK_ALLOW_UNSIGNED=true outside production.
  */
 router.post('/github', async (req, res) => {
   try {
-    // Validate GitHub webhook signature if needed
-    // This would typically involve checking the X-Hub-Signature header
-    
     const payload = req.body;
-    
-    if (!payload) {
+    const event = req.headers['x-github-event'];
+    const deliveryId = req.headers['x-github-delivery'];
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+
+    if (secret) {
+      const signature = req.headers['x-hub-signature-256'];
+
+      if (!verifyWebhookSignature(req.rawBody, signature, secret)) {
+        logger.warn('Rejected GitHub webhook with invalid signature', {
+          event,
+          delivery: deliveryId
+        });
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+    } else if (process.env.GITHUB_WEBHOOK_ALLOW_UNSIGNED === 'true' && process.env.NODE_ENV !== 'production') {
+      logger.warn('GITHUB_WEBHOOK_SECRET is not set - accepting unsigned webhook (GITHUB_WEBHOOK_ALLOW_UNSIGNED)');
+    } else {
+      logger.error('GITHUB_WEBHOOK_SECRET is not set - rejecting webhook', { event, delivery: deliveryId });
+      return res.status(503).json({ error: 'Webhook signature verification is not configured' });
+    }
+
+    if (!payload || Object.keys(payload).length === 0) {
       logger.warn('Received empty webhook payload');
       return res.status(400).json({ error: 'Empty payload' });
     }
-    
+
+    if (!event || !deliveryId) {
+      return res.status(400).json({ error: 'Missing X-GitHub-Event or X-GitHub-Delivery header' });
+    }
+
     logger.info('Received GitHub webhook', {
-      event: req.headers['x-github-event'],
-      delivery: req.headers['x-github-delivery'],
+      event,
+      action: payload.action,
+      delivery: deliveryId,
       repository: payload.repository?.full_name
     });
-    
-    // Process the webhook payload asynchronously
-    // We don't want to block the response to GitHub
-    processWebhookPayload(payload)
-      .then(result => {
-        logger.info('Webhook processing completed successfully', { result });
-      })
-      .catch(error => {
-        logger.error('Webhook processing failed', { error });
-      });
-    
-    // Respond immediately to GitHub
-    res.status(202).json({ status: 'accepted' });
+
+    // Persist before acknowledging so the delivery survives a restart
+    const { duplicate, redelivered, delivery } = await recordDelivery({ deliveryId, event, payload });
+
+    if (duplicate) {
+      logger.info(`Duplicate webhook delivery ${deliveryId}, skipping`, { status: delivery.status });
+      return res.status(200).json({ status: 'duplicate', deliveryId });
+    }
+
+    if (redelivered) {
+      logger.info(`Redelivery of unfinished webhook delivery ${deliveryId}, processing again`);
+    }
+
+    if (delivery.status === DELIVERY_STATUS.IGNORED) {
+      return res.status(202).json({ status: 'ignored', deliveryId });
+    }
+
+    // Process in the background - we don't want to block the response to GitHub
+    processDelivery(deliveryId).catch(error => {
+      logger.error('Webhook processing failed', { error, delivery: deliveryId });
+    });
+
+    res.status(202).json({ status: 'accepted', deliveryId });
   } catch (error) {
     logger.error('Error handling webhook', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+/**
+ * List stored webhook deliveries
+ */
+router.get('/deliveries', requireRole('viewer'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { deliveries, total } = await listDeliveries({
+      status: req.query.status,
+      event: req.query.event,
+      limit,
+      offset
+    });
+
+    res.json({ data: deliveries, total, limit, offset });
+  } catch (error) {
+    logger.error('Error listing webhook deliveries', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Replay a single stored delivery through the webhook processor pipeline
+ */
+router.post('/deliveries/:deliveryId/replay', requireRole('operator'), async (req, res) => {
+  try {
+    const [delivery] = await replayDeliveries({ deliveryId: req.params.deliveryId });
+
+    res.json({ success: delivery.status !== DELIVERY_STATUS.FAILED, data: delivery });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    logger.error('Error replaying webhook delivery', { error, delivery: req.params.deliveryId });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Replay stored deliveries in bulk, e.g. { "status": "failed" }
+ */
+router.post('/deliveries/replay', requireRole('operator'), async (req, res) => {
+  try {
+    const { status, event, limit } = req.body || {};
+
+    if (!status && !event) {
+      return res.status(400).json({ error: 'A status or event filter is required' });
+    }
+
+    const results = await replayDeliveries({
+      status,
+      event,
+      limit: Math.min(parseInt(limit) || 100, 1000)
+    });
+
+    res.json({
+      success: true,
+      replayed: results.length,
+      failed: results.filter(delivery => delivery.status === DELIVERY_STATUS.FAILED).length
+    });
+  } catch (error) {
+    logger.error('Error replaying webhook deliveries', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Webhook status endpoint
- * 
+ *
  * This endpoint provides information about the webhook processor.
  */
 router.get('/status', (req, res) => {
   res.json({
     status: 'active',
+    signatureVerification: Boolean(process.env.GITHUB_WEBHOOK_SECRET),
+    supportedEvents: getSupportedEvents(),
     timestamp: new Date().toISOString()
   });
 });
 
-export default router; 
\ No newline at end of file
+export default router;
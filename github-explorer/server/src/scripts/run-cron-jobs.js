@@ -16,6 +16,9 @@ import fetch from 'node-fetch';
 // Add a configurable API URL instead of hardcoded localhost:3001
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3001';
 
+// Operator (or admin) API key used to authenticate the pipeline endpoints
+const API_KEY = process.env.API_KEY;
+
 // Pipeline types to run with their correct names from server logs and admin UI code
 const PIPELINE_TYPES = [
   'github_sync',              // For closed merge requests (Pull new raw data)
@@ -113,7 +116,8 @@ async function executePipelineViaApi(pipelineType) {
     requestOptions = {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(API_KEY ? { 'X-API-Key': API_KEY } : {})
       },
       body: JSON.stringify(requestBody)
     };
@@ -25,8 +25,8 @@ export async function setupRequiredCronJobs() {
   logger.info('Setting up required cron jobs');
   
   try {
-    // Initialize the scheduler service
-    await schedulerService.initializeFromDatabase();
+    // Load persisted schedules without arming them - the server runs the jobs
+    await schedulerService.initializeFromDatabase({ startJobs: false });
     
     // Define the cron jobs to set up - all set to every minute for testing
     const cronJobs = [
@@ -91,7 +91,8 @@ export async function setupRequiredCronJobs() {
             pipelineType: job.pipelineType,
             cronExpression: job.cronExpression,
             timeZone: 'UTC',
-            isActive: true
+            isActive: true,
+            description: job.description
           });
           
           logger.info(`Created new schedule for ${job.name} to run every minute for testing`);
@@ -0,0 +1,167 @@
+/**
+ * Test Cache
+ *
+ * Checks tag-based invalidation and stale entries on both cache backends, and
+ * request coalescing, stale-while-revalidate and warm-up in cacheOrCompute.
+ */
+
+import './test-support/test-database.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryCacheBackend } from '../services/cache/memory-cache-backend.js';
+import { SqliteCacheBackend } from '../services/cache/sqlite-cache-backend.js';
+import {
+  cacheOrCompute,
+  getCacheValue,
+  invalidateCache,
+  registerCacheWarmer,
+  refreshCache,
+  warmCache
+} from '../utils/cache.js';
+import { CACHE_TAGS, invalidateContributorCache } from '../utils/cache-invalidation.js';
+import { closeConnection } from '../db/connection-manager.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A computation that counts its calls and resolves when release() is called
+ */
+function deferredComputation(value) {
+  const computation = {
+    calls: 0,
+    release: () => {},
+    compute: () => {
+      computation.calls++;
+      return new Promise(resolve => {
+        computation.release = () => resolve(value);
+      });
+    }
+  };
+
+  return computation;
+}
+
+after(async () => {
+  await closeConnection();
+});
+
+for (const Backend of [MemoryCacheBackend, SqliteCacheBackend]) {
+  const backend = new Backend();
+
+  test(`${backend.name} backend: deleting by tag removes only the entries with that tag`, async () => {
+    await backend.clear();
+    await backend.set('contributors:alice', { commits: 3 }, { ttl: 60, tags: ['contributor:alice', 'rankings'] });
+    await backend.set('contributors:bob', { commits: 5 }, { ttl: 60, tags: ['contributor:bob', 'rankings'] });
+    await backend.set('repositories:list', ['repo'], { ttl: 60, tags: ['list:repositories'] });
+
+    assert.equal(await backend.deleteByTags(['contributor:alice']), 1);
+    assert.equal(await backend.get('contributors:alice'), undefined);
+    assert.deepEqual(await backend.get('contributors:bob'), { value: { commits: 5 }, stale: false });
+
+    assert.equal(await backend.deleteByTags(['rankings', 'unknown']), 1);
+    assert.deepEqual((await backend.keys()).sort(), ['repositories:list']);
+  });
+
+  test(`${backend.name} backend: storing an entry again replaces its tags`, async () => {
+    await backend.clear();
+    await backend.set('search:octo', ['result'], { ttl: 60, tags: ['search', 'contributor:alice'] });
+    await backend.set('search:octo', ['result'], { ttl: 60, tags: ['search'] });
+
+    assert.equal(await backend.deleteByTags(['contributor:alice']), 0);
+    assert.equal(await backend.deleteByPrefix('search:'), 1);
+  });
+
+  test(`${backend.name} backend: entries turn stale after the TTL and expire after the stale period`, async () => {
+    await backend.clear();
+    await backend.set('rankings:all', [1, 2], { ttl: 0.05, staleTtl: 0.1 });
+    assert.equal((await backend.get('rankings:all')).stale, false);
+
+    await sleep(80);
+    assert.deepEqual(await backend.get('rankings:all'), { value: [1, 2], stale: true });
+
+    await sleep(120);
+    assert.equal(await backend.get('rankings:all'), undefined);
+  });
+}
+
+test('concurrent misses share one computation', async () => {
+  const computation = deferredComputation({ total: 42 });
+
+  const requests = [1, 2, 3].map(() => cacheOrCompute('test:coalesced', computation.compute, 60));
+  await sleep(10);
+  computation.release();
+
+  assert.deepEqual(await Promise.all(requests), [{ total: 42 }, { total: 42 }, { total: 42 }]);
+  assert.equal(computation.calls, 1);
+  assert.deepEqual(await getCacheValue('test:coalesced'), { total: 42 });
+});
+
+test('a stale entry is served while one background computation refreshes it', async () => {
+  await cacheOrCompute('test:stale', async () => 'first', 0.05, { staleTtl: 60 });
+  await sleep(80);
+
+  const computation = deferredComputation('second');
+  const responses = await Promise.all([1, 2].map(() => cacheOrCompute('test:stale', computation.compute, 60, { staleTtl: 60 })));
+
+  assert.deepEqual(responses, ['first', 'first']);
+  assert.equal(computation.calls, 1);
+
+  computation.release();
+  await sleep(10);
+  assert.equal(await cacheOrCompute('test:stale', computation.compute, 60), 'second');
+  assert.equal(computation.calls, 1);
+});
+
+test('a failed background refresh keeps the stale entry', async () => {
+  await cacheOrCompute('test:refresh-fails', async () => 'kept', 0.05, { staleTtl: 60 });
+  await sleep(80);
+
+  const failing = async () => {
+    throw new Error('database locked');
+  };
+
+  assert.equal(await cacheOrCompute('test:refresh-fails', failing, 60, { staleTtl: 60 }), 'kept');
+  await sleep(10);
+  assert.equal(await cacheOrCompute('test:refresh-fails', failing, 60, { staleTtl: 60 }), 'kept');
+});
+
+test('a value computed across an invalidation is returned but not stored', async () => {
+  const computation = deferredComputation('outdated');
+  const request = cacheOrCompute('test:invalidated', computation.compute, 60);
+
+  await sleep(10);
+  await invalidateCache('test:other-key');
+  computation.release();
+
+  assert.equal(await request, 'outdated');
+  assert.equal(await getCacheValue('test:invalidated'), undefined);
+});
+
+test('a failed computation is not cached', async () => {
+  await assert.rejects(cacheOrCompute('test:fails', async () => {
+    throw new Error('query failed');
+  }, 60), /query failed/);
+
+  assert.equal(await cacheOrCompute('test:fails', async () => 'recovered', 60), 'recovered');
+});
+
+test('entries tagged from their value are invalidated with the contributor', async () => {
+  const tags = (contributor) => [CACHE_TAGS.contributor(contributor.id), CACHE_TAGS.RANKINGS];
+  await cacheOrCompute('contributors:octocat', async () => ({ id: 'octocat' }), 60, { tags });
+
+  const result = await invalidateContributorCache('octocat');
+  assert.equal(result.tagged, 1);
+  assert.equal(await getCacheValue('contributors:octocat'), undefined);
+});
+
+test('warm-up runs the registered warmers and reports unknown and failed ones', async () => {
+  registerCacheWarmer('test-rankings', () => refreshCache('test:warmed', async () => ['warm'], 60));
+  registerCacheWarmer('test-broken', async () => {
+    throw new Error('warmer failed');
+  });
+
+  const result = await warmCache(['test-rankings', 'test-broken', 'test-missing']);
+
+  assert.deepEqual(result, { warmed: ['test-rankings'], failed: ['test-broken'], unknown: ['test-missing'] });
+  assert.deepEqual(await getCacheValue('test:warmed'), ['warm']);
+});
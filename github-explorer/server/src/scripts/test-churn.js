@@ -0,0 +1,65 @@
+/**
+ * Test Churn
+ *
+ * Builds the churn report of a repository whose commits also change vendored
+ * and generated files, and checks that those files are neither ranked nor
+ * flagged as hotspots unless asked for.
+ */
+
+import './test-support/test-database.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRepositoryChurn } from '../services/analytics/churn.service.js';
+import { closeConnection } from '../db/connection-manager.js';
+import { insertRepository, insertContributor, insertCommit } from './test-support/fixtures.js';
+
+const REPOSITORY_ID = 'churn-repo';
+
+before(async () => {
+  await insertRepository(REPOSITORY_ID);
+
+  // Three authors each change application code together with vendored and lock files
+  for (const author of ['alice', 'bob', 'carol']) {
+    await insertContributor(author);
+
+    const changes = {
+      'src/app.js': 100,
+      'src/util.js': 10,
+      'vendor/x.js': 5000,
+      'package-lock.json': 2000,
+      'dist/bundle.min.js': 3000
+    };
+
+    for (const [filename, additions] of Object.entries(changes)) {
+      await insertCommit({ sha: `${author}-1`, repositoryId: REPOSITORY_ID, contributorId: author, filename, additions });
+    }
+
+    await insertCommit({ sha: `${author}-2`, repositoryId: REPOSITORY_ID, contributorId: author, filename: 'README.md', additions: 1 });
+  }
+});
+
+after(async () => {
+  await closeConnection();
+});
+
+test('vendored and generated files are left out of the ranking, hotspots and coupling', async () => {
+  const report = await getRepositoryChurn(REPOSITORY_ID, { days: 0 });
+
+  assert.deepEqual(report.files.map(file => file.path), ['src/app.js', 'src/util.js', 'README.md']);
+  assert.deepEqual(report.hotspots.map(file => file.path), ['src/app.js']);
+  assert.equal(report.thresholds.high_churn, 300);
+  assert.equal(report.summary.files, 3);
+  assert.equal(report.summary.excluded_files, 3);
+
+  assert.deepEqual(report.coupling.map(pair => pair.files), [['src/app.js', 'src/util.js']]);
+  assert.equal(report.coupling[0].shared_changes, 3);
+});
+
+test('vendored and generated files are ranked when asked for', async () => {
+  const report = await getRepositoryChurn(REPOSITORY_ID, { days: 0, includeVendored: true });
+
+  assert.equal(report.summary.files, 6);
+  assert.equal(report.summary.excluded_files, 0);
+  assert.equal(report.files[0].path, 'vendor/x.js');
+  assert.ok(report.hotspots.some(file => file.path === 'vendor/x.js'));
+});
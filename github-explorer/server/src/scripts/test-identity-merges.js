@@ -0,0 +1,243 @@
+/**
+ * Test Identity Merges
+ *
+ * Checks that contributors sharing a commit email are suggested as one
+ * identity, that merging moves their rows onto the primary contributor, and
+ * that undoing a merge gives the alias back what it had while keeping what
+ * was recorded on the primary since the merge. Merged aliases are left out of
+ * contributor listings, search, counts and the sitemap.
+ */
+
+import './test-support/test-database.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  findIdentityCandidates,
+  confirmIdentity,
+  mergeIdentity,
+  undoIdentityMerge,
+  splitIdentity,
+  resolveContributor
+} from '../services/identity/identity.service.js';
+import { getContributors } from '../controllers/api/contributors.js';
+import { search } from '../controllers/api/search.js';
+import { getEntityCounts } from '../controllers/api/entity-counts.js';
+import { fetchContributorsForSitemap } from '../controllers/sitemap-controller.js';
+import { insertRepository, insertContributor, insertMergeRequest, insertCommit } from './test-support/fixtures.js';
+import { getConnection, closeConnection } from '../db/connection-manager.js';
+
+async function insertContributorRepository(contributorId, repositoryId, commitCount, { first = null, last = null } = {}) {
+  const db = await getConnection();
+  await db.run(
+    `INSERT INTO contributor_repository (id, contributor_id, repository_id, commit_count, first_contribution_date, last_contribution_date)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [uuidv4(), contributorId, repositoryId, commitCount, first, last]
+  );
+}
+
+/**
+ * Commit counts per contributor and repository, as { 'contributor/repository': count }
+ */
+async function getContributorRepositoryCounts(repositoryIds) {
+  const db = await getConnection();
+  const rows = await db.all(
+    `SELECT contributor_id, repository_id, commit_count FROM contributor_repository
+     WHERE repository_id IN (${repositoryIds.map(() => '?').join(', ')})`,
+    repositoryIds
+  );
+  return Object.fromEntries(rows.map(row => [`${row.contributor_id}/${row.repository_id}`, row.commit_count]));
+}
+
+async function getCommitOwners(shas) {
+  const db = await getConnection();
+  const rows = await db.all(
+    `SELECT github_id, contributor_id FROM commits WHERE github_id IN (${shas.map(() => '?').join(', ')})`,
+    shas
+  );
+  return Object.fromEntries(rows.map(row => [row.github_id, row.contributor_id]));
+}
+
+async function getAggregatedCommitCount(contributorId) {
+  const db = await getConnection();
+  const row = await db.get('SELECT commit_count FROM contributor_commit_aggregates WHERE contributor_id = ?', [contributorId]);
+  return row ? row.commit_count : 0;
+}
+
+/**
+ * Call an API controller and return the JSON it responds with
+ */
+async function callController(controller, query = {}) {
+  let body;
+  const res = {
+    status() {
+      return res;
+    },
+    json(data) {
+      body = data;
+      return res;
+    }
+  };
+
+  await controller({ query, params: {} }, res);
+  return body;
+}
+
+after(async () => {
+  await closeConnection();
+});
+
+test('merge and undo move rows between the alias and the primary contributor', async () => {
+  const db = await getConnection();
+  await insertRepository('id-repo-1');
+  await insertRepository('id-repo-2');
+  await insertContributor('octo-main');
+  await insertContributor('octo-work');
+
+  await insertCommit({ sha: 'main-1', repositoryId: 'id-repo-1', contributorId: 'octo-main' });
+  await insertCommit({ sha: 'work-1', repositoryId: 'id-repo-1', contributorId: 'octo-work' });
+  await insertCommit({ sha: 'work-2', repositoryId: 'id-repo-2', contributorId: 'octo-work' });
+  await db.run("UPDATE commits SET author_email = 'octo@example.com' WHERE github_id IN ('main-1', 'work-1')");
+  await insertMergeRequest('id-mr-1', { repositoryId: 'id-repo-1', authorId: 'octo-work' });
+
+  await insertContributorRepository('octo-main', 'id-repo-1', 5, { first: '2024-03-01', last: '2024-06-01' });
+  await insertContributorRepository('octo-work', 'id-repo-1', 3, { first: '2024-01-01', last: '2024-04-01' });
+  await insertContributorRepository('octo-work', 'id-repo-2', 4);
+
+  const candidate = (await findIdentityCandidates())
+    .find(entry => entry.contributors.some(contributor => contributor.id === 'octo-work'));
+  assert.deepEqual(candidate.contributors.map(contributor => contributor.id).sort(), ['octo-main', 'octo-work']);
+  assert.equal(candidate.confidence, 0.9);
+  assert.ok(candidate.evidence.some(entry => entry.signal === 'email' && entry.value === 'octo@example.com'));
+
+  const identity = await confirmIdentity({ contributorIds: ['octo-main', 'octo-work'], primaryContributorId: 'octo-main' });
+  const { merges: [merge] } = await mergeIdentity(identity.id);
+
+  assert.deepEqual(await getCommitOwners(['main-1', 'work-1', 'work-2']), {
+    'main-1': 'octo-main',
+    'work-1': 'octo-main',
+    'work-2': 'octo-main'
+  });
+  assert.equal((await db.get("SELECT author_id FROM merge_requests WHERE id = 'id-mr-1'")).author_id, 'octo-main');
+  assert.equal((await resolveContributor(db, 'octo-work')).id, 'octo-main');
+  assert.deepEqual(await getContributorRepositoryCounts(['id-repo-1', 'id-repo-2']), {
+    'octo-main/id-repo-1': 8,
+    'octo-main/id-repo-2': 4
+  });
+  assert.equal(
+    (await db.get("SELECT first_contribution_date FROM contributor_repository WHERE contributor_id = 'octo-main' AND repository_id = 'id-repo-1'")).first_contribution_date,
+    '2024-01-01'
+  );
+  assert.equal(await getAggregatedCommitCount('octo-main'), 3);
+
+  // Contributions recorded on the primary after the merge
+  await db.run("UPDATE contributor_repository SET commit_count = commit_count + 2 WHERE contributor_id = 'octo-main' AND repository_id = 'id-repo-1'");
+  await db.run("UPDATE contributor_repository SET commit_count = commit_count + 1 WHERE contributor_id = 'octo-main' AND repository_id = 'id-repo-2'");
+  await insertCommit({ sha: 'main-2', repositoryId: 'id-repo-2', contributorId: 'octo-main' });
+
+  const undone = await undoIdentityMerge(merge.id);
+  assert.ok(undone.undone_at);
+
+  assert.deepEqual(await getCommitOwners(['main-1', 'main-2', 'work-1', 'work-2']), {
+    'main-1': 'octo-main',
+    'main-2': 'octo-main',
+    'work-1': 'octo-work',
+    'work-2': 'octo-work'
+  });
+  assert.equal((await db.get("SELECT author_id FROM merge_requests WHERE id = 'id-mr-1'")).author_id, 'octo-work');
+  assert.equal((await resolveContributor(db, 'octo-work')).id, 'octo-work');
+  assert.deepEqual(await getContributorRepositoryCounts(['id-repo-1', 'id-repo-2']), {
+    'octo-main/id-repo-1': 7,
+    'octo-work/id-repo-1': 3,
+    'octo-main/id-repo-2': 1,
+    'octo-work/id-repo-2': 4
+  });
+  assert.equal(
+    (await db.get("SELECT first_contribution_date FROM contributor_repository WHERE contributor_id = 'octo-main' AND repository_id = 'id-repo-1'")).first_contribution_date,
+    '2024-03-01'
+  );
+  assert.equal(await getAggregatedCommitCount('octo-main'), 2);
+  assert.equal(await getAggregatedCommitCount('octo-work'), 2);
+
+  await assert.rejects(undoIdentityMerge(merge.id), /already undone/);
+});
+
+test('merges of several aliases into the same rows can be undone in any order', async () => {
+  await insertRepository('id-repo-3');
+  for (const id of ['team-main', 'team-alias-1', 'team-alias-2']) {
+    await insertContributor(id);
+  }
+  await insertContributorRepository('team-main', 'id-repo-3', 1);
+  await insertContributorRepository('team-alias-1', 'id-repo-3', 2);
+  await insertContributorRepository('team-alias-2', 'id-repo-3', 4);
+
+  const identity = await confirmIdentity({
+    contributorIds: ['team-main', 'team-alias-1', 'team-alias-2'],
+    primaryContributorId: 'team-main'
+  });
+  const { merges } = await mergeIdentity(identity.id);
+  const mergeOf = (aliasId) => merges.find(merge => merge.alias_contributor_id === aliasId);
+
+  assert.deepEqual(await getContributorRepositoryCounts(['id-repo-3']), { 'team-main/id-repo-3': 7 });
+
+  // Undo the earlier merge while the later one is still in place
+  await undoIdentityMerge(mergeOf('team-alias-1').id);
+  assert.deepEqual(await getContributorRepositoryCounts(['id-repo-3']), {
+    'team-main/id-repo-3': 5,
+    'team-alias-1/id-repo-3': 2
+  });
+
+  await undoIdentityMerge(mergeOf('team-alias-2').id);
+  assert.deepEqual(await getContributorRepositoryCounts(['id-repo-3']), {
+    'team-main/id-repo-3': 1,
+    'team-alias-1/id-repo-3': 2,
+    'team-alias-2/id-repo-3': 4
+  });
+});
+
+test('splitting a merged alias off undoes its merge and removes an identity left with one contributor', async () => {
+  await insertRepository('id-repo-4');
+  await insertContributor('split-main');
+  await insertContributor('split-alias');
+  await insertContributorRepository('split-alias', 'id-repo-4', 6);
+
+  const identity = await confirmIdentity({ contributorIds: ['split-main', 'split-alias'], primaryContributorId: 'split-main' });
+  await mergeIdentity(identity.id);
+  assert.deepEqual(await getContributorRepositoryCounts(['id-repo-4']), { 'split-main/id-repo-4': 6 });
+
+  await assert.rejects(splitIdentity(identity.id, 'split-main'), /Invalid split/);
+
+  const { identity: remaining, undone } = await splitIdentity(identity.id, 'split-alias');
+  assert.equal(remaining, null);
+  assert.equal(undone.alias_contributor_id, 'split-alias');
+  assert.deepEqual(await getContributorRepositoryCounts(['id-repo-4']), { 'split-alias/id-repo-4': 6 });
+});
+
+test('a merged alias is no longer listed, found or counted as a separate contributor', async () => {
+  const db = await getConnection();
+  await insertContributor('hidden-main');
+  await insertContributor('hiddenalias');
+
+  const searchAlias = async (limit) => (await callController(search, { q: 'hiddenalias', type: 'contributor', limit: String(limit) })).data;
+  assert.ok((await searchAlias(5)).some(result => result.id === 'hiddenalias'));
+
+  const identity = await confirmIdentity({ contributorIds: ['hidden-main', 'hiddenalias'], primaryContributorId: 'hidden-main' });
+  await mergeIdentity(identity.id);
+
+  const { count: stored } = await db.get('SELECT COUNT(*) AS count FROM contributors');
+  const { count: merged } = await db.get('SELECT COUNT(*) AS count FROM contributors WHERE merged_into_id IS NOT NULL');
+  assert.equal(merged, 1);
+
+  const listing = await callController(getContributors, { limit: '100' });
+  assert.ok(listing.data.some(contributor => contributor.id === 'hidden-main'));
+  assert.ok(!listing.data.some(contributor => contributor.id === 'hiddenalias'));
+  assert.equal(listing.pagination.total, stored - 1);
+
+  // A different page size, so the search result cached before the merge is not reused
+  assert.deepEqual((await searchAlias(10)).filter(result => result.id === 'hiddenalias'), []);
+
+  assert.equal((await callController(getEntityCounts)).contributors, stored - 1);
+
+  const sitemap = await fetchContributorsForSitemap(1000, 0);
+  assert.ok(!sitemap.some(contributor => contributor.id === 'hiddenalias'));
+});
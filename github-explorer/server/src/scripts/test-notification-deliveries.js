@@ -0,0 +1,174 @@
+/**
+ * Test Notification Deliveries
+ *
+ * Posts notifications to a local webhook receiver and checks that server
+ * errors are retried, client errors are not, every attempt is recorded in the
+ * delivery log and channel deliveries over the rate limit are suppressed.
+ */
+
+import './test-support/test-database.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import notificationService, { DELIVERY_STATUS } from '../services/notifications/pipeline-notification-service.js';
+import { signNotificationBody } from '../services/notifications/notification-channels.js';
+import { closeConnection } from '../db/connection-manager.js';
+
+const WEBHOOK_SECRET = 'test-notification-secret';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Requests received by the webhook receiver, and the statuses it answers with (200 once used up)
+const received = [];
+const statuses = [];
+
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    received.push({ path: req.url, headers: req.headers, body });
+    res.writeHead(statuses.shift() ?? 200).end();
+  });
+});
+
+let receiverUrl;
+
+/**
+ * Wait until a notification has the given number of deliveries and none is pending.
+ * Retries wait two and then four seconds.
+ * @param {string} notificationId - Notification ID
+ * @param {number} [count=1] - Expected deliveries
+ * @returns {Promise<Array<Object>>} Delivery log entries
+ */
+async function waitForDeliveries(notificationId, count = 1) {
+  for (let i = 0; i < 150; i++) {
+    const deliveries = await notificationService.getNotificationDeliveries(notificationId);
+
+    if (deliveries.length >= count && deliveries.every(delivery => delivery.status !== DELIVERY_STATUS.PENDING)) {
+      return deliveries;
+    }
+
+    await sleep(100);
+  }
+
+  throw new Error(`Deliveries of notification ${notificationId} did not finish`);
+}
+
+function storeErrorNotification(title) {
+  return notificationService.storeNotification({
+    type: 'pipeline.failed',
+    title,
+    message: 'The contributors pipeline failed',
+    details: { pipeline_type: 'contributors' },
+    level: 'error'
+  });
+}
+
+before(async () => {
+  process.env.NOTIFICATION_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+  await notificationService.createNotificationSettings({
+    level: 'error',
+    webhook_enabled: true,
+    webhook_url: `${receiverUrl}/settings`
+  });
+});
+
+after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await closeConnection();
+});
+
+test('a webhook answering with a server error is retried and every attempt is signed', async () => {
+  received.length = 0;
+  statuses.push(503);
+
+  const notification = await storeErrorNotification('Retried');
+  const [delivery] = await waitForDeliveries(notification.id);
+
+  assert.equal(delivery.channel, 'webhook');
+  assert.equal(delivery.status, DELIVERY_STATUS.DELIVERED);
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.last_error, null);
+  assert.equal(delivery.response, '200');
+
+  assert.equal(received.length, 2);
+  for (const request of received) {
+    assert.equal(request.path, '/settings');
+    assert.equal(request.headers['x-notification-id'], notification.id);
+    assert.equal(request.headers['x-notification-delivery'], String(delivery.id));
+    assert.equal(request.headers['x-notification-signature-256'], signNotificationBody(request.body, WEBHOOK_SECRET));
+    assert.equal(JSON.parse(request.body).title, 'Retried');
+  }
+});
+
+test('a webhook rejecting the request is not retried', async () => {
+  received.length = 0;
+  statuses.push(404);
+
+  const notification = await storeErrorNotification('Rejected');
+  const [delivery] = await waitForDeliveries(notification.id);
+
+  assert.equal(delivery.status, DELIVERY_STATUS.FAILED);
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.last_error, 'Webhook responded with HTTP 404');
+  assert.equal(delivery.response, '404');
+  assert.equal(received.length, 1);
+});
+
+test('a webhook that keeps failing is given up after three attempts', async () => {
+  received.length = 0;
+  statuses.push(500, 502, 500);
+
+  const notification = await storeErrorNotification('Given up');
+  const [delivery] = await waitForDeliveries(notification.id);
+
+  assert.equal(delivery.status, DELIVERY_STATUS.FAILED);
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.last_error, 'Webhook responded with HTTP 500');
+  assert.equal(received.length, 3);
+});
+
+test('channel deliveries over the rate limit are recorded as suppressed', async () => {
+  received.length = 0;
+
+  const channel = await notificationService.createNotificationChannel({
+    name: 'Flapping pipelines',
+    format: 'slack',
+    webhook_url: `${receiverUrl}/slack`,
+    event_types: 'pipeline.*',
+    levels: 'warning',
+    rate_limit_count: 2
+  });
+
+  const storeWarning = (pipelineType) => notificationService.storeNotification({
+    type: 'pipeline.slow',
+    title: 'Pipeline running slowly',
+    message: `The ${pipelineType} pipeline is slow`,
+    details: { pipeline_type: pipelineType },
+    level: 'warning'
+  });
+
+  const deliveries = [];
+  for (const pipelineType of ['contributors', 'contributors', 'contributors', 'repositories']) {
+    const notification = await storeWarning(pipelineType);
+    deliveries.push(...await waitForDeliveries(notification.id));
+  }
+
+  assert.deepEqual(deliveries.map(delivery => delivery.status), [
+    DELIVERY_STATUS.DELIVERED,
+    DELIVERY_STATUS.DELIVERED,
+    DELIVERY_STATUS.SUPPRESSED,
+    DELIVERY_STATUS.DELIVERED
+  ]);
+  assert.ok(deliveries.every(delivery => delivery.channel_id === channel.id && delivery.channel === 'slack'));
+  assert.match(deliveries[2].last_error, /^Rate limited: 2 pipeline\.slow notifications/);
+
+  assert.equal(received.length, 3);
+  assert.ok(received.every(request => request.path === '/slack' && JSON.parse(request.body).text));
+});
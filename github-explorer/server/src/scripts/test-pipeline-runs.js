@@ -0,0 +1,241 @@
+/**
+ * Test Pipeline Run Persistence
+ *
+ * Checks that pipeline runs, including runs of factory-built pipelines, are
+ * stored with a checkpoint per stage, and that failed and interrupted runs
+ * resume from the first stage that did not complete, once even when resumed
+ * concurrently.
+ */
+
+import './test-support/test-database.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pipeline } from '../pipeline/core/pipeline.js';
+import { pipelineFactory } from '../pipeline/core/pipeline-factory.js';
+import { getRun, markInterruptedRuns, saveRunState, RUN_STATUS } from '../pipeline/core/pipeline-run-store.js';
+import { PipelineContext } from '../pipeline/core/pipeline-context.js';
+import pipelineOperationsController from '../controllers/pipeline-operations-controller.js';
+import { closeConnection } from '../db/connection-manager.js';
+
+/**
+ * Build a three-stage pipeline whose middle stage fails while failing.enabled is set.
+ * Each stage records its name in executed and in the context.
+ */
+function buildPipeline(name, executed, failing) {
+  const stage = (stageName, execute) => ({
+    name: stageName,
+    abortOnError: true,
+    execute: async (context) => {
+      executed.push(stageName);
+      await execute?.(context);
+      context.visited = [...(context.visited || []), stageName];
+    }
+  });
+
+  return new Pipeline({
+    name,
+    stages: [
+      stage('fetch', context => {
+        context.fetchedItems = 3;
+      }),
+      stage('process', () => {
+        if (failing.enabled) {
+          throw new Error('GitHub API unavailable');
+        }
+      }),
+      stage('store')
+    ]
+  });
+}
+
+/**
+ * Fail a run of the pipeline in its middle stage, then let the stage succeed
+ */
+async function failRun(pipeline, runId, executed, failing) {
+  failing.enabled = true;
+  await assert.rejects(pipeline.run({}, runId));
+  failing.enabled = false;
+  executed.length = 0;
+}
+
+/**
+ * Call the resume endpoint and return the response status and body
+ */
+async function requestResume(runId) {
+  const response = {};
+  const res = {
+    status(code) {
+      response.status = code;
+      return res;
+    },
+    json(body) {
+      response.body = body;
+      return res;
+    }
+  };
+
+  await pipelineOperationsController.resumePipeline({ body: { run_id: runId } }, res);
+  return response;
+}
+
+after(async () => {
+  await closeConnection();
+});
+
+test('a failed run is stored with its checkpoints and resumes after the last completed stage', async () => {
+  const executed = [];
+  const failing = { enabled: true };
+  const pipeline = buildPipeline('test-resume', executed, failing);
+
+  await assert.rejects(pipeline.run({}, 'run-failed'), /GitHub API unavailable/);
+
+  const failed = await getRun('run-failed');
+  assert.equal(failed.status, RUN_STATUS.FAILED);
+  assert.equal(failed.error_message, 'GitHub API unavailable');
+  assert.deepEqual(failed.stages, ['fetch', 'process', 'store']);
+  assert.equal(failed.checkpoints.fetch.status, 'completed');
+  assert.equal(failed.checkpoints.process.status, 'failed');
+  // The stored context is the one saved after the last completed stage
+  assert.deepEqual(failed.context.visited, ['fetch']);
+
+  failing.enabled = false;
+  executed.length = 0;
+  const context = await pipeline.resume('run-failed');
+
+  assert.deepEqual(executed, ['process', 'store']);
+  assert.equal(context.fetchedItems, 3);
+  assert.deepEqual(context.visited, ['fetch', 'process', 'store']);
+
+  const resumed = await getRun('run-failed');
+  assert.equal(resumed.status, RUN_STATUS.COMPLETED);
+  assert.equal(resumed.resume_count, 1);
+});
+
+test('runs left running by a stopped server are marked interrupted and can be resumed', async () => {
+  const executed = [];
+  const pipeline = buildPipeline('test-interrupted', executed, { enabled: false });
+
+  // State as saved after the first stage, before the server went down
+  const context = new PipelineContext({}, 'run-interrupted');
+  context.start();
+  context.fetchedItems = 5;
+  context.visited = ['fetch'];
+  context.setCheckpoint('fetch', { status: 'completed' });
+  await saveRunState(context, {
+    pipelineName: 'test-interrupted',
+    stages: ['fetch', 'process', 'store'],
+    status: RUN_STATUS.RUNNING
+  });
+
+  assert.ok(await markInterruptedRuns() >= 1);
+  assert.equal((await getRun('run-interrupted')).status, RUN_STATUS.INTERRUPTED);
+
+  const resumed = await pipeline.resume('run-interrupted');
+  assert.deepEqual(executed, ['process', 'store']);
+  assert.equal(resumed.fetchedItems, 5);
+  assert.equal((await getRun('run-interrupted')).status, RUN_STATUS.COMPLETED);
+});
+
+test('resume refuses completed runs, runs of other pipelines and changed stages', async () => {
+  const pipeline = buildPipeline('test-refuse', [], { enabled: false });
+  await pipeline.run({}, 'run-completed');
+
+  await assert.rejects(pipeline.resume('run-completed'), /cannot be resumed from status 'completed'/);
+  await assert.rejects(pipeline.resume('run-missing'), /not found/);
+
+  const other = buildPipeline('test-other', [], { enabled: false });
+  await assert.rejects(other.resume('run-completed'), /belongs to pipeline 'test-refuse'/);
+
+  const failing = { enabled: true };
+  await assert.rejects(buildPipeline('test-refuse', [], failing).run({}, 'run-changed'));
+
+  const changed = buildPipeline('test-refuse', [], { enabled: false });
+  changed.stages.pop();
+  await assert.rejects(changed.resume('run-changed'), /stages of 'test-refuse' have changed/);
+});
+
+test('runs of factory-built pipelines are stored and resumed', async () => {
+  const executed = [];
+  let failProcessing = true;
+
+  pipelineFactory.registerStage('test-factory-fetch', () => ({
+    config: { abortOnError: true },
+    execute: async (context) => {
+      executed.push('fetch');
+      context.fetchedItems = 7;
+      return context;
+    }
+  }));
+  pipelineFactory.registerStage('test-factory-process', () => ({
+    config: { abortOnError: true },
+    execute: async (context) => {
+      executed.push('process');
+      if (failProcessing) {
+        throw new Error('Rate limited');
+      }
+      // Stages may return a changed copy instead of changing the context
+      return { ...context, processedItems: context.fetchedItems };
+    }
+  }));
+  pipelineFactory.registerPipeline('test-factory', { stages: ['test-factory-fetch', 'test-factory-process'] });
+
+  const failedContext = await pipelineFactory.execute('test-factory', { scheduleId: 'schedule-1' }, { runId: 'run-factory' });
+  assert.equal(failedContext.runId, 'run-factory');
+  assert.equal(failedContext.state, 'failed');
+  assert.equal(failedContext.errors[0].stage, 'test-factory-process');
+
+  const failed = await getRun('run-factory');
+  assert.equal(failed.pipeline_name, 'test-factory');
+  assert.equal(failed.status, RUN_STATUS.FAILED);
+  assert.equal(failed.context.scheduleId, 'schedule-1');
+
+  failProcessing = false;
+  executed.length = 0;
+  const resumed = await pipelineFactory.buildPipeline('test-factory').resume('run-factory');
+
+  assert.deepEqual(executed, ['process']);
+  assert.equal(resumed.processedItems, 7);
+  assert.equal((await getRun('run-factory')).status, RUN_STATUS.COMPLETED);
+
+  // Runs started through createPipeline are stored too
+  const context = await pipelineFactory.createPipeline('test-factory').run({});
+  assert.equal((await getRun(context.runId)).status, RUN_STATUS.COMPLETED);
+});
+
+test('concurrent resumes of one run execute its remaining stages once', async () => {
+  const executed = [];
+  const failing = { enabled: true };
+  const pipeline = buildPipeline('test-concurrent', executed, failing);
+  await failRun(pipeline, 'run-concurrent', executed, failing);
+
+  const results = await Promise.allSettled([pipeline.resume('run-concurrent'), pipeline.resume('run-concurrent')]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.match(
+    results.find(result => result.status === 'rejected').reason.message,
+    /already being resumed|cannot be resumed from status 'running'/
+  );
+  assert.deepEqual(executed, ['process', 'store']);
+  assert.equal((await getRun('run-concurrent')).resume_count, 1);
+});
+
+test('the resume endpoint claims the run before responding and refuses a second request', async () => {
+  const executed = [];
+  const failing = { enabled: true };
+  const pipeline = buildPipeline('test-endpoint', executed, failing);
+  global.pipelines = { ...global.pipelines, testEndpoint: pipeline };
+  await failRun(pipeline, 'run-endpoint', executed, failing);
+
+  const responses = await Promise.all([requestResume('run-endpoint'), requestResume('run-endpoint')]);
+  assert.deepEqual(responses.map(response => response.status).sort(), [202, 409]);
+  assert.equal((await getRun('run-endpoint')).status, RUN_STATUS.RUNNING);
+
+  // The accepted resume runs in the background
+  for (let i = 0; i < 50 && (await getRun('run-endpoint')).status === RUN_STATUS.RUNNING; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  assert.equal((await getRun('run-endpoint')).status, RUN_STATUS.COMPLETED);
+  assert.deepEqual(executed, ['process', 'store']);
+  assert.equal((await requestResume('run-endpoint')).status, 409);
+});
@@ -0,0 +1,95 @@
+/**
+ * Test Ranking Aggregates
+ *
+ * Checks that commit writes queue their contributors, that a refresh
+ * recomputes only the queued contributors, and that a rebuild matches the
+ * incrementally maintained aggregates.
+ */
+
+import './test-support/test-database.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { refreshRankingAggregates, rebuildRankingAggregates } from '../services/rankings/ranking-aggregates.service.js';
+import { insertRepository, insertContributor, insertMergeRequest, insertCommit } from './test-support/fixtures.js';
+import { getConnection, closeConnection } from '../db/connection-manager.js';
+
+async function getCommitAggregate(contributorId) {
+  const db = await getConnection();
+  return db.get(
+    'SELECT commit_count, lines_added, lines_removed FROM contributor_commit_aggregates WHERE contributor_id = ?',
+    [contributorId]
+  );
+}
+
+async function getQueuedContributors() {
+  const db = await getConnection();
+  const rows = await db.all('SELECT contributor_id FROM ranking_aggregate_queue ORDER BY contributor_id');
+  return rows.map(row => row.contributor_id);
+}
+
+after(async () => {
+  await closeConnection();
+});
+
+test('aggregates follow commit inserts, updates and deletes', async () => {
+  const db = await getConnection();
+  await insertRepository('repo-1');
+  await insertContributor('alice');
+  await insertContributor('bob');
+  await insertMergeRequest('mr-1', { repositoryId: 'repo-1', authorId: 'alice' });
+
+  // One commit touching two files, and a second commit
+  await insertCommit({ sha: 'a1', repositoryId: 'repo-1', contributorId: 'alice', pullRequestId: 'mr-1', filename: 'a.js', additions: 10, deletions: 2 });
+  await insertCommit({ sha: 'a1', repositoryId: 'repo-1', contributorId: 'alice', pullRequestId: 'mr-1', filename: 'b.js', additions: 5, deletions: 1 });
+  await insertCommit({ sha: 'a2', repositoryId: 'repo-1', contributorId: 'alice', pullRequestId: 'mr-1', filename: 'a.js', additions: 1, deletions: 0 });
+
+  // The first refresh on a database with commits but no aggregates rebuilds them
+  assert.deepEqual(await refreshRankingAggregates(), { contributors: 1, rebuilt: true });
+  assert.deepEqual(await getCommitAggregate('alice'), { commit_count: 2, lines_added: 16, lines_removed: 3 });
+  assert.deepEqual(await getQueuedContributors(), []);
+
+  const mergeRequestAggregate = await db.get(
+    'SELECT commit_rows, commit_changes FROM contributor_merge_request_aggregates WHERE contributor_id = ? AND merge_request_id = ?',
+    ['alice', 'mr-1']
+  );
+  assert.deepEqual(mergeRequestAggregate, { commit_rows: 3, commit_changes: 19 });
+
+  await insertCommit({ sha: 'b1', repositoryId: 'repo-1', contributorId: 'bob', additions: 7, deletions: 7 });
+  assert.deepEqual(await getQueuedContributors(), ['bob']);
+
+  // Reassigning a commit queues both its old and its new contributor
+  await db.run("UPDATE commits SET contributor_id = 'bob' WHERE github_id = 'a2'");
+  assert.deepEqual(await getQueuedContributors(), ['alice', 'bob']);
+
+  assert.deepEqual(await refreshRankingAggregates(), { contributors: 2, rebuilt: false });
+  assert.deepEqual(await getCommitAggregate('alice'), { commit_count: 1, lines_added: 15, lines_removed: 3 });
+  assert.deepEqual(await getCommitAggregate('bob'), { commit_count: 2, lines_added: 8, lines_removed: 7 });
+
+  await db.run("DELETE FROM commits WHERE github_id = 'b1'");
+  assert.deepEqual(await getQueuedContributors(), ['bob']);
+
+  await refreshRankingAggregates();
+  assert.deepEqual(await getCommitAggregate('bob'), { commit_count: 1, lines_added: 1, lines_removed: 0 });
+});
+
+test('a refresh leaves contributors that were not queued alone', async () => {
+  const db = await getConnection();
+  await db.run("UPDATE contributor_commit_aggregates SET commit_count = 99 WHERE contributor_id = 'alice'");
+
+  assert.deepEqual(await refreshRankingAggregates(), { contributors: 0, rebuilt: false });
+  assert.equal((await getCommitAggregate('alice')).commit_count, 99);
+});
+
+test('a rebuild reports and repairs drift from the commits table', async () => {
+  // alice was changed by hand in the previous test
+  const drifted = await rebuildRankingAggregates();
+  assert.deepEqual(drifted.mismatches, { commitAggregates: 2, mergeRequestAggregates: 0 });
+  assert.equal((await getCommitAggregate('alice')).commit_count, 1);
+
+  const consistent = await rebuildRankingAggregates();
+  assert.deepEqual(consistent, {
+    contributors: 2,
+    mergeRequestRows: 2,
+    mismatches: { commitAggregates: 0, mergeRequestAggregates: 0 }
+  });
+});
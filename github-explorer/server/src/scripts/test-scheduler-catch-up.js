@@ -0,0 +1,200 @@
+/**
+ * Test Scheduler Catch-up and Run Locking
+ *
+ * Checks which missed fire times each catch-up policy runs, and that the
+ * schedule lock lets only one of several scheduler instances sharing the
+ * database run a given fire time.
+ */
+
+import './test-support/test-database.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { v4 as uuidv4 } from 'uuid';
+import { SchedulerService, CATCH_UP_POLICIES } from '../services/scheduler/scheduler-service.js';
+import { pipelineFactory } from '../pipeline/core/pipeline-factory.js';
+import { getConnection, closeConnection } from '../db/connection-manager.js';
+
+const HOUR = 60 * 60 * 1000;
+const PIPELINE_TYPE = 'test-scheduled';
+
+// Schedule IDs of the pipeline runs that executed, and a gate that holds them
+const executedRuns = [];
+let releaseRuns = () => {};
+let runGate = Promise.resolve();
+
+pipelineFactory.registerStage('test-scheduled-stage', () => ({
+  config: {},
+  execute: async (context) => {
+    executedRuns.push(context.scheduleId);
+    await runGate;
+    return context;
+  }
+}));
+pipelineFactory.registerPipeline(PIPELINE_TYPE, { stages: ['test-scheduled-stage'] });
+
+function holdRuns() {
+  runGate = new Promise(resolve => {
+    releaseRuns = resolve;
+  });
+}
+
+/**
+ * Store an hourly schedule whose next run was due the given number of hours ago
+ */
+async function createSchedule(scheduler, { hoursOverdue = 0, ...overrides } = {}) {
+  const currentHour = new Date(Math.floor(Date.now() / HOUR) * HOUR);
+  const createdAt = new Date().toISOString();
+
+  const schedule = {
+    id: uuidv4(),
+    name: 'Hourly test schedule',
+    pipelineType: PIPELINE_TYPE,
+    cronExpression: '0 * * * *',
+    timeZone: 'UTC',
+    isActive: true,
+    catchUpPolicy: CATCH_UP_POLICIES.SKIP,
+    parameters: null,
+    createdAt,
+    updatedAt: createdAt,
+    lastRunAt: null,
+    nextRunAt: new Date(currentHour.getTime() - hoursOverdue * HOUR).toISOString(),
+    lastResult: null,
+    ...overrides
+  };
+
+  await scheduler.persistSchedule(schedule);
+  scheduler.schedules.set(schedule.id, schedule);
+
+  return schedule;
+}
+
+async function getScheduleRow(scheduleId) {
+  const db = await getConnection();
+  return db.get('SELECT * FROM pipeline_schedules WHERE id = ?', [scheduleId]);
+}
+
+beforeEach(async () => {
+  const db = await getConnection();
+  await db.run('DELETE FROM pipeline_schedules');
+  executedRuns.length = 0;
+  runGate = Promise.resolve();
+});
+
+after(async () => {
+  await closeConnection();
+});
+
+test('missed runs span from the stored next run up to now', async () => {
+  const scheduler = new SchedulerService();
+  const schedule = await createSchedule(scheduler, { hoursOverdue: 3 });
+
+  const missed = scheduler.getMissedRunTimes(schedule);
+  assert.equal(missed.length, 4);
+  assert.equal(missed[0].toISOString(), schedule.nextRunAt);
+  assert.deepEqual(missed.map(date => date.getTime()), [0, 1, 2, 3].map(hours => new Date(schedule.nextRunAt).getTime() + hours * HOUR));
+
+  // Fire times up to the last run already happened
+  const lastRunAt = missed[1].toISOString();
+  assert.deepEqual(scheduler.getMissedRunTimes({ ...schedule, lastRunAt }), missed.slice(2));
+
+  const upcoming = { ...schedule, nextRunAt: new Date(Date.now() + HOUR).toISOString() };
+  assert.deepEqual(scheduler.getMissedRunTimes(upcoming), []);
+});
+
+test('each catch-up policy picks the runs it is meant to', async () => {
+  const scheduler = new SchedulerService();
+  const fired = [];
+  scheduler.executeJob = async (schedule, { fireDate }) => {
+    fired.push(fireDate);
+  };
+
+  const missedRuns = [3, 2, 1].map(hours => new Date(Date.now() - hours * HOUR));
+
+  await scheduler._catchUp({ name: 'skip', catchUpPolicy: CATCH_UP_POLICIES.SKIP }, missedRuns);
+  assert.deepEqual(fired, []);
+
+  await scheduler._catchUp({ name: 'run_once', catchUpPolicy: CATCH_UP_POLICIES.RUN_ONCE }, missedRuns);
+  assert.deepEqual(fired, [missedRuns[2]]);
+
+  fired.length = 0;
+  await scheduler._catchUp({ name: 'run_all', catchUpPolicy: CATCH_UP_POLICIES.RUN_ALL }, missedRuns);
+  assert.deepEqual(fired, missedRuns);
+});
+
+test('a long outage catches up on at most the configured number of runs', async () => {
+  const scheduler = new SchedulerService();
+  const schedule = await createSchedule(scheduler, { hoursOverdue: 100, catchUpPolicy: CATCH_UP_POLICIES.RUN_ALL });
+  const fired = [];
+  scheduler.executeJob = async (current, { fireDate }) => {
+    fired.push(fireDate);
+  };
+
+  const missed = scheduler.getMissedRunTimes(schedule);
+  await scheduler._catchUp(schedule, missed);
+
+  assert.equal(fired.length, 24);
+  assert.equal(fired[0].toISOString(), schedule.nextRunAt);
+});
+
+test('instances catching up on the same schedule run each missed fire time once', async () => {
+  const first = new SchedulerService();
+  const second = new SchedulerService();
+  const schedule = await createSchedule(first, { hoursOverdue: 2, catchUpPolicy: CATCH_UP_POLICIES.RUN_ALL });
+  second.schedules.set(schedule.id, { ...schedule });
+
+  const missed = first.getMissedRunTimes(schedule);
+  assert.equal(missed.length, 3);
+
+  await Promise.all([
+    first._catchUp(schedule, missed),
+    second._catchUp(second.getScheduleById(schedule.id), missed)
+  ]);
+
+  assert.equal(executedRuns.length, missed.length);
+
+  const row = await getScheduleRow(schedule.id);
+  assert.equal(row.last_run_at, missed[missed.length - 1].toISOString());
+  assert.equal(row.locked_by, null);
+  assert.equal(JSON.parse(row.last_result).status, 'completed');
+});
+
+test('a running schedule holds its lock against manual triggers and other instances', async () => {
+  const first = new SchedulerService();
+  const second = new SchedulerService();
+  const schedule = await createSchedule(first);
+  second.schedules.set(schedule.id, { ...schedule });
+
+  holdRuns();
+  const running = first.triggerJob(schedule.id);
+
+  // Wait until the first run is inside the pipeline
+  while (executedRuns.length === 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  assert.equal((await getScheduleRow(schedule.id)).locked_by, first.instanceId);
+  await assert.rejects(second.triggerJob(schedule.id), /already running/);
+
+  const skipped = await second.executeJob(second.getScheduleById(schedule.id), { fireDate: new Date() });
+  assert.deepEqual(skipped, { status: 'skipped', reason: 'already_claimed' });
+
+  releaseRuns();
+  assert.equal((await running).status, 'completed');
+  assert.equal(executedRuns.length, 1);
+  assert.equal((await getScheduleRow(schedule.id)).locked_by, null);
+});
+
+test('an expired lock can be taken over', async () => {
+  const first = new SchedulerService();
+  const second = new SchedulerService();
+  const schedule = await createSchedule(first);
+
+  const db = await getConnection();
+  await db.run(
+    'UPDATE pipeline_schedules SET locked_by = ?, locked_until = ? WHERE id = ?',
+    [first.instanceId, new Date(Date.now() - 1000).toISOString(), schedule.id]
+  );
+
+  assert.equal(await second._claimRun(schedule), true);
+  assert.equal((await getScheduleRow(schedule.id)).locked_by, second.instanceId);
+});
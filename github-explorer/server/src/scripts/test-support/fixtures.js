@@ -0,0 +1,79 @@
+/**
+ * Test Fixtures
+ *
+ * Insert the minimal rows the entity tables require. Foreign keys are
+ * enforced, so commits and merge requests need their repository and
+ * contributors to exist first.
+ */
+
+import { getConnection } from '../../db/connection-manager.js';
+
+let nextGithubId = 1000;
+
+/**
+ * Insert a repository
+ * @param {string} id - Repository ID
+ * @returns {Promise<string>} Repository ID
+ */
+export async function insertRepository(id) {
+  const db = await getConnection();
+  await db.run(
+    'INSERT INTO repositories (id, github_id, name, full_name) VALUES (?, ?, ?, ?)',
+    [id, nextGithubId++, id, `test-owner/${id}`]
+  );
+  return id;
+}
+
+/**
+ * Insert a contributor
+ * @param {string} id - Contributor ID
+ * @returns {Promise<string>} Contributor ID
+ */
+export async function insertContributor(id) {
+  const db = await getConnection();
+  await db.run(
+    'INSERT INTO contributors (id, github_id, username) VALUES (?, ?, ?)',
+    [id, nextGithubId++, id]
+  );
+  return id;
+}
+
+/**
+ * Insert a merged merge request
+ * @param {string} id - Merge request ID
+ * @param {Object} details - Merge request details
+ * @param {string} details.repositoryId - Repository ID
+ * @param {string} details.authorId - Author contributor ID
+ * @returns {Promise<string>} Merge request ID
+ */
+export async function insertMergeRequest(id, { repositoryId, authorId }) {
+  const db = await getConnection();
+  await db.run(
+    'INSERT INTO merge_requests (id, github_id, repository_id, author_id, title, state) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, nextGithubId++, repositoryId, authorId, `Merge request ${id}`, 'merged']
+  );
+  return id;
+}
+
+/**
+ * Insert one file row of a commit
+ * @param {Object} commit - Commit details
+ * @param {string} commit.sha - Commit SHA, shared by the rows of one commit
+ * @param {string} commit.repositoryId - Repository ID
+ * @param {string} commit.contributorId - Contributor ID
+ * @param {string} [commit.pullRequestId] - Merge request ID
+ * @param {string} [commit.filename] - Changed file
+ * @param {number} [commit.additions=0] - Lines added
+ * @param {number} [commit.deletions=0] - Lines removed
+ * @returns {Promise<string>} Commit row ID
+ */
+export async function insertCommit({ sha, repositoryId, contributorId, pullRequestId = null, filename = 'README.md', additions = 0, deletions = 0 }) {
+  const db = await getConnection();
+  const id = `${sha}-${filename}`;
+  await db.run(
+    `INSERT INTO commits (id, github_id, repository_id, contributor_id, pull_request_id, filename, additions, deletions)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, sha, repositoryId, contributorId, pullRequestId, filename, additions, deletions]
+  );
+  return id;
+}
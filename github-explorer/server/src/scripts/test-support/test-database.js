@@ -0,0 +1,28 @@
+/**
+ * Test Database
+ *
+ * Points the server at a fresh SQLite database in a temporary directory and
+ * creates the schema with scripts/init-db.js. Import this module before any
+ * module that opens a connection: the connection manager reads DB_PATH when
+ * it is first loaded.
+ */
+
+import { execFileSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const INIT_DB_SCRIPT = path.resolve(__dirname, '../../../scripts/init-db.js');
+
+const directory = mkdtempSync(path.join(tmpdir(), 'github-explorer-test-'));
+
+process.env.DB_PATH = path.join(directory, 'test.db');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+execFileSync(process.execPath, [INIT_DB_SCRIPT], { env: process.env, stdio: 'ignore' });
+
+process.on('exit', () => {
+  rmSync(directory, { recursive: true, force: true });
+});
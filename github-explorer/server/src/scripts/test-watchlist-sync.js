@@ -0,0 +1,119 @@
+/**
+ * Test Watchlist Sync
+ *
+ * Runs incremental syncs of a watched repository against an in-memory pull
+ * request list and checks that a pass cut short by the page limit resumes on
+ * the next run and only then advances the sync cursor.
+ */
+
+import './test-support/test-database.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addWatchedRepository,
+  getWatchedRepository,
+  syncWatchedRepository
+} from '../services/github/watchlist.service.js';
+import { getConnection, closeConnection } from '../db/connection-manager.js';
+
+const CURSOR = '2026-01-01T00:00:00.000Z';
+
+/**
+ * Build a merged pull request
+ * @param {number} number - Pull request number
+ * @param {string} updatedAt - Last update time
+ */
+function pullRequest(number, updatedAt) {
+  return {
+    id: 1000 + number,
+    number,
+    updated_at: updatedAt,
+    merged_at: updatedAt,
+    base: { repo: { id: 1, full_name: 'octo/busy' } }
+  };
+}
+
+/**
+ * A GitHub client serving the closed pull requests of one repository,
+ * most recently updated first, as the pulls API does with sort=updated
+ */
+function fakeGitHubClient(pullRequests) {
+  return {
+    requestedPages: [],
+    async getPullRequests(owner, name, state, options) {
+      this.requestedPages.push(options.page);
+
+      const sorted = [...pullRequests].sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+      const start = (options.page - 1) * options.per_page;
+      return { data: sorted.slice(start, start + options.per_page) };
+    }
+  };
+}
+
+after(async () => {
+  await closeConnection();
+});
+
+test('an incremental pass that hits the page limit resumes on the next run before moving the cursor', async () => {
+  const { entry } = await addWatchedRepository('octo/busy');
+  const db = await getConnection();
+  await db.run(
+    'UPDATE repository_watchlist SET backfill_completed = 1, sync_cursor = ? WHERE id = ?',
+    [CURSOR, entry.id]
+  );
+
+  // 250 pull requests updated since the cursor, followed by older ones
+  const pullRequests = [];
+  for (let i = 0; i < 300; i++) {
+    const updatedAt = new Date(Date.parse(i < 250 ? '2026-06-01T00:00:00Z' : '2025-12-01T00:00:00Z') - i * 60000);
+    pullRequests.push(pullRequest(i + 1, updatedAt.toISOString()));
+  }
+
+  const stored = new Set();
+  const storePullRequest = async (event) => {
+    stored.add(event.payload.pull_request.number);
+  };
+
+  const firstClient = fakeGitHubClient(pullRequests);
+  const firstRunStartedAt = new Date().toISOString();
+  const first = await syncWatchedRepository(firstClient, await getWatchedRepository('octo/busy'), storePullRequest, { maxPages: 2 });
+
+  assert.deepEqual(firstClient.requestedPages, [1, 2]);
+  assert.equal(first.saved, 200);
+
+  let current = await getWatchedRepository('octo/busy');
+  assert.equal(current.sync_cursor, CURSOR);
+  assert.equal(current.sync_next_page, 3);
+  assert.ok(current.sync_pass_started_at >= firstRunStartedAt);
+  const passStartedAt = current.sync_pass_started_at;
+
+  // A pull request updated between the runs moves to the front of the list
+  pullRequests[260].updated_at = new Date().toISOString();
+
+  const secondClient = fakeGitHubClient(pullRequests);
+  const second = await syncWatchedRepository(secondClient, current, storePullRequest, { maxPages: 2 });
+
+  assert.deepEqual(secondClient.requestedPages, [3]);
+  // The moved pull request shifts the list by one, so the last one of page 2 is read again
+  assert.equal(second.saved, 51);
+  for (let number = 1; number <= 250; number++) {
+    assert.ok(stored.has(number), `PR #${number} was not stored`);
+  }
+
+  current = await getWatchedRepository('octo/busy');
+  assert.equal(current.sync_cursor, passStartedAt);
+  assert.equal(current.sync_next_page, null);
+  assert.equal(current.sync_pass_started_at, null);
+
+  // The next pass starts from the first page and picks up the moved pull request
+  const thirdClient = fakeGitHubClient(pullRequests);
+  const third = await syncWatchedRepository(thirdClient, current, storePullRequest, { maxPages: 2 });
+
+  assert.deepEqual(thirdClient.requestedPages, [1]);
+  assert.equal(third.saved, 1);
+  assert.ok(stored.has(261));
+
+  current = await getWatchedRepository('octo/busy');
+  assert.ok(current.sync_cursor > passStartedAt);
+  assert.equal(current.sync_next_page, null);
+});
@@ -0,0 +1,172 @@
+/**
+ * Test Webhook Deliveries
+ *
+ * Checks X-Hub-Signature-256 verification, how the webhook endpoint treats
+ * signed, unsigned and badly signed requests, and how redeliveries of stored
+ * deliveries are handled.
+ */
+
+import './test-support/test-database.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import webhookRoutes from '../routes/webhook.js';
+import {
+  verifyWebhookSignature,
+  recordDelivery,
+  processDelivery,
+  DELIVERY_STATUS
+} from '../services/webhooks/webhook-delivery-service.js';
+import { getConnection, closeConnection } from '../db/connection-manager.js';
+
+const SECRET = 'test-webhook-secret';
+
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Start the webhook routes on a random port, with the raw body kept the same
+ * way app.js keeps it
+ */
+async function startServer() {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use('/api/webhooks', webhookRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api/webhooks/github`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function postWebhook(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body
+  });
+}
+
+async function setStatus(deliveryId, status) {
+  const db = await getConnection();
+  await db.run('UPDATE webhook_deliveries SET status = ?, last_error = ? WHERE delivery_id = ?', [status, 'boom', deliveryId]);
+}
+
+after(async () => {
+  await closeConnection();
+});
+
+test('accepts a signature computed over the raw body', () => {
+  const body = JSON.stringify({ zen: 'Keep it logically awesome.' });
+
+  assert.equal(verifyWebhookSignature(Buffer.from(body), sign(body), SECRET), true);
+});
+
+test('rejects a tampered body, a wrong secret and malformed signatures', () => {
+  const body = JSON.stringify({ action: 'opened' });
+
+  assert.equal(verifyWebhookSignature(Buffer.from(`${body} `), sign(body), SECRET), false);
+  assert.equal(verifyWebhookSignature(Buffer.from(body), sign(body, 'other-secret'), SECRET), false);
+  assert.equal(verifyWebhookSignature(Buffer.from(body), 'sha256=abc', SECRET), false);
+  assert.equal(verifyWebhookSignature(Buffer.from(body), undefined, SECRET), false);
+  assert.equal(verifyWebhookSignature(Buffer.from(body), sign(body), ''), false);
+});
+
+test('the endpoint checks signatures and refuses unsigned requests without a secret', async () => {
+  const server = await startServer();
+  const body = JSON.stringify({ zen: 'Design for failure.' });
+  const headers = { 'X-GitHub-Event': 'ping', 'X-GitHub-Delivery': 'endpoint-1' };
+
+  try {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+    delete process.env.GITHUB_WEBHOOK_ALLOW_UNSIGNED;
+    assert.equal((await postWebhook(server.url, body, headers)).status, 503);
+
+    process.env.GITHUB_WEBHOOK_SECRET = SECRET;
+    assert.equal((await postWebhook(server.url, body, headers)).status, 401);
+    assert.equal((await postWebhook(server.url, body, { ...headers, 'X-Hub-Signature-256': sign(body, 'other-secret') })).status, 401);
+
+    const accepted = await postWebhook(server.url, body, { ...headers, 'X-Hub-Signature-256': sign(body) });
+    assert.equal(accepted.status, 202);
+    assert.deepEqual(await accepted.json(), { status: 'ignored', deliveryId: 'endpoint-1' });
+  } finally {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+    await server.close();
+  }
+});
+
+test('unsigned requests are only accepted with the development flag', async () => {
+  const server = await startServer();
+  const body = JSON.stringify({ zen: 'Approachable is better than simple.' });
+  const headers = { 'X-GitHub-Event': 'ping', 'X-GitHub-Delivery': 'endpoint-2' };
+  const nodeEnv = process.env.NODE_ENV;
+
+  try {
+    process.env.GITHUB_WEBHOOK_ALLOW_UNSIGNED = 'true';
+    process.env.NODE_ENV = 'production';
+    assert.equal((await postWebhook(server.url, body, headers)).status, 503);
+
+    process.env.NODE_ENV = 'development';
+    assert.equal((await postWebhook(server.url, body, headers)).status, 202);
+  } finally {
+    delete process.env.GITHUB_WEBHOOK_ALLOW_UNSIGNED;
+    process.env.NODE_ENV = nodeEnv;
+    await server.close();
+  }
+});
+
+test('a processed delivery is reported as a duplicate', async () => {
+  // A deleted branch needs no work, so the push handler finishes without GitHub
+  const delivery = { deliveryId: 'push-1', event: 'push', payload: { deleted: true } };
+
+  const first = await recordDelivery(delivery);
+  assert.equal(first.duplicate, false);
+  assert.equal(first.delivery.status, DELIVERY_STATUS.RECEIVED);
+
+  const processed = await processDelivery('push-1');
+  assert.equal(processed.status, DELIVERY_STATUS.PROCESSED);
+
+  const again = await recordDelivery(delivery);
+  assert.equal(again.duplicate, true);
+  assert.equal(again.redelivered, false);
+  assert.equal(again.delivery.status, DELIVERY_STATUS.PROCESSED);
+});
+
+test('a redelivery of a failed or unfinished delivery is reset and processed again', async () => {
+  const delivery = { deliveryId: 'push-2', event: 'push', payload: { deleted: true } };
+  await recordDelivery(delivery);
+
+  for (const status of [DELIVERY_STATUS.FAILED, DELIVERY_STATUS.RECEIVED]) {
+    await setStatus('push-2', status);
+
+    const redelivery = await recordDelivery({ ...delivery, payload: { deleted: true, ref: 'refs/heads/main' } });
+    assert.equal(redelivery.duplicate, false);
+    assert.equal(redelivery.redelivered, true);
+    assert.equal(redelivery.delivery.status, DELIVERY_STATUS.RECEIVED);
+    assert.equal(redelivery.delivery.last_error, null);
+    assert.equal(JSON.parse(redelivery.delivery.payload).ref, 'refs/heads/main');
+  }
+
+  const processed = await processDelivery('push-2');
+  assert.equal(processed.status, DELIVERY_STATUS.PROCESSED);
+});
+
+test('a delivery that is being processed is not reset', async () => {
+  const delivery = { deliveryId: 'push-3', event: 'push', payload: { deleted: true } };
+  await recordDelivery(delivery);
+  await setStatus('push-3', DELIVERY_STATUS.PROCESSING);
+
+  const redelivery = await recordDelivery(delivery);
+  assert.equal(redelivery.duplicate, true);
+  assert.equal(redelivery.delivery.status, DELIVERY_STATUS.PROCESSING);
+});
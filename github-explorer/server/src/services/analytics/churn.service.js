@@ -0,0 +1,395 @@
+/**
+ * Churn Service
+ *
+ * Analyzes how files of a repository change over time from the per-file rows
+ * of the commits table:
+ *
+ * - Hotspots: files ranked by change frequency (distinct commits) and lines
+ *   churned (additions + deletions). Files in the top quarter by churn that
+ *   were changed by many distinct authors are flagged as risky.
+ * - Co-change coupling: pairs of files that are frequently changed in the
+ *   same commit. The coupling degree is the share of the commits touching
+ *   either file that touched both.
+ *
+ * Every analysis covers a window of days back from now (0 for all history)
+ * and leaves out changes made by bots unless asked otherwise. The repository
+ * report also leaves out vendored and generated files (dependencies, build
+ * output, lock files), classified as in language statistics, so they are
+ * neither ranked nor counted towards the high-churn threshold.
+ */
+
+import { pool } from '../../db/db-pool.js';
+import { isVendoredPath, isGeneratedPath } from '../../utils/language-classifier.js';
+
+// Share of files, by lines churned, that counts as high churn
+const HIGH_CHURN_PERCENTILE = 0.75;
+
+// Commits touching more files than this (mass renames, formatting, vendoring)
+// say nothing about which files belong together, so coupling skips them
+const MAX_COUPLING_COMMIT_FILES = 50;
+
+// GitHub file statuses of a deleted file
+const DELETED_STATUSES = ['removed', 'deleted'];
+
+/**
+ * Build the WHERE conditions and parameters shared by the churn queries
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} options - Analysis options
+ * @param {number} options.days - Days back from now to analyze, 0 for all history
+ * @param {boolean} options.includeBots - Count changes made by bots
+ * @param {Array<string>} [options.excludedPaths] - Files to leave out
+ * @returns {{conditions: Array<string>, params: Array<any>}} Conditions on commits c and contributors cont
+ */
+function changeFilters(repositoryId, { days, includeBots, excludedPaths = [] }) {
+  const params = [repositoryId];
+  const conditions = ['c.repository_id = $1', 'c.filename IS NOT NULL'];
+
+  if (days > 0) {
+    params.push(new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+    conditions.push(`c.committed_at >= $${params.length}`);
+  }
+
+  if (!includeBots) {
+    conditions.push('COALESCE(cont.is_bot, 0) = 0');
+  }
+
+  // Passed as one JSON array, as a repository can have thousands of vendored files
+  if (excludedPaths.length > 0) {
+    params.push(JSON.stringify(excludedPaths));
+    conditions.push(`c.filename NOT IN (SELECT value FROM json_each($${params.length}))`);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Value at a percentile of a list of numbers
+ * @param {Array<number>} values - Values
+ * @param {number} percentile - Percentile between 0 and 1
+ * @returns {number} Value at the percentile, 0 for an empty list
+ */
+function percentileOf(values, percentile) {
+  if (values.length === 0) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(Math.floor(sorted.length * percentile), sorted.length - 1)];
+}
+
+/**
+ * Turn a per-file aggregate row into its report form
+ * @param {Object} row - Aggregate row
+ * @returns {Object} File churn statistics
+ */
+function toFileStats(row) {
+  const additions = Number(row.additions);
+  const deletions = Number(row.deletions);
+
+  return {
+    path: row.filename,
+    changes: Number(row.changes),
+    additions,
+    deletions,
+    churn: additions + deletions,
+    authors: Number(row.authors),
+    first_changed_at: row.first_changed_at,
+    last_changed_at: row.last_changed_at,
+    last_status: row.last_status,
+    deleted: DELETED_STATUSES.includes(row.last_status)
+  };
+}
+
+/**
+ * Query change statistics per file
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} options - Analysis options
+ * @param {string} [filename] - Only this file
+ * @returns {Promise<Array<Object>>} File churn statistics
+ */
+async function queryFileStats(repositoryId, options, filename) {
+  const { conditions, params } = changeFilters(repositoryId, options);
+
+  if (filename) {
+    params.push(filename);
+    conditions.push(`c.filename = $${params.length}`);
+  }
+
+  const result = await pool.query(`
+    SELECT
+      c.filename,
+      COUNT(DISTINCT c.github_id) AS changes,
+      COALESCE(SUM(c.additions), 0) AS additions,
+      COALESCE(SUM(c.deletions), 0) AS deletions,
+      COUNT(DISTINCT c.contributor_id) AS authors,
+      MIN(c.committed_at) AS first_changed_at,
+      MAX(c.committed_at) AS last_changed_at,
+      (
+        SELECT latest.status FROM commits latest
+        WHERE latest.repository_id = c.repository_id AND latest.filename = c.filename
+        ORDER BY latest.committed_at DESC
+        LIMIT 1
+      ) AS last_status
+    FROM commits c
+    LEFT JOIN contributors cont ON c.contributor_id = cont.id
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY c.filename
+  `, params);
+
+  return result.rows.map(toFileStats);
+}
+
+/**
+ * Query pairs of files changed together
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} options - Analysis options
+ * @param {number} options.minSharedChanges - Least commits a pair must share
+ * @param {number} options.limit - Pairs to return
+ * @param {string} [filename] - Only pairs including this file
+ * @returns {Promise<Array<Object>>} Coupled file pairs, most shared changes first
+ */
+async function queryCoupling(repositoryId, options, filename) {
+  const { conditions, params } = changeFilters(repositoryId, options);
+
+  // SQLite binds $N placeholders in the order they first appear in the
+  // query, so parameters are added in that order
+  params.push(MAX_COUPLING_COMMIT_FILES);
+  const maxFilesParam = `$${params.length}`;
+
+  let pairFilter = '';
+  if (filename) {
+    params.push(filename);
+    pairFilter = `WHERE a.filename = $${params.length} OR b.filename = $${params.length}`;
+  }
+
+  params.push(options.minSharedChanges);
+  const minSharedParam = `$${params.length}`;
+
+  params.push(options.limit);
+  const limitParam = `$${params.length}`;
+
+  // Distinct (commit, file) changes in the window
+  const fileChanges = `
+    SELECT DISTINCT c.github_id, c.filename
+    FROM commits c
+    LEFT JOIN contributors cont ON c.contributor_id = cont.id
+    WHERE ${conditions.join(' AND ')}
+  `;
+
+  // Changes of commits small enough to say which files belong together
+  const couplingChanges = `
+    SELECT fc.github_id, fc.filename
+    FROM (${fileChanges}) fc
+    JOIN (
+      SELECT github_id FROM (${fileChanges})
+      GROUP BY github_id
+      HAVING COUNT(*) BETWEEN 2 AND ${maxFilesParam}
+    ) eligible ON eligible.github_id = fc.github_id
+  `;
+
+  const fileTotals = `SELECT filename, COUNT(*) AS changes FROM (${fileChanges}) GROUP BY filename`;
+
+  const result = await pool.query(`
+    SELECT
+      a.filename AS file_a,
+      b.filename AS file_b,
+      COUNT(*) AS shared_changes,
+      ta.changes AS changes_a,
+      tb.changes AS changes_b
+    FROM (${couplingChanges}) a
+    JOIN (${couplingChanges}) b ON a.github_id = b.github_id AND a.filename < b.filename
+    JOIN (${fileTotals}) ta ON ta.filename = a.filename
+    JOIN (${fileTotals}) tb ON tb.filename = b.filename
+    ${pairFilter}
+    GROUP BY a.filename, b.filename
+    HAVING COUNT(*) >= ${minSharedParam}
+    ORDER BY shared_changes DESC, a.filename, b.filename
+    LIMIT ${limitParam}
+  `, params);
+
+  return result.rows.map(row => {
+    const shared = Number(row.shared_changes);
+    const changesA = Number(row.changes_a);
+    const changesB = Number(row.changes_b);
+
+    return {
+      files: [row.file_a, row.file_b],
+      shared_changes: shared,
+      changes: [changesA, changesB],
+      degree: Math.round((shared / (changesA + changesB - shared)) * 1000) / 10
+    };
+  });
+}
+
+/**
+ * Rank the files of a repository by change frequency and churn, flag risky
+ * hotspots and find files that change together
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.days=90] - Days back from now to analyze, 0 for all history
+ * @param {string} [options.sort='churn'] - Rank by 'churn', 'changes' or 'authors'
+ * @param {number} [options.limit=50] - Files and coupled pairs to return
+ * @param {number} [options.minAuthors=3] - Distinct authors that make a high-churn file a hotspot
+ * @param {number} [options.minSharedChanges=2] - Least commits a coupled pair must share
+ * @param {boolean} [options.includeBots=false] - Count changes made by bots
+ * @param {boolean} [options.includeVendored=false] - Rank vendored and generated files
+ * @returns {Promise<Object>} Churn report
+ */
+export async function getRepositoryChurn(repositoryId, {
+  days = 90,
+  sort = 'churn',
+  limit = 50,
+  minAuthors = 3,
+  minSharedChanges = 2,
+  includeBots = false,
+  includeVendored = false
+} = {}) {
+  const options = { days, limit, minSharedChanges, includeBots };
+  const allFiles = await queryFileStats(repositoryId, options);
+  const isExcluded = file => !includeVendored && (isVendoredPath(file.path) || isGeneratedPath(file.path));
+  const files = allFiles.filter(file => !isExcluded(file));
+
+  // Coupling is computed in SQL, so it gets the excluded files as a filter
+  options.excludedPaths = allFiles.filter(isExcluded).map(file => file.path);
+
+  const churnThreshold = Math.max(percentileOf(files.map(file => file.churn), HIGH_CHURN_PERCENTILE), 1);
+
+  for (const file of files) {
+    file.high_churn = file.churn >= churnThreshold;
+    file.is_hotspot = !file.deleted && file.high_churn && file.authors >= minAuthors;
+  }
+
+  const sortKeys = {
+    churn: ['churn', 'changes'],
+    changes: ['changes', 'churn'],
+    authors: ['authors', 'churn']
+  }[sort];
+
+  files.sort((a, b) =>
+    b[sortKeys[0]] - a[sortKeys[0]] || b[sortKeys[1]] - a[sortKeys[1]] || a.path.localeCompare(b.path)
+  );
+
+  const hotspots = files.filter(file => file.is_hotspot);
+
+  return {
+    days,
+    thresholds: {
+      high_churn: churnThreshold,
+      min_authors: minAuthors
+    },
+    summary: {
+      files: files.length,
+      changes: files.reduce((sum, file) => sum + file.changes, 0),
+      churn: files.reduce((sum, file) => sum + file.churn, 0),
+      hotspots: hotspots.length,
+      excluded_files: options.excludedPaths.length
+    },
+    files: files.slice(0, limit),
+    hotspots: hotspots.slice(0, limit),
+    coupling: await queryCoupling(repositoryId, options)
+  };
+}
+
+/**
+ * Churn history of a single file: change statistics, authors, weekly
+ * activity, recent changes and the files it is changed together with
+ * @param {string} repositoryId - Repository ID
+ * @param {string} filename - File path relative to the repository root
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.days=90] - Days back from now to analyze, 0 for all history
+ * @param {number} [options.limit=20] - Recent changes and coupled files to return
+ * @param {boolean} [options.includeBots=false] - Count changes made by bots
+ * @returns {Promise<Object|null>} File churn report, or null if the file has no changes in the window
+ */
+export async function getFileChurn(repositoryId, filename, {
+  days = 90,
+  limit = 20,
+  includeBots = false
+} = {}) {
+  const options = { days, limit, minSharedChanges: 1, includeBots };
+  const [stats] = await queryFileStats(repositoryId, options, filename);
+
+  if (!stats) {
+    return null;
+  }
+
+  const { conditions, params } = changeFilters(repositoryId, options);
+  params.push(filename);
+  conditions.push(`c.filename = $${params.length}`);
+  const where = conditions.join(' AND ');
+
+  const authorsResult = await pool.query(`
+    SELECT
+      cont.id AS contributor_id,
+      cont.github_id,
+      cont.username,
+      cont.name,
+      cont.avatar,
+      COUNT(DISTINCT c.github_id) AS changes,
+      COALESCE(SUM(c.additions + c.deletions), 0) AS churn
+    FROM commits c
+    JOIN contributors cont ON c.contributor_id = cont.id
+    WHERE ${where}
+    GROUP BY cont.id
+    ORDER BY churn DESC, changes DESC
+  `, params);
+
+  // Weeks start on Monday
+  const timelineResult = await pool.query(`
+    SELECT
+      date(c.committed_at, 'weekday 0', '-6 days') AS week,
+      COUNT(DISTINCT c.github_id) AS changes,
+      COALESCE(SUM(c.additions + c.deletions), 0) AS churn
+    FROM commits c
+    LEFT JOIN contributors cont ON c.contributor_id = cont.id
+    WHERE ${where}
+    GROUP BY week
+    ORDER BY week
+  `, params);
+
+  params.push(limit);
+  const recentResult = await pool.query(`
+    SELECT
+      c.github_id AS sha,
+      substr(c.message, 1, CASE WHEN instr(c.message, char(10)) > 0 THEN instr(c.message, char(10)) - 1 ELSE length(c.message) END) AS message,
+      c.status,
+      c.additions,
+      c.deletions,
+      c.committed_at,
+      cont.username AS author_username,
+      cont.github_id AS author_github_id
+    FROM commits c
+    LEFT JOIN contributors cont ON c.contributor_id = cont.id
+    WHERE ${where}
+    ORDER BY c.committed_at DESC
+    LIMIT $${params.length}
+  `, params);
+
+  const coupling = await queryCoupling(repositoryId, options, filename);
+
+  return {
+    days,
+    ...stats,
+    contributors: authorsResult.rows.map(row => ({
+      ...row,
+      changes: Number(row.changes),
+      churn: Number(row.churn)
+    })),
+    timeline: timelineResult.rows.map(row => ({
+      week: row.week,
+      changes: Number(row.changes),
+      churn: Number(row.churn)
+    })),
+    recent_changes: recentResult.rows,
+    coupled_files: coupling.map(pair => {
+      const other = pair.files[0] === filename ? 1 : 0;
+
+      return {
+        path: pair.files[other],
+        shared_changes: pair.shared_changes,
+        changes: pair.changes[other],
+        degree: pair.degree
+      };
+    })
+  };
+}
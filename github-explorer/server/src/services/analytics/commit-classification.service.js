@@ -0,0 +1,389 @@
+/**
+ * Commit Classification Service
+ *
+ * Stores the classification of every commit (feature, bugfix, revert...) on
+ * its rows of the commits table and rolls it up into work-mix analytics:
+ *
+ * - Work mix: commits per type, overall and per week or month.
+ * - Bugfix share: share of the commits that fix bugs.
+ * - Conventional-commit adoption: share of the commits whose message follows
+ *   Conventional Commits (`type(scope): subject`).
+ *
+ * The commit processor stores the classification of the commits it
+ * processes. Commits written by other code paths (enrichers, webhooks) are
+ * classified before the analytics are read, and scripts/classify-commits.js
+ * backfills or reclassifies existing rows.
+ *
+ * Merge commits are counted in the work mix but left out of the bugfix share
+ * and adoption rate: their message is generated, not written by a person.
+ */
+
+import { pool } from '../../db/db-pool.js';
+import { getConnection } from '../../db/connection-manager.js';
+import { withTransaction } from '../../db/transaction-manager.js';
+import { classifyCommitMessage } from '../../utils/commit-classifier.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('commit-classification-service');
+
+// Commits classified per transaction
+const CLASSIFY_BATCH_SIZE = 500;
+
+// Scopes listed in the work mix summary
+const TOP_SCOPES = 10;
+
+/**
+ * Ensure the classification columns of the commits table exist
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureCommitClassificationColumnsExist(db) {
+  const columns = [
+    'commit_type TEXT',
+    'commit_scope TEXT',
+    'commit_type_confidence REAL',
+    'is_conventional BOOLEAN'
+  ];
+
+  for (const column of columns) {
+    await db.run(`ALTER TABLE commits ADD COLUMN ${column}`).catch(err => {
+      // Ignore error if column already exists
+      if (!err.message.includes('duplicate column name')) {
+        throw err;
+      }
+    });
+  }
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_commits_commit_type ON commits(repository_id, commit_type);
+  `);
+}
+
+/**
+ * Parse the parents column of a commit row
+ * @param {string|null} parents - JSON array of parent SHAs
+ * @returns {Array<string>} Parent SHAs
+ */
+function parseParents(parents) {
+  try {
+    const parsed = JSON.parse(parents || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Store the classification of a commit on all of its rows
+ * @param {Object} db - SQLite database connection
+ * @param {string} sha - Commit SHA
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} classification - Result of classifyCommitMessage()
+ * @returns {Promise<void>}
+ */
+async function storeClassification(db, sha, repositoryId, classification) {
+  await db.run(
+    `UPDATE commits
+     SET commit_type = ?, commit_scope = ?, commit_type_confidence = ?, is_conventional = ?
+     WHERE github_id = ? AND repository_id = ?`,
+    [
+      classification.type,
+      classification.subtype,
+      classification.confidence,
+      classification.is_conventional ? 1 : 0,
+      sha,
+      repositoryId
+    ]
+  );
+}
+
+/**
+ * Store the classifications computed by the commit processor
+ * @param {Array<{hash: string, repository_id: string, classification: Object}>} commits - Classified commits
+ * @returns {Promise<number>} Number of commits stored
+ */
+export async function saveCommitClassifications(commits) {
+  const classified = commits.filter(commit => commit.hash && commit.repository_id && commit.classification);
+
+  if (classified.length === 0) {
+    return 0;
+  }
+
+  const db = await getConnection();
+  await ensureCommitClassificationColumnsExist(db);
+
+  await withTransaction(async (connection) => {
+    for (const commit of classified) {
+      await storeClassification(connection, commit.hash, commit.repository_id, commit.classification);
+    }
+  });
+
+  return classified.length;
+}
+
+/**
+ * Classify the commits that have no classification yet
+ * @param {Object} [options] - Options
+ * @param {string} [options.repositoryId] - Only classify the commits of this repository
+ * @param {string} [options.contributorId] - Only classify the commits of this contributor
+ * @param {boolean} [options.reclassify=false] - Classify every commit again, e.g. after the rules changed
+ * @returns {Promise<number>} Number of commits classified
+ */
+export async function classifyCommits({ repositoryId, contributorId, reclassify = false } = {}) {
+  const db = await getConnection();
+  await ensureCommitClassificationColumnsExist(db);
+
+  const filters = [];
+  const filterParams = [];
+
+  if (repositoryId) {
+    filters.push('repository_id = ?');
+    filterParams.push(repositoryId);
+  }
+
+  if (contributorId) {
+    filters.push('contributor_id = ?');
+    filterParams.push(contributorId);
+  }
+
+  if (reclassify) {
+    const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+    await db.run(`UPDATE commits SET commit_type = NULL ${where}`, filterParams);
+  }
+
+  let classified = 0;
+
+  // Every classification has a type, so classified commits drop out of the query
+  for (;;) {
+    const batch = await db.all(
+      `SELECT github_id, repository_id, MIN(message) AS message, MIN(parents) AS parents
+       FROM commits
+       WHERE ${['commit_type IS NULL', ...filters].join(' AND ')}
+       GROUP BY github_id, repository_id
+       LIMIT ?`,
+      [...filterParams, CLASSIFY_BATCH_SIZE]
+    );
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    await withTransaction(async (connection) => {
+      for (const row of batch) {
+        const [title, ...body] = (row.message || '').split('\n');
+        const classification = classifyCommitMessage(title, {
+          body: body.join('\n').trim(),
+          parents: parseParents(row.parents)
+        });
+
+        await storeClassification(connection, row.github_id, row.repository_id, classification);
+      }
+    });
+
+    classified += batch.length;
+  }
+
+  if (classified > 0) {
+    logger.info(`Classified ${classified} commits`, { repositoryId, contributorId });
+  }
+
+  return classified;
+}
+
+/**
+ * Start date of the period a date falls in
+ * @param {Date} date - Date
+ * @param {string} interval - 'week' (starting on Monday) or 'month'
+ * @returns {string} Period start, YYYY-MM-DD
+ */
+function periodOf(date, interval) {
+  if (interval === 'month') {
+    return `${date.toISOString().slice(0, 7)}-01`;
+  }
+
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return new Date(day - ((date.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Every period from the one containing a start date through the current one
+ * @param {string} since - Start date
+ * @param {string} interval - 'week' or 'month'
+ * @returns {Array<string>} Period starts, oldest first
+ */
+function periodsSince(since, interval) {
+  const periods = [];
+  const current = periodOf(new Date(), interval);
+  let period = periodOf(new Date(since), interval);
+
+  while (period <= current) {
+    periods.push(period);
+
+    const next = new Date(`${period}T00:00:00Z`);
+    if (interval === 'month') {
+      next.setUTCMonth(next.getUTCMonth() + 1);
+    } else {
+      next.setUTCDate(next.getUTCDate() + 7);
+    }
+    period = next.toISOString().slice(0, 10);
+  }
+
+  return periods;
+}
+
+/**
+ * Percentage of a count, rounded to one decimal
+ * @param {number} count - Count
+ * @param {number} total - Total
+ * @returns {number} Percentage, 0 when the total is 0
+ */
+function percentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Bugfix share and conventional-commit adoption of a set of type counts
+ * @param {Array<Object>} rows - Rows with commit_type, commits and conventional
+ * @returns {Object} { commits, bugfix_share, conventional_commits, conventional_rate }
+ */
+function summarizeRows(rows) {
+  const commits = rows.reduce((sum, row) => sum + row.commits, 0);
+  const authored = rows.filter(row => row.commit_type !== 'merge');
+  const authoredCommits = authored.reduce((sum, row) => sum + row.commits, 0);
+  const bugfixes = authored.filter(row => row.commit_type === 'bugfix').reduce((sum, row) => sum + row.commits, 0);
+  const conventional = authored.reduce((sum, row) => sum + row.conventional, 0);
+
+  return {
+    commits,
+    bugfix_share: percentage(bugfixes, authoredCommits),
+    conventional_commits: conventional,
+    conventional_rate: percentage(conventional, authoredCommits)
+  };
+}
+
+/**
+ * Build the work mix of the commits matching a filter
+ * @param {string} column - Commits column to filter on
+ * @param {string} id - Value of the column
+ * @param {Object} options - Options
+ * @param {number} options.days - Days back from now, 0 for all history
+ * @param {string} options.interval - Timeline interval: 'week' or 'month'
+ * @param {boolean} options.includeBots - Count commits made by bots
+ * @returns {Promise<Object>} Work mix: { days, interval, since, summary, types, scopes, timeline }
+ */
+async function buildCommitMix(column, id, { days, interval, includeBots }) {
+  const since = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+  const params = [id];
+  const conditions = [`c.${column} = $1`, 'c.commit_type IS NOT NULL'];
+
+  if (since) {
+    params.push(since);
+    conditions.push(`c.committed_at >= $${params.length}`);
+  }
+
+  if (!includeBots) {
+    conditions.push('COALESCE(cont.is_bot, 0) = 0');
+  }
+
+  const periodSql = interval === 'month'
+    ? `strftime('%Y-%m-01', c.committed_at)`
+    : `date(c.committed_at, 'weekday 0', '-6 days')`;
+
+  // One row per commit, then counts per period and type
+  const result = await pool.query(`
+    SELECT
+      period,
+      commit_type,
+      COUNT(*) AS commits,
+      SUM(is_conventional) AS conventional,
+      MIN(committed_at) AS first_committed_at
+    FROM (
+      SELECT
+        ${periodSql} AS period,
+        c.github_id,
+        MIN(c.commit_type) AS commit_type,
+        MAX(COALESCE(c.is_conventional, 0)) AS is_conventional,
+        MIN(c.committed_at) AS committed_at
+      FROM commits c
+      LEFT JOIN contributors cont ON c.contributor_id = cont.id
+      WHERE ${conditions.join(' AND ')} AND c.committed_at IS NOT NULL
+      GROUP BY c.github_id, c.repository_id
+    )
+    GROUP BY period, commit_type
+  `, params);
+
+  const scopesResult = await pool.query(`
+    SELECT c.commit_scope AS scope, COUNT(DISTINCT c.github_id) AS commits
+    FROM commits c
+    LEFT JOIN contributors cont ON c.contributor_id = cont.id
+    WHERE ${conditions.join(' AND ')} AND c.commit_scope IS NOT NULL
+    GROUP BY c.commit_scope
+    ORDER BY commits DESC, scope
+    LIMIT ${TOP_SCOPES}
+  `, params);
+
+  const rows = result.rows.map(row => ({
+    period: row.period,
+    commit_type: row.commit_type,
+    commits: Number(row.commits),
+    conventional: Number(row.conventional) || 0,
+    first_committed_at: row.first_committed_at
+  }));
+
+  const typeTotals = new Map();
+  for (const row of rows) {
+    typeTotals.set(row.commit_type, (typeTotals.get(row.commit_type) || 0) + row.commits);
+  }
+
+  const summary = summarizeRows(rows);
+  const start = since || rows.map(row => row.first_committed_at).sort()[0];
+
+  return {
+    days,
+    interval,
+    since,
+    summary,
+    types: [...typeTotals.entries()]
+      .map(([type, commits]) => ({ type, commits, percentage: percentage(commits, summary.commits) }))
+      .sort((a, b) => b.commits - a.commits || a.type.localeCompare(b.type)),
+    scopes: scopesResult.rows.map(row => ({ scope: row.scope, commits: Number(row.commits) })),
+    timeline: (start ? periodsSince(start, interval) : []).map(period => {
+      const periodRows = rows.filter(row => row.period === period);
+
+      return {
+        period,
+        ...summarizeRows(periodRows),
+        types: Object.fromEntries(periodRows.map(row => [row.commit_type, row.commits]))
+      };
+    })
+  };
+}
+
+/**
+ * Get the work mix of a repository, classifying any unclassified commits first
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.days=90] - Days back from now, 0 for all history
+ * @param {string} [options.interval='week'] - Timeline interval: 'week' or 'month'
+ * @param {boolean} [options.includeBots=false] - Count commits made by bots
+ * @returns {Promise<Object>} Work mix
+ */
+export async function getRepositoryCommitMix(repositoryId, { days = 90, interval = 'week', includeBots = false } = {}) {
+  await classifyCommits({ repositoryId });
+  return buildCommitMix('repository_id', repositoryId, { days, interval, includeBots });
+}
+
+/**
+ * Get the work mix of a contributor across repositories, classifying any
+ * unclassified commits first
+ * @param {string} contributorId - Contributor ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.days=90] - Days back from now, 0 for all history
+ * @param {string} [options.interval='week'] - Timeline interval: 'week' or 'month'
+ * @returns {Promise<Object>} Work mix
+ */
+export async function getContributorCommitMix(contributorId, { days = 90, interval = 'week' } = {}) {
+  await classifyCommits({ contributorId });
+  return buildCommitMix('contributor_id', contributorId, { days, interval, includeBots: true });
+}
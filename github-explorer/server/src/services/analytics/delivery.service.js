@@ -0,0 +1,307 @@
+/**
+ * Delivery Service
+ *
+ * DORA-style delivery metrics of a repository, rolled up from its merge
+ * requests, reviews and commits:
+ *
+ * - Lead time for change: first commit of a merge request to its merge.
+ * - Merge frequency: merged merge requests per week.
+ * - Review latency: opening a merge request to its first review by someone
+ *   other than the author.
+ * - Cycle and review time: the per-merge-request hours stored by the merge
+ *   request processor.
+ * - Size distribution: merged merge requests by lines changed.
+ * - Revert rate: share of commits classified as reverts.
+ *
+ * Every analysis covers a window of days back from now (0 for all history),
+ * with a weekly series of the same metrics for charting.
+ */
+
+import { pool } from '../../db/db-pool.js';
+import { isRevertCommit } from '../../utils/commit-classifier.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Size buckets by lines changed (additions + deletions), upper bound exclusive
+const SIZE_BUCKETS = [
+  { size: 'XS', max: 10 },
+  { size: 'S', max: 100 },
+  { size: 'M', max: 500 },
+  { size: 'L', max: 1000 },
+  { size: 'XL', max: Infinity }
+];
+
+/**
+ * Value at a percentile of a list of numbers, interpolating between ranks
+ * @param {Array<number>} values - Values
+ * @param {number} percentile - Percentile between 0 and 1
+ * @returns {number|null} Value at the percentile, null for an empty list
+ */
+function percentileOf(values, percentile) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (sorted.length - 1) * percentile;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Round hours to one decimal, keeping nulls
+ * @param {number|null} hours - Hours
+ * @returns {number|null} Rounded hours
+ */
+function roundHours(hours) {
+  return hours === null ? null : Math.round(hours * 10) / 10;
+}
+
+/**
+ * Median, 90th percentile and mean of durations
+ * @param {Array<number>} hours - Durations in hours
+ * @returns {Object} Distribution: { count, p50, p90, mean }
+ */
+function summarizeHours(hours) {
+  return {
+    count: hours.length,
+    p50: roundHours(percentileOf(hours, 0.5)),
+    p90: roundHours(percentileOf(hours, 0.9)),
+    mean: roundHours(hours.length > 0 ? hours.reduce((sum, value) => sum + value, 0) / hours.length : null)
+  };
+}
+
+/**
+ * Hours between two timestamps, null if either is missing or they are out of order
+ * @param {string} from - Start timestamp
+ * @param {string} to - End timestamp
+ * @returns {number|null} Hours
+ */
+function hoursBetween(from, to) {
+  if (!from || !to) {
+    return null;
+  }
+
+  const ms = new Date(to).getTime() - new Date(from).getTime();
+  return Number.isNaN(ms) || ms < 0 ? null : ms / HOUR_MS;
+}
+
+/**
+ * Start of the week of a timestamp; weeks start on Monday (UTC)
+ * @param {string|Date} timestamp - Timestamp
+ * @returns {string} Date of the Monday, YYYY-MM-DD
+ */
+function weekOf(timestamp) {
+  const date = new Date(timestamp);
+  const monday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) -
+    ((date.getUTCDay() + 6) % 7) * DAY_MS;
+
+  return new Date(monday).toISOString().slice(0, 10);
+}
+
+/**
+ * Every week from the week of a start date through the current week
+ * @param {string|Date} since - Start of the window
+ * @returns {Array<string>} Week start dates, oldest first
+ */
+function weeksSince(since) {
+  const weeks = [];
+  const current = weekOf(new Date());
+
+  for (let week = weekOf(since); week <= current; week = weekOf(new Date(Date.parse(week) + 7 * DAY_MS))) {
+    weeks.push(week);
+  }
+
+  return weeks;
+}
+
+/**
+ * Size bucket of a merge request
+ * @param {number} linesChanged - Additions plus deletions
+ * @returns {string} Bucket name
+ */
+function sizeOf(linesChanged) {
+  return SIZE_BUCKETS.find(bucket => linesChanged < bucket.max).size;
+}
+
+/**
+ * Query the merge requests merged in a window, with their first commit and
+ * first review by someone other than the author
+ * @param {string} repositoryId - Repository ID
+ * @param {string|null} since - Start of the window, null for all history
+ * @returns {Promise<Array<Object>>} Merged merge requests
+ */
+async function queryMergedRequests(repositoryId, since) {
+  const params = [repositoryId];
+  let windowCondition = '';
+
+  if (since) {
+    params.push(since);
+    windowCondition = 'AND mr.merged_at >= $2';
+  }
+
+  const result = await pool.query(`
+    SELECT
+      mr.id,
+      mr.created_at,
+      mr.merged_at,
+      COALESCE(mr.additions, 0) + COALESCE(mr.deletions, 0) AS lines_changed,
+      mr.cycle_time_hours,
+      mr.review_time_hours,
+      (SELECT MIN(c.committed_at) FROM commits c WHERE c.pull_request_id = mr.id) AS first_commit_at,
+      (
+        SELECT MIN(r.submitted_at)
+        FROM merge_request_reviews r
+        WHERE r.merge_request_id = mr.id
+          AND r.state != 'PENDING'
+          AND (r.reviewer_id IS NULL OR r.reviewer_id != mr.author_id)
+      ) AS first_review_at
+    FROM merge_requests mr
+    WHERE mr.repository_id = $1
+      AND mr.merged_at IS NOT NULL
+      ${windowCondition}
+    ORDER BY mr.merged_at
+  `, params);
+
+  return result.rows;
+}
+
+/**
+ * Query the commits made in a window, one row per commit
+ * @param {string} repositoryId - Repository ID
+ * @param {string|null} since - Start of the window, null for all history
+ * @returns {Promise<Array<Object>>} Commits: { sha, title, committed_at }
+ */
+async function queryCommits(repositoryId, since) {
+  const params = [repositoryId];
+  let windowCondition = '';
+
+  if (since) {
+    params.push(since);
+    windowCondition = 'AND committed_at >= $2';
+  }
+
+  const result = await pool.query(`
+    SELECT
+      github_id AS sha,
+      MIN(message) AS message,
+      MIN(committed_at) AS committed_at
+    FROM commits
+    WHERE repository_id = $1
+      AND committed_at IS NOT NULL
+      ${windowCondition}
+    GROUP BY github_id
+  `, params);
+
+  return result.rows.map(row => ({
+    sha: row.sha,
+    title: (row.message || '').split('\n')[0],
+    committed_at: row.committed_at
+  }));
+}
+
+/**
+ * Roll merged merge requests and commits up into delivery metrics
+ * @param {Array<Object>} mergeRequests - Merged merge requests
+ * @param {Array<Object>} commits - Commits
+ * @param {number} weeks - Weeks in the window, for the merge frequency
+ * @returns {Object} Delivery metrics
+ */
+function summarize(mergeRequests, commits, weeks) {
+  const leadTimes = [];
+  const reviewLatencies = [];
+  const sizes = [];
+
+  for (const mergeRequest of mergeRequests) {
+    const leadTime = hoursBetween(mergeRequest.first_commit_at || mergeRequest.created_at, mergeRequest.merged_at);
+    const reviewLatency = hoursBetween(mergeRequest.created_at, mergeRequest.first_review_at);
+
+    if (leadTime !== null) leadTimes.push(leadTime);
+    if (reviewLatency !== null) reviewLatencies.push(reviewLatency);
+    sizes.push(Number(mergeRequest.lines_changed));
+  }
+
+  const reverts = commits.filter(commit => isRevertCommit(commit.title)).length;
+
+  return {
+    merged: mergeRequests.length,
+    merges_per_week: weeks > 0 ? Math.round((mergeRequests.length / weeks) * 100) / 100 : 0,
+    lead_time_hours: summarizeHours(leadTimes),
+    review_latency_hours: summarizeHours(reviewLatencies),
+    cycle_time_hours: summarizeHours(mergeRequests
+      .map(mergeRequest => mergeRequest.cycle_time_hours ?? hoursBetween(mergeRequest.created_at, mergeRequest.merged_at))
+      .filter(hours => hours !== null)
+      .map(Number)),
+    review_time_hours: summarizeHours(mergeRequests
+      .filter(mergeRequest => mergeRequest.review_time_hours !== null)
+      .map(mergeRequest => Number(mergeRequest.review_time_hours))),
+    size: {
+      median_lines_changed: percentileOf(sizes, 0.5),
+      distribution: SIZE_BUCKETS.map(({ size, max }) => {
+        const count = sizes.filter(lines => sizeOf(lines) === size).length;
+        return {
+          size,
+          max_lines_changed: max === Infinity ? null : max - 1,
+          count,
+          percentage: sizes.length > 0 ? Math.round((count / sizes.length) * 1000) / 10 : 0
+        };
+      })
+    },
+    commits: commits.length,
+    reverts,
+    revert_rate: commits.length > 0 ? Math.round((reverts / commits.length) * 1000) / 10 : 0
+  };
+}
+
+/**
+ * Build the delivery metrics of a repository
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.days=90] - Days back from now to analyze, 0 for all history
+ * @returns {Promise<Object>} Delivery metrics: { days, since, summary, weekly }
+ */
+export async function getDeliveryMetrics(repositoryId, { days = 90 } = {}) {
+  const since = days > 0 ? new Date(Date.now() - days * DAY_MS).toISOString() : null;
+  const mergeRequests = await queryMergedRequests(repositoryId, since);
+  const commits = await queryCommits(repositoryId, since);
+
+  // Without a window the series starts at the oldest merge or commit
+  const start = since || [mergeRequests[0]?.merged_at, ...commits.map(commit => commit.committed_at)]
+    .filter(Boolean)
+    .sort()[0];
+  const weeks = start ? weeksSince(start) : [];
+  const byWeek = new Map(weeks.map(week => [week, { mergeRequests: [], commits: [] }]));
+
+  for (const mergeRequest of mergeRequests) {
+    byWeek.get(weekOf(mergeRequest.merged_at))?.mergeRequests.push(mergeRequest);
+  }
+
+  for (const commit of commits) {
+    byWeek.get(weekOf(commit.committed_at))?.commits.push(commit);
+  }
+
+  const windowWeeks = since ? days / 7 : weeks.length;
+
+  return {
+    days,
+    since,
+    summary: summarize(mergeRequests, commits, windowWeeks),
+    weekly: weeks.map(week => {
+      const metrics = summarize(byWeek.get(week).mergeRequests, byWeek.get(week).commits, 1);
+
+      return {
+        week,
+        merged: metrics.merged,
+        lead_time_p50_hours: metrics.lead_time_hours.p50,
+        review_latency_p50_hours: metrics.review_latency_hours.p50,
+        median_lines_changed: metrics.size.median_lines_changed,
+        commits: metrics.commits,
+        reverts: metrics.reverts,
+        revert_rate: metrics.revert_rate
+      };
+    })
+  };
+}
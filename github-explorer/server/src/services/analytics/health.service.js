@@ -0,0 +1,448 @@
+/**
+ * Health Service
+ *
+ * Scores the health of a repository from 0 to 100 with an explainable,
+ * weighted model over the data we store:
+ *
+ * - Commit cadence: weeks with commits out of the last 13.
+ * - Merge latency: median time from opening to merging a merge request.
+ * - Contributor concentration: bus factor of the last year of changes.
+ * - Merge request rejection rate: share of closed merge requests that were
+ *   not merged.
+ * - Issue backlog: share of the last year's issues that were closed, or the
+ *   open issue count when issues are not synced.
+ *
+ * Each factor scores 0-100 by interpolating between fixed points. Factors
+ * without data are left out and their weight goes to the others. Archived
+ * repositories are capped and forks lose points. The score is written to
+ * repositories.health_percentage and the breakdown to repository_health.
+ */
+
+import { pool } from '../../db/db-pool.js';
+import { getConnection } from '../../db/connection-manager.js';
+import { calculateBusFactor } from './ownership.service.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('health-service');
+
+// Version of the model, stored with each score so old breakdowns can be told apart
+export const HEALTH_MODEL_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weeks of history the commit cadence covers
+const CADENCE_WEEKS = 13;
+
+// Days of history the merge request and contributor factors cover
+const MERGE_REQUEST_DAYS = 180;
+const CONTRIBUTOR_DAYS = 365;
+
+// Highest score of an archived repository, and points a fork loses
+const ARCHIVED_MAX_SCORE = 25;
+const FORK_PENALTY = 10;
+
+// Factor weights and the [value, score] points each factor is interpolated between
+const FACTORS = {
+  commit_cadence: { label: 'Commit cadence', weight: 25 },
+  merge_latency: { label: 'Merge latency', weight: 20, points: [[24, 100], [72, 85], [168, 65], [720, 25], [2160, 0]] },
+  contributor_concentration: { label: 'Contributor concentration', weight: 20, points: [[1, 25], [2, 55], [3, 75], [4, 90], [5, 100]] },
+  merge_request_rejection: { label: 'Merge request rejection rate', weight: 15, points: [[5, 100], [25, 60], [50, 0]] },
+  issue_backlog: { label: 'Issue backlog', weight: 20, points: [[0, 100], [25, 75], [100, 50], [500, 0]] }
+};
+
+/**
+ * Ensure the repository_health table exists
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureRepositoryHealthTableExists(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS repository_health (
+      repository_id TEXT PRIMARY KEY,
+      score INTEGER,
+      factors TEXT NOT NULL,      -- JSON array of per-factor scores
+      adjustments TEXT NOT NULL,  -- JSON array of archived/fork adjustments
+      model_version INTEGER NOT NULL,
+      calculated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+/**
+ * Score a value by linear interpolation between points
+ * @param {number} value - Value
+ * @param {Array<Array<number>>} points - [value, score] points, ascending by value
+ * @returns {number} Score, clamped to the first and last point
+ */
+function interpolate(value, points) {
+  if (value <= points[0][0]) {
+    return points[0][1];
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+
+    if (value <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + ((value - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+
+  return points[points.length - 1][1];
+}
+
+/**
+ * ISO timestamp a number of days back from now
+ * @param {number} days - Days
+ * @returns {string} Timestamp
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+/**
+ * Format hours for an explanation
+ * @param {number} hours - Hours
+ * @returns {string} Hours below two days, days otherwise
+ */
+function formatHours(hours) {
+  return hours < 48 ? `${Math.round(hours)} hours` : `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * Commit cadence: weeks with at least one commit by a person out of the last 13
+ * @param {string} repositoryId - Repository ID
+ * @returns {Promise<Object|null>} Factor, null if the repository has no commits
+ */
+async function commitCadence(repositoryId) {
+  // Parameters are bound in order of first appearance, so the window comes first
+  const result = await pool.query(`
+    SELECT
+      COUNT(DISTINCT CASE WHEN c.committed_at >= $1 THEN date(c.committed_at, 'weekday 0', '-6 days') END) AS active_weeks,
+      COUNT(DISTINCT CASE WHEN c.committed_at >= $1 THEN c.github_id END) AS commits,
+      MAX(c.committed_at) AS last_commit_at
+    FROM commits c
+    LEFT JOIN contributors cont ON c.contributor_id = cont.id
+    WHERE c.repository_id = $2 AND COALESCE(cont.is_bot, 0) = 0
+  `, [daysAgo(CADENCE_WEEKS * 7), repositoryId]);
+
+  const row = result.rows[0];
+
+  if (!row?.last_commit_at) {
+    return null;
+  }
+
+  const activeWeeks = Math.min(Number(row.active_weeks), CADENCE_WEEKS);
+
+  return {
+    score: (activeWeeks / CADENCE_WEEKS) * 100,
+    value: { active_weeks: activeWeeks, weeks: CADENCE_WEEKS, commits: Number(row.commits), last_commit_at: row.last_commit_at },
+    explanation: activeWeeks > 0
+      ? `Commits in ${activeWeeks} of the last ${CADENCE_WEEKS} weeks`
+      : `No commits in the last ${CADENCE_WEEKS} weeks; the last was on ${row.last_commit_at.slice(0, 10)}`
+  };
+}
+
+/**
+ * Merge request statistics of the last 180 days, leaving out bots
+ * @param {string} repositoryId - Repository ID
+ * @returns {Promise<Object>} { merged, rejected, durations }
+ */
+async function mergeRequestOutcomes(repositoryId) {
+  const result = await pool.query(`
+    SELECT mr.created_at, mr.merged_at, mr.closed_at
+    FROM merge_requests mr
+    LEFT JOIN contributors cont ON mr.author_id = cont.id
+    WHERE mr.repository_id = $1
+      AND COALESCE(cont.is_bot, 0) = 0
+      AND COALESCE(mr.merged_at, mr.closed_at) >= $2
+  `, [repositoryId, daysAgo(MERGE_REQUEST_DAYS)]);
+
+  const merged = result.rows.filter(row => row.merged_at);
+  const durations = merged
+    .map(row => (new Date(row.merged_at).getTime() - new Date(row.created_at).getTime()) / (60 * 60 * 1000))
+    .filter(hours => hours >= 0)
+    .sort((a, b) => a - b);
+
+  return {
+    merged: merged.length,
+    rejected: result.rows.filter(row => !row.merged_at && row.closed_at).length,
+    durations
+  };
+}
+
+/**
+ * Merge latency: median hours from opening to merging
+ * @param {Object} outcomes - Result of mergeRequestOutcomes()
+ * @returns {Object|null} Factor, null without merges
+ */
+function mergeLatency({ durations }) {
+  if (durations.length === 0) {
+    return null;
+  }
+
+  const middle = Math.floor(durations.length / 2);
+  const median = durations.length % 2 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2;
+
+  return {
+    score: interpolate(median, FACTORS.merge_latency.points),
+    value: { median_hours: Math.round(median * 10) / 10, merged: durations.length, days: MERGE_REQUEST_DAYS },
+    explanation: `Merge requests merged in the last ${MERGE_REQUEST_DAYS} days took ${formatHours(median)} to merge (median of ${durations.length})`
+  };
+}
+
+/**
+ * Merge request rejection rate: closed without merging out of all closed
+ * @param {Object} outcomes - Result of mergeRequestOutcomes()
+ * @returns {Object|null} Factor, null without closed merge requests
+ */
+function mergeRequestRejection({ merged, rejected }) {
+  const closed = merged + rejected;
+
+  if (closed === 0) {
+    return null;
+  }
+
+  const rate = (rejected / closed) * 100;
+
+  return {
+    score: interpolate(rate, FACTORS.merge_request_rejection.points),
+    value: { rejection_rate: Math.round(rate * 10) / 10, rejected, closed, days: MERGE_REQUEST_DAYS },
+    explanation: `${rejected} of ${closed} merge requests closed in the last ${MERGE_REQUEST_DAYS} days were not merged`
+  };
+}
+
+/**
+ * Contributor concentration: bus factor of the last year of changes by people
+ * @param {string} repositoryId - Repository ID
+ * @returns {Promise<Object|null>} Factor, null without changes in the last year
+ */
+async function contributorConcentration(repositoryId) {
+  const result = await pool.query(`
+    SELECT c.contributor_id, COALESCE(SUM(c.additions + c.deletions), 0) AS lines_changed
+    FROM commits c
+    JOIN contributors cont ON c.contributor_id = cont.id
+    WHERE c.repository_id = $1 AND c.committed_at >= $2 AND COALESCE(cont.is_bot, 0) = 0
+    GROUP BY c.contributor_id
+  `, [repositoryId, daysAgo(CONTRIBUTOR_DAYS)]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const busFactor = calculateBusFactor(result.rows.map(row => Number(row.lines_changed)));
+
+  return {
+    score: interpolate(busFactor, FACTORS.contributor_concentration.points),
+    value: { bus_factor: busFactor, contributors: result.rows.length, days: CONTRIBUTOR_DAYS },
+    explanation: result.rows.length === 1
+      ? 'A single contributor made all of the last year\'s changes'
+      : `${busFactor} of ${result.rows.length} contributors made most of the last year's changes`
+  };
+}
+
+/**
+ * Issue backlog: share of the last year's issues that were closed, or the
+ * repository's open issue count when its issues are not synced
+ * @param {Object} repository - Repository row
+ * @returns {Promise<Object|null>} Factor, null without issue data
+ */
+async function issueBacklog(repository) {
+  const db = await getConnection();
+  const issuesTable = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'issues'`);
+
+  if (issuesTable) {
+    const result = await pool.query(`
+      SELECT COUNT(*) AS opened, SUM(CASE WHEN closed_at IS NOT NULL THEN 1 ELSE 0 END) AS closed
+      FROM issues
+      WHERE repository_id = $1 AND created_at >= $2
+    `, [repository.id, daysAgo(CONTRIBUTOR_DAYS)]);
+
+    const opened = Number(result.rows[0]?.opened) || 0;
+    const closed = Number(result.rows[0]?.closed) || 0;
+
+    if (opened > 0) {
+      return {
+        score: (closed / opened) * 100,
+        value: { opened, closed, days: CONTRIBUTOR_DAYS },
+        explanation: `${closed} of ${opened} issues opened in the last ${CONTRIBUTOR_DAYS} days were closed`
+      };
+    }
+  }
+
+  if (repository.open_issues_count === null || repository.open_issues_count === undefined) {
+    return null;
+  }
+
+  const openIssues = Number(repository.open_issues_count);
+
+  return {
+    score: interpolate(openIssues, FACTORS.issue_backlog.points),
+    value: { open_issues: openIssues },
+    explanation: `${openIssues} open issues and pull requests on GitHub`
+  };
+}
+
+/**
+ * Calculate the health of a repository without storing it
+ * @param {Object} repository - Repository row with id, open_issues_count, is_archived and is_fork
+ * @returns {Promise<Object>} Health: { score, factors, adjustments, model_version, calculated_at }
+ */
+export async function calculateRepositoryHealth(repository) {
+  const outcomes = await mergeRequestOutcomes(repository.id);
+  const results = {
+    commit_cadence: await commitCadence(repository.id),
+    merge_latency: mergeLatency(outcomes),
+    contributor_concentration: await contributorConcentration(repository.id),
+    merge_request_rejection: mergeRequestRejection(outcomes),
+    issue_backlog: await issueBacklog(repository)
+  };
+
+  const availableWeight = Object.entries(results)
+    .filter(([, result]) => result)
+    .reduce((sum, [factor]) => sum + FACTORS[factor].weight, 0);
+
+  const factors = Object.entries(FACTORS).map(([factor, { label, weight }]) => {
+    const result = results[factor];
+
+    if (!result) {
+      return { factor, label, weight, score: null, points: 0, value: null, explanation: 'No data; weight shared by the other factors' };
+    }
+
+    const points = (result.score * weight) / availableWeight;
+
+    return {
+      factor,
+      label,
+      weight,
+      score: Math.round(result.score),
+      points: Math.round(points * 10) / 10,
+      value: result.value,
+      explanation: result.explanation
+    };
+  });
+
+  let score = availableWeight > 0
+    ? Object.entries(results)
+      .filter(([, result]) => result)
+      .reduce((sum, [factor, result]) => sum + (result.score * FACTORS[factor].weight) / availableWeight, 0)
+    : null;
+
+  const adjustments = [];
+
+  if (score !== null && repository.is_fork) {
+    adjustments.push({ adjustment: 'fork', effect: -FORK_PENALTY, explanation: `Forks lose ${FORK_PENALTY} points; development usually happens upstream` });
+    score = Math.max(0, score - FORK_PENALTY);
+  }
+
+  if (score !== null && repository.is_archived && score > ARCHIVED_MAX_SCORE) {
+    adjustments.push({ adjustment: 'archived', effect: ARCHIVED_MAX_SCORE - score, explanation: `Archived repositories are read-only and score at most ${ARCHIVED_MAX_SCORE}` });
+    score = ARCHIVED_MAX_SCORE;
+  }
+
+  return {
+    score: score === null ? null : Math.round(score),
+    factors,
+    adjustments: adjustments.map(adjustment => ({ ...adjustment, effect: Math.round(adjustment.effect) })),
+    model_version: HEALTH_MODEL_VERSION,
+    calculated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Calculate the health of a repository and store it
+ * @param {string} id - Repository ID or GitHub ID
+ * @returns {Promise<Object|null>} Health with the repository, null if not found
+ */
+export async function updateRepositoryHealth(id) {
+  const result = await pool.query(`
+    SELECT id, github_id, full_name, open_issues_count, is_archived, is_fork
+    FROM repositories
+    WHERE id = $1 OR github_id = $1
+  `, [id]);
+
+  const repository = result.rows[0];
+
+  if (!repository) {
+    return null;
+  }
+
+  const health = await calculateRepositoryHealth(repository);
+  const db = await getConnection();
+  await ensureRepositoryHealthTableExists(db);
+
+  await db.run(
+    `INSERT INTO repository_health (repository_id, score, factors, adjustments, model_version, calculated_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(repository_id) DO UPDATE SET
+       score = excluded.score,
+       factors = excluded.factors,
+       adjustments = excluded.adjustments,
+       model_version = excluded.model_version,
+       calculated_at = excluded.calculated_at`,
+    [repository.id, health.score, JSON.stringify(health.factors), JSON.stringify(health.adjustments), health.model_version, health.calculated_at]
+  );
+
+  await db.run('UPDATE repositories SET health_percentage = ? WHERE id = ?', [health.score, repository.id]);
+
+  return { repository: { id: repository.id, github_id: repository.github_id, full_name: repository.full_name }, ...health };
+}
+
+/**
+ * Get the stored health of a repository, calculating it if it was never
+ * calculated or was calculated by an older model
+ * @param {string} id - Repository ID or GitHub ID
+ * @returns {Promise<Object|null>} Health with the repository, null if not found
+ */
+export async function getRepositoryHealth(id) {
+  const db = await getConnection();
+  await ensureRepositoryHealthTableExists(db);
+
+  const result = await pool.query(`
+    SELECT r.id, r.github_id, r.full_name, h.score, h.factors, h.adjustments, h.model_version, h.calculated_at
+    FROM repositories r
+    LEFT JOIN repository_health h ON h.repository_id = r.id
+    WHERE r.id = $1 OR r.github_id = $1
+  `, [id]);
+
+  const row = result.rows[0];
+
+  if (!row) {
+    return null;
+  }
+
+  if (row.model_version !== HEALTH_MODEL_VERSION) {
+    return updateRepositoryHealth(row.id);
+  }
+
+  return {
+    repository: { id: row.id, github_id: row.github_id, full_name: row.full_name },
+    score: row.score,
+    factors: JSON.parse(row.factors),
+    adjustments: JSON.parse(row.adjustments),
+    model_version: row.model_version,
+    calculated_at: row.calculated_at
+  };
+}
+
+/**
+ * Recalculate and store the health of every repository
+ * @returns {Promise<number>} Number of repositories scored
+ */
+export async function updateAllRepositoryHealth() {
+  const result = await pool.query('SELECT id FROM repositories');
+  let updated = 0;
+
+  for (const { id } of result.rows) {
+    try {
+      await updateRepositoryHealth(id);
+      updated++;
+    } catch (error) {
+      logger.error(`Error calculating health of repository ${id}`, { error: error.message });
+    }
+  }
+
+  return updated;
+}
@@ -0,0 +1,57 @@
+/**
+ * Language Service
+ *
+ * Language breakdowns of contributors and repositories from the files changed
+ * in their commits, classified by the shared language classifier so every
+ * surface reports the same languages.
+ */
+
+import { pool } from '../../db/db-pool.js';
+import { summarizeLanguages } from '../../utils/language-classifier.js';
+
+/**
+ * Query changed files with their totals, and the start of a patch that may
+ * show the file's `#!` line
+ * @param {string} column - Commits column to filter on
+ * @param {string} id - Value of the column
+ * @returns {Promise<Array<Object>>} Changed files
+ */
+async function queryChangedFiles(column, id) {
+  const result = await pool.query(`
+    SELECT
+      filename,
+      COUNT(*) AS changes,
+      COALESCE(SUM(additions), 0) AS additions,
+      COALESCE(SUM(deletions), 0) AS deletions,
+      MAX(CASE WHEN instr(substr(patch, 1, 500), '#!') > 0 THEN substr(patch, 1, 500) END) AS patch
+    FROM commits
+    WHERE ${column} = $1 AND filename IS NOT NULL
+    GROUP BY filename
+  `, [id]);
+
+  return result.rows;
+}
+
+/**
+ * Get the languages a contributor works in, by lines changed
+ * @param {string} contributorId - Contributor ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=5] - Languages to return
+ * @returns {Promise<Array<Object>>} Languages: { name, type, files, count, lines_changed, percentage }
+ */
+export async function getContributorLanguages(contributorId, { limit = 5 } = {}) {
+  const files = await queryChangedFiles('contributor_id', contributorId);
+  return summarizeLanguages(files, { limit });
+}
+
+/**
+ * Get the language breakdown of a repository, by lines changed
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.types] - Language types to count (default: programming and markup)
+ * @returns {Promise<Array<Object>>} Languages: { name, type, files, count, lines_changed, percentage }
+ */
+export async function getRepositoryLanguages(repositoryId, { types } = {}) {
+  const files = await queryChangedFiles('repository_id', repositoryId);
+  return summarizeLanguages(files, { types });
+}
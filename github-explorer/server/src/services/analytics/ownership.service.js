@@ -0,0 +1,217 @@
+/**
+ * Ownership Service
+ *
+ * Builds code ownership reports for a repository from the commits table,
+ * which stores one row per changed file with its additions, deletions and
+ * contributor.
+ *
+ * A contributor's ownership of a file or directory is their share of the
+ * lines changed in it. The bus factor is the smallest number of contributors
+ * that together own more than half of the lines changed: the number of people
+ * who would have to leave before most of the code's history walks out with
+ * them.
+ */
+
+import { pool } from '../../db/db-pool.js';
+
+// Share of the lines changed the bus factor contributors have to cover
+const BUS_FACTOR_THRESHOLD = 0.5;
+
+/**
+ * Calculate the bus factor of a set of contributors
+ * @param {Array<number>} linesChanged - Lines changed per contributor
+ * @returns {number} Smallest number of contributors covering more than half of the lines
+ */
+export function calculateBusFactor(linesChanged) {
+  const total = linesChanged.reduce((sum, lines) => sum + lines, 0);
+
+  if (total === 0) {
+    return linesChanged.length > 0 ? 1 : 0;
+  }
+
+  const sorted = [...linesChanged].sort((a, b) => b - a);
+  let covered = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    covered += sorted[i];
+    if (covered > total * BUS_FACTOR_THRESHOLD) {
+      return i + 1;
+    }
+  }
+
+  return sorted.length;
+}
+
+/**
+ * Directories a file path belongs to, up to a depth
+ * @param {string} filename - File path relative to the repository root
+ * @param {number} depth - Deepest directory level to report
+ * @returns {Array<string>} Directory paths, outermost first
+ */
+function parentDirectories(filename, depth) {
+  const segments = filename.split('/').slice(0, -1);
+  const directories = [];
+
+  for (let i = 1; i <= Math.min(segments.length, depth); i++) {
+    directories.push(segments.slice(0, i).join('/'));
+  }
+
+  return directories;
+}
+
+/**
+ * Get the ownership entry of a path, creating it if needed
+ * @param {Map} entries - Entries by path
+ * @param {string} path - File or directory path
+ * @returns {Object} Entry accumulating the changes under the path
+ */
+function entryFor(entries, path) {
+  if (!entries.has(path)) {
+    entries.set(path, { path, files: new Set(), linesChanged: 0, contributors: new Map() });
+  }
+
+  return entries.get(path);
+}
+
+/**
+ * Accumulate a contributor's changes to a file into an ownership entry
+ * @param {Object} entry - Entry of the file or one of its directories
+ * @param {Object} row - Per-file, per-contributor commit totals
+ */
+function addToEntry(entry, row) {
+  entry.files.add(row.filename);
+  entry.linesChanged += row.lines_changed;
+
+  const contributor = entry.contributors.get(row.contributor_id) || { linesChanged: 0, commits: 0 };
+  contributor.linesChanged += row.lines_changed;
+  contributor.commits += row.commits;
+  entry.contributors.set(row.contributor_id, contributor);
+}
+
+/**
+ * Turn an accumulated entry into its report form
+ * @param {Object} entry - Accumulated entry
+ * @param {Map} contributorsById - Contributor details by ID
+ * @param {number} topContributors - Number of contributors to list
+ * @returns {Object} Ownership of the entry
+ */
+function toReportEntry(entry, contributorsById, topContributors) {
+  const owners = [...entry.contributors.entries()]
+    .map(([contributorId, totals]) => ({
+      ...contributorsById.get(contributorId),
+      lines_changed: totals.linesChanged,
+      commits: totals.commits,
+      share: entry.linesChanged > 0 ? Math.round((totals.linesChanged / entry.linesChanged) * 1000) / 10 : 0
+    }))
+    .sort((a, b) => b.lines_changed - a.lines_changed || b.commits - a.commits);
+
+  return {
+    path: entry.path,
+    files: entry.files.size,
+    lines_changed: entry.linesChanged,
+    contributors: owners.length,
+    bus_factor: calculateBusFactor(owners.map(owner => owner.lines_changed)),
+    top_contributors: owners.slice(0, topContributors)
+  };
+}
+
+/**
+ * Build the ownership report of a repository
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} [options] - Report options
+ * @param {string} [options.path] - Only include files under this directory
+ * @param {number} [options.depth=2] - Deepest directory level to report
+ * @param {number} [options.topContributors=5] - Contributors listed per file or directory
+ * @param {number} [options.fileLimit=200] - Files listed, most changed first
+ * @param {boolean} [options.includeBots=false] - Count changes made by bots
+ * @returns {Promise<Object>} Ownership report
+ */
+export async function getRepositoryOwnership(repositoryId, {
+  path = '',
+  depth = 2,
+  topContributors = 5,
+  fileLimit = 200,
+  includeBots = false
+} = {}) {
+  const prefix = path.replace(/^\/+|\/+$/g, '');
+  const params = [repositoryId];
+  const conditions = ['c.repository_id = $1', 'c.filename IS NOT NULL', 'c.contributor_id IS NOT NULL'];
+
+  if (prefix) {
+    params.push(`${prefix}/`);
+    conditions.push(`substr(c.filename, 1, length($2)) = $2`);
+  }
+
+  if (!includeBots) {
+    conditions.push('COALESCE(cont.is_bot, 0) = 0');
+  }
+
+  // Lines changed and commits per file and contributor
+  const result = await pool.query(`
+    SELECT
+      c.filename,
+      c.contributor_id,
+      COALESCE(SUM(c.additions + c.deletions), 0) AS lines_changed,
+      COUNT(DISTINCT c.github_id) AS commits,
+      cont.github_id,
+      cont.username,
+      cont.name,
+      cont.avatar
+    FROM commits c
+    JOIN contributors cont ON c.contributor_id = cont.id
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY c.filename, c.contributor_id
+  `, params);
+
+  const contributorsById = new Map();
+  const repository = entryFor(new Map(), prefix);
+  const directories = new Map();
+  const files = new Map();
+  const baseDepth = prefix ? prefix.split('/').length : 0;
+
+  for (const row of result.rows) {
+    contributorsById.set(row.contributor_id, {
+      contributor_id: row.contributor_id,
+      github_id: row.github_id,
+      username: row.username,
+      name: row.name,
+      avatar: row.avatar
+    });
+
+    const totals = { ...row, lines_changed: Number(row.lines_changed), commits: Number(row.commits) };
+
+    addToEntry(repository, totals);
+    addToEntry(entryFor(files, row.filename), totals);
+
+    for (const directory of parentDirectories(row.filename, baseDepth + depth)) {
+      if (directory.split('/').length > baseDepth) {
+        addToEntry(entryFor(directories, directory), totals);
+      }
+    }
+  }
+
+  const fileEntries = [...files.values()].map(entry => toReportEntry(entry, contributorsById, topContributors));
+  const singleOwnerFiles = fileEntries.filter(entry => entry.contributors === 1);
+  const byLinesChanged = (a, b) => b.lines_changed - a.lines_changed || a.path.localeCompare(b.path);
+  const summary = toReportEntry(repository, contributorsById, topContributors);
+
+  return {
+    path: prefix,
+    summary: {
+      files: summary.files,
+      contributors: summary.contributors,
+      lines_changed: summary.lines_changed,
+      bus_factor: summary.bus_factor,
+      single_owner_files: singleOwnerFiles.length
+    },
+    top_contributors: summary.top_contributors,
+    directories: [...directories.values()]
+      .map(entry => toReportEntry(entry, contributorsById, topContributors))
+      .sort((a, b) => a.path.localeCompare(b.path)),
+    files: fileEntries.sort(byLinesChanged).slice(0, fileLimit),
+    single_owner_files: singleOwnerFiles
+      .sort(byLinesChanged)
+      .slice(0, fileLimit)
+      .map(entry => ({ path: entry.path, lines_changed: entry.lines_changed, owner: entry.top_contributors[0] }))
+  };
+}
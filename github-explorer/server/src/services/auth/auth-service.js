@@ -0,0 +1,292 @@
+/**
+ * Auth Service
+ *
+ * API keys and session tokens for the admin and mutating API routes.
+ *
+ * API keys are long-lived credentials created by an admin. Session tokens are
+ * short-lived credentials exchanged for an API key, so a browser does not have
+ * to hold on to the key itself. Only SHA-256 hashes of both are stored; the
+ * plaintext value is returned once, when it is created.
+ */
+
+import crypto from 'crypto';
+import { getConnection } from '../../db/connection-manager.js';
+import { logger } from '../../utils/logger.js';
+
+// Roles in ascending order of privilege
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const API_KEY_PREFIX = 'ghe_';
+const SESSION_TOKEN_PREFIX = 'ghs_';
+
+// Session lifetime in hours
+const SESSION_TTL_HOURS = parseInt(process.env.AUTH_SESSION_TTL_HOURS) || 12;
+
+// last_used_at is only rewritten when older than this, not on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Ensure the api_keys and auth_sessions tables exist
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureAuthTablesExist(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_prefix TEXT NOT NULL,
+      created_by TEXT,
+      expires_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id TEXT PRIMARY KEY,
+      api_key_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (api_key_id) REFERENCES api_keys(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_auth_sessions_api_key_id ON auth_sessions(api_key_id);
+  `);
+}
+
+/**
+ * Hash a credential for storage and lookup
+ * @param {string} value - Plaintext API key or session token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashCredential(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Generate a random credential
+ * @param {string} prefix - Prefix identifying the credential type
+ * @returns {string} Plaintext credential
+ */
+function generateCredential(prefix) {
+  return `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Check whether a role grants at least the privileges of another role
+ * @param {string} role - Role held by the caller
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean} True if the role is sufficient
+ */
+export function hasRole(role, requiredRole) {
+  const held = ROLES.indexOf(role);
+  return held !== -1 && held >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Check whether a credential is a session token rather than an API key
+ * @param {string} credential - Plaintext credential
+ * @returns {boolean} True for session tokens
+ */
+export function isSessionToken(credential) {
+  return typeof credential === 'string' && credential.startsWith(SESSION_TOKEN_PREFIX);
+}
+
+/**
+ * Convert an api_keys row to a key object without the hash
+ * @param {Object} row - Database row
+ * @returns {Object} API key
+ */
+function fromKeyRow(row) {
+  const { key_hash: _keyHash, ...key } = row;
+  return key;
+}
+
+/**
+ * Create an API key
+ * @param {Object} options - Key details
+ * @param {string} options.name - Name describing who or what uses the key
+ * @param {string} [options.role='viewer'] - Role granted by the key
+ * @param {number} [options.expiresInDays] - Days until the key expires; never when omitted
+ * @param {string} [options.createdBy] - ID of the key that created this one
+ * @returns {Promise<{key: string, apiKey: Object}>} Plaintext key (shown only once) and the stored key
+ */
+export async function createApiKey({ name, role = 'viewer', expiresInDays, createdBy = null }) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Invalid API key: name is required');
+  }
+
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid API key: role must be one of ${ROLES.join(', ')}`);
+  }
+
+  if (expiresInDays !== undefined && (!Number.isFinite(expiresInDays) || expiresInDays <= 0)) {
+    throw new Error('Invalid API key: expires_in_days must be a positive number');
+  }
+
+  const db = await getConnection();
+  await ensureAuthTablesExist(db);
+
+  const id = crypto.randomUUID();
+  const key = generateCredential(API_KEY_PREFIX);
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+
+  await db.run(
+    `INSERT INTO api_keys (id, name, role, key_hash, key_prefix, created_by, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [id, name, role, hashCredential(key), key.slice(0, API_KEY_PREFIX.length + 6), createdBy, expiresAt]
+  );
+
+  logger.info(`Created ${role} API key ${id}`, { name, createdBy });
+
+  const apiKey = await db.get('SELECT * FROM api_keys WHERE id = ?', [id]);
+
+  return { key, apiKey: fromKeyRow(apiKey) };
+}
+
+/**
+ * List API keys, newest first. Hashes are never returned.
+ * @param {Object} options - Filters
+ * @param {boolean} [options.includeRevoked=false] - Include revoked keys
+ * @returns {Promise<Array>} API keys
+ */
+export async function listApiKeys({ includeRevoked = false } = {}) {
+  const db = await getConnection();
+  await ensureAuthTablesExist(db);
+
+  const rows = await db.all(
+    `SELECT * FROM api_keys
+     ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+     ORDER BY created_at DESC`
+  );
+
+  return rows.map(fromKeyRow);
+}
+
+/**
+ * Revoke an API key and every session created with it
+ * @param {string} id - API key ID
+ * @returns {Promise<Object|null>} Revoked key, or null if not found
+ */
+export async function revokeApiKey(id) {
+  const db = await getConnection();
+  await ensureAuthTablesExist(db);
+
+  const now = new Date().toISOString();
+
+  const result = await db.run(
+    'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, ?) WHERE id = ?',
+    [now, id]
+  );
+
+  if (result.changes === 0) {
+    return null;
+  }
+
+  await db.run(
+    'UPDATE auth_sessions SET revoked_at = COALESCE(revoked_at, ?) WHERE api_key_id = ?',
+    [now, id]
+  );
+
+  logger.info(`Revoked API key ${id}`);
+
+  return fromKeyRow(await db.get('SELECT * FROM api_keys WHERE id = ?', [id]));
+}
+
+/**
+ * Exchange a valid API key for a session token
+ * @param {string} apiKeyId - ID of the authenticated API key
+ * @returns {Promise<{token: string, expiresAt: string}>} Plaintext session token (shown only once)
+ */
+export async function createSession(apiKeyId) {
+  const db = await getConnection();
+  await ensureAuthTablesExist(db);
+
+  const token = generateCredential(SESSION_TOKEN_PREFIX);
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  await db.run(
+    `INSERT INTO auth_sessions (id, api_key_id, token_hash, expires_at)
+     VALUES (?, ?, ?, ?)`,
+    [crypto.randomUUID(), apiKeyId, hashCredential(token), expiresAt]
+  );
+
+  return { token, expiresAt };
+}
+
+/**
+ * Revoke a session token
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the session was revoked
+ */
+export async function revokeSession(sessionId) {
+  const db = await getConnection();
+  await ensureAuthTablesExist(db);
+
+  const result = await db.run(
+    'UPDATE auth_sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), sessionId]
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Resolve a plaintext API key or session token to the identity it grants
+ * @param {string} credential - Plaintext API key or session token
+ * @returns {Promise<Object|null>} { keyId, sessionId, name, role } or null if invalid, expired or revoked
+ */
+export async function verifyCredential(credential) {
+  if (!credential || typeof credential !== 'string') {
+    return null;
+  }
+
+  const db = await getConnection();
+  await ensureAuthTablesExist(db);
+
+  const now = new Date().toISOString();
+  const hash = hashCredential(credential);
+
+  if (credential.startsWith(SESSION_TOKEN_PREFIX)) {
+    const session = await db.get(
+      `SELECT s.id AS session_id, k.id AS key_id, k.name, k.role
+       FROM auth_sessions s
+       JOIN api_keys k ON k.id = s.api_key_id
+       WHERE s.token_hash = ?
+         AND s.revoked_at IS NULL
+         AND s.expires_at > ?
+         AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > ?)`,
+      [hash, now, now]
+    );
+
+    return session
+      ? { keyId: session.key_id, sessionId: session.session_id, name: session.name, role: session.role }
+      : null;
+  }
+
+  const key = await db.get(
+    `SELECT id, name, role, last_used_at FROM api_keys
+     WHERE key_hash = ?
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > ?)`,
+    [hash, now]
+  );
+
+  if (!key) {
+    return null;
+  }
+
+  if (!key.last_used_at || Date.parse(now) - Date.parse(key.last_used_at) >= LAST_USED_UPDATE_INTERVAL_MS) {
+    await db.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [now, key.id]);
+  }
+
+  return { keyId: key.id, sessionId: null, name: key.name, role: key.role };
+}
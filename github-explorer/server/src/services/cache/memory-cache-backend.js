@@ -0,0 +1,198 @@
+/**
+ * In-Memory Cache Backend
+ *
+ * Keeps entries in a NodeCache in this process. Fast, but each process has
+ * its own entries, so invalidations in one process do not reach another.
+ * Implements the cache backend interface used by utils/cache.js:
+ *
+ * - get(key) → { value, stale } or undefined
+ * - set(key, value, { ttl, staleTtl, tags }) → true if stored; the entry is fresh
+ *   for ttl seconds, then stale but still returned for staleTtl seconds
+ * - delete(key), deleteByPrefix(prefix), deleteByTags(tags) → entries removed
+ * - clear()
+ * - keys() → keys of live entries
+ * - getEntry(key) → { key, value, tags, staleAt, expiresAt, size } or undefined
+ * - stats() → { keys, ksize, vsize }
+ *
+ * Every method returns a promise so the backends are interchangeable.
+ */
+
+import NodeCache from 'node-cache';
+
+// Check for expired keys every 2 minutes
+const CHECK_PERIOD = 120;
+
+export class MemoryCacheBackend {
+  /**
+   * Create an in-memory backend
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxKeys=1000] - Most entries kept
+   * @param {Function} [options.onDelete] - Called with (key, reason) when an entry expires or is deleted
+   */
+  constructor({ maxKeys = 1000, onDelete = () => {} } = {}) {
+    this.name = 'memory';
+    this.cache = new NodeCache({
+      checkperiod: CHECK_PERIOD,
+      useClones: false, // For better performance
+      maxKeys // Limit cache size to prevent memory issues
+    });
+
+    this.onDelete = onDelete;
+
+    // tag -> keys, and key -> tags to clean up the index when entries go
+    this.keysByTag = new Map();
+    this.tagsByKey = new Map();
+
+    // key -> time the entry turns stale, for entries stored with a staleTtl
+    this.staleAtByKey = new Map();
+
+    // NodeCache deletes an expired entry before emitting 'expired', so
+    // deletions are reported by remove() and expiries here
+    this.cache.on('expired', (key) => {
+      this.forget(key);
+      onDelete(key, 'expired');
+    });
+
+    this.cache.on('del', (key) => {
+      this.forget(key);
+    });
+  }
+
+  /**
+   * Delete entries and report them
+   * @param {Array<string>} keys - Cache keys
+   * @returns {number} Entries removed
+   * @private
+   */
+  remove(keys) {
+    const existing = keys.filter(key => this.cache.has(key));
+
+    if (existing.length === 0) {
+      return 0;
+    }
+
+    const count = this.cache.del(existing);
+    existing.forEach(key => this.onDelete(key, 'deleted'));
+    return count;
+  }
+
+  /**
+   * Remove a key from the tag index and the stale times
+   * @param {string} key - Cache key
+   * @private
+   */
+  forget(key) {
+    for (const tag of this.tagsByKey.get(key) || []) {
+      const keys = this.keysByTag.get(tag);
+      keys?.delete(key);
+
+      if (keys?.size === 0) {
+        this.keysByTag.delete(tag);
+      }
+    }
+
+    this.tagsByKey.delete(key);
+    this.staleAtByKey.delete(key);
+  }
+
+  async get(key) {
+    const value = this.cache.get(key);
+
+    if (value === undefined) {
+      return undefined;
+    }
+
+    const staleAt = this.staleAtByKey.get(key);
+    return { value, stale: staleAt !== undefined && staleAt <= Date.now() };
+  }
+
+  async set(key, value, { ttl, staleTtl = 0, tags = [] } = {}) {
+    this.forget(key);
+
+    try {
+      // Stale entries are kept until the stale period ends too
+      this.cache.set(key, value, ttl && staleTtl ? ttl + staleTtl : ttl);
+    } catch (error) {
+      // NodeCache throws once maxKeys is reached
+      if (error.name === 'ECACHEFULL') {
+        return false;
+      }
+
+      throw error;
+    }
+
+    if (ttl && staleTtl) {
+      this.staleAtByKey.set(key, Date.now() + ttl * 1000);
+    }
+
+    if (tags.length > 0) {
+      this.tagsByKey.set(key, tags);
+
+      for (const tag of tags) {
+        if (!this.keysByTag.has(tag)) {
+          this.keysByTag.set(tag, new Set());
+        }
+
+        this.keysByTag.get(tag).add(key);
+      }
+    }
+
+    return true;
+  }
+
+  async delete(key) {
+    return this.remove([key]);
+  }
+
+  async deleteByPrefix(prefix) {
+    return this.remove(this.cache.keys().filter(key => key.startsWith(prefix)));
+  }
+
+  async deleteByTags(tags) {
+    const keys = new Set();
+
+    for (const tag of tags) {
+      for (const key of this.keysByTag.get(tag) || []) {
+        keys.add(key);
+      }
+    }
+
+    return this.remove([...keys]);
+  }
+
+  async clear() {
+    this.cache.flushAll();
+    this.keysByTag.clear();
+    this.tagsByKey.clear();
+    this.staleAtByKey.clear();
+  }
+
+  async keys() {
+    return this.cache.keys();
+  }
+
+  async getEntry(key) {
+    const value = this.cache.get(key);
+
+    if (value === undefined) {
+      return undefined;
+    }
+
+    const ttl = this.cache.getTtl(key);
+    const staleAt = this.staleAtByKey.get(key);
+
+    return {
+      key,
+      value,
+      tags: this.tagsByKey.get(key) || [],
+      staleAt: staleAt ? new Date(staleAt).toISOString() : null,
+      expiresAt: ttl ? new Date(ttl).toISOString() : null,
+      size: JSON.stringify(value).length
+    };
+  }
+
+  async stats() {
+    const { keys, ksize, vsize } = this.cache.getStats();
+    return { keys, ksize, vsize };
+  }
+}
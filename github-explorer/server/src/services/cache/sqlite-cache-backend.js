@@ -0,0 +1,279 @@
+/**
+ * SQLite Cache Backend
+ *
+ * Keeps entries in the application database, so every process that opens it
+ * (several server instances, scripts, the Next.js app) sees the same entries
+ * and invalidations. Values are stored as JSON. Implements the same interface
+ * as MemoryCacheBackend.
+ */
+
+import { getConnection } from '../../db/connection-manager.js';
+
+// Sweep expired entries and trim the table at most this often
+const SWEEP_INTERVAL_MS = 2 * 60 * 1000;
+
+// Keys and tags per IN (...) list, below SQLite's limit on bound parameters
+const BATCH_SIZE = 500;
+
+// Connections the tables have been created on; every cache read needs them
+const ensuredConnections = new WeakSet();
+
+/**
+ * Ensure the cache tables exist
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureCacheTablesExist(db) {
+  if (ensuredConnections.has(db)) {
+    return;
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS cache_entries (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      stale_at INTEGER,
+      expires_at INTEGER,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS cache_entry_tags (
+      tag TEXT NOT NULL,
+      key TEXT NOT NULL,
+      PRIMARY KEY (tag, key)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_cache_entries_expires_at ON cache_entries(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_cache_entries_created_at ON cache_entries(created_at);
+    CREATE INDEX IF NOT EXISTS idx_cache_entry_tags_key ON cache_entry_tags(key);
+  `);
+
+  // Added for stale-while-revalidate
+  await db.run('ALTER TABLE cache_entries ADD COLUMN stale_at INTEGER').catch(err => {
+    // Ignore error if column already exists
+    if (!err.message.includes('duplicate column name')) {
+      throw err;
+    }
+  });
+
+  ensuredConnections.add(db);
+}
+
+/**
+ * Split a list into batches
+ * @param {Array} items - Items
+ * @returns {Array<Array>} Batches of at most BATCH_SIZE items
+ */
+function toBatches(items) {
+  const batches = [];
+
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    batches.push(items.slice(i, i + BATCH_SIZE));
+  }
+
+  return batches;
+}
+
+export class SqliteCacheBackend {
+  /**
+   * Create a SQLite backend
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxKeys=10000] - Most entries kept; the oldest are removed first
+   * @param {Function} [options.onDelete] - Called with (key, reason) when an entry expires or is deleted
+   */
+  constructor({ maxKeys = 10000, onDelete = () => {} } = {}) {
+    this.name = 'sqlite';
+    this.maxKeys = maxKeys;
+    this.onDelete = onDelete;
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Database connection with the cache tables
+   * @returns {Promise<Object>} SQLite database connection
+   * @private
+   */
+  async connection() {
+    const db = await getConnection();
+    await ensureCacheTablesExist(db);
+    return db;
+  }
+
+  /**
+   * Delete entries by key, with their tags
+   * @param {Object} db - SQLite database connection
+   * @param {Array<string>} keys - Cache keys
+   * @param {string} reason - Reason reported to onDelete
+   * @returns {Promise<number>} Entries removed
+   * @private
+   */
+  async deleteKeys(db, keys, reason) {
+    let removed = 0;
+
+    for (const batch of toBatches(keys)) {
+      const placeholders = batch.map(() => '?').join(', ');
+      const result = await db.run(`DELETE FROM cache_entries WHERE key IN (${placeholders})`, batch);
+      await db.run(`DELETE FROM cache_entry_tags WHERE key IN (${placeholders})`, batch);
+      removed += result.changes;
+    }
+
+    keys.forEach(key => this.onDelete(key, reason));
+    return removed;
+  }
+
+  /**
+   * Remove expired entries and the oldest entries over maxKeys
+   * @param {Object} db - SQLite database connection
+   * @returns {Promise<void>}
+   * @private
+   */
+  async sweep(db) {
+    if (Date.now() - this.lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+
+    this.lastSweep = Date.now();
+
+    const expired = await db.all('SELECT key FROM cache_entries WHERE expires_at <= ?', [Date.now()]);
+    await this.deleteKeys(db, expired.map(row => row.key), 'expired');
+
+    const overflow = await db.all(
+      'SELECT key FROM cache_entries ORDER BY created_at DESC LIMIT -1 OFFSET ?',
+      [this.maxKeys]
+    );
+    await this.deleteKeys(db, overflow.map(row => row.key), 'evicted');
+  }
+
+  async get(key) {
+    const db = await this.connection();
+    const row = await db.get('SELECT value, stale_at, expires_at FROM cache_entries WHERE key = ?', [key]);
+
+    if (!row) {
+      return undefined;
+    }
+
+    if (row.expires_at !== null && row.expires_at <= Date.now()) {
+      await this.deleteKeys(db, [key], 'expired');
+      return undefined;
+    }
+
+    return { value: JSON.parse(row.value), stale: row.stale_at !== null && row.stale_at <= Date.now() };
+  }
+
+  async set(key, value, { ttl, staleTtl = 0, tags = [] } = {}) {
+    const db = await this.connection();
+    const json = JSON.stringify(value);
+    const now = Date.now();
+
+    // Stale entries are kept until the stale period ends too
+    const staleAt = ttl && staleTtl ? now + ttl * 1000 : null;
+    const expiresAt = ttl ? now + (ttl + staleTtl) * 1000 : null;
+
+    await db.run(
+      `INSERT INTO cache_entries (key, value, size, stale_at, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(key) DO UPDATE SET
+         value = excluded.value,
+         size = excluded.size,
+         stale_at = excluded.stale_at,
+         expires_at = excluded.expires_at,
+         created_at = excluded.created_at`,
+      [key, json, key.length + json.length, staleAt, expiresAt, now]
+    );
+
+    await db.run('DELETE FROM cache_entry_tags WHERE key = ?', [key]);
+
+    for (const tag of new Set(tags)) {
+      await db.run('INSERT INTO cache_entry_tags (tag, key) VALUES (?, ?)', [tag, key]);
+    }
+
+    await this.sweep(db);
+    return true;
+  }
+
+  async delete(key) {
+    const db = await this.connection();
+    const row = await db.get('SELECT key FROM cache_entries WHERE key = ?', [key]);
+
+    return row ? this.deleteKeys(db, [key], 'deleted') : 0;
+  }
+
+  async deleteByPrefix(prefix) {
+    const db = await this.connection();
+
+    // substr instead of LIKE, so _ and % in keys are not wildcards
+    const rows = await db.all(
+      'SELECT key FROM cache_entries WHERE substr(key, 1, ?) = ?',
+      [prefix.length, prefix]
+    );
+
+    return this.deleteKeys(db, rows.map(row => row.key), 'deleted');
+  }
+
+  async deleteByTags(tags) {
+    const db = await this.connection();
+    const keys = new Set();
+
+    for (const batch of toBatches([...new Set(tags)])) {
+      const rows = await db.all(
+        `SELECT DISTINCT key FROM cache_entry_tags WHERE tag IN (${batch.map(() => '?').join(', ')})`,
+        batch
+      );
+      rows.forEach(row => keys.add(row.key));
+    }
+
+    return this.deleteKeys(db, [...keys], 'deleted');
+  }
+
+  async clear() {
+    const db = await this.connection();
+    await db.run('DELETE FROM cache_entries');
+    await db.run('DELETE FROM cache_entry_tags');
+  }
+
+  async keys() {
+    const db = await this.connection();
+    const rows = await db.all(
+      'SELECT key FROM cache_entries WHERE expires_at IS NULL OR expires_at > ? ORDER BY created_at DESC',
+      [Date.now()]
+    );
+
+    return rows.map(row => row.key);
+  }
+
+  async getEntry(key) {
+    const db = await this.connection();
+    const row = await db.get(
+      'SELECT * FROM cache_entries WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)',
+      [key, Date.now()]
+    );
+
+    if (!row) {
+      return undefined;
+    }
+
+    const tags = await db.all('SELECT tag FROM cache_entry_tags WHERE key = ? ORDER BY tag', [key]);
+
+    return {
+      key,
+      value: JSON.parse(row.value),
+      tags: tags.map(tag => tag.tag),
+      staleAt: row.stale_at ? new Date(row.stale_at).toISOString() : null,
+      expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+      size: row.size
+    };
+  }
+
+  async stats() {
+    const db = await this.connection();
+    const row = await db.get(
+      `SELECT COUNT(*) AS keys, COALESCE(SUM(length(key)), 0) AS ksize, COALESCE(SUM(length(value)), 0) AS vsize
+       FROM cache_entries
+       WHERE expires_at IS NULL OR expires_at > ?`,
+      [Date.now()]
+    );
+
+    return { keys: row.keys, ksize: row.ksize, vsize: row.vsize };
+  }
+}
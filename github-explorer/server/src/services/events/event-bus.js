@@ -0,0 +1,277 @@
+/**
+ * Event Bus
+ *
+ * Single stream of server events for the admin UI: pipeline progress from
+ * `pipelineEvents`, schedule changes from the scheduler and notifications.
+ * Every event is stored in the event_log table before it is delivered, and
+ * its row id is the cursor clients reconnect from, so nothing published
+ * while a client was away is lost as long as it is still in the log.
+ *
+ * Stream clients (SSE and WebSocket, see event-stream.js) subscribe with a
+ * filter on event type, pipeline type and level.
+ */
+
+import { EventEmitter } from 'events';
+import { getConnection } from '../../db/connection-manager.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('event-bus');
+
+export const EVENT_LEVELS = ['info', 'success', 'warn', 'error'];
+
+// Events are kept in the log for this many days
+const RETENTION_DAYS = parseInt(process.env.EVENT_LOG_RETENTION_DAYS, 10) || 7;
+
+// Old events are pruned once per this many published events
+const PRUNE_EVERY = 500;
+
+// Most events returned by one replay
+const MAX_REPLAY_LIMIT = 1000;
+
+// Connections the table has been created on; pipelines publish progress often
+const ensuredConnections = new WeakSet();
+
+/**
+ * Ensure the event_log table exists
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureEventLogTableExists(db) {
+  if (ensuredConnections.has(db)) {
+    return;
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS event_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      source TEXT NOT NULL,
+      pipeline_type TEXT,
+      level TEXT NOT NULL DEFAULT 'info',
+      data TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_event_log_created_at ON event_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_event_log_pipeline_type ON event_log(pipeline_type);
+  `);
+
+  ensuredConnections.add(db);
+}
+
+/**
+ * Build a subscription filter from comma separated lists
+ * @param {Object} [options] - Filter options
+ * @param {string|Array<string>} [options.types] - Event types
+ * @param {string|Array<string>} [options.pipelineTypes] - Pipeline types
+ * @param {string|Array<string>} [options.levels] - Levels
+ * @returns {Object} Filter: { types, pipelineTypes, levels }, each null for no restriction
+ */
+export function parseEventFilter({ types, pipelineTypes, levels } = {}) {
+  const toList = (value) => {
+    const list = (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+
+    return list.length > 0 ? list : null;
+  };
+
+  const filter = {
+    types: toList(types),
+    pipelineTypes: toList(pipelineTypes),
+    levels: toList(levels)
+  };
+
+  const unknownLevel = (filter.levels || []).find(level => !EVENT_LEVELS.includes(level));
+
+  if (unknownLevel) {
+    throw new Error(`Invalid level: ${unknownLevel}. Must be one of ${EVENT_LEVELS.join(', ')}`);
+  }
+
+  return filter;
+}
+
+/**
+ * Whether an event passes a subscription filter
+ * @param {Object} event - Event
+ * @param {Object} filter - Filter from parseEventFilter()
+ * @returns {boolean} True if the event should be delivered
+ */
+export function matchesEventFilter(event, filter = {}) {
+  return (!filter.types || filter.types.includes(event.type)) &&
+    (!filter.pipelineTypes || filter.pipelineTypes.includes(event.pipeline_type)) &&
+    (!filter.levels || filter.levels.includes(event.level));
+}
+
+/**
+ * Shape an event_log row into an event
+ * @param {Object} row - event_log row
+ * @returns {Object} Event
+ */
+function toEvent(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    source: row.source,
+    pipeline_type: row.pipeline_type,
+    level: row.level,
+    data: row.data ? JSON.parse(row.data) : {},
+    timestamp: new Date(`${row.created_at.replace(' ', 'T')}Z`).toISOString()
+  };
+}
+
+export class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    // Stream clients each add a listener
+    this.setMaxListeners(0);
+    this.writes = Promise.resolve();
+    this.published = 0;
+  }
+
+  /**
+   * Store an event and deliver it to subscribers. Events are stored one at
+   * a time so their ids follow the order they were published in.
+   * @param {Object} event - Event
+   * @param {string} event.type - Event type, e.g. pipeline_progress
+   * @param {string} event.source - What published it: pipeline, scheduler or notifications
+   * @param {string} [event.pipelineType] - Pipeline the event is about
+   * @param {string} [event.level='info'] - info, success, warn or error
+   * @param {Object} [event.data] - Event payload
+   * @returns {Promise<Object>} Stored event with its id
+   */
+  publish({ type, source, pipelineType = null, level = 'info', data = {} }) {
+    const write = this.writes.then(async () => {
+      const db = await getConnection();
+      await ensureEventLogTableExists(db);
+
+      const result = await db.run(
+        'INSERT INTO event_log (type, source, pipeline_type, level, data) VALUES (?, ?, ?, ?, ?)',
+        [type, source, pipelineType, EVENT_LEVELS.includes(level) ? level : 'info', JSON.stringify(data)]
+      );
+
+      const event = toEvent(await db.get('SELECT * FROM event_log WHERE id = ?', [result.lastID]));
+      this.emit('event', event);
+
+      if (++this.published % PRUNE_EVERY === 0) {
+        await this.prune();
+      }
+
+      return event;
+    });
+
+    // A failed write must not stop the events after it
+    this.writes = write.catch(error => {
+      logger.error(`Failed to publish event ${type}`, { error });
+    });
+
+    return write;
+  }
+
+  /**
+   * Events after a cursor, oldest first
+   * @param {Object} [options] - Options
+   * @param {number} [options.after=0] - Id of the last event the client has
+   * @param {Object} [options.filter] - Filter from parseEventFilter()
+   * @param {number} [options.limit=100] - Most events to return
+   * @returns {Promise<Array<Object>>} Events
+   */
+  async replay({ after = 0, filter = {}, limit = 100 } = {}) {
+    const db = await getConnection();
+    await ensureEventLogTableExists(db);
+
+    const conditions = ['id > ?'];
+    const params = [after];
+
+    for (const [column, values] of [['type', filter.types], ['pipeline_type', filter.pipelineTypes], ['level', filter.levels]]) {
+      if (values) {
+        conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+      }
+    }
+
+    const rows = await db.all(
+      `SELECT * FROM event_log WHERE ${conditions.join(' AND ')} ORDER BY id LIMIT ?`,
+      [...params, Math.min(limit, MAX_REPLAY_LIMIT)]
+    );
+
+    return rows.map(toEvent);
+  }
+
+  /**
+   * Id of the newest event in the log
+   * @returns {Promise<number>} Event id, 0 if the log is empty
+   */
+  async getLatestId() {
+    const db = await getConnection();
+    await ensureEventLogTableExists(db);
+
+    const row = await db.get('SELECT MAX(id) AS id FROM event_log');
+    return row.id || 0;
+  }
+
+  /**
+   * Delete events older than the retention period
+   * @returns {Promise<number>} Events deleted
+   */
+  async prune() {
+    const db = await getConnection();
+    await ensureEventLogTableExists(db);
+
+    const result = await db.run(
+      "DELETE FROM event_log WHERE created_at < datetime('now', ?)",
+      [`-${RETENTION_DAYS} days`]
+    );
+
+    if (result.changes > 0) {
+      logger.info(`Pruned ${result.changes} events older than ${RETENTION_DAYS} days from the event log`);
+    }
+
+    return result.changes;
+  }
+}
+
+// Shared event bus
+export const eventBus = new EventBus();
+
+// Scheduler events and the level they are published at
+const SCHEDULER_EVENTS = {
+  'schedule:created': 'info',
+  'schedule:updated': 'info',
+  'schedule:deleted': 'info',
+  'schedule:executing': 'info',
+  'schedule:executed': 'success',
+  'schedule:error': 'error'
+};
+
+/**
+ * Publish the events of the pipeline scheduler on the bus
+ * @param {EventEmitter} scheduler - Scheduler service
+ */
+export function forwardSchedulerEvents(scheduler) {
+  for (const [type, level] of Object.entries(SCHEDULER_EVENTS)) {
+    // Run events carry { schedule, result } or { schedule, error }, the others the schedule itself
+    scheduler.on(type, (payload = {}) => {
+      const schedule = payload.schedule || payload;
+      const error = payload.error?.message || payload.result?.error;
+
+      eventBus.publish({
+        type,
+        source: 'scheduler',
+        pipelineType: schedule.pipelineType || null,
+        level: error ? 'error' : level,
+        data: {
+          schedule_id: schedule.id,
+          name: schedule.name,
+          pipeline_type: schedule.pipelineType,
+          next_run_at: schedule.nextRunAt,
+          last_run_at: schedule.lastRunAt,
+          status: payload.result?.status,
+          error
+        }
+      // Failures are logged by publish()
+      }).catch(() => {});
+    });
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * Event Stream
+ *
+ * Delivers the events of the event bus to connected clients over Server-Sent
+ * Events (GET /api/events/stream) and WebSocket (/api/events/ws). A client
+ * that gives a cursor first receives the stored events after it, then live
+ * events; events published during the replay are held back and delivered
+ * after it, so each event reaches a client once and in order. Both require a
+ * credential with at least the viewer role.
+ */
+
+import { WebSocketServer } from 'ws';
+import { eventBus, matchesEventFilter, parseEventFilter } from './event-bus.js';
+import { verifyCredential, hasRole, isSessionToken } from '../auth/auth-service.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('event-stream');
+
+export const EVENT_WEBSOCKET_PATH = '/api/events/ws';
+
+// Interval of the keep-alive sent to idle connections
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Events read from the log per replay query
+const REPLAY_PAGE_SIZE = 500;
+
+// Open subscriptions, closed on shutdown
+const subscriptions = new Set();
+
+let webSocketServer = null;
+
+/**
+ * Subscribe to the event bus
+ * @param {Object} options - Options
+ * @param {number} [options.after] - Replay stored events after this id first
+ * @param {Object} [options.filter] - Filter from parseEventFilter()
+ * @param {Function} options.send - Called with each event
+ * @param {Function} [options.close] - Closes the connection, called on shutdown
+ * @returns {Promise<Object>} Subscription: { close() }
+ */
+export async function subscribe({ after, filter = {}, send, close = () => {} }) {
+  const subscription = {
+    cursor: after || 0,
+    closed: false,
+    close() {
+      subscription.closed = true;
+      eventBus.off('event', listener);
+      subscriptions.delete(subscription);
+    },
+    shutdown() {
+      subscription.close();
+      close();
+    }
+  };
+
+  const deliver = (event) => {
+    if (subscription.closed || event.id <= subscription.cursor) {
+      return;
+    }
+
+    subscription.cursor = event.id;
+    send(event);
+  };
+
+  let pending = after === undefined ? null : [];
+
+  function listener(event) {
+    if (!matchesEventFilter(event, filter)) {
+      return;
+    }
+
+    if (pending) {
+      pending.push(event);
+    } else {
+      deliver(event);
+    }
+  }
+
+  eventBus.on('event', listener);
+  subscriptions.add(subscription);
+
+  if (pending) {
+    try {
+      for (;;) {
+        const events = await eventBus.replay({ after: subscription.cursor, filter, limit: REPLAY_PAGE_SIZE });
+        events.forEach(deliver);
+
+        if (events.length < REPLAY_PAGE_SIZE || subscription.closed) {
+          break;
+        }
+      }
+    } catch (error) {
+      subscription.close();
+      throw error;
+    }
+
+    const held = pending;
+    pending = null;
+    held.forEach(deliver);
+  }
+
+  return subscription;
+}
+
+/**
+ * Read the cursor and filter of a subscription request
+ * @param {Object} params - Query parameters or WebSocket message
+ * @returns {Object} { after, filter }; after is undefined when no cursor was given
+ */
+export function parseSubscription(params = {}) {
+  const after = params.after === undefined || params.after === null || params.after === ''
+    ? undefined
+    : Number(params.after);
+
+  if (after !== undefined && (!Number.isInteger(after) || after < 0)) {
+    throw new Error('Invalid after. Must be an event id');
+  }
+
+  return {
+    after,
+    filter: parseEventFilter({
+      types: params.type,
+      pipelineTypes: params.pipeline_type,
+      levels: params.level
+    })
+  };
+}
+
+/**
+ * Handle a WebSocket connection. The query string of the connection URL sets
+ * the initial subscription; the client can replace it by sending
+ * { "action": "subscribe", "after", "type", "pipeline_type", "level" }.
+ * @param {WebSocket} socket - WebSocket connection
+ * @param {URLSearchParams} query - Query of the connection URL
+ */
+function handleWebSocketConnection(socket, query) {
+  let subscription = null;
+  let requests = 0;
+  let alive = true;
+
+  const sendJson = (message) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const open = async (params) => {
+    const request = ++requests;
+    subscription?.close();
+    subscription = null;
+
+    try {
+      const { after, filter } = parseSubscription(params);
+      sendJson({ type: 'subscribed', filter, after: after ?? null });
+      const opened = await subscribe({ after, filter, send: sendJson, close: () => socket.close(1001, 'Server shutting down') });
+
+      // The socket closed or the client subscribed again during the replay
+      if (socket.readyState !== socket.OPEN || request !== requests) {
+        opened.close();
+        return;
+      }
+
+      subscription = opened;
+    } catch (error) {
+      sendJson({ type: 'error', message: error.message });
+    }
+  };
+
+  socket.on('message', (raw) => {
+    let message;
+
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      sendJson({ type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    if (message.action === 'subscribe') {
+      open(message);
+    } else {
+      sendJson({ type: 'error', message: `Unknown action: ${message.action}` });
+    }
+  });
+
+  socket.on('pong', () => {
+    alive = true;
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!alive) {
+      socket.terminate();
+      return;
+    }
+
+    alive = false;
+    socket.ping();
+  }, HEARTBEAT_INTERVAL_MS);
+
+  socket.on('close', () => {
+    clearInterval(heartbeat);
+    subscription?.close();
+  });
+
+  open(Object.fromEntries(query));
+}
+
+/**
+ * Check the credential of a WebSocket upgrade request. Browsers cannot set
+ * headers on a WebSocket, so a session token (not an API key) may also be
+ * given as ?token=.
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<boolean>} Whether the caller holds at least the viewer role
+ */
+async function isAuthorizedUpgrade(req, url) {
+  const header = req.headers.authorization;
+  const queryToken = url.searchParams.get('token');
+  const credential = header && header.startsWith('Bearer ')
+    ? header.slice('Bearer '.length).trim()
+    : req.headers['x-api-key'] || (isSessionToken(queryToken) ? queryToken : null);
+
+  const auth = await verifyCredential(credential);
+  return Boolean(auth && hasRole(auth.role, 'viewer'));
+}
+
+/**
+ * Accept WebSocket connections for the event stream on an HTTP server
+ * @param {http.Server} server - HTTP server
+ */
+export function attachEventWebSocket(server) {
+  webSocketServer = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    // No other WebSocket endpoints exist
+    if (url.pathname !== EVENT_WEBSOCKET_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      if (!(await isAuthorizedUpgrade(req, url))) {
+        logger.warn(`Rejected unauthenticated WebSocket connection to ${EVENT_WEBSOCKET_PATH}`);
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        return;
+      }
+    } catch (error) {
+      logger.error('Error authenticating WebSocket connection', { error });
+      socket.destroy();
+      return;
+    }
+
+    // The token is only for authentication, not an event filter
+    url.searchParams.delete('token');
+
+    webSocketServer.handleUpgrade(req, socket, head, (ws) => {
+      handleWebSocketConnection(ws, url.searchParams);
+    });
+  });
+
+  logger.info(`Event stream accepting WebSocket connections at ${EVENT_WEBSOCKET_PATH}`);
+}
+
+/**
+ * Close every open event stream, so the HTTP server can shut down
+ */
+export function closeEventStreams() {
+  for (const subscription of [...subscriptions]) {
+    subscription.shutdown();
+  }
+
+  webSocketServer?.close();
+}
@@ -1,6 +1,7 @@
 import { Octokit } from '@octokit/rest';
 import { logger } from '../../utils/logger.js';
 import { githubClientFactory } from './github-client.js';
+import { githubTokenPool } from './token-pool.js';
 
 /**
  * GitHub API Client
@@ -10,22 +11,28 @@ import { githubClientFactory } from './github-client.js';
  */
 export class GitHubApiClient {
   /**
-   * Create a new GitHub API client
+   * Create a new GitHub API client. Requests go through the token pool
+   * unless a token outside the pool is given.
    * @param {Object} options - Client options
    */
   constructor(options = {}) {
     this.clientId = options.clientId || 'pipeline-test';
     this.token = options.token || process.env.GITHUB_TOKEN;
+    this.tokenPool = githubTokenPool.size > 0 && (!options.token || githubTokenPool.has(options.token))
+      ? githubTokenPool
+      : null;
     
-    if (!this.token) {
+    if (!this.token && !this.tokenPool) {
       logger.warn('No GitHub token provided - API calls may be rate limited');
     }
     
-    // Create an Octokit client using the factory
-    this.octokit = githubClientFactory.createClient({
-      clientId: this.clientId, 
-      token: this.token
-    });
+    // Create an Octokit client using the pool or the factory
+    this.octokit = this.tokenPool
+      ? this.tokenPool.getClient()
+      : githubClientFactory.createClient({
+        clientId: this.clientId, 
+        token: this.token
+      });
     
     logger.info(`GitHubApiClient initialized with client ID: ${this.clientId}`);
   }
@@ -113,6 +120,64 @@ export class GitHubApiClient {
     }
   }
   
+  /**
+   * Get issues for a repository. The issues API also returns pull requests;
+   * those items have a `pull_request` key.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - Additional options (state, since, sort, direction, per_page, page)
+   * @returns {Promise<Object>} Issue data with response headers
+   */
+  async getIssues(owner, repo, options = {}) {
+    try {
+      logger.info(`Fetching issues for repository: ${owner}/${repo}`);
+
+      const response = await this.octokit.issues.listForRepo({
+        owner,
+        repo,
+        state: 'all',
+        ...options
+      });
+
+      return {
+        data: response.data,
+        headers: response.headers
+      };
+    } catch (error) {
+      logger.error(`Failed to fetch issues: ${owner}/${repo}`, { error });
+      throw new Error(`Failed to fetch issues: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get details for a specific issue
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<Object>} Issue data
+   */
+  async getIssue(owner, repo, issueNumber) {
+    try {
+      const number = parseInt(issueNumber, 10);
+      if (isNaN(number) || number <= 0) {
+        throw new Error(`Invalid issue number: ${issueNumber}`);
+      }
+
+      logger.info(`Fetching issue #${number} for ${owner}/${repo}`);
+
+      const { data } = await this.octokit.issues.get({
+        owner,
+        repo,
+        issue_number: number
+      });
+
+      return data;
+    } catch (error) {
+      logger.error(`Failed to fetch issue #${issueNumber} for ${owner}/${repo}`, { error });
+      throw new Error(`Failed to fetch issue: ${error.message}`);
+    }
+  }
+
   /**
    * Get details for a specific pull request
    * @param {string} owner - Repository owner
@@ -234,7 +299,8 @@ export class GitHubApiClient {
       const { data } = await this.octokit.pulls.listReviews({
         owner,
         repo,
-        pull_number: prNumber
+        pull_number: prNumber,
+        per_page: 100
       });
       
       return data;
@@ -380,14 +446,26 @@ export class GitHubApiClient {
   }
   
   /**
-   * Check API rate limits
+   * Check API rate limits. With the token pool, each resource reports the
+   * requests left on the best token and the earliest reset of any token.
    * @returns {Promise<Object>} Rate limit data
    */
   async getRateLimits() {
     try {
       logger.info('Checking GitHub API rate limits');
       
-      const { data } = await this.octokit.rateLimit.get();
+      let data;
+      
+      if (this.tokenPool) {
+        await this.tokenPool.refresh();
+        data = this.tokenPool.getRateLimits();
+        
+        if (!data.resources.core) {
+          throw new Error('No token in the GitHub token pool reported its rate limits');
+        }
+      } else {
+        ({ data } = await this.octokit.rateLimit.get());
+      }
       
       // Log detailed rate limit information
       logger.info('GitHub API rate limits:', {
@@ -77,6 +77,9 @@ class CircuitBreaker {
         this.halfOpen();
       }
     }, this.monitorInterval);
+
+    // Monitoring alone should not keep the process running
+    this.intervalId.unref();
   }
   
   // Add method to stop monitoring
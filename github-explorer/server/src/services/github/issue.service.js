@@ -0,0 +1,349 @@
+/**
+ * Issue Service
+ *
+ * Stores GitHub issues and links them to the merge requests that close them.
+ *
+ * Issues reach this service from three places: the watchlist sync (issues API),
+ * `issues` webhook deliveries and IssuesEvents in the public events firehose.
+ * All of them carry the issue and repository objects in the same REST shape,
+ * so they share storeIssue().
+ *
+ * A merge request closes an issue when its title or description uses one of
+ * GitHub's closing keywords ("fixes #12", "closes owner/repo#12", ...).
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getConnection } from '../../db/connection-manager.js';
+import { resolveContributor } from '../identity/identity.service.js';
+import { logger } from '../../utils/logger.js';
+
+// GitHub's closing keywords followed by #123 or owner/repo#123
+const CLOSING_REFERENCE_PATTERN =
+  /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\b:?\s+(?:([A-Za-z0-9-]+\/[A-Za-z0-9._-]+))?#(\d+)\b/gi;
+
+/**
+ * Ensure the issues and issue_merge_requests tables exist
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureIssuesTableExists(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS issues (
+      id TEXT PRIMARY KEY,
+      github_id INTEGER NOT NULL,
+      github_node_id BIGINT,
+      repository_id TEXT NOT NULL,
+      repository_github_id BIGINT,
+      author_id TEXT,
+      author_github_id BIGINT,
+      title TEXT NOT NULL,
+      body TEXT,
+      state TEXT NOT NULL,
+      state_reason TEXT,
+      labels TEXT,
+      comment_count INTEGER DEFAULT 0,
+      is_locked BOOLEAN DEFAULT 0,
+      closed_by_github_id BIGINT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      closed_at TIMESTAMP,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id) ON DELETE CASCADE,
+      FOREIGN KEY (author_id) REFERENCES contributors(id) ON DELETE SET NULL,
+      UNIQUE(repository_id, github_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS issue_merge_requests (
+      issue_id TEXT NOT NULL,
+      merge_request_id TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (issue_id, merge_request_id),
+      FOREIGN KEY (issue_id) REFERENCES issues(id) ON DELETE CASCADE,
+      FOREIGN KEY (merge_request_id) REFERENCES merge_requests(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_issues_repository_id ON issues(repository_id);
+    CREATE INDEX IF NOT EXISTS idx_issues_author_id ON issues(author_id);
+    CREATE INDEX IF NOT EXISTS idx_issues_state ON issues(state);
+    CREATE INDEX IF NOT EXISTS idx_issues_updated_at ON issues(updated_at);
+    CREATE INDEX IF NOT EXISTS idx_issue_merge_requests_merge_request_id ON issue_merge_requests(merge_request_id);
+  `);
+}
+
+/**
+ * Find the issues a piece of text closes
+ * @param {string} text - Merge request title or description
+ * @param {string} repositoryFullName - Repository the text belongs to, for bare #123 references
+ * @returns {Array<{fullName: string, number: number}>} Referenced issues, without duplicates
+ */
+export function parseClosingReferences(text, repositoryFullName) {
+  if (!text) {
+    return [];
+  }
+
+  const references = new Map();
+
+  for (const match of text.matchAll(CLOSING_REFERENCE_PATTERN)) {
+    const fullName = (match[1] || repositoryFullName || '').toLowerCase();
+    const number = parseInt(match[2], 10);
+
+    if (fullName && number > 0) {
+      references.set(`${fullName}#${number}`, { fullName, number });
+    }
+  }
+
+  return [...references.values()];
+}
+
+/**
+ * Find or create the repository row for a GitHub repository object
+ * @param {Object} db - SQLite database connection
+ * @param {Object} repository - Repository from the GitHub REST API or a webhook payload
+ * @returns {Promise<string>} Repository ID
+ */
+async function upsertRepository(db, repository) {
+  const existing = await db.get('SELECT id FROM repositories WHERE github_id = ?', [repository.id]);
+
+  if (existing) {
+    if (repository.open_issues_count !== undefined) {
+      await db.run(
+        'UPDATE repositories SET open_issues_count = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [repository.open_issues_count, existing.id]
+      );
+    }
+    return existing.id;
+  }
+
+  const id = uuidv4();
+
+  await db.run(
+    `INSERT INTO repositories (
+      id, github_id, name, full_name, description, url, stars, forks,
+      open_issues_count, primary_language, default_branch, source, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'github_api', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [
+      id,
+      repository.id,
+      repository.name,
+      repository.full_name,
+      repository.description || '',
+      repository.html_url || '',
+      repository.stargazers_count || 0,
+      repository.forks_count || 0,
+      repository.open_issues_count || 0,
+      repository.language || null,
+      repository.default_branch || 'main'
+    ]
+  );
+
+  logger.info(`Created repository ${repository.full_name} from issue data`);
+
+  return id;
+}
+
+/**
+ * Find or create the contributor row for a GitHub user object
+ * @param {Object} db - SQLite database connection
+ * @param {Object} user - User from the GitHub REST API or a webhook payload
+ * @returns {Promise<string|null>} Contributor ID, or null if the user is missing
+ */
+async function upsertContributor(db, user) {
+  if (!user?.id) {
+    return null;
+  }
+
+  const existing = await db.get('SELECT id FROM contributors WHERE github_id = ?', [user.id]);
+
+  if (existing) {
+    // Merged aliases hand their new data to the contributor they were merged into
+    return (await resolveContributor(db, existing.id)).id;
+  }
+
+  const id = uuidv4();
+
+  await db.run(
+    `INSERT INTO contributors (id, github_id, username, avatar, is_enriched, is_placeholder, is_bot, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 0, 0, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [id, user.id, user.login || null, user.avatar_url || null, user.type === 'Bot' ? 1 : 0]
+  );
+
+  return id;
+}
+
+/**
+ * Store an issue, creating its repository and author if needed
+ * @param {Object} issue - Issue from the GitHub issues API or a webhook/event payload
+ * @param {Object} repository - Repository the issue belongs to
+ * @returns {Promise<Object|null>} Stored issue, or null if the item is a pull request
+ */
+export async function storeIssue(issue, repository) {
+  // The issues API also returns pull requests; those are stored as merge requests
+  if (issue.pull_request) {
+    return null;
+  }
+
+  if (!repository?.id || !repository.full_name) {
+    throw new Error(`Repository data missing for issue #${issue.number}`);
+  }
+
+  const db = await getConnection();
+  await ensureIssuesTableExists(db);
+
+  const repositoryId = await upsertRepository(db, repository);
+  const authorId = await upsertContributor(db, issue.user);
+  const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+
+  await db.run(
+    `INSERT INTO issues (
+      id, github_id, github_node_id, repository_id, repository_github_id, author_id, author_github_id,
+      title, body, state, state_reason, labels, comment_count, is_locked, closed_by_github_id,
+      created_at, updated_at, closed_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(repository_id, github_id) DO UPDATE SET
+      title = excluded.title,
+      body = excluded.body,
+      state = excluded.state,
+      state_reason = excluded.state_reason,
+      labels = excluded.labels,
+      comment_count = excluded.comment_count,
+      is_locked = excluded.is_locked,
+      closed_by_github_id = COALESCE(excluded.closed_by_github_id, issues.closed_by_github_id),
+      updated_at = excluded.updated_at,
+      closed_at = excluded.closed_at`,
+    [
+      uuidv4(),
+      issue.number,
+      issue.id,
+      repositoryId,
+      repository.id,
+      authorId,
+      issue.user?.id || null,
+      issue.title,
+      issue.body || null,
+      issue.state,
+      issue.state_reason || null,
+      JSON.stringify(labels),
+      issue.comments || 0,
+      issue.locked ? 1 : 0,
+      issue.closed_by?.id || null,
+      issue.created_at,
+      issue.updated_at || issue.created_at,
+      issue.closed_at || null
+    ]
+  );
+
+  if (authorId) {
+    await db.run(
+      `UPDATE contributor_repository
+       SET issues_opened = (SELECT COUNT(*) FROM issues WHERE author_id = ? AND repository_id = ?),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE contributor_id = ? AND repository_id = ?`,
+      [authorId, repositoryId, authorId, repositoryId]
+    );
+  }
+
+  return db.get('SELECT * FROM issues WHERE repository_id = ? AND github_id = ?', [repositoryId, issue.number]);
+}
+
+/**
+ * Link issues to the merge requests whose title or description closes them
+ * @param {Object} [options] - Scope of the scan; all merge requests when omitted
+ * @param {string} [options.repositoryId] - Only scan merge requests of this repository
+ * @param {number} [options.repositoryGithubId] - Only scan merge requests of this GitHub repository
+ * @returns {Promise<number>} Number of new links
+ */
+export async function linkClosingMergeRequests({ repositoryId, repositoryGithubId } = {}) {
+  const db = await getConnection();
+  await ensureIssuesTableExists(db);
+
+  const hasIssues = await db.get('SELECT 1 FROM issues LIMIT 1');
+
+  if (!hasIssues) {
+    return 0;
+  }
+
+  const conditions = [];
+  const params = [];
+
+  if (repositoryId) {
+    conditions.push('mr.repository_id = ?');
+    params.push(repositoryId);
+  }
+
+  if (repositoryGithubId) {
+    conditions.push('r.github_id = ?');
+    params.push(repositoryGithubId);
+  }
+
+  // Every closing reference contains a '#', so skip merge requests without one
+  const mergeRequests = await db.all(
+    `SELECT mr.id, mr.title, mr.description, r.full_name
+     FROM merge_requests mr
+     JOIN repositories r ON mr.repository_id = r.id
+     WHERE (mr.title LIKE '%#%' OR mr.description LIKE '%#%')
+     ${conditions.map(condition => `AND ${condition}`).join(' ')}`,
+    params
+  );
+
+  let linked = 0;
+
+  for (const mergeRequest of mergeRequests) {
+    const references = parseClosingReferences(
+      `${mergeRequest.title || ''}\n${mergeRequest.description || ''}`,
+      mergeRequest.full_name
+    );
+
+    for (const { fullName, number } of references) {
+      const result = await db.run(
+        `INSERT OR IGNORE INTO issue_merge_requests (issue_id, merge_request_id)
+         SELECT i.id, ?
+         FROM issues i
+         JOIN repositories r ON i.repository_id = r.id
+         WHERE LOWER(r.full_name) = ? AND i.github_id = ?`,
+        [mergeRequest.id, fullName, number]
+      );
+
+      linked += result.changes;
+    }
+  }
+
+  if (linked > 0) {
+    logger.info(`Linked ${linked} issues to the merge requests that close them`, { repositoryId });
+  }
+
+  return linked;
+}
+
+/**
+ * Store the issues from IssuesEvents in the public events firehose
+ * @param {Array} events - IssuesEvent objects
+ * @returns {Promise<{saved: number, errors: number}>} Counts
+ */
+export async function storeIssueEvents(events) {
+  const stats = { saved: 0, errors: 0 };
+
+  for (const event of events) {
+    const issue = event.payload?.issue;
+
+    if (!issue) {
+      continue;
+    }
+
+    try {
+      // Events only carry the repository id and name
+      const [, name] = (event.repo?.name || '').split('/');
+      const stored = await storeIssue(issue, { id: event.repo?.id, full_name: event.repo?.name, name });
+
+      if (stored) {
+        stats.saved++;
+      }
+    } catch (error) {
+      stats.errors++;
+      logger.error(`Error storing issue #${issue.number} from ${event.repo?.name}`, {
+        error,
+        message: error.message
+      });
+    }
+  }
+
+  return stats;
+}
@@ -0,0 +1,236 @@
+/**
+ * Review Service
+ *
+ * Stores pull request reviews and review comments for merge requests.
+ *
+ * Reviews are fetched during merge request enrichment and arrive through
+ * `pull_request_review` webhook deliveries. After storing them the service
+ * refreshes the merge request's review_count/comment_count and the reviewer
+ * totals (contributor_repository.reviews and contributors.code_reviews), so
+ * those columns are grounded in stored reviews.
+ *
+ * A review only counts towards a reviewer's totals when it was submitted
+ * (not PENDING) on a merge request authored by someone else.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { resolveContributor } from '../identity/identity.service.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Ensure the merge_request_reviews and merge_request_review_comments tables exist
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureReviewTablesExist(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS merge_request_reviews (
+      id TEXT PRIMARY KEY,
+      github_id BIGINT NOT NULL UNIQUE,
+      merge_request_id TEXT NOT NULL,
+      repository_id TEXT NOT NULL,
+      reviewer_id TEXT,
+      reviewer_github_id BIGINT,
+      state TEXT NOT NULL,
+      body TEXT,
+      commit_id TEXT,
+      submitted_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (merge_request_id) REFERENCES merge_requests(id) ON DELETE CASCADE,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewer_id) REFERENCES contributors(id) ON DELETE SET NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS merge_request_review_comments (
+      id TEXT PRIMARY KEY,
+      github_id BIGINT NOT NULL UNIQUE,
+      merge_request_id TEXT NOT NULL,
+      review_github_id BIGINT,
+      repository_id TEXT NOT NULL,
+      author_id TEXT,
+      author_github_id BIGINT,
+      body TEXT,
+      path TEXT,
+      line INTEGER,
+      in_reply_to_github_id BIGINT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (merge_request_id) REFERENCES merge_requests(id) ON DELETE CASCADE,
+      FOREIGN KEY (repository_id) REFERENCES repositories(id) ON DELETE CASCADE,
+      FOREIGN KEY (author_id) REFERENCES contributors(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_mr_reviews_merge_request_id ON merge_request_reviews(merge_request_id);
+    CREATE INDEX IF NOT EXISTS idx_mr_reviews_reviewer_id ON merge_request_reviews(reviewer_id);
+    CREATE INDEX IF NOT EXISTS idx_mr_review_comments_merge_request_id ON merge_request_review_comments(merge_request_id);
+    CREATE INDEX IF NOT EXISTS idx_mr_review_comments_author_id ON merge_request_review_comments(author_id);
+  `);
+}
+
+/**
+ * Find or create the contributor row for a GitHub user object
+ * @param {Object} db - SQLite database connection
+ * @param {Object} user - User from the GitHub REST API or a webhook payload
+ * @returns {Promise<string|null>} Contributor ID, or null if the user is missing (deleted accounts)
+ */
+async function upsertContributor(db, user) {
+  if (!user?.id) {
+    return null;
+  }
+
+  const existing = await db.get('SELECT id FROM contributors WHERE github_id = ?', [user.id]);
+
+  if (existing) {
+    // Merged aliases hand their new data to the contributor they were merged into
+    return (await resolveContributor(db, existing.id)).id;
+  }
+
+  const id = uuidv4();
+
+  await db.run(
+    `INSERT INTO contributors (id, github_id, username, avatar, is_enriched, is_placeholder, is_bot, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 0, 0, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [id, user.id, user.login || null, user.avatar_url || null, user.type === 'Bot' ? 1 : 0]
+  );
+
+  return id;
+}
+
+/**
+ * Recalculate the review totals of a reviewer from the stored reviews
+ * @param {Object} db - SQLite database connection
+ * @param {string} reviewerId - Contributor ID of the reviewer
+ * @param {string} repositoryId - Repository the reviews were made in
+ * @returns {Promise<void>}
+ */
+async function refreshReviewerTotals(db, reviewerId, repositoryId) {
+  const repositoryReviews = await db.get(
+    `SELECT COUNT(*) AS count
+     FROM merge_request_reviews rv
+     JOIN merge_requests mr ON rv.merge_request_id = mr.id
+     WHERE rv.reviewer_id = ? AND rv.repository_id = ?
+       AND rv.state != 'PENDING'
+       AND (mr.author_id IS NULL OR mr.author_id != rv.reviewer_id)`,
+    [reviewerId, repositoryId]
+  );
+
+  await db.run(
+    `INSERT INTO contributor_repository (
+      id, contributor_id, contributor_github_id, repository_id, repository_github_id, reviews, created_at, updated_at
+    ) VALUES (
+      ?, ?, (SELECT github_id FROM contributors WHERE id = ?), ?, (SELECT github_id FROM repositories WHERE id = ?), ?,
+      CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    )
+    ON CONFLICT(contributor_id, repository_id) DO UPDATE SET
+      reviews = excluded.reviews,
+      updated_at = CURRENT_TIMESTAMP`,
+    [uuidv4(), reviewerId, reviewerId, repositoryId, repositoryId, repositoryReviews.count]
+  );
+
+  await db.run(
+    `UPDATE contributors
+     SET code_reviews = (SELECT COALESCE(SUM(reviews), 0) FROM contributor_repository WHERE contributor_id = ?),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [reviewerId, reviewerId]
+  );
+}
+
+/**
+ * Store the reviews and review comments of a merge request
+ * @param {Object} db - SQLite database connection
+ * @param {Object} mergeRequest - Merge request row ({ id, repository_id })
+ * @param {Array} reviews - Reviews from pulls.listReviews or a webhook payload
+ * @param {Array} [comments] - Review comments from pulls.listReviewComments; omitted to leave comments untouched
+ * @returns {Promise<{reviews: number, comments: number}>} Number of reviews and comments stored
+ */
+export async function storeMergeRequestReviews(db, mergeRequest, reviews, comments) {
+  await ensureReviewTablesExist(db);
+
+  const reviewerIds = new Set();
+  const stored = { reviews: 0, comments: 0 };
+
+  for (const review of reviews || []) {
+    const reviewerId = await upsertContributor(db, review.user);
+
+    await db.run(
+      `INSERT INTO merge_request_reviews (
+        id, github_id, merge_request_id, repository_id, reviewer_id, reviewer_github_id,
+        state, body, commit_id, submitted_at, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT(github_id) DO UPDATE SET
+        state = excluded.state,
+        body = excluded.body,
+        commit_id = excluded.commit_id,
+        submitted_at = excluded.submitted_at,
+        updated_at = CURRENT_TIMESTAMP`,
+      [
+        uuidv4(),
+        review.id,
+        mergeRequest.id,
+        mergeRequest.repository_id,
+        reviewerId,
+        review.user?.id || null,
+        (review.state || 'COMMENTED').toUpperCase(),
+        review.body || null,
+        review.commit_id || null,
+        review.submitted_at || null
+      ]
+    );
+
+    if (reviewerId) {
+      reviewerIds.add(reviewerId);
+    }
+    stored.reviews++;
+  }
+
+  for (const comment of comments || []) {
+    const authorId = await upsertContributor(db, comment.user);
+
+    await db.run(
+      `INSERT INTO merge_request_review_comments (
+        id, github_id, merge_request_id, review_github_id, repository_id, author_id, author_github_id,
+        body, path, line, in_reply_to_github_id, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(github_id) DO UPDATE SET
+        body = excluded.body,
+        path = excluded.path,
+        line = excluded.line,
+        updated_at = excluded.updated_at`,
+      [
+        uuidv4(),
+        comment.id,
+        mergeRequest.id,
+        comment.pull_request_review_id || null,
+        mergeRequest.repository_id,
+        authorId,
+        comment.user?.id || null,
+        comment.body || null,
+        comment.path || null,
+        comment.line ?? comment.original_line ?? null,
+        comment.in_reply_to_id || null,
+        comment.created_at || new Date().toISOString(),
+        comment.updated_at || comment.created_at || new Date().toISOString()
+      ]
+    );
+
+    stored.comments++;
+  }
+
+  await db.run(
+    `UPDATE merge_requests SET
+      review_count = (SELECT COUNT(*) FROM merge_request_reviews WHERE merge_request_id = ? AND state != 'PENDING'),
+      comment_count = (SELECT COUNT(*) FROM merge_request_review_comments WHERE merge_request_id = ?)
+     WHERE id = ?`,
+    [mergeRequest.id, mergeRequest.id, mergeRequest.id]
+  );
+
+  for (const reviewerId of reviewerIds) {
+    await refreshReviewerTotals(db, reviewerId, mergeRequest.repository_id);
+  }
+
+  logger.debug(`Stored ${stored.reviews} reviews and ${stored.comments} review comments for merge request ${mergeRequest.id}`);
+
+  return stored;
+}
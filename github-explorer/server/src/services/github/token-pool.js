@@ -0,0 +1,353 @@
+import { Octokit } from '@octokit/rest';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * GitHub Token Pool
+ *
+ * Spreads GitHub API requests over several tokens. GitHub limits each token
+ * separately per resource (core REST, search, GraphQL), so the pool tracks
+ * the `x-ratelimit-*` headers of every response per token and resource, and
+ * sends each request with the token that has the most requests left. Tokens
+ * nobody has used yet are taken in turn.
+ *
+ * A request refused because its token ran out is retried once per other
+ * token that still has requests left. Tokens GitHub rejects as invalid are
+ * taken out of the pool.
+ *
+ * Tokens come from GITHUB_TOKENS (comma or whitespace separated) and
+ * GITHUB_TOKEN.
+ */
+
+export const RATE_LIMIT_RESOURCES = ['core', 'search', 'graphql'];
+
+// Rate limit data older than this is read again from GET /rate_limit
+const DEFAULT_MAX_AGE_MS = 60 * 1000;
+
+/**
+ * Read the tokens configured in the environment
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} Distinct tokens
+ */
+export function parseTokens(env = process.env) {
+  const tokens = [
+    ...(env.GITHUB_TOKENS || '').split(/[\s,]+/),
+    env.GITHUB_TOKEN || ''
+  ].map(token => token.trim()).filter(Boolean);
+
+  return [...new Set(tokens)];
+}
+
+/**
+ * Rate limit resource a request counts against
+ * @param {string} url - Request URL or route, e.g. /search/issues
+ * @returns {string} Resource: core, search or graphql
+ */
+export function resourceForRequest(url = '') {
+  const path = url.replace(/^https?:\/\/[^/]+/, '');
+
+  if (path.startsWith('/search/')) {
+    return 'search';
+  }
+
+  if (path.startsWith('/graphql')) {
+    return 'graphql';
+  }
+
+  return 'core';
+}
+
+/**
+ * Whether an error is GitHub refusing a request because the token ran out
+ * @param {Error} error - Request error
+ * @returns {boolean} True for primary rate limit errors
+ */
+function isRateLimitError(error) {
+  return (error.status === 403 || error.status === 429) &&
+    error.response?.headers?.['x-ratelimit-remaining'] === '0';
+}
+
+export class GitHubTokenPool {
+  /**
+   * Create a token pool
+   * @param {Array<string>} tokens - GitHub tokens
+   * @param {Object} [options] - Options
+   * @param {string} [options.baseUrl] - GitHub API base URL
+   */
+  constructor(tokens = [], options = {}) {
+    this.baseUrl = options.baseUrl || 'https://api.github.com';
+    this.tokens = tokens.map((value, index) => ({
+      id: `token-${index + 1}`,
+      value,
+      invalid: false,
+      requests: 0,
+      errors: 0,
+      lastUsedAt: null,
+      resources: {}
+    }));
+    this.cursor = 0;
+    this.octokit = null;
+  }
+
+  /**
+   * Number of tokens in the pool, including invalid ones
+   * @returns {number} Token count
+   */
+  get size() {
+    return this.tokens.length;
+  }
+
+  /**
+   * Whether a token belongs to the pool
+   * @param {string} token - GitHub token
+   * @returns {boolean} True if the token is in the pool
+   */
+  has(token) {
+    return this.tokens.some(entry => entry.value === token);
+  }
+
+  /**
+   * Requests a token has left for a resource; unknown or reset limits count as unlimited
+   * @param {Object} entry - Token entry
+   * @param {string} resource - Rate limit resource
+   * @returns {number} Requests left
+   * @private
+   */
+  remainingOf(entry, resource) {
+    const limits = entry.resources[resource];
+
+    if (!limits || limits.reset * 1000 <= Date.now()) {
+      return Infinity;
+    }
+
+    return limits.remaining;
+  }
+
+  /**
+   * Pick the token with the most requests left for a resource, taking tokens
+   * in turn when they are tied
+   * @param {string} resource - Rate limit resource
+   * @param {Set<Object>} [exclude] - Tokens already tried for this request
+   * @returns {Object|null} Token entry, null if no token can be used
+   */
+  select(resource, exclude = new Set()) {
+    const usable = this.tokens.filter(entry => !entry.invalid && !exclude.has(entry));
+
+    if (usable.length === 0) {
+      return null;
+    }
+
+    let best = null;
+
+    for (let i = 0; i < this.tokens.length; i++) {
+      const entry = this.tokens[(this.cursor + i) % this.tokens.length];
+
+      if (usable.includes(entry) && (!best || this.remainingOf(entry, resource) > this.remainingOf(best, resource))) {
+        best = entry;
+      }
+    }
+
+    this.cursor = (this.tokens.indexOf(best) + 1) % this.tokens.length;
+    return best;
+  }
+
+  /**
+   * Record the rate limit headers of a response for a token
+   * @param {Object} entry - Token entry
+   * @param {string} resource - Resource the request counted against
+   * @param {Object} [headers] - Response headers
+   */
+  record(entry, resource, headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    entry.resources[headers['x-ratelimit-resource'] || resource] = {
+      limit: parseInt(headers['x-ratelimit-limit'], 10),
+      remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+      used: parseInt(headers['x-ratelimit-used'], 10) || 0,
+      reset: parseInt(headers['x-ratelimit-reset'], 10),
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Octokit request hook that sends each request with the best token, or
+   * with the token given as `request.tokenPoolEntry`
+   * @param {Function} request - Next request function
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response
+   * @private
+   */
+  async routeRequest(request, options) {
+    const resource = resourceForRequest(options.url);
+    const pinned = options.request?.tokenPoolEntry;
+    const tried = new Set();
+
+    for (;;) {
+      const entry = pinned || this.select(resource, tried);
+
+      if (!entry) {
+        return request(options);
+      }
+
+      tried.add(entry);
+      entry.requests++;
+      entry.lastUsedAt = new Date().toISOString();
+
+      try {
+        // Octokit's inner request hooks are bound to these options, so set the token in place
+        options.headers.authorization = `token ${entry.value}`;
+        const response = await request(options);
+
+        this.record(entry, resource, response.headers);
+        return response;
+      } catch (error) {
+        entry.errors++;
+        this.record(entry, resource, error.response?.headers);
+
+        if (error.status === 401) {
+          entry.invalid = true;
+          logger.error(`GitHub rejected ${entry.id} as invalid, removing it from the token pool`);
+        }
+
+        if (pinned || (error.status !== 401 && !isRateLimitError(error))) {
+          throw error;
+        }
+
+        const next = this.select(resource, tried);
+
+        if (!next || (error.status !== 401 && this.remainingOf(next, resource) === 0)) {
+          throw error;
+        }
+
+        logger.warn(`Retrying ${options.method} ${options.url} with another token after ${entry.id} failed with ${error.status}`);
+        this.cursor = this.tokens.indexOf(next);
+      }
+    }
+  }
+
+  /**
+   * Octokit client that routes its requests through the pool
+   * @returns {Octokit} GitHub client
+   */
+  getClient() {
+    if (!this.octokit) {
+      this.octokit = new Octokit({
+        userAgent: 'GitHub-Explorer/1.0.0',
+        baseUrl: this.baseUrl,
+        log: {
+          debug: (message) => logger.debug(`GitHub API: ${message}`),
+          info: (message) => logger.info(`GitHub API: ${message}`),
+          warn: (message) => logger.warn(`GitHub API: ${message}`),
+          error: (message) => logger.error(`GitHub API: ${message}`)
+        }
+      });
+      this.octokit.hook.wrap('request', (request, options) => this.routeRequest(request, options));
+    }
+
+    return this.octokit;
+  }
+
+  /**
+   * Read the current limits of every token from GET /rate_limit, which does
+   * not count against the limits
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxAgeMs=60000] - Only read tokens whose core limits are older than this
+   * @returns {Promise<void>}
+   */
+  async refresh({ maxAgeMs = DEFAULT_MAX_AGE_MS } = {}) {
+    const octokit = this.getClient();
+
+    for (const entry of this.tokens.filter(token => !token.invalid)) {
+      const updatedAt = entry.resources.core?.updatedAt || 0;
+
+      if (Date.now() - updatedAt < maxAgeMs) {
+        continue;
+      }
+
+      try {
+        const { data } = await octokit.request('GET /rate_limit', {
+          request: { tokenPoolEntry: entry }
+        });
+
+        for (const resource of RATE_LIMIT_RESOURCES) {
+          if (data.resources[resource]) {
+            entry.resources[resource] = { ...data.resources[resource], updatedAt: Date.now() };
+          }
+        }
+      } catch (error) {
+        logger.warn(`Could not read the rate limits of ${entry.id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Rate limits of the pool in the shape of GitHub's GET /rate_limit: per
+   * resource, the requests left on the best token and the earliest time a
+   * token's limit resets
+   * @returns {Object} Rate limits: { resources: { core, search, graphql }, rate }
+   */
+  getRateLimits() {
+    const usable = this.tokens.filter(entry => !entry.invalid);
+    const resources = {};
+
+    for (const resource of RATE_LIMIT_RESOURCES) {
+      const known = usable.map(entry => entry.resources[resource]).filter(Boolean);
+      const best = known.reduce((top, limits) => (!top || limits.remaining > top.remaining ? limits : top), null);
+
+      resources[resource] = best
+        ? {
+          limit: best.limit,
+          remaining: best.remaining,
+          used: best.used,
+          reset: Math.min(...known.map(limits => limits.reset))
+        }
+        : null;
+    }
+
+    return { resources, rate: resources.core };
+  }
+
+  /**
+   * Status of every token and of the pool as a whole, without the tokens themselves
+   * @returns {Object} Pool status: { tokens, totals }
+   */
+  getStatus() {
+    const toLimits = (limits) => limits && {
+      limit: limits.limit,
+      remaining: limits.remaining,
+      used: limits.used,
+      reset_at: new Date(limits.reset * 1000).toISOString()
+    };
+
+    const totals = {};
+
+    for (const resource of RATE_LIMIT_RESOURCES) {
+      const known = this.tokens
+        .filter(entry => !entry.invalid && entry.resources[resource])
+        .map(entry => entry.resources[resource]);
+
+      totals[resource] = {
+        tokens: known.length,
+        limit: known.reduce((sum, limits) => sum + limits.limit, 0),
+        remaining: known.reduce((sum, limits) => sum + limits.remaining, 0),
+        next_reset_at: known.length > 0 ? new Date(Math.min(...known.map(limits => limits.reset)) * 1000).toISOString() : null
+      };
+    }
+
+    return {
+      tokens: this.tokens.map(entry => ({
+        id: entry.id,
+        invalid: entry.invalid,
+        requests: entry.requests,
+        errors: entry.errors,
+        last_used_at: entry.lastUsedAt,
+        resources: Object.fromEntries(RATE_LIMIT_RESOURCES.map(resource => [resource, toLimits(entry.resources[resource]) || null]))
+      })),
+      totals
+    };
+  }
+}
+
+// Shared pool of the tokens configured in the environment
+export const githubTokenPool = new GitHubTokenPool(parseTokens());
@@ -0,0 +1,548 @@
+/**
+ * Repository Watchlist Service
+ *
+ * Persists the list of repositories that should always be synced, and pulls
+ * merged pull requests and closed issues for each of them from the GitHub API.
+ * Pull requests that were closed without being merged are read but not stored.
+ *
+ * Each watched repository is backfilled page by page (oldest first) until its
+ * full history has been stored, after which only pull requests updated since
+ * the last sync are fetched. An incremental pass that hits the page limit
+ * before reaching the cursor continues from the same page on the next run.
+ * Issues are read in order of last update, so a
+ * single cursor covers both the backfill and incremental syncs.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getConnection } from '../../db/connection-manager.js';
+import { storeIssue, linkClosingMergeRequests } from './issue.service.js';
+import { logger } from '../../utils/logger.js';
+
+// GitHub returns at most 100 items per page
+const PAGE_SIZE = 100;
+
+// Maximum number of pages fetched per repository in a single sync run
+const DEFAULT_MAX_PAGES = parseInt(process.env.WATCHLIST_MAX_PAGES_PER_RUN, 10) || 10;
+
+// owner/repo, using the characters GitHub allows in account and repository names
+const FULL_NAME_PATTERN = /^[A-Za-z0-9-]+\/[A-Za-z0-9._-]+$/;
+
+/**
+ * Ensure the repository_watchlist table exists
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureWatchlistTableExists(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS repository_watchlist (
+      id TEXT PRIMARY KEY,
+      full_name TEXT NOT NULL,
+      owner TEXT NOT NULL,
+      name TEXT NOT NULL,
+      is_active BOOLEAN DEFAULT 1,
+      backfill_completed BOOLEAN DEFAULT 0,
+      backfill_next_page INTEGER DEFAULT 1,
+      backfill_started_at TIMESTAMP,
+      sync_cursor TIMESTAMP,
+      last_synced_at TIMESTAMP,
+      last_sync_error TEXT,
+      pull_requests_synced INTEGER DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(full_name)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_repository_watchlist_active ON repository_watchlist(is_active);
+  `);
+
+  // Columns added after the table was first created
+  const columns = [
+    'issues_sync_cursor TIMESTAMP',
+    'issues_synced INTEGER DEFAULT 0',
+    'sync_next_page INTEGER',
+    'sync_pass_started_at TIMESTAMP'
+  ];
+
+  for (const column of columns) {
+    try {
+      await db.exec(`ALTER TABLE repository_watchlist ADD COLUMN ${column}`);
+    } catch (error) {
+      if (!error.message.includes('duplicate column name')) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Parse and validate an owner/repo string
+ * @param {string} fullName - Repository full name
+ * @returns {{owner: string, name: string, fullName: string}|null} Parsed name, or null if invalid
+ */
+export function parseRepositoryFullName(fullName) {
+  if (typeof fullName !== 'string') {
+    return null;
+  }
+
+  const trimmed = fullName.trim();
+
+  if (!FULL_NAME_PATTERN.test(trimmed)) {
+    return null;
+  }
+
+  const [owner, name] = trimmed.split('/');
+
+  // GitHub treats names case-insensitively, so store a canonical lower-case form
+  return {
+    owner: owner.toLowerCase(),
+    name: name.toLowerCase(),
+    fullName: `${owner}/${name}`.toLowerCase()
+  };
+}
+
+/**
+ * List watched repositories
+ * @param {Object} [options] - Filter options
+ * @param {boolean} [options.activeOnly=false] - Only return active entries
+ * @returns {Promise<Array>} Watchlist entries
+ */
+export async function listWatchedRepositories({ activeOnly = false } = {}) {
+  const db = await getConnection();
+  await ensureWatchlistTableExists(db);
+
+  return db.all(`
+    SELECT * FROM repository_watchlist
+    ${activeOnly ? 'WHERE is_active = 1' : ''}
+    ORDER BY full_name ASC
+  `);
+}
+
+/**
+ * Get a single watched repository
+ * @param {string} fullName - Repository full name (owner/repo)
+ * @returns {Promise<Object|undefined>} Watchlist entry
+ */
+export async function getWatchedRepository(fullName) {
+  const parsed = parseRepositoryFullName(fullName);
+
+  if (!parsed) {
+    return undefined;
+  }
+
+  const db = await getConnection();
+  await ensureWatchlistTableExists(db);
+
+  return db.get('SELECT * FROM repository_watchlist WHERE full_name = ?', [parsed.fullName]);
+}
+
+/**
+ * Add a repository to the watchlist, or re-activate it if it was already present
+ * @param {string} fullName - Repository full name (owner/repo)
+ * @returns {Promise<{entry: Object, created: boolean}>} The stored entry and whether it was newly created
+ */
+export async function addWatchedRepository(fullName) {
+  const parsed = parseRepositoryFullName(fullName);
+
+  if (!parsed) {
+    throw new Error(`Invalid repository name: ${fullName}. Format should be 'owner/repo'`);
+  }
+
+  const db = await getConnection();
+  await ensureWatchlistTableExists(db);
+
+  const existing = await db.get(
+    'SELECT * FROM repository_watchlist WHERE full_name = ?',
+    [parsed.fullName]
+  );
+
+  if (existing) {
+    if (!existing.is_active) {
+      await db.run(
+        'UPDATE repository_watchlist SET is_active = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [existing.id]
+      );
+      logger.info(`Re-activated watched repository ${parsed.fullName}`);
+    }
+
+    const entry = await db.get('SELECT * FROM repository_watchlist WHERE id = ?', [existing.id]);
+    return { entry, created: false };
+  }
+
+  const id = uuidv4();
+
+  await db.run(
+    `INSERT INTO repository_watchlist (id, full_name, owner, name, is_active, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [id, parsed.fullName, parsed.owner, parsed.name]
+  );
+
+  logger.info(`Added ${parsed.fullName} to the repository watchlist`);
+
+  const entry = await db.get('SELECT * FROM repository_watchlist WHERE id = ?', [id]);
+  return { entry, created: true };
+}
+
+/**
+ * Remove a repository from the watchlist
+ * @param {string} fullName - Repository full name (owner/repo)
+ * @returns {Promise<boolean>} True if an entry was removed
+ */
+export async function removeWatchedRepository(fullName) {
+  const parsed = parseRepositoryFullName(fullName);
+
+  if (!parsed) {
+    return false;
+  }
+
+  const db = await getConnection();
+  await ensureWatchlistTableExists(db);
+
+  const result = await db.run(
+    'DELETE FROM repository_watchlist WHERE full_name = ?',
+    [parsed.fullName]
+  );
+
+  if (result.changes > 0) {
+    logger.info(`Removed ${parsed.fullName} from the repository watchlist`);
+  }
+
+  return result.changes > 0;
+}
+
+/**
+ * Wrap a pull request from the pulls API in the shape of a public
+ * PullRequestEvent, so it can be stored through the same code path as the
+ * events firehose.
+ * @param {Object} pr - Pull request from GET /repos/{owner}/{repo}/pulls
+ * @returns {Object} PullRequestEvent-shaped object
+ */
+export function toPullRequestEvent(pr) {
+  return {
+    id: `watchlist-${pr.id}`,
+    type: 'PullRequestEvent',
+    repo: {
+      id: pr.base?.repo?.id,
+      name: pr.base?.repo?.full_name
+    },
+    payload: {
+      action: 'closed',
+      pull_request: {
+        ...pr,
+        // The list endpoint only exposes merged_at, not the merged flag
+        merged: Boolean(pr.merged_at)
+      }
+    }
+  };
+}
+
+/**
+ * Sync merged pull requests for a single watched repository
+ *
+ * While the backfill is incomplete, pages are read oldest-first so page numbers
+ * stay stable between runs. Once complete, pages are read most-recently-updated
+ * first and reading stops at the first pull request older than the sync cursor.
+ * If the page limit is hit first, the next page is saved and the following run
+ * continues from it; the cursor only moves to the start of that pass once the
+ * pass reaches it. Pull requests updated in the meantime move to the first
+ * pages, so they are read by the next pass rather than skipped.
+ *
+ * @param {GitHubApiClient} githubClient - The GitHub API client
+ * @param {Object} entry - Watchlist entry
+ * @param {Function} storePullRequest - Async function storing one PullRequestEvent
+ * @param {Object} [options] - Sync options
+ * @param {number} [options.maxPages] - Maximum pages to fetch in this run
+ * @returns {Promise<Object>} Sync stats for the repository
+ */
+export async function syncWatchedRepository(githubClient, entry, storePullRequest, options = {}) {
+  const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+  const db = await getConnection();
+
+  const stats = {
+    repository: entry.full_name,
+    mode: entry.backfill_completed ? 'incremental' : 'backfill',
+    fetched: 0,
+    saved: 0,
+    skipped: 0,
+    errors: 0,
+    pages: 0,
+    backfillCompleted: Boolean(entry.backfill_completed)
+  };
+
+  // Record when this run began; the next incremental sync starts from here
+  const runStartedAt = new Date().toISOString();
+
+  let page = entry.backfill_completed ? (entry.sync_next_page || 1) : (entry.backfill_next_page || 1);
+  let backfillStartedAt = entry.backfill_started_at || runStartedAt;
+
+  // An unfinished incremental pass keeps the time it began as its target cursor
+  const passStartedAt = (entry.sync_next_page && entry.sync_pass_started_at) || runStartedAt;
+  let reachedCursor = false;
+  let reachedEnd = false;
+
+  logger.info(`Syncing watched repository ${entry.full_name}`, {
+    mode: stats.mode,
+    startPage: page,
+    cursor: entry.sync_cursor
+  });
+
+  try {
+    while (stats.pages < maxPages && !reachedCursor) {
+      const requestOptions = entry.backfill_completed
+        ? { sort: 'updated', direction: 'desc', per_page: PAGE_SIZE, page }
+        : { sort: 'created', direction: 'asc', per_page: PAGE_SIZE, page };
+
+      const response = await githubClient.getPullRequests(entry.owner, entry.name, 'closed', requestOptions);
+      const pullRequests = response.data || [];
+      stats.pages++;
+
+      for (const pr of pullRequests) {
+        if (entry.backfill_completed && entry.sync_cursor && pr.updated_at <= entry.sync_cursor) {
+          reachedCursor = true;
+          break;
+        }
+
+        stats.fetched++;
+
+        // The closed list also holds pull requests that were never merged
+        if (!pr.merged_at) {
+          stats.skipped++;
+          continue;
+        }
+
+        try {
+          await storePullRequest(toPullRequestEvent(pr));
+          stats.saved++;
+        } catch (storeError) {
+          stats.errors++;
+          logger.error(`Error storing PR #${pr.number} from ${entry.full_name}`, {
+            error: storeError,
+            message: storeError.message
+          });
+        }
+      }
+
+      const isLastPage = pullRequests.length < PAGE_SIZE;
+      reachedEnd = isLastPage || reachedCursor;
+
+      if (!entry.backfill_completed) {
+        // Persist progress after every page so an interrupted backfill resumes here
+        await db.run(
+          `UPDATE repository_watchlist
+           SET backfill_next_page = ?, backfill_started_at = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [isLastPage ? page : page + 1, backfillStartedAt, entry.id]
+        );
+
+        if (isLastPage) {
+          stats.backfillCompleted = true;
+          break;
+        }
+      } else if (reachedEnd) {
+        break;
+      } else {
+        // Persist progress after every page so a pass cut short by the page limit resumes here
+        await db.run(
+          `UPDATE repository_watchlist
+           SET sync_next_page = ?, sync_pass_started_at = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [page + 1, passStartedAt, entry.id]
+        );
+      }
+
+      page++;
+    }
+
+    if (stats.backfillCompleted && !entry.backfill_completed) {
+      // Anything updated after the backfill began may have been missed by the
+      // oldest-first walk, so the incremental cursor starts at that moment
+      await db.run(
+        `UPDATE repository_watchlist
+         SET backfill_completed = 1, sync_cursor = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [backfillStartedAt, entry.id]
+      );
+      logger.info(`Backfill completed for ${entry.full_name}`);
+    } else if (entry.backfill_completed && reachedEnd) {
+      // Only advance the cursor when everything newer than it has been read
+      await db.run(
+        `UPDATE repository_watchlist
+         SET sync_cursor = ?, sync_next_page = NULL, sync_pass_started_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [passStartedAt, entry.id]
+      );
+    }
+
+    await db.run(
+      `UPDATE repository_watchlist
+       SET last_synced_at = CURRENT_TIMESTAMP,
+           last_sync_error = NULL,
+           pull_requests_synced = pull_requests_synced + ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [stats.saved, entry.id]
+    );
+  } catch (error) {
+    stats.errors++;
+    logger.error(`Error syncing watched repository ${entry.full_name}`, {
+      error,
+      message: error.message
+    });
+
+    await db.run(
+      `UPDATE repository_watchlist
+       SET last_sync_error = ?, pull_requests_synced = pull_requests_synced + ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [error.message, stats.saved, entry.id]
+    ).catch(updateError => {
+      logger.error('Failed to record watchlist sync error', { error: updateError });
+    });
+  }
+
+  logger.info(`Finished syncing ${entry.full_name}`, stats);
+
+  return stats;
+}
+
+/**
+ * Sync issues for a single watched repository
+ *
+ * Issues are read oldest-update first starting at the issues cursor, which is
+ * saved after every page so an interrupted sync resumes where it stopped.
+ *
+ * @param {GitHubApiClient} githubClient - The GitHub API client
+ * @param {Object} entry - Watchlist entry
+ * @param {Object} [options] - Sync options
+ * @param {number} [options.maxPages] - Maximum pages to fetch in this run
+ * @returns {Promise<Object>} Issue sync stats for the repository
+ */
+export async function syncWatchedRepositoryIssues(githubClient, entry, options = {}) {
+  const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+  const db = await getConnection();
+
+  const stats = {
+    repository: entry.full_name,
+    fetched: 0,
+    saved: 0,
+    errors: 0,
+    pages: 0,
+    linked: 0
+  };
+
+  let cursor = entry.issues_sync_cursor || null;
+
+  try {
+    // Issue list items only link to their repository, so fetch it once
+    const repository = await githubClient.getRepository(entry.full_name);
+
+    for (let page = 1; page <= maxPages; page++) {
+      const requestOptions = { sort: 'updated', direction: 'asc', per_page: PAGE_SIZE, page };
+
+      if (entry.issues_sync_cursor) {
+        requestOptions.since = entry.issues_sync_cursor;
+      }
+
+      const response = await githubClient.getIssues(entry.owner, entry.name, requestOptions);
+      const issues = response.data || [];
+      const savedBefore = stats.saved;
+      stats.pages++;
+
+      for (const issue of issues) {
+        if (!cursor || issue.updated_at > cursor) {
+          cursor = issue.updated_at;
+        }
+
+        if (issue.pull_request) {
+          continue;
+        }
+
+        stats.fetched++;
+
+        try {
+          await storeIssue(issue, repository);
+          stats.saved++;
+        } catch (storeError) {
+          stats.errors++;
+          logger.error(`Error storing issue #${issue.number} from ${entry.full_name}`, {
+            error: storeError,
+            message: storeError.message
+          });
+        }
+      }
+
+      await db.run(
+        `UPDATE repository_watchlist
+         SET issues_sync_cursor = ?, issues_synced = issues_synced + ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [cursor, stats.saved - savedBefore, entry.id]
+      );
+
+      if (issues.length < PAGE_SIZE) {
+        break;
+      }
+    }
+
+    const stored = await db.get('SELECT id FROM repositories WHERE github_id = ?', [repository.id]);
+    if (stored) {
+      stats.linked = await linkClosingMergeRequests({ repositoryId: stored.id });
+    }
+  } catch (error) {
+    stats.errors++;
+    logger.error(`Error syncing issues for watched repository ${entry.full_name}`, {
+      error,
+      message: error.message
+    });
+  }
+
+  logger.info(`Finished syncing issues for ${entry.full_name}`, stats);
+
+  return stats;
+}
+
+/**
+ * Sync all active watched repositories
+ * @param {GitHubApiClient} githubClient - The GitHub API client
+ * @param {Function} storePullRequest - Async function storing one PullRequestEvent
+ * @param {Object} [options] - Sync options passed to syncWatchedRepository
+ * @param {boolean} [options.includeIssues=true] - Also sync issues
+ * @returns {Promise<Object>} Aggregated sync stats; pull request counts at the top level
+ */
+export async function syncWatchedRepositories(githubClient, storePullRequest, options = {}) {
+  const { includeIssues = true } = options;
+  const entries = await listWatchedRepositories({ activeOnly: true });
+
+  const totals = {
+    repositories: entries.length,
+    fetched: 0,
+    saved: 0,
+    skipped: 0,
+    errors: 0,
+    issues: { fetched: 0, saved: 0, errors: 0, linked: 0 },
+    results: []
+  };
+
+  if (entries.length === 0) {
+    logger.info('Repository watchlist is empty, nothing to sync');
+    return totals;
+  }
+
+  logger.info(`Syncing ${entries.length} watched repositories`);
+
+  for (const entry of entries) {
+    const result = await syncWatchedRepository(githubClient, entry, storePullRequest, options);
+    totals.fetched += result.fetched;
+    totals.saved += result.saved;
+    totals.skipped += result.skipped;
+    totals.errors += result.errors;
+
+    if (includeIssues) {
+      result.issues = await syncWatchedRepositoryIssues(githubClient, entry, options);
+      for (const key of Object.keys(totals.issues)) {
+        totals.issues[key] += result.issues[key];
+      }
+    }
+
+    totals.results.push(result);
+  }
+
+  return totals;
+}
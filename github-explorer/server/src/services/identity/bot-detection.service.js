@@ -0,0 +1,308 @@
+/**
+ * Bot Detection Service
+ *
+ * Keeps the is_bot flag of contributors up to date, which rankings and
+ * analytics use to leave automation accounts out:
+ *
+ * - The contributor enricher classifies each contributor it enriches, with
+ *   the account type from the GitHub API and the contributor's commits.
+ * - scripts/detect-bots.js classifies contributors in bulk from the stored
+ *   data, e.g. after the rules change.
+ * - Admins can override the classification of a contributor. Overrides are
+ *   kept until they are cleared and are never replaced by detection.
+ *
+ * The signals behind each classification are stored in bot_reasons so the
+ * flag can be explained.
+ */
+
+import { getConnection } from '../../db/connection-manager.js';
+import { classifyBot, isTemplatedCommitMessage } from '../../utils/bot-classifier.js';
+import { invalidateContributorCache } from '../../utils/cache-invalidation.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('bot-detection-service');
+
+// Most recent commits the behavioural signals look at
+const ACTIVITY_COMMITS = 1000;
+
+// Contributors classified per batch by detectBots()
+const DETECT_BATCH_SIZE = 200;
+
+/**
+ * Ensure the bot detection columns of the contributors table exist
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureBotDetectionColumnsExist(db) {
+  const columns = [
+    'bot_confidence REAL',
+    'bot_reasons TEXT',
+    'bot_checked_at TIMESTAMP',
+    'bot_override BOOLEAN',
+    'bot_override_note TEXT',
+    'bot_override_by TEXT',
+    'bot_override_at TIMESTAMP'
+  ];
+
+  for (const column of columns) {
+    await db.run(`ALTER TABLE contributors ADD COLUMN ${column}`).catch(err => {
+      // Ignore error if column already exists
+      if (!err.message.includes('duplicate column name')) {
+        throw err;
+      }
+    });
+  }
+}
+
+/**
+ * Summarize the recent commits of a contributor for the behavioural signals
+ * @param {Object} db - SQLite database connection
+ * @param {string} contributorId - Contributor ID
+ * @returns {Promise<Object>} Activity: { commits, templated_commits, max_commits_per_hour, hours_of_day }
+ */
+async function queryCommitActivity(db, contributorId) {
+  const commits = await db.all(
+    `SELECT MIN(message) AS message, MIN(committed_at) AS committed_at
+     FROM commits
+     WHERE contributor_id = ? AND committed_at IS NOT NULL
+     GROUP BY github_id
+     ORDER BY committed_at DESC
+     LIMIT ?`,
+    [contributorId, ACTIVITY_COMMITS]
+  );
+
+  const perHour = new Map();
+  const hoursOfDay = new Set();
+
+  for (const commit of commits) {
+    const date = new Date(commit.committed_at);
+
+    if (Number.isNaN(date.getTime())) {
+      continue;
+    }
+
+    const hour = date.toISOString().slice(0, 13);
+    perHour.set(hour, (perHour.get(hour) || 0) + 1);
+    hoursOfDay.add(date.getUTCHours());
+  }
+
+  return {
+    commits: commits.length,
+    templated_commits: commits.filter(commit => isTemplatedCommitMessage((commit.message || '').split('\n')[0])).length,
+    max_commits_per_hour: Math.max(0, ...perHour.values()),
+    hours_of_day: hoursOfDay.size
+  };
+}
+
+/**
+ * Shape a contributor row into its bot status
+ * @param {Object} row - Contributor row
+ * @returns {Object} Bot status
+ */
+function toBotStatus(row) {
+  return {
+    contributor_id: row.id,
+    github_id: row.github_id,
+    username: row.username,
+    is_bot: Boolean(row.is_bot),
+    confidence: row.bot_confidence,
+    reasons: row.bot_reasons ? JSON.parse(row.bot_reasons) : [],
+    checked_at: row.bot_checked_at,
+    override: row.bot_override === null || row.bot_override === undefined
+      ? null
+      : {
+        is_bot: Boolean(row.bot_override),
+        note: row.bot_override_note,
+        overridden_by: row.bot_override_by,
+        overridden_at: row.bot_override_at
+      }
+  };
+}
+
+/**
+ * Find a contributor by ID or GitHub ID
+ * @param {Object} db - SQLite database connection
+ * @param {string} id - Contributor ID or GitHub ID
+ * @returns {Promise<Object|undefined>} Contributor row
+ */
+async function findContributor(db, id) {
+  return db.get('SELECT * FROM contributors WHERE id = ? OR github_id = ?', [id, id]);
+}
+
+/**
+ * Classify a contributor and store the result. Contributors with an admin
+ * override keep their flag; only the detected reasons are updated.
+ * @param {Object} db - SQLite database connection
+ * @param {Object} contributor - Contributor row: { id, username, bot_override }
+ * @param {Object} [user] - GitHub user from the API, for the account type
+ * @returns {Promise<Object>} Classification: { is_bot, confidence, reasons }
+ */
+export async function detectContributorBot(db, contributor, user) {
+  await ensureBotDetectionColumnsExist(db);
+
+  const activity = await queryCommitActivity(db, contributor.id);
+  const classification = classifyBot({ login: user?.login || contributor.username, type: user?.type }, activity);
+  const hasOverride = contributor.bot_override !== null && contributor.bot_override !== undefined;
+
+  await db.run(
+    `UPDATE contributors SET
+      is_bot = CASE WHEN bot_override IS NULL THEN ? ELSE bot_override END,
+      bot_confidence = ?,
+      bot_reasons = ?,
+      bot_checked_at = CURRENT_TIMESTAMP
+    WHERE id = ?`,
+    [classification.is_bot ? 1 : 0, classification.confidence, JSON.stringify(classification.reasons), contributor.id]
+  );
+
+  if (!hasOverride && Boolean(contributor.is_bot) !== classification.is_bot) {
+    logger.info(`Contributor ${contributor.username || contributor.id} classified as ${classification.is_bot ? 'a bot' : 'a person'}`, {
+      reasons: classification.reasons.map(reason => reason.signal)
+    });
+    await invalidateContributorCache(contributor.id);
+  }
+
+  return classification;
+}
+
+/**
+ * Classify contributors in bulk from the stored data
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.all=false] - Classify every contributor, not only those never checked
+ * @returns {Promise<{checked: number, bots: number}>} Contributors checked and how many are bots
+ */
+export async function detectBots({ all = false } = {}) {
+  const db = await getConnection();
+  await ensureBotDetectionColumnsExist(db);
+
+  let checked = 0;
+  let lastId = '';
+
+  // Page by id so contributors checked in this run are not read again
+  for (;;) {
+    const batch = await db.all(
+      `SELECT id, username, is_bot, bot_override FROM contributors
+       WHERE id > ? ${all ? '' : 'AND bot_checked_at IS NULL'}
+       ORDER BY id
+       LIMIT ?`,
+      [lastId, DETECT_BATCH_SIZE]
+    );
+
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const contributor of batch) {
+      await detectContributorBot(db, contributor);
+    }
+
+    checked += batch.length;
+    lastId = batch[batch.length - 1].id;
+  }
+
+  const { bots } = await db.get('SELECT COUNT(*) AS bots FROM contributors WHERE is_bot = 1');
+  logger.info(`Checked ${checked} contributors for bots, ${bots} bots in total`);
+
+  return { checked, bots };
+}
+
+/**
+ * Get the bot status of a contributor and the reasons behind it
+ * @param {string} id - Contributor ID or GitHub ID
+ * @returns {Promise<Object|null>} Bot status, or null if not found
+ */
+export async function getBotStatus(id) {
+  const db = await getConnection();
+  await ensureBotDetectionColumnsExist(db);
+
+  const contributor = await findContributor(db, id);
+  return contributor ? toBotStatus(contributor) : null;
+}
+
+/**
+ * List contributors flagged as bots or overridden by an admin
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeSuspected=false] - Also list contributors with bot signals below the threshold
+ * @returns {Promise<Array<Object>>} Bot statuses, most confident first
+ */
+export async function listBots({ includeSuspected = false } = {}) {
+  const db = await getConnection();
+  await ensureBotDetectionColumnsExist(db);
+
+  const rows = await db.all(`
+    SELECT * FROM contributors
+    WHERE is_bot = 1
+       OR bot_override IS NOT NULL
+       ${includeSuspected ? 'OR bot_confidence > 0' : ''}
+    ORDER BY is_bot DESC, bot_confidence DESC, username
+  `);
+
+  return rows.map(toBotStatus);
+}
+
+/**
+ * Override the bot classification of a contributor
+ * @param {string} id - Contributor ID or GitHub ID
+ * @param {Object} options - Options
+ * @param {boolean} options.isBot - Whether the contributor is a bot
+ * @param {string} [options.note] - Why the classification was overridden
+ * @param {string} [options.overriddenBy] - API key that made the override
+ * @returns {Promise<Object|null>} Bot status, or null if not found
+ */
+export async function setBotOverride(id, { isBot, note = null, overriddenBy = null }) {
+  const db = await getConnection();
+  await ensureBotDetectionColumnsExist(db);
+
+  const contributor = await findContributor(db, id);
+
+  if (!contributor) {
+    return null;
+  }
+
+  await db.run(
+    `UPDATE contributors SET
+      is_bot = ?,
+      bot_override = ?,
+      bot_override_note = ?,
+      bot_override_by = ?,
+      bot_override_at = CURRENT_TIMESTAMP
+    WHERE id = ?`,
+    [isBot ? 1 : 0, isBot ? 1 : 0, note, overriddenBy, contributor.id]
+  );
+
+  logger.info(`Bot classification of ${contributor.username || contributor.id} overridden to ${isBot ? 'bot' : 'person'}`, { overriddenBy });
+  await invalidateContributorCache(contributor.id);
+
+  return toBotStatus(await findContributor(db, contributor.id));
+}
+
+/**
+ * Clear the override of a contributor and classify it again
+ * @param {string} id - Contributor ID or GitHub ID
+ * @returns {Promise<Object|null>} Bot status, or null if not found
+ */
+export async function clearBotOverride(id) {
+  const db = await getConnection();
+  await ensureBotDetectionColumnsExist(db);
+
+  const contributor = await findContributor(db, id);
+
+  if (!contributor) {
+    return null;
+  }
+
+  await db.run(
+    `UPDATE contributors SET
+      bot_override = NULL,
+      bot_override_note = NULL,
+      bot_override_by = NULL,
+      bot_override_at = NULL
+    WHERE id = ?`,
+    [contributor.id]
+  );
+
+  await detectContributorBot(db, { ...contributor, bot_override: null });
+  await invalidateContributorCache(contributor.id);
+
+  return toBotStatus(await findContributor(db, contributor.id));
+}
@@ -0,0 +1,878 @@
+/**
+ * Identity Service
+ *
+ * Resolves contributors that are the same person: someone who committed
+ * under several emails, from a second GitHub account, or before their email
+ * was linked to their account (placeholder contributors).
+ *
+ * - Candidates: contributors clustered by the signals they share. A commit
+ *   email, the GitHub id or login in a users.noreply.github.com address, and
+ *   a full name each link the contributors they appear on.
+ * - Identities: clusters an admin has confirmed, with a primary contributor.
+ * - Merges: moving an alias's commits, merge requests, reviews, issues and
+ *   per-repository totals onto the primary. Every merge is kept in an audit
+ *   log with the rows it rewrote, so it can be undone. Merged aliases stay in
+ *   the contributors table with merged_into_id pointing at the primary, and
+ *   new data for them is attributed to the primary.
+ *
+ * Undoing a merge restores the per-repository totals of both contributors as
+ * they were before the merge.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getConnection } from '../../db/connection-manager.js';
+import { withTransaction } from '../../db/transaction-manager.js';
+import { refreshRankingAggregates } from '../rankings/ranking-aggregates.service.js';
+import { invalidateContributorCache, invalidateRepositoryCache } from '../../utils/cache-invalidation.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('identity-service');
+
+// Columns that reference a contributor, with the GitHub id stored next to them
+const CONTRIBUTOR_REFERENCES = [
+  { table: 'commits', column: 'contributor_id', githubIdColumn: 'contributor_github_id' },
+  { table: 'merge_requests', column: 'author_id', githubIdColumn: 'author_github_id' },
+  { table: 'merge_requests', column: 'merged_by_id', githubIdColumn: 'merged_by_github_id' },
+  { table: 'merge_request_reviews', column: 'reviewer_id', githubIdColumn: 'reviewer_github_id' },
+  { table: 'merge_request_review_comments', column: 'author_id', githubIdColumn: 'author_github_id' },
+  { table: 'issues', column: 'author_id', githubIdColumn: 'author_github_id' }
+];
+
+// Per-repository totals added together when both contributors have a row
+const CONTRIBUTOR_REPOSITORY_TOTALS = ['commit_count', 'pull_requests', 'reviews', 'issues_opened', 'lines_added', 'lines_removed'];
+
+// How strongly each signal suggests two contributors are the same person
+const SIGNAL_CONFIDENCE = {
+  github_id: 0.95,
+  email: 0.9,
+  name: 0.6
+};
+
+// Addresses shared by unrelated people, e.g. commits made in the GitHub UI
+const SHARED_EMAILS = new Set(['noreply@github.com', 'action@github.com', 'actions@github.com']);
+
+// 12345+login@users.noreply.github.com, or login@users.noreply.github.com for older accounts
+const NOREPLY_EMAIL = /^(?:(\d+)\+)?([^@]+)@users\.noreply\.github\.com$/;
+
+// Ids per IN (...) list, below SQLite's limit on bound parameters
+const ID_BATCH_SIZE = 500;
+
+// Connections whose schema has been checked; commits are recorded one at a
+// time by the enrichers, so the ALTER TABLE checks only run once per connection
+const ensuredConnections = new WeakSet();
+
+/**
+ * Ensure the identity tables and columns exist
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureIdentityTablesExist(db) {
+  if (ensuredConnections.has(db)) {
+    return;
+  }
+
+  const columns = [
+    ['contributors', 'identity_id TEXT'],
+    ['contributors', 'merged_into_id TEXT'],
+    ['commits', 'author_email TEXT'],
+    ['commits', 'author_name TEXT']
+  ];
+
+  for (const [table, column] of columns) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column}`).catch(err => {
+      // Ignore error if column already exists
+      if (!err.message.includes('duplicate column name')) {
+        throw err;
+      }
+    });
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS contributor_identities (
+      id TEXT PRIMARY KEY,
+      primary_contributor_id TEXT NOT NULL,
+      confirmed_by TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (primary_contributor_id) REFERENCES contributors(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS contributor_identity_merges (
+      id TEXT PRIMARY KEY,
+      identity_id TEXT,
+      primary_contributor_id TEXT NOT NULL,
+      alias_contributor_id TEXT NOT NULL,
+      rewritten TEXT NOT NULL,
+      contributor_repository_snapshot TEXT NOT NULL,
+      merged_by TEXT,
+      merged_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      undone_by TEXT,
+      undone_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_contributors_identity_id ON contributors(identity_id);
+    CREATE INDEX IF NOT EXISTS idx_commits_author_email ON commits(author_email);
+    CREATE INDEX IF NOT EXISTS idx_identity_merges_alias ON contributor_identity_merges(alias_contributor_id);
+    CREATE INDEX IF NOT EXISTS idx_identity_merges_primary ON contributor_identity_merges(primary_contributor_id);
+  `);
+
+  ensuredConnections.add(db);
+}
+
+/**
+ * Split a list of ids into batches that fit in an IN (...) list
+ * @param {Array<string>} ids - Ids
+ * @returns {Array<Array<string>>} Batches
+ */
+function batchesOf(ids) {
+  const batches = [];
+
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    batches.push(ids.slice(i, i + ID_BATCH_SIZE));
+  }
+
+  return batches;
+}
+
+/**
+ * Normalize a person's name for matching: lower case, without accents or
+ * punctuation. Single names ("john") match too many people and are ignored.
+ * @param {string|null} name - Name
+ * @returns {string|null} Normalized name, null if it can't be matched on
+ */
+export function normalizeName(name) {
+  const normalized = (name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+  return normalized.split(' ').length >= 2 ? normalized : null;
+}
+
+/**
+ * Matching key of a commit email
+ * @param {string|null} email - Commit author email
+ * @returns {{signal: string, key: string, value: string}|null} Key, null for missing or shared addresses
+ */
+export function emailKey(email) {
+  const normalized = (email || '').trim().toLowerCase();
+
+  if (!normalized || SHARED_EMAILS.has(normalized)) {
+    return null;
+  }
+
+  const noreply = normalized.match(NOREPLY_EMAIL);
+
+  if (noreply) {
+    return noreply[1]
+      ? { signal: 'github_id', key: `github:${noreply[1]}`, value: noreply[1] }
+      : { signal: 'github_id', key: `login:${noreply[2]}`, value: noreply[2] };
+  }
+
+  return { signal: 'email', key: `email:${normalized}`, value: normalized };
+}
+
+/**
+ * Follow merges to the contributor that now holds a contributor's data
+ * @param {Object} db - SQLite database connection
+ * @param {string|null} contributorId - Contributor ID
+ * @returns {Promise<{id: string, github_id: number}|null>} Primary contributor, or the contributor itself if it was not merged
+ */
+export async function resolveContributor(db, contributorId) {
+  if (!contributorId) {
+    return null;
+  }
+
+  await ensureIdentityTablesExist(db);
+
+  let contributor = await db.get('SELECT id, github_id, merged_into_id FROM contributors WHERE id = ?', [contributorId]);
+  const seen = new Set();
+
+  while (contributor?.merged_into_id && !seen.has(contributor.id)) {
+    seen.add(contributor.id);
+    const primary = await db.get('SELECT id, github_id, merged_into_id FROM contributors WHERE id = ?', [contributor.merged_into_id]);
+
+    if (!primary) {
+      break;
+    }
+
+    contributor = primary;
+  }
+
+  return contributor ? { id: contributor.id, github_id: contributor.github_id } : null;
+}
+
+/**
+ * Store the author email and name of a commit on all of its rows
+ * @param {Object} db - SQLite database connection
+ * @param {string} sha - Commit SHA
+ * @param {string} repositoryId - Repository ID
+ * @param {Object} [author] - Git author of the commit: { name, email }
+ * @returns {Promise<void>}
+ */
+export async function recordCommitAuthor(db, sha, repositoryId, author) {
+  if (!author?.email && !author?.name) {
+    return;
+  }
+
+  await ensureIdentityTablesExist(db);
+  await db.run(
+    `UPDATE commits SET author_email = ?, author_name = ?
+     WHERE github_id = ? AND repository_id = ?`,
+    [author.email || null, author.name || null, sha, repositoryId]
+  );
+}
+
+/**
+ * Find clusters of contributors that look like the same person
+ * @param {Object} [options] - Options
+ * @param {number} [options.minConfidence=0] - Lowest confidence to return
+ * @returns {Promise<Array<Object>>} Candidates: { contributors, suggested_primary_id, confidence, evidence, identity_ids }
+ */
+export async function findIdentityCandidates({ minConfidence = 0 } = {}) {
+  const db = await getConnection();
+  await ensureIdentityTablesExist(db);
+
+  const contributors = await db.all(`
+    SELECT
+      c.id, c.github_id, c.username, c.name, c.is_placeholder, c.identity_id,
+      (SELECT COUNT(DISTINCT cm.github_id) FROM commits cm WHERE cm.contributor_id = c.id) AS commits
+    FROM contributors c
+    WHERE c.merged_into_id IS NULL
+      AND COALESCE(c.is_bot, 0) = 0
+  `);
+  const authors = await db.all(`
+    SELECT DISTINCT contributor_id, author_email, author_name
+    FROM commits
+    WHERE contributor_id IS NOT NULL
+      AND (author_email IS NOT NULL OR author_name IS NOT NULL)
+  `);
+
+  const byId = new Map(contributors.map(contributor => [contributor.id, { ...contributor, emails: new Set() }]));
+  const keys = new Map();
+
+  const addKey = (contributorId, match) => {
+    if (!match || !byId.has(contributorId)) {
+      return;
+    }
+
+    if (!keys.has(match.key)) {
+      keys.set(match.key, { signal: match.signal, value: match.value, contributorIds: new Set() });
+    }
+
+    keys.get(match.key).contributorIds.add(contributorId);
+  };
+
+  const nameKey = (name) => {
+    const normalized = normalizeName(name);
+    return normalized ? { signal: 'name', key: `name:${normalized}`, value: normalized } : null;
+  };
+
+  for (const contributor of contributors) {
+    addKey(contributor.id, { signal: 'github_id', key: `github:${contributor.github_id}`, value: String(contributor.github_id) });
+    if (contributor.username) {
+      addKey(contributor.id, { signal: 'github_id', key: `login:${contributor.username.toLowerCase()}`, value: contributor.username.toLowerCase() });
+    }
+    addKey(contributor.id, nameKey(contributor.name));
+  }
+
+  for (const author of authors) {
+    addKey(author.contributor_id, emailKey(author.author_email));
+    addKey(author.contributor_id, nameKey(author.author_name));
+
+    if (author.author_email && byId.has(author.contributor_id)) {
+      byId.get(author.contributor_id).emails.add(author.author_email.toLowerCase());
+    }
+  }
+
+  // Union-find over the contributors that share a key
+  const parent = new Map(contributors.map(contributor => [contributor.id, contributor.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const sharedKeys = [...keys.values()].filter(entry => entry.contributorIds.size > 1);
+
+  for (const entry of sharedKeys) {
+    const [first, ...rest] = entry.contributorIds;
+    rest.forEach(id => parent.set(find(id), find(first)));
+  }
+
+  const clusters = new Map();
+
+  for (const entry of sharedKeys) {
+    const root = find([...entry.contributorIds][0]);
+
+    if (!clusters.has(root)) {
+      clusters.set(root, { members: new Set(), evidence: [] });
+    }
+
+    const cluster = clusters.get(root);
+    entry.contributorIds.forEach(id => cluster.members.add(id));
+    cluster.evidence.push({ signal: entry.signal, value: entry.value, contributor_ids: [...entry.contributorIds] });
+  }
+
+  const candidates = [];
+
+  for (const { members, evidence } of clusters.values()) {
+    const memberRows = [...members].map(id => byId.get(id));
+    const identityIds = [...new Set(memberRows.map(member => member.identity_id))];
+
+    // Already confirmed as one identity
+    if (identityIds.length === 1 && identityIds[0]) {
+      continue;
+    }
+
+    const confidence = Math.max(...evidence.map(entry => SIGNAL_CONFIDENCE[entry.signal]));
+
+    if (confidence < minConfidence) {
+      continue;
+    }
+
+    // Prefer a real account with the most commits as the primary
+    const [suggestedPrimary] = [...memberRows].sort((a, b) =>
+      (a.is_placeholder ? 1 : 0) - (b.is_placeholder ? 1 : 0) || b.commits - a.commits);
+
+    candidates.push({
+      contributors: memberRows.map(member => ({
+        id: member.id,
+        github_id: member.github_id,
+        username: member.username,
+        name: member.name,
+        is_placeholder: Boolean(member.is_placeholder),
+        identity_id: member.identity_id,
+        commits: member.commits,
+        emails: [...member.emails].sort()
+      })),
+      suggested_primary_id: suggestedPrimary.id,
+      confidence,
+      evidence: evidence.sort((a, b) => SIGNAL_CONFIDENCE[b.signal] - SIGNAL_CONFIDENCE[a.signal]),
+      identity_ids: identityIds.filter(Boolean)
+    });
+  }
+
+  return candidates.sort((a, b) => b.confidence - a.confidence || b.contributors.length - a.contributors.length);
+}
+
+/**
+ * Parse the JSON columns of an audit log row
+ * @param {Object} row - contributor_identity_merges row
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.details=false] - Include the rewritten row ids and snapshot
+ * @returns {Object} Merge
+ */
+function fromMergeRow(row, { details = false } = {}) {
+  const rewritten = JSON.parse(row.rewritten);
+  const merge = {
+    id: row.id,
+    identity_id: row.identity_id,
+    primary_contributor_id: row.primary_contributor_id,
+    alias_contributor_id: row.alias_contributor_id,
+    rows_rewritten: Object.fromEntries(Object.entries(rewritten.references)
+      .map(([reference, ids]) => [reference, ids.length])),
+    merged_by: row.merged_by,
+    merged_at: row.merged_at,
+    undone_by: row.undone_by,
+    undone_at: row.undone_at
+  };
+
+  if (details) {
+    merge.rewritten = rewritten;
+    merge.contributor_repository_snapshot = JSON.parse(row.contributor_repository_snapshot);
+  }
+
+  return merge;
+}
+
+/**
+ * List the merge audit log, newest first
+ * @param {Object} [options] - Options
+ * @param {string} [options.contributorId] - Only merges into or of this contributor
+ * @param {number} [options.limit=50] - Merges to return
+ * @returns {Promise<Array<Object>>} Merges
+ */
+export async function listIdentityMerges({ contributorId, limit = 50 } = {}) {
+  const db = await getConnection();
+  await ensureIdentityTablesExist(db);
+
+  const rows = await db.all(`
+    SELECT * FROM contributor_identity_merges
+    ${contributorId ? 'WHERE primary_contributor_id = ? OR alias_contributor_id = ?' : ''}
+    ORDER BY merged_at DESC
+    LIMIT ?
+  `, contributorId ? [contributorId, contributorId, limit] : [limit]);
+
+  return rows.map(row => fromMergeRow(row));
+}
+
+/**
+ * Get a confirmed identity with its contributors and merges
+ * @param {string} identityId - Identity ID
+ * @returns {Promise<Object|null>} Identity, or null if not found
+ */
+export async function getIdentity(identityId) {
+  const db = await getConnection();
+  await ensureIdentityTablesExist(db);
+
+  const identity = await db.get('SELECT * FROM contributor_identities WHERE id = ?', [identityId]);
+
+  if (!identity) {
+    return null;
+  }
+
+  const contributors = await db.all(`
+    SELECT id, github_id, username, name, avatar, is_placeholder, merged_into_id
+    FROM contributors
+    WHERE identity_id = ?
+    ORDER BY id = ? DESC, username
+  `, [identityId, identity.primary_contributor_id]);
+  const merges = await db.all(
+    'SELECT * FROM contributor_identity_merges WHERE identity_id = ? ORDER BY merged_at DESC',
+    [identityId]
+  );
+
+  return {
+    ...identity,
+    contributors: contributors.map(contributor => ({
+      ...contributor,
+      is_placeholder: Boolean(contributor.is_placeholder),
+      is_primary: contributor.id === identity.primary_contributor_id
+    })),
+    merges: merges.map(row => fromMergeRow(row))
+  };
+}
+
+/**
+ * Confirm that contributors are the same person. Contributors that already
+ * belong to identities bring those identities' other contributors along.
+ * @param {Object} options - Options
+ * @param {Array<string>} options.contributorIds - Contributor IDs, at least two
+ * @param {string} [options.primaryContributorId] - Contributor to merge the others into
+ * @param {string} [options.confirmedBy] - API key that confirmed the identity
+ * @returns {Promise<Object>} Identity
+ */
+export async function confirmIdentity({ contributorIds, primaryContributorId, confirmedBy = null }) {
+  const ids = [...new Set(Array.isArray(contributorIds) ? contributorIds : [])];
+
+  if (ids.length < 2) {
+    throw new Error('Invalid identity: contributor_ids must list at least two contributors');
+  }
+
+  const db = await getConnection();
+  await ensureIdentityTablesExist(db);
+
+  const contributors = await db.all(
+    `SELECT id, identity_id, merged_into_id FROM contributors WHERE id IN (${ids.map(() => '?').join(', ')})`,
+    ids
+  );
+
+  for (const id of ids) {
+    const contributor = contributors.find(row => row.id === id);
+
+    if (!contributor) {
+      throw new Error(`Invalid identity: contributor ${id} not found`);
+    }
+    if (contributor.merged_into_id) {
+      throw new Error(`Invalid identity: contributor ${id} has been merged into ${contributor.merged_into_id}`);
+    }
+  }
+
+  if (primaryContributorId && !ids.includes(primaryContributorId)) {
+    throw new Error('Invalid identity: primary_contributor_id must be one of contributor_ids');
+  }
+
+  const existingIdentityIds = [...new Set(contributors.map(row => row.identity_id).filter(Boolean))];
+
+  const identityId = await withTransaction(async (connection) => {
+    const [identityId = uuidv4(), ...foldedIdentityIds] = existingIdentityIds;
+    const existing = await connection.get('SELECT * FROM contributor_identities WHERE id = ?', [identityId]);
+    const primaryId = primaryContributorId || existing?.primary_contributor_id || ids[0];
+
+    if (existing) {
+      await connection.run(
+        `UPDATE contributor_identities SET primary_contributor_id = ?, confirmed_by = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [primaryId, confirmedBy, identityId]
+      );
+    } else {
+      await connection.run(
+        'INSERT INTO contributor_identities (id, primary_contributor_id, confirmed_by) VALUES (?, ?, ?)',
+        [identityId, primaryId, confirmedBy]
+      );
+    }
+
+    // Fold other identities of these contributors into this one
+    for (const foldedId of foldedIdentityIds) {
+      await connection.run('UPDATE contributors SET identity_id = ? WHERE identity_id = ?', [identityId, foldedId]);
+      await connection.run('UPDATE contributor_identity_merges SET identity_id = ? WHERE identity_id = ?', [identityId, foldedId]);
+      await connection.run('DELETE FROM contributor_identities WHERE id = ?', [foldedId]);
+    }
+
+    await connection.run(
+      `UPDATE contributors SET identity_id = ? WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      [identityId, ...ids]
+    );
+
+    return identityId;
+  });
+
+  logger.info(`Confirmed identity ${identityId} for ${ids.length} contributors`, { confirmedBy });
+  return getIdentity(identityId);
+}
+
+/**
+ * Move everything that references an alias onto the primary contributor and
+ * record the merge in the audit log
+ * @param {Object} connection - Connection inside a transaction
+ * @param {Object} primary - Primary contributor row
+ * @param {Object} alias - Alias contributor row
+ * @param {string|null} identityId - Identity the contributors belong to
+ * @param {string|null} mergedBy - API key that made the merge
+ * @returns {Promise<Object>} Merge audit log row
+ */
+async function mergeContributor(connection, primary, alias, identityId, mergedBy) {
+  const references = {};
+
+  for (const { table, column, githubIdColumn } of CONTRIBUTOR_REFERENCES) {
+    const rows = await connection.all(`SELECT id FROM ${table} WHERE ${column} = ?`, [alias.id]);
+
+    await connection.run(
+      `UPDATE ${table} SET ${column} = ?, ${githubIdColumn} = ? WHERE ${column} = ?`,
+      [primary.id, primary.github_id, alias.id]
+    );
+
+    references[`${table}.${column}`] = rows.map(row => row.id);
+  }
+
+  // Rows of both contributors in the repositories the alias contributed to,
+  // as they were before the merge
+  const snapshot = await connection.all(`
+    SELECT * FROM contributor_repository
+    WHERE contributor_id = ?
+       OR (contributor_id = ? AND repository_id IN (SELECT repository_id FROM contributor_repository WHERE contributor_id = ?))
+  `, [alias.id, primary.id, alias.id]);
+
+  for (const aliasRow of snapshot.filter(row => row.contributor_id === alias.id)) {
+    const primaryRow = snapshot.find(row => row.contributor_id === primary.id && row.repository_id === aliasRow.repository_id);
+
+    if (primaryRow) {
+      await connection.run(
+        `UPDATE contributor_repository SET
+          ${CONTRIBUTOR_REPOSITORY_TOTALS.map(total => `${total} = COALESCE(${total}, 0) + ?`).join(',\n          ')},
+          first_contribution_date = MIN(COALESCE(first_contribution_date, ?), COALESCE(?, first_contribution_date)),
+          last_contribution_date = MAX(COALESCE(last_contribution_date, ?), COALESCE(?, last_contribution_date)),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [
+          ...CONTRIBUTOR_REPOSITORY_TOTALS.map(total => aliasRow[total] || 0),
+          aliasRow.first_contribution_date, aliasRow.first_contribution_date,
+          aliasRow.last_contribution_date, aliasRow.last_contribution_date,
+          primaryRow.id
+        ]
+      );
+      await connection.run('DELETE FROM contributor_repository WHERE id = ?', [aliasRow.id]);
+    } else {
+      await connection.run(
+        `UPDATE contributor_repository SET contributor_id = ?, contributor_github_id = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [primary.id, primary.github_id, aliasRow.id]
+      );
+    }
+  }
+
+  await connection.run(
+    'UPDATE contributors SET merged_into_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [primary.id, alias.id]
+  );
+
+  const merge = {
+    id: uuidv4(),
+    identity_id: identityId,
+    primary_contributor_id: primary.id,
+    alias_contributor_id: alias.id,
+    rewritten: JSON.stringify({ alias_github_id: alias.github_id, references }),
+    contributor_repository_snapshot: JSON.stringify(snapshot),
+    merged_by: mergedBy
+  };
+
+  await connection.run(
+    `INSERT INTO contributor_identity_merges (
+      id, identity_id, primary_contributor_id, alias_contributor_id, rewritten, contributor_repository_snapshot, merged_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    Object.values(merge)
+  );
+
+  return connection.get('SELECT * FROM contributor_identity_merges WHERE id = ?', [merge.id]);
+}
+
+/**
+ * Put back everything a merge moved onto the primary contributor
+ * @param {Object} connection - Connection inside a transaction
+ * @param {Object} row - Merge audit log row
+ * @param {string|null} undoneBy - API key that undid the merge
+ * @returns {Promise<void>}
+ */
+async function revertMerge(connection, row, undoneBy) {
+  const { alias_github_id: aliasGithubId, references } = JSON.parse(row.rewritten);
+  const snapshot = JSON.parse(row.contributor_repository_snapshot);
+
+  for (const { table, column, githubIdColumn } of CONTRIBUTOR_REFERENCES) {
+    for (const ids of batchesOf(references[`${table}.${column}`] || [])) {
+      // Rows reassigned since the merge are left alone
+      await connection.run(
+        `UPDATE ${table} SET ${column} = ?, ${githubIdColumn} = ?
+         WHERE ${column} = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+        [row.alias_contributor_id, aliasGithubId, row.primary_contributor_id, ...ids]
+      );
+    }
+  }
+
+  // Take the alias's totals at merge time back out of the primary's rows, so
+  // contributions recorded on those rows since the merge stay with the primary
+  for (const aliasRow of snapshot.filter(snapshotRow => snapshotRow.contributor_id === row.alias_contributor_id)) {
+    const primaryRow = snapshot.find(snapshotRow => (
+      snapshotRow.contributor_id === row.primary_contributor_id && snapshotRow.repository_id === aliasRow.repository_id
+    ));
+    const current = await connection.get(
+      'SELECT * FROM contributor_repository WHERE contributor_id = ? AND repository_id = ?',
+      [row.primary_contributor_id, aliasRow.repository_id]
+    );
+    let aliasRowId = aliasRow.id;
+
+    if (current) {
+      const remaining = CONTRIBUTOR_REPOSITORY_TOTALS.map(total => Math.max((current[total] || 0) - (aliasRow[total] || 0), 0));
+
+      if (!primaryRow && remaining.every(value => value === 0)) {
+        // The row was moved from the alias and nothing was added to it since
+        await connection.run('DELETE FROM contributor_repository WHERE id = ?', [current.id]);
+      } else {
+        // Dates the merge took from the alias go back to the primary's own
+        await connection.run(
+          `UPDATE contributor_repository SET
+            ${CONTRIBUTOR_REPOSITORY_TOTALS.map(total => `${total} = ?`).join(',\n            ')},
+            first_contribution_date = CASE WHEN first_contribution_date = ? THEN COALESCE(?, first_contribution_date) ELSE first_contribution_date END,
+            last_contribution_date = CASE WHEN last_contribution_date = ? THEN COALESCE(?, last_contribution_date) ELSE last_contribution_date END,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+          [
+            ...remaining,
+            aliasRow.first_contribution_date, primaryRow?.first_contribution_date ?? null,
+            aliasRow.last_contribution_date, primaryRow?.last_contribution_date ?? null,
+            current.id
+          ]
+        );
+
+        if (current.id === aliasRow.id) {
+          aliasRowId = uuidv4();
+        }
+      }
+    }
+
+    const restored = { ...aliasRow, id: aliasRowId };
+    const columns = Object.keys(restored);
+    await connection.run(
+      `INSERT INTO contributor_repository (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(restored)
+    );
+  }
+
+  await connection.run(
+    'UPDATE contributors SET merged_into_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [row.alias_contributor_id]
+  );
+  await connection.run(
+    'UPDATE contributor_identity_merges SET undone_by = ?, undone_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [undoneBy, row.id]
+  );
+}
+
+/**
+ * Refresh what depends on the contributors and repositories a merge or undo touched
+ * @param {Array<Object>} merges - Merge audit log rows
+ * @returns {Promise<void>}
+ */
+async function afterIdentityChange(merges) {
+  const db = await getConnection();
+  const contributorIds = [...new Set(merges.flatMap(merge => [merge.primary_contributor_id, merge.alias_contributor_id]))];
+
+  for (const contributorId of contributorIds) {
+    await db.run('INSERT OR IGNORE INTO ranking_aggregate_queue (contributor_id) VALUES (?)', [contributorId]);
+    await invalidateContributorCache(contributorId);
+  }
+
+  const repositories = await db.all(
+    `SELECT DISTINCT repository_id FROM contributor_repository
+     WHERE contributor_id IN (${contributorIds.map(() => '?').join(', ')})`,
+    contributorIds
+  );
+  for (const { repository_id: repositoryId } of repositories) {
+    await invalidateRepositoryCache(repositoryId);
+  }
+
+  try {
+    await refreshRankingAggregates();
+  } catch (error) {
+    logger.error(`Error refreshing ranking aggregates after identity change: ${error.message}`);
+  }
+}
+
+/**
+ * Merge the contributors of a confirmed identity into its primary contributor
+ * @param {string} identityId - Identity ID
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.contributorIds] - Contributors to merge (default: all not yet merged)
+ * @param {string} [options.mergedBy] - API key that made the merge
+ * @returns {Promise<Object|null>} { identity, merges }, or null if the identity was not found
+ */
+export async function mergeIdentity(identityId, { contributorIds, mergedBy = null } = {}) {
+  const db = await getConnection();
+  await ensureIdentityTablesExist(db);
+
+  const identity = await db.get('SELECT * FROM contributor_identities WHERE id = ?', [identityId]);
+
+  if (!identity) {
+    return null;
+  }
+
+  const members = await db.all(
+    'SELECT id, github_id, merged_into_id FROM contributors WHERE identity_id = ?',
+    [identityId]
+  );
+  const primary = members.find(member => member.id === identity.primary_contributor_id);
+
+  if (!primary || primary.merged_into_id) {
+    throw new Error(`Cannot merge identity ${identityId}: its primary contributor is missing or merged`);
+  }
+
+  for (const id of contributorIds || []) {
+    if (!members.some(member => member.id === id)) {
+      throw new Error(`Invalid merge: contributor ${id} does not belong to identity ${identityId}`);
+    }
+  }
+
+  const aliases = members.filter(member =>
+    member.id !== primary.id &&
+    !member.merged_into_id &&
+    (!contributorIds || contributorIds.includes(member.id)));
+
+  const merges = await withTransaction(async (connection) => {
+    const rows = [];
+
+    for (const alias of aliases) {
+      rows.push(await mergeContributor(connection, primary, alias, identityId, mergedBy));
+    }
+
+    return rows;
+  });
+
+  if (merges.length > 0) {
+    logger.info(`Merged ${merges.length} contributors into ${primary.id}`, { identityId, mergedBy });
+    await afterIdentityChange(merges);
+  }
+
+  return {
+    identity: await getIdentity(identityId),
+    merges: merges.map(row => fromMergeRow(row))
+  };
+}
+
+/**
+ * Undo a merge from the audit log
+ * @param {string} mergeId - Merge ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.undoneBy] - API key that undid the merge
+ * @returns {Promise<Object|null>} Undone merge, or null if not found
+ */
+export async function undoIdentityMerge(mergeId, { undoneBy = null } = {}) {
+  const db = await getConnection();
+  await ensureIdentityTablesExist(db);
+
+  const row = await db.get('SELECT * FROM contributor_identity_merges WHERE id = ?', [mergeId]);
+
+  if (!row) {
+    return null;
+  }
+
+  if (row.undone_at) {
+    throw new Error(`Cannot undo merge ${mergeId}: it was already undone`);
+  }
+
+  const primary = await db.get('SELECT merged_into_id FROM contributors WHERE id = ?', [row.primary_contributor_id]);
+
+  if (primary?.merged_into_id) {
+    throw new Error(`Cannot undo merge ${mergeId}: ${row.primary_contributor_id} has since been merged into ${primary.merged_into_id}; undo that merge first`);
+  }
+
+  await withTransaction(connection => revertMerge(connection, row, undoneBy));
+
+  logger.info(`Undid merge of ${row.alias_contributor_id} into ${row.primary_contributor_id}`, { mergeId, undoneBy });
+  await afterIdentityChange([row]);
+
+  return fromMergeRow(await db.get('SELECT * FROM contributor_identity_merges WHERE id = ?', [mergeId]));
+}
+
+/**
+ * Take a contributor out of an identity, undoing its merge if it was merged.
+ * An identity left with one contributor is removed.
+ * @param {string} identityId - Identity ID
+ * @param {string} contributorId - Contributor to split off
+ * @param {Object} [options] - Options
+ * @param {string} [options.splitBy] - API key that split the identity
+ * @returns {Promise<Object|null>} { identity, undone }, or null if the identity was not found
+ */
+export async function splitIdentity(identityId, contributorId, { splitBy = null } = {}) {
+  const db = await getConnection();
+  await ensureIdentityTablesExist(db);
+
+  const identity = await db.get('SELECT * FROM contributor_identities WHERE id = ?', [identityId]);
+
+  if (!identity) {
+    return null;
+  }
+
+  const contributor = await db.get(
+    'SELECT id, merged_into_id FROM contributors WHERE id = ? AND identity_id = ?',
+    [contributorId, identityId]
+  );
+
+  if (!contributor) {
+    throw new Error(`Invalid split: contributor ${contributorId} does not belong to identity ${identityId}`);
+  }
+
+  if (contributorId === identity.primary_contributor_id) {
+    throw new Error('Invalid split: the primary contributor cannot be split off; split the other contributors instead');
+  }
+
+  const activeMerge = contributor.merged_into_id
+    ? await db.get(
+      'SELECT id FROM contributor_identity_merges WHERE alias_contributor_id = ? AND undone_at IS NULL ORDER BY merged_at DESC LIMIT 1',
+      [contributorId]
+    )
+    : null;
+  const undone = activeMerge ? await undoIdentityMerge(activeMerge.id, { undoneBy: splitBy }) : null;
+
+  await withTransaction(async (connection) => {
+    await connection.run('UPDATE contributors SET identity_id = NULL WHERE id = ?', [contributorId]);
+
+    const remaining = await connection.all('SELECT id FROM contributors WHERE identity_id = ?', [identityId]);
+
+    if (remaining.length < 2) {
+      await connection.run('UPDATE contributors SET identity_id = NULL WHERE identity_id = ?', [identityId]);
+      await connection.run('DELETE FROM contributor_identities WHERE id = ?', [identityId]);
+    }
+  });
+
+  logger.info(`Split contributor ${contributorId} off identity ${identityId}`, { splitBy });
+
+  return {
+    identity: await getIdentity(identityId),
+    undone
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Notification Channels
+ *
+ * Sends a notification over one outbound channel: a signed JSON POST to a
+ * webhook URL, or an email through the SMTP server configured with the SMTP_*
+ * variables. Each send is a single attempt; retries and the delivery log are
+ * handled by the notification service. Errors carry `retryable` to tell a
+ * temporary failure (timeout, 5xx, SMTP 4xx) from a permanent one.
+ */
+
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+// Webhook requests are aborted after this long
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// The SMTP transport is created on first use, after the environment is loaded
+let transport = null;
+
+/**
+ * Create an error for a failed send
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether another attempt may succeed
+ * @param {string|number} [response] - HTTP status or SMTP response code
+ * @returns {Error} Error with retryable and response set
+ */
+function deliveryError(message, retryable, response = null) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.response = response;
+  return error;
+}
+
+/**
+ * Sign a webhook body the way GitHub signs its deliveries
+ * @param {string} body - Request body exactly as sent
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature header value: sha256=<hex HMAC>
+ */
+export function signNotificationBody(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * POST a notification to a webhook URL. When NOTIFICATION_WEBHOOK_SECRET is
+ * set the body is signed in the X-Notification-Signature-256 header.
+ * @param {Object} options - Webhook options
+ * @param {string} options.url - Webhook URL
+ * @param {Object} options.payload - JSON payload
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Promise<{response: string}>} HTTP status of the receiver
+ */
+export async function sendWebhook({ url, payload, headers = {} }) {
+  const body = JSON.stringify(payload);
+  const secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+
+  let response;
+
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GitHub-Explorer-Notifications',
+        ...headers,
+        ...(secret ? { 'X-Notification-Signature-256': signNotificationBody(body, secret) } : {})
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `timed out after ${WEBHOOK_TIMEOUT_MS}ms` : (error.cause?.message || error.message);
+    throw deliveryError(`Webhook request failed: ${reason}`, true);
+  }
+
+  if (!response.ok) {
+    throw deliveryError(
+      `Webhook responded with HTTP ${response.status}`,
+      response.status >= 500 || response.status === 429,
+      String(response.status)
+    );
+  }
+
+  return { response: String(response.status) };
+}
+
+/**
+ * Get the SMTP transport
+ * @returns {Object} Nodemailer transport
+ */
+function getTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw deliveryError('Email delivery is not configured: set SMTP_HOST', false);
+  }
+
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return transport;
+}
+
+/**
+ * Send a notification email
+ * @param {Object} options - Email options
+ * @param {Array<string>} options.to - Recipients
+ * @param {string} options.subject - Subject
+ * @param {string} options.text - Plain text body
+ * @returns {Promise<{response: string}>} Response of the SMTP server
+ */
+export async function sendEmail({ to, subject, text }) {
+  try {
+    const info = await getTransport().sendMail({
+      from: process.env.NOTIFICATION_EMAIL_FROM || process.env.SMTP_USER || 'github-explorer@localhost',
+      to: to.join(', '),
+      subject,
+      text
+    });
+
+    return { response: info.response };
+  } catch (error) {
+    if (error.retryable !== undefined) {
+      throw error;
+    }
+
+    // 5xx SMTP replies are permanent; connection errors have no reply code
+    throw deliveryError(
+      `Email delivery failed: ${error.message}`,
+      !(error.responseCode >= 500),
+      error.responseCode ? String(error.responseCode) : null
+    );
+  }
+}
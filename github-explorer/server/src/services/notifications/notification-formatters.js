@@ -0,0 +1,239 @@
+/**
+ * Notification Formatters
+ *
+ * Render a notification as the payload a chat webhook expects: Slack Block
+ * Kit or a Discord embed. Both are built from the same summary - title,
+ * text, fields, an optional error excerpt and a link back to the site - so a
+ * notification reads the same in either channel. Types with their own
+ * summary: pipeline failures, weekly ranking changes and sitemap completion.
+ */
+
+// Links point at the site the sitemap is generated for
+const SITE_URL = (process.env.SITEMAP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Characters of a pipeline error shown in the message
+const ERROR_EXCERPT_LENGTH = 500;
+
+const LEVEL_EMOJI = {
+  info: ':information_source:',
+  success: ':white_check_mark:',
+  warning: ':warning:',
+  error: ':rotating_light:'
+};
+
+const LEVEL_COLORS = {
+  info: 0x3b82f6,
+  success: 0x2eb67d,
+  warning: 0xf59e0b,
+  error: 0xe01e5a
+};
+
+/**
+ * Shorten text to a maximum length
+ * @param {string} text - Text
+ * @param {number} length - Maximum length
+ * @returns {string} Text, ending in … when shortened
+ */
+function truncate(text, length) {
+  const value = String(text ?? '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+/**
+ * Convert a SQLite CURRENT_TIMESTAMP value (UTC, no zone) to ISO 8601
+ * @param {string} value - Timestamp
+ * @returns {string} ISO timestamp
+ */
+function toIsoTimestamp(value) {
+  const text = String(value);
+  return new Date(/Z$|[+-]\d\d:\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`).toISOString();
+}
+
+/**
+ * Describe a contributor's move on the leaderboard
+ * @param {Object} entry - Entry of the ranking changes top
+ * @returns {string} e.g. "▲ 3", "new" or "–"
+ */
+function formatRankChange(entry) {
+  if (entry.change === null) {
+    return 'new';
+  }
+
+  if (entry.change === 0) {
+    return '–';
+  }
+
+  return entry.change > 0 ? `▲ ${entry.change}` : `▼ ${-entry.change}`;
+}
+
+/**
+ * Summary of a notification shared by the formatters
+ * @param {Object} notification - Stored notification
+ * @returns {Object} { title, text, fields, lines, excerpt, link }
+ */
+export function summarizeNotification(notification) {
+  const details = notification.details || {};
+  const summary = {
+    title: notification.title,
+    text: notification.message,
+    fields: [],
+    lines: [],
+    excerpt: null,
+    link: { url: `${SITE_URL}/admin`, label: 'Open admin dashboard' }
+  };
+
+  if (details.pipeline_type) {
+    summary.fields.push({ name: 'Pipeline', value: details.pipeline_type });
+  }
+
+  switch (notification.type) {
+    case 'pipeline.failed':
+    case 'pipeline.completed':
+      if (details.status) {
+        summary.fields.push({ name: 'Status', value: details.status });
+      }
+
+      if (details.error) {
+        summary.excerpt = truncate(details.error, ERROR_EXCERPT_LENGTH);
+      }
+
+      summary.link = { url: `${SITE_URL}/admin?tab=history`, label: 'View pipeline history' };
+      break;
+
+    case 'rankings.weekly':
+      summary.fields.push({ name: 'Profile', value: details.profile });
+      summary.lines = (details.top || []).map(entry =>
+        `${entry.rank}. ${entry.name ? `${entry.name} (@${entry.username})` : `@${entry.username}`} ${formatRankChange(entry)}`
+      );
+
+      if (details.dropped?.length > 0) {
+        summary.lines.push(`Left the top ${details.top.length}: ${details.dropped.map(entry => `@${entry.username}`).join(', ')}`);
+      }
+
+      summary.link = { url: `${SITE_URL}/`, label: 'View leaderboard' };
+      break;
+
+    case 'sitemap.generated':
+      summary.fields.push({ name: 'Sitemap files', value: String(details.sitemaps ?? 0) });
+
+      for (const [type, count] of Object.entries(details.urls || {})) {
+        summary.fields.push({ name: `${type} URLs`, value: String(count) });
+      }
+
+      summary.link = { url: `${SITE_URL}/sitemap.xml`, label: 'Open sitemap index' };
+      break;
+
+    default:
+      break;
+  }
+
+  return summary;
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render a notification as a Slack Block Kit message
+ * @param {Object} notification - Stored notification
+ * @returns {Object} Slack incoming webhook payload
+ */
+export function formatSlackMessage(notification) {
+  const summary = summarizeNotification(notification);
+  const emoji = LEVEL_EMOJI[notification.level] || LEVEL_EMOJI.info;
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: truncate(summary.title, 150), emoji: true }
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`${emoji} ${escapeSlack(summary.text)}`, 3000) }
+    }
+  ];
+
+  if (summary.fields.length > 0) {
+    blocks.push({
+      type: 'section',
+      fields: summary.fields.slice(0, 10).map(field => ({
+        type: 'mrkdwn',
+        text: truncate(`*${escapeSlack(field.name)}*\n${escapeSlack(field.value)}`, 2000)
+      }))
+    });
+  }
+
+  if (summary.lines.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(summary.lines.map(escapeSlack).join('\n'), 3000) }
+    });
+  }
+
+  if (summary.excerpt) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `\`\`\`${escapeSlack(summary.excerpt.replace(/```/g, "'''"))}\`\`\`` }
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      { type: 'mrkdwn', text: `<${summary.link.url}|${escapeSlack(summary.link.label)}> · ${notification.level} · ${notification.type}` }
+    ]
+  });
+
+  return {
+    // Shown in push notifications and clients without Block Kit
+    text: truncate(`${summary.title}: ${summary.text}`, 3000),
+    blocks
+  };
+}
+
+/**
+ * Render a notification as a Discord embed
+ * @param {Object} notification - Stored notification
+ * @returns {Object} Discord webhook payload
+ */
+export function formatDiscordMessage(notification) {
+  const summary = summarizeNotification(notification);
+
+  const link = `[${summary.link.label}](${summary.link.url})`;
+  const body = [
+    summary.text,
+    ...(summary.lines.length > 0 ? ['', ...summary.lines] : []),
+    ...(summary.excerpt ? ['', `\`\`\`\n${summary.excerpt.replace(/```/g, "'''")}\n\`\`\``] : [])
+  ].join('\n');
+
+  return {
+    embeds: [
+      {
+        title: truncate(summary.title, 256),
+        // The link is kept when a long body is shortened
+        description: `${truncate(body, 4096 - link.length - 2)}\n\n${link}`,
+        url: summary.link.url,
+        color: LEVEL_COLORS[notification.level] || LEVEL_COLORS.info,
+        fields: summary.fields.slice(0, 25).map(field => ({
+          name: truncate(field.name, 256),
+          value: truncate(field.value, 1024),
+          inline: true
+        })),
+        footer: { text: `${notification.level} · ${notification.type}` },
+        timestamp: toIsoTimestamp(notification.created_at)
+      }
+    ]
+  };
+}
+
+// Payload formatter of each channel format
+export const CHANNEL_FORMATTERS = {
+  slack: formatSlackMessage,
+  discord: formatDiscordMessage
+};
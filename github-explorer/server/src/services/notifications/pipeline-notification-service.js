@@ -1,12 +1,362 @@
 /**
  * Pipeline Notification Service
- * 
+ *
  * This service handles notifications for pipeline events such as
  * schedule creations, pipeline runs, errors, and completions.
+ *
+ * Notifications are stored in the pipeline_notifications table and streamed
+ * on the event bus. The notification_settings row for a notification's level
+ * decides whether it is also sent by email and to a webhook; every outbound
+ * send is recorded in notification_deliveries with its attempts and last error.
+ *
+ * Notification channels post Slack or Discord formatted messages for the
+ * notification types and levels they subscribe to. Each channel is rate
+ * limited per notification type and pipeline, so a flapping pipeline sends a
+ * few messages and the rest are recorded as suppressed.
  */
 
+import crypto from 'crypto';
+import { getConnection } from '../../db/connection-manager.js';
 import { logger } from '../../utils/logger.js';
 import schedulerService from '../scheduler/scheduler-service.js';
+import { eventBus } from '../events/event-bus.js';
+import { getRankingChanges } from '../rankings/ranking-changes.service.js';
+import * as channels from './notification-channels.js';
+import { CHANNEL_FORMATTERS } from './notification-formatters.js';
+
+export const NOTIFICATION_LEVELS = ['info', 'success', 'warning', 'error'];
+
+// Delivery lifecycle states
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+  SUPPRESSED: 'suppressed'
+};
+
+export const CHANNEL_FORMATS = Object.keys(CHANNEL_FORMATTERS);
+
+// Attempts per delivery, and the wait before each retry (doubled every attempt)
+const MAX_DELIVERY_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+
+// Columns of notification_settings that can be set through the API
+const SETTINGS_FIELDS = ['level', 'email_enabled', 'email_recipients', 'webhook_enabled', 'webhook_url', 'is_active'];
+
+// Columns of notification_channels that can be set through the API
+const CHANNEL_FIELDS = ['name', 'format', 'webhook_url', 'event_types', 'levels', 'rate_limit_count', 'rate_limit_window_minutes', 'is_active'];
+
+// Default rate limit of a channel: messages per notification type and pipeline per window
+const DEFAULT_RATE_LIMIT_COUNT = 5;
+const DEFAULT_RATE_LIMIT_WINDOW_MINUTES = 60;
+
+// Ranking changes are reported at most once per this many days, against rankings this old
+const RANKING_CHANGES_DAYS = 7;
+
+// Connections the tables have been created on
+const ensuredConnections = new WeakSet();
+
+/**
+ * Ensure the notification tables exist
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureNotificationTablesExist(db) {
+  if (ensuredConnections.has(db)) {
+    return;
+  }
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS pipeline_notifications (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      message TEXT NOT NULL,
+      details TEXT,
+      level TEXT NOT NULL DEFAULT 'info',
+      is_read INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_settings (
+      id TEXT PRIMARY KEY,
+      level TEXT NOT NULL UNIQUE,
+      email_enabled INTEGER NOT NULL DEFAULT 0,
+      email_recipients TEXT,
+      webhook_enabled INTEGER NOT NULL DEFAULT 0,
+      webhook_url TEXT,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notification_id TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      channel_id TEXT,
+      target TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      response TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      delivered_at TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (notification_id) REFERENCES pipeline_notifications(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_channels (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      format TEXT NOT NULL,
+      webhook_url TEXT NOT NULL,
+      event_types TEXT,
+      levels TEXT,
+      rate_limit_count INTEGER NOT NULL DEFAULT 5,
+      rate_limit_window_minutes INTEGER NOT NULL DEFAULT 60,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pipeline_notifications_created_at ON pipeline_notifications(created_at);
+    CREATE INDEX IF NOT EXISTS idx_pipeline_notifications_level ON pipeline_notifications(level);
+    CREATE INDEX IF NOT EXISTS idx_notification_deliveries_notification_id ON notification_deliveries(notification_id);
+    CREATE INDEX IF NOT EXISTS idx_notification_deliveries_status ON notification_deliveries(status);
+  `);
+
+  // Added for notification channels
+  await db.run('ALTER TABLE notification_deliveries ADD COLUMN channel_id TEXT').catch(err => {
+    // Ignore error if column already exists
+    if (!err.message.includes('duplicate column name')) {
+      throw err;
+    }
+  });
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_notification_deliveries_channel_id ON notification_deliveries(channel_id, created_at);
+  `);
+
+  ensuredConnections.add(db);
+}
+
+/**
+ * Database connection with the notification tables
+ * @returns {Promise<Object>} SQLite database connection
+ */
+async function connection() {
+  const db = await getConnection();
+  await ensureNotificationTablesExist(db);
+  return db;
+}
+
+/**
+ * Shape a pipeline_notifications row into a notification
+ * @param {Object} row - pipeline_notifications row
+ * @returns {Object} Notification
+ */
+function toNotification(row) {
+  return {
+    ...row,
+    details: row.details ? JSON.parse(row.details) : {},
+    is_read: Boolean(row.is_read)
+  };
+}
+
+/**
+ * Shape a notification_settings row
+ * @param {Object} row - notification_settings row
+ * @returns {Object} Settings
+ */
+function toSettings(row) {
+  return {
+    ...row,
+    email_enabled: Boolean(row.email_enabled),
+    webhook_enabled: Boolean(row.webhook_enabled),
+    is_active: Boolean(row.is_active)
+  };
+}
+
+/**
+ * Split a comma separated recipient list
+ * @param {string} recipients - Recipients
+ * @returns {Array<string>} Addresses
+ */
+function parseRecipients(recipients) {
+  return String(recipients || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validate settings and convert them to column values
+ * @param {Object} settings - Complete settings after the update is applied
+ * @returns {Object} Column values
+ */
+function validateSettings(settings) {
+  if (!NOTIFICATION_LEVELS.includes(settings.level)) {
+    throw new Error(`Invalid level: ${settings.level}. Must be one of ${NOTIFICATION_LEVELS.join(', ')}`);
+  }
+
+  const recipients = parseRecipients(
+    Array.isArray(settings.email_recipients) ? settings.email_recipients.join(',') : settings.email_recipients
+  );
+
+  const invalidRecipient = recipients.find(address => !/^[^\s@]+@[^\s@]+$/.test(address));
+
+  if (invalidRecipient) {
+    throw new Error(`Invalid email recipient: ${invalidRecipient}`);
+  }
+
+  if (settings.email_enabled && recipients.length === 0) {
+    throw new Error('Invalid settings: email_recipients is required when email is enabled');
+  }
+
+  if (settings.webhook_url) {
+    let url;
+
+    try {
+      url = new URL(settings.webhook_url);
+    } catch {
+      url = null;
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Invalid webhook_url: ${settings.webhook_url}`);
+    }
+  } else if (settings.webhook_enabled) {
+    throw new Error('Invalid settings: webhook_url is required when the webhook is enabled');
+  }
+
+  return {
+    level: settings.level,
+    email_enabled: settings.email_enabled ? 1 : 0,
+    email_recipients: recipients.length > 0 ? recipients.join(',') : null,
+    webhook_enabled: settings.webhook_enabled ? 1 : 0,
+    webhook_url: settings.webhook_url || null,
+    is_active: settings.is_active === false ? 0 : 1
+  };
+}
+
+/**
+ * Split a comma separated list or an array into trimmed values
+ * @param {string|Array<string>} value - List
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Shape a notification_channels row
+ * @param {Object} row - notification_channels row
+ * @returns {Object} Channel
+ */
+function toChannel(row) {
+  return {
+    ...row,
+    event_types: row.event_types ? row.event_types.split(',') : [],
+    levels: row.levels ? row.levels.split(',') : [],
+    is_active: Boolean(row.is_active)
+  };
+}
+
+/**
+ * Validate a channel and convert it to column values
+ * @param {Object} channel - Complete channel after the update is applied
+ * @returns {Object} Column values
+ */
+function validateChannel(channel) {
+  if (!channel.name || !String(channel.name).trim()) {
+    throw new Error('Invalid channel: name is required');
+  }
+
+  if (!CHANNEL_FORMATS.includes(channel.format)) {
+    throw new Error(`Invalid format: ${channel.format}. Must be one of ${CHANNEL_FORMATS.join(', ')}`);
+  }
+
+  let url;
+
+  try {
+    url = new URL(channel.webhook_url);
+  } catch {
+    url = null;
+  }
+
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Invalid webhook_url: ${channel.webhook_url}`);
+  }
+
+  const levels = parseList(channel.levels);
+  const unknownLevel = levels.find(level => !NOTIFICATION_LEVELS.includes(level));
+
+  if (unknownLevel) {
+    throw new Error(`Invalid level: ${unknownLevel}. Must be one of ${NOTIFICATION_LEVELS.join(', ')}`);
+  }
+
+  const rateLimitCount = Number(channel.rate_limit_count ?? DEFAULT_RATE_LIMIT_COUNT);
+  const rateLimitWindow = Number(channel.rate_limit_window_minutes ?? DEFAULT_RATE_LIMIT_WINDOW_MINUTES);
+
+  if (!Number.isInteger(rateLimitCount) || rateLimitCount < 1) {
+    throw new Error('Invalid rate_limit_count: must be a positive integer');
+  }
+
+  if (!Number.isInteger(rateLimitWindow) || rateLimitWindow < 1) {
+    throw new Error('Invalid rate_limit_window_minutes: must be a positive integer');
+  }
+
+  const eventTypes = parseList(channel.event_types);
+
+  return {
+    name: String(channel.name).trim(),
+    format: channel.format,
+    webhook_url: channel.webhook_url,
+    event_types: eventTypes.length > 0 ? eventTypes.join(',') : null,
+    levels: levels.length > 0 ? levels.join(',') : null,
+    rate_limit_count: rateLimitCount,
+    rate_limit_window_minutes: rateLimitWindow,
+    is_active: channel.is_active === false ? 0 : 1
+  };
+}
+
+/**
+ * Whether a channel subscribes to a notification. Event types match exactly
+ * or by prefix ('pipeline.*'); an empty list matches everything.
+ * @param {Object} channel - Channel
+ * @param {Object} notification - Notification
+ * @returns {boolean} True if the channel should receive it
+ */
+function channelAccepts(channel, notification) {
+  const typeMatches = channel.event_types.length === 0 || channel.event_types.some(type =>
+    type.endsWith('.*') ? notification.type.startsWith(type.slice(0, -1)) : type === notification.type
+  );
+
+  return typeMatches && (channel.levels.length === 0 || channel.levels.includes(notification.level));
+}
+
+/**
+ * Text of a notification email
+ * @param {Object} notification - Notification
+ * @returns {string} Plain text body
+ */
+function formatEmailText(notification) {
+  const details = Object.entries(notification.details || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `  ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+
+  return [
+    notification.message,
+    '',
+    `Level: ${notification.level}`,
+    `Type: ${notification.type}`,
+    `Time: ${notification.created_at}`,
+    ...(details.length > 0 ? ['', 'Details:', ...details] : [])
+  ].join('\n');
+}
 
 /**
  * Pipeline notification service class
@@ -16,23 +366,25 @@ export class PipelineNotificationService {
    * Create a new notification service
    */
   constructor() {
-    // Use in-memory storage instead of Supabase
-    this.notifications = [];
-    this.initializeEventListeners();
-    
     // Bind methods
     this.handleScheduleCreated = this.handleScheduleCreated.bind(this);
     this.handleScheduleUpdated = this.handleScheduleUpdated.bind(this);
     this.handleScheduleDeleted = this.handleScheduleDeleted.bind(this);
     this.handleScheduleExecuting = this.handleScheduleExecuting.bind(this);
-    this.handleScheduleCompleted = this.handleScheduleCompleted.bind(this);
-    this.handleScheduleFailed = this.handleScheduleFailed.bind(this);
+    this.handleScheduleExecuted = this.handleScheduleExecuted.bind(this);
+    this.handleScheduleError = this.handleScheduleError.bind(this);
+    this.handlePipelineEvent = this.handlePipelineEvent.bind(this);
     this.storeNotification = this.storeNotification.bind(this);
     this.getNotifications = this.getNotifications.bind(this);
     this.sendEmail = this.sendEmail.bind(this);
     this.sendWebhook = this.sendWebhook.bind(this);
+
+    // Channel rate limits are checked one notification at a time
+    this.channelReservations = Promise.resolve();
+
+    this.initializeEventListeners();
   }
-  
+
   /**
    * Initialize event listeners for scheduler events
    * @returns {void}
@@ -43,12 +395,15 @@ export class PipelineNotificationService {
     schedulerService.on('schedule:updated', this.handleScheduleUpdated);
     schedulerService.on('schedule:deleted', this.handleScheduleDeleted);
     schedulerService.on('schedule:executing', this.handleScheduleExecuting);
-    schedulerService.on('schedule:completed', this.handleScheduleCompleted);
-    schedulerService.on('schedule:failed', this.handleScheduleFailed);
-    
+    schedulerService.on('schedule:executed', this.handleScheduleExecuted);
+    schedulerService.on('schedule:error', this.handleScheduleError);
+
+    // Pipelines started from the admin dashboard report failures on the event bus
+    eventBus.on('event', this.handlePipelineEvent);
+
     logger.info('Pipeline notification service initialized');
   }
-  
+
   /**
    * Handle schedule created event
    * @param {Object} schedule - Schedule that was created
@@ -68,13 +423,13 @@ export class PipelineNotificationService {
         },
         level: 'info'
       };
-      
+
       await this.storeNotification(notification);
     } catch (error) {
       logger.error('Error handling schedule created event', { error });
     }
   }
-  
+
   /**
    * Handle schedule updated event
    * @param {Object} schedule - Schedule that was updated
@@ -95,13 +450,13 @@ export class PipelineNotificationService {
         },
         level: 'info'
       };
-      
+
       await this.storeNotification(notification);
     } catch (error) {
       logger.error('Error handling schedule updated event', { error });
     }
   }
-  
+
   /**
    * Handle schedule deleted event
    * @param {Object} data - Schedule ID that was deleted
@@ -118,13 +473,13 @@ export class PipelineNotificationService {
         },
         level: 'info'
       };
-      
+
       await this.storeNotification(notification);
     } catch (error) {
       logger.error('Error handling schedule deleted event', { error });
     }
   }
-  
+
   /**
    * Handle schedule executing event
    * @param {Object} schedule - Schedule that is executing
@@ -143,45 +498,56 @@ export class PipelineNotificationService {
         },
         level: 'info'
       };
-      
+
       await this.storeNotification(notification);
     } catch (error) {
       logger.error('Error handling schedule executing event', { error });
     }
   }
-  
+
   /**
-   * Handle schedule completed event
-   * @param {Object} schedule - Schedule that completed
+   * Handle schedule executed event. A run whose pipeline reported errors
+   * is a warning, a clean run a success.
+   * @param {Object} data - Executed run
+   * @param {Object} data.schedule - Schedule that ran
+   * @param {Object} data.result - Run result: { status, error, stats }
    * @returns {Promise<void>}
    */
-  async handleScheduleCompleted(schedule) {
+  async handleScheduleExecuted({ schedule, result = {} }) {
     try {
+      const withErrors = result.status === 'completed_with_errors';
+
       const notification = {
         type: 'pipeline.completed',
-        title: 'Pipeline Execution Completed',
-        message: `Pipeline "${schedule.pipelineType}" execution completed successfully from schedule "${schedule.name}"`,
+        title: withErrors ? 'Pipeline Execution Completed With Errors' : 'Pipeline Execution Completed',
+        message: withErrors
+          ? `Pipeline "${schedule.pipelineType}" execution completed with errors from schedule "${schedule.name}": ${result.error}`
+          : `Pipeline "${schedule.pipelineType}" execution completed successfully from schedule "${schedule.name}"`,
         details: {
           schedule_id: schedule.id,
           pipeline_type: schedule.pipelineType,
           completed_at: new Date().toISOString(),
-          result: schedule.lastResult
+          status: result.status,
+          error: result.error,
+          stats: result.stats
         },
-        level: 'success'
+        level: withErrors ? 'warning' : 'success'
       };
-      
+
       await this.storeNotification(notification);
     } catch (error) {
-      logger.error('Error handling schedule completed event', { error });
+      logger.error('Error handling schedule executed event', { error });
     }
   }
-  
+
   /**
-   * Handle schedule failed event
-   * @param {Object} schedule - Schedule that failed
+   * Handle schedule error event
+   * @param {Object} data - Failed run
+   * @param {Object} data.schedule - Schedule that failed
+   * @param {Error} data.error - Error the run failed with
    * @returns {Promise<void>}
    */
-  async handleScheduleFailed(schedule) {
+  async handleScheduleError({ schedule, error: runError }) {
     try {
       const notification = {
         type: 'pipeline.failed',
@@ -191,107 +557,201 @@ export class PipelineNotificationService {
           schedule_id: schedule.id,
           pipeline_type: schedule.pipelineType,
           failed_at: new Date().toISOString(),
-          error: schedule.lastResult?.error
+          error: runError?.message
         },
         level: 'error'
       };
-      
+
       await this.storeNotification(notification);
-      
-      // For critical errors, send additional notifications
-      await this.sendCriticalErrorNotifications(notification);
     } catch (error) {
-      logger.error('Error handling schedule failed event', { error });
+      logger.error('Error handling schedule error event', { error });
     }
   }
-  
+
   /**
-   * Send notifications for critical errors
-   * @param {Object} notification - Notification object
+   * Handle an event bus event; pipelines run from the admin dashboard
+   * publish pipeline_execution_error when they fail
+   * @param {Object} event - Event bus event
    * @returns {Promise<void>}
    */
-  async sendCriticalErrorNotifications(notification) {
+  async handlePipelineEvent(event) {
+    if (event.type !== 'pipeline_execution_error') {
+      return;
+    }
+
     try {
-      // Log the error but don't attempt to send notifications
-      // since we no longer have access to notification settings
-      logger.error('Critical pipeline error', { 
-        title: notification.title,
-        message: notification.message, 
-        details: notification.details 
-      });
-      
-      // In a production app, you might implement email/webhook sending here
-      // based on environment variables instead of database settings
+      const notification = {
+        type: 'pipeline.failed',
+        title: 'Pipeline Execution Failed',
+        message: `Pipeline "${event.data.pipelineType}" execution failed`,
+        details: {
+          pipeline_type: event.data.pipelineType,
+          history_id: event.data.historyId,
+          failed_at: event.timestamp,
+          error: event.data.error
+        },
+        level: 'error'
+      };
+
+      await this.storeNotification(notification);
     } catch (error) {
-      logger.error('Error sending critical error notifications', { error });
+      logger.error('Error handling pipeline error event', { error });
     }
   }
-  
+
   /**
-   * Store notification in memory
+   * Notify that the sitemaps have been generated
+   * @param {Object} summary - Result of generateAllSitemaps(): { sitemaps, urls }
+   * @returns {Promise<Object>} Stored notification
+   */
+  async notifySitemapGenerated(summary) {
+    const urlCount = Object.values(summary.urls || {}).reduce((total, count) => total + count, 0);
+
+    return this.storeNotification({
+      type: 'sitemap.generated',
+      title: 'Sitemap Generated',
+      message: summary.sitemaps > 0
+        ? `Generated ${summary.sitemaps} sitemap files with ${urlCount} URLs`
+        : 'Sitemap generation finished without any entities to include',
+      details: {
+        pipeline_type: 'sitemap_generation',
+        sitemaps: summary.sitemaps,
+        urls: summary.urls
+      },
+      level: summary.sitemaps > 0 ? 'success' : 'warning'
+    });
+  }
+
+  /**
+   * Notify how the top of the leaderboard changed over the last week. Sent
+   * at most once a week per profile, and only once rankings a week old exist
+   * to compare with.
+   * @param {string} profileName - Ranking profile the rankings were calculated with
+   * @returns {Promise<Object|null>} Stored notification, or null if it is not due
+   */
+  async notifyRankingChanges(profileName) {
+    const db = await connection();
+
+    const recent = await db.get(
+      `SELECT id FROM pipeline_notifications
+       WHERE type = 'rankings.weekly' AND json_extract(details, '$.profile') = ?
+       AND created_at > datetime('now', ?)`,
+      [profileName, `-${RANKING_CHANGES_DAYS} days`]
+    );
+
+    if (recent) {
+      return null;
+    }
+
+    const changes = await getRankingChanges({ profileName, days: RANKING_CHANGES_DAYS });
+
+    if (!changes || changes.top.length === 0) {
+      return null;
+    }
+
+    const climbers = changes.top.filter(entry => entry.change > 0).length;
+    const newcomers = changes.top.filter(entry => entry.change === null).length;
+
+    return this.storeNotification({
+      type: 'rankings.weekly',
+      title: 'Weekly Ranking Changes',
+      message: `Since ${changes.previous_calculated_at.slice(0, 10)}, ${climbers} of the top ${changes.top.length} contributors moved up and ${newcomers} are new`,
+      details: changes,
+      level: 'info'
+    });
+  }
+
+  /**
+   * Store a notification, stream it to the admin UI and start delivering it
+   * to the email and webhook channels enabled for its level
    * @param {Object} notification - Notification to store
+   * @param {string} notification.type - Notification type, e.g. pipeline.failed
+   * @param {string} notification.title - Title
+   * @param {string} notification.message - Message
+   * @param {Object} [notification.details] - Details
+   * @param {string} [notification.level='info'] - info, success, warning or error
    * @returns {Promise<Object>} Stored notification
    */
   async storeNotification(notification) {
     try {
-      // Generate an ID for the notification
-      const id = `notification-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
-      
-      // Add metadata
-      const notificationWithMetadata = {
-        id,
-        ...notification,
-        created_at: new Date().toISOString(),
-        is_read: false
-      };
-      
-      // Store in memory
-      this.notifications.unshift(notificationWithMetadata);
-      
-      // Only keep the most recent 100 notifications
-      if (this.notifications.length > 100) {
-        this.notifications = this.notifications.slice(0, 100);
-      }
-      
+      const db = await connection();
+      const id = crypto.randomUUID();
+      const level = NOTIFICATION_LEVELS.includes(notification.level) ? notification.level : 'info';
+
+      await db.run(
+        `INSERT INTO pipeline_notifications (id, type, title, message, details, level)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, notification.type, notification.title, notification.message, JSON.stringify(notification.details || {}), level]
+      );
+
+      const stored = toNotification(await db.get('SELECT * FROM pipeline_notifications WHERE id = ?', [id]));
+
       logger.debug('Notification stored', { id, type: notification.type });
-      
-      return notificationWithMetadata;
+
+      // Stream the notification to the admin UI; failures are logged by the event bus
+      eventBus.publish({
+        type: 'notification',
+        source: 'notifications',
+        pipelineType: stored.details.pipeline_type || null,
+        level: level === 'warning' ? 'warn' : level,
+        data: stored
+      }).catch(() => {});
+
+      // Retries can take several seconds, so the caller does not wait for them
+      this.deliverNotification(stored).catch(error => {
+        logger.error(`Error delivering notification ${id}`, { error });
+      });
+
+      return stored;
     } catch (error) {
       logger.error('Error storing notification', { error });
       throw error;
     }
   }
-  
+
   /**
-   * Get notifications with filtering and pagination
+   * Get notifications with filtering and pagination, newest first
    * @param {Object} options - Filter and pagination options
-   * @returns {Promise<Array>} Notifications
+   * @param {number} [options.limit=20] - Page size
+   * @param {number} [options.offset=0] - Offset
+   * @param {string} [options.type] - Notification type
+   * @param {string} [options.level] - Level
+   * @param {boolean} [options.unreadOnly=false] - Only unread notifications
+   * @returns {Promise<Object>} { data, count, limit, offset }
    */
   async getNotifications(options = {}) {
     try {
-      const { limit = 20, offset = 0, type, level, is_read } = options;
-      
-      // Filter notifications
-      let filteredNotifications = [...this.notifications];
-      
+      const { limit = 20, offset = 0, type, level, unreadOnly = false } = options;
+      const db = await connection();
+
+      const conditions = [];
+      const params = [];
+
       if (type) {
-        filteredNotifications = filteredNotifications.filter(n => n.type === type);
+        conditions.push('type = ?');
+        params.push(type);
       }
-      
+
       if (level) {
-        filteredNotifications = filteredNotifications.filter(n => n.level === level);
+        conditions.push('level = ?');
+        params.push(level);
       }
-      
-      if (is_read !== undefined) {
-        filteredNotifications = filteredNotifications.filter(n => n.is_read === is_read);
+
+      if (unreadOnly) {
+        conditions.push('is_read = 0');
       }
-      
-      // Apply pagination
-      const paginatedNotifications = filteredNotifications.slice(offset, offset + limit);
-      
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const rows = await db.all(
+        `SELECT * FROM pipeline_notifications ${where} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const { count } = await db.get(`SELECT COUNT(*) AS count FROM pipeline_notifications ${where}`, params);
+
       return {
-        data: paginatedNotifications,
-        count: filteredNotifications.length,
+        data: rows.map(toNotification),
+        count,
         limit,
         offset
       };
@@ -300,7 +760,19 @@ export class PipelineNotificationService {
       throw error;
     }
   }
-  
+
+  /**
+   * Get a notification
+   * @param {string} id - Notification ID
+   * @returns {Promise<Object|null>} Notification, or null if not found
+   */
+  async getNotification(id) {
+    const db = await connection();
+    const row = await db.get('SELECT * FROM pipeline_notifications WHERE id = ?', [id]);
+
+    return row ? toNotification(row) : null;
+  }
+
   /**
    * Mark notification as read
    * @param {string} id - Notification ID
@@ -308,50 +780,452 @@ export class PipelineNotificationService {
    */
   async markNotificationAsRead(id) {
     try {
-      const notification = this.notifications.find(n => n.id === id);
-      
-      if (!notification) {
+      const updated = await this.markNotificationsAsRead([id]);
+
+      if (updated === 0) {
         throw new Error(`Notification with ID ${id} not found`);
       }
-      
-      notification.is_read = true;
-      
-      return notification;
+
+      return this.getNotification(id);
     } catch (error) {
       logger.error('Error marking notification as read', { error });
       throw error;
     }
   }
-  
+
   /**
-   * Send email notification (mock implementation)
-   * @param {Object} options - Email options
-   * @returns {Promise<void>}
+   * Mark notifications as read
+   * @param {Array<string>} ids - Notification IDs
+   * @returns {Promise<number>} Notifications that were unread
    */
-  async sendEmail(options) {
-    logger.info(`[MOCK] Email notification would be sent to ${options.to}`, { 
-      subject: options.subject,
-      message: options.message
+  async markNotificationsAsRead(ids) {
+    const db = await connection();
+    const result = await db.run(
+      `UPDATE pipeline_notifications SET is_read = 1
+       WHERE is_read = 0 AND id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+
+    return result.changes;
+  }
+
+  /**
+   * Get the delivery log of a notification
+   * @param {string} id - Notification ID
+   * @returns {Promise<Array<Object>|null>} Deliveries, or null if the notification does not exist
+   */
+  async getNotificationDeliveries(id) {
+    const db = await connection();
+    const notification = await db.get('SELECT id FROM pipeline_notifications WHERE id = ?', [id]);
+
+    if (!notification) {
+      return null;
+    }
+
+    return db.all('SELECT * FROM notification_deliveries WHERE notification_id = ? ORDER BY id', [id]);
+  }
+
+  /**
+   * Get the notification settings of every level
+   * @returns {Promise<Array<Object>>} Settings
+   */
+  async getNotificationSettings() {
+    const db = await connection();
+    const rows = await db.all('SELECT * FROM notification_settings ORDER BY created_at, level');
+
+    return rows.map(toSettings);
+  }
+
+  /**
+   * Create the notification settings of a level
+   * @param {Object} settings - Settings: level, email_enabled, email_recipients, webhook_enabled, webhook_url, is_active
+   * @returns {Promise<Object>} Created settings
+   */
+  async createNotificationSettings(settings) {
+    const values = validateSettings(settings);
+    const db = await connection();
+
+    const existing = await db.get('SELECT id FROM notification_settings WHERE level = ?', [values.level]);
+
+    if (existing) {
+      throw new Error(`Notification settings already exist for level ${values.level}`);
+    }
+
+    const id = crypto.randomUUID();
+
+    await db.run(
+      `INSERT INTO notification_settings (id, ${SETTINGS_FIELDS.join(', ')}, created_at, updated_at)
+       VALUES (?, ${SETTINGS_FIELDS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [id, ...SETTINGS_FIELDS.map(field => values[field])]
+    );
+
+    return toSettings(await db.get('SELECT * FROM notification_settings WHERE id = ?', [id]));
+  }
+
+  /**
+   * Update notification settings
+   * @param {string} id - Settings ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} Updated settings, or null if not found
+   */
+  async updateNotificationSettings(id, updates) {
+    const db = await connection();
+    const row = await db.get('SELECT * FROM notification_settings WHERE id = ?', [id]);
+
+    if (!row) {
+      return null;
+    }
+
+    const changes = Object.fromEntries(
+      SETTINGS_FIELDS.filter(field => updates[field] !== undefined).map(field => [field, updates[field]])
+    );
+    const values = validateSettings({ ...toSettings(row), ...changes });
+
+    if (values.level !== row.level) {
+      const existing = await db.get('SELECT id FROM notification_settings WHERE level = ? AND id != ?', [values.level, id]);
+
+      if (existing) {
+        throw new Error(`Notification settings already exist for level ${values.level}`);
+      }
+    }
+
+    await db.run(
+      `UPDATE notification_settings
+       SET ${SETTINGS_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...SETTINGS_FIELDS.map(field => values[field]), id]
+    );
+
+    return toSettings(await db.get('SELECT * FROM notification_settings WHERE id = ?', [id]));
+  }
+
+  /**
+   * Delete notification settings
+   * @param {string} id - Settings ID
+   * @returns {Promise<boolean>} True if the settings existed
+   */
+  async deleteNotificationSettings(id) {
+    const db = await connection();
+    const result = await db.run('DELETE FROM notification_settings WHERE id = ?', [id]);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the notification channels
+   * @returns {Promise<Array<Object>>} Channels
+   */
+  async getNotificationChannels() {
+    const db = await connection();
+    const rows = await db.all('SELECT * FROM notification_channels ORDER BY created_at, name');
+
+    return rows.map(toChannel);
+  }
+
+  /**
+   * Get a notification channel
+   * @param {string} id - Channel ID
+   * @returns {Promise<Object|null>} Channel, or null if not found
+   */
+  async getNotificationChannel(id) {
+    const db = await connection();
+    const row = await db.get('SELECT * FROM notification_channels WHERE id = ?', [id]);
+
+    return row ? toChannel(row) : null;
+  }
+
+  /**
+   * Create a Slack or Discord notification channel
+   * @param {Object} channel - Channel: name, format, webhook_url, event_types, levels,
+   *   rate_limit_count, rate_limit_window_minutes, is_active
+   * @returns {Promise<Object>} Created channel
+   */
+  async createNotificationChannel(channel) {
+    const values = validateChannel(channel);
+    const db = await connection();
+    const id = crypto.randomUUID();
+
+    await db.run(
+      `INSERT INTO notification_channels (id, ${CHANNEL_FIELDS.join(', ')}, created_at, updated_at)
+       VALUES (?, ${CHANNEL_FIELDS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [id, ...CHANNEL_FIELDS.map(field => values[field])]
+    );
+
+    return this.getNotificationChannel(id);
+  }
+
+  /**
+   * Update a notification channel
+   * @param {string} id - Channel ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} Updated channel, or null if not found
+   */
+  async updateNotificationChannel(id, updates) {
+    const current = await this.getNotificationChannel(id);
+
+    if (!current) {
+      return null;
+    }
+
+    const changes = Object.fromEntries(
+      CHANNEL_FIELDS.filter(field => updates[field] !== undefined).map(field => [field, updates[field]])
+    );
+    const values = validateChannel({ ...current, ...changes });
+    const db = await connection();
+
+    await db.run(
+      `UPDATE notification_channels
+       SET ${CHANNEL_FIELDS.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...CHANNEL_FIELDS.map(field => values[field]), id]
+    );
+
+    return this.getNotificationChannel(id);
+  }
+
+  /**
+   * Delete a notification channel. Its delivery log entries are kept.
+   * @param {string} id - Channel ID
+   * @returns {Promise<boolean>} True if the channel existed
+   */
+  async deleteNotificationChannel(id) {
+    const db = await connection();
+    const result = await db.run('DELETE FROM notification_channels WHERE id = ?', [id]);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Post a sample message to a channel to check its URL and formatting.
+   * Test messages skip the filters, the rate limit and the delivery log.
+   * @param {string} id - Channel ID
+   * @returns {Promise<Object|null>} { response }, or null if the channel does not exist
+   */
+  async testNotificationChannel(id) {
+    const channel = await this.getNotificationChannel(id);
+
+    if (!channel) {
+      return null;
+    }
+
+    const notification = {
+      id: 'test',
+      type: 'notification.test',
+      title: 'Test Notification',
+      message: `Notifications for channel "${channel.name}" will be posted here`,
+      details: {},
+      level: 'info',
+      created_at: new Date().toISOString()
+    };
+
+    return this.sendWebhook({
+      url: channel.webhook_url,
+      payload: CHANNEL_FORMATTERS[channel.format](notification)
     });
-    
-    // In a real implementation, you would integrate with an email service here
   }
-  
+
   /**
-   * Send webhook notification (mock implementation)
-   * @param {Object} options - Webhook options
-   * @returns {Promise<void>}
+   * Reserve a delivery of a notification to a channel, or record it as
+   * suppressed when the channel already received rate_limit_count
+   * notifications of the same type and pipeline within its window
+   * @param {Object} notification - Stored notification
+   * @param {Object} channel - Channel
+   * @returns {Promise<number|null>} Delivery log ID to send with, or null if suppressed
    */
-  async sendWebhook(options) {
-    logger.info(`[MOCK] Webhook notification would be sent to ${options.url}`, { 
-      payload: options.payload
+  async reserveChannelDelivery(notification, channel) {
+    const reservation = this.channelReservations.then(async () => {
+      const db = await connection();
+
+      const { count } = await db.get(
+        `SELECT COUNT(*) AS count
+         FROM notification_deliveries d
+         JOIN pipeline_notifications n ON n.id = d.notification_id
+         WHERE d.channel_id = ? AND d.status != ?
+         AND n.type = ? AND COALESCE(json_extract(n.details, '$.pipeline_type'), '') = ?
+         AND d.created_at > datetime('now', ?)`,
+        [
+          channel.id,
+          DELIVERY_STATUS.SUPPRESSED,
+          notification.type,
+          notification.details.pipeline_type || '',
+          `-${channel.rate_limit_window_minutes} minutes`
+        ]
+      );
+
+      const suppressed = count >= channel.rate_limit_count;
+
+      const { lastID } = await db.run(
+        `INSERT INTO notification_deliveries (notification_id, channel, channel_id, target, status, last_error, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [
+          notification.id,
+          channel.format,
+          channel.id,
+          channel.webhook_url,
+          suppressed ? DELIVERY_STATUS.SUPPRESSED : DELIVERY_STATUS.PENDING,
+          suppressed
+            ? `Rate limited: ${count} ${notification.type} notifications in the last ${channel.rate_limit_window_minutes} minutes`
+            : null
+        ]
+      );
+
+      if (suppressed) {
+        logger.info(`Suppressed notification ${notification.id} for channel ${channel.name}`, { type: notification.type, count });
+        return null;
+      }
+
+      return lastID;
     });
-    
-    // In a real implementation, you would make an HTTP request to the webhook URL
+
+    // A failed reservation must not block the ones after it
+    this.channelReservations = reservation.catch(() => {});
+
+    return reservation;
+  }
+
+  /**
+   * Send a notification to the channels enabled for its level
+   * @param {Object} notification - Stored notification
+   * @returns {Promise<Array<Object>>} Delivery log entries
+   */
+  async deliverNotification(notification) {
+    const db = await connection();
+    const settings = await db.get(
+      'SELECT * FROM notification_settings WHERE level = ? AND is_active = 1',
+      [notification.level]
+    ) || {};
+
+    const sends = [];
+
+    if (settings.email_enabled && settings.email_recipients) {
+      const to = parseRecipients(settings.email_recipients);
+
+      sends.push({
+        channel: 'email',
+        target: to.join(','),
+        send: () => this.sendEmail({
+          to,
+          subject: `[${notification.level}] ${notification.title}`,
+          text: formatEmailText(notification)
+        })
+      });
+    }
+
+    if (settings.webhook_enabled && settings.webhook_url) {
+      sends.push({
+        channel: 'webhook',
+        target: settings.webhook_url,
+        send: (deliveryId) => this.sendWebhook({
+          url: settings.webhook_url,
+          payload: notification,
+          headers: {
+            'X-Notification-Id': notification.id,
+            'X-Notification-Delivery': String(deliveryId)
+          }
+        })
+      });
+    }
+
+    const subscribed = (await db.all('SELECT * FROM notification_channels WHERE is_active = 1'))
+      .map(toChannel)
+      .filter(channel => channelAccepts(channel, notification));
+
+    for (const channel of subscribed) {
+      const deliveryId = await this.reserveChannelDelivery(notification, channel);
+
+      if (deliveryId) {
+        sends.push({
+          channel: channel.format,
+          target: channel.webhook_url,
+          deliveryId,
+          send: () => this.sendWebhook({
+            url: channel.webhook_url,
+            payload: CHANNEL_FORMATTERS[channel.format](notification)
+          })
+        });
+      }
+    }
+
+    return Promise.all(sends.map(delivery => this.runDelivery(notification.id, delivery)));
+  }
+
+  /**
+   * Send over one channel, retrying temporary failures, and record every
+   * attempt in the delivery log
+   * @param {string} notificationId - Notification ID
+   * @param {Object} delivery - Channel, target, send(deliveryId) function and,
+   *   when already reserved, the delivery log ID
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async runDelivery(notificationId, { channel, target, send, deliveryId: reservedId = null }) {
+    const db = await connection();
+
+    const deliveryId = reservedId || (await db.run(
+      `INSERT INTO notification_deliveries (notification_id, channel, target, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [notificationId, channel, target, DELIVERY_STATUS.PENDING]
+    )).lastID;
+
+    for (let attempt = 1; attempt <= MAX_DELIVERY_ATTEMPTS; attempt++) {
+      try {
+        const { response } = await send(deliveryId);
+
+        await db.run(
+          `UPDATE notification_deliveries
+           SET status = ?, attempts = ?, last_error = NULL, response = ?, delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [DELIVERY_STATUS.DELIVERED, attempt, response || null, deliveryId]
+        );
+
+        logger.info(`Delivered notification ${notificationId} by ${channel}`, { target, attempts: attempt });
+        break;
+      } catch (error) {
+        const willRetry = error.retryable !== false && attempt < MAX_DELIVERY_ATTEMPTS;
+
+        await db.run(
+          `UPDATE notification_deliveries
+           SET status = ?, attempts = ?, last_error = ?, response = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [willRetry ? DELIVERY_STATUS.PENDING : DELIVERY_STATUS.FAILED, attempt, error.message, error.response || null, deliveryId]
+        );
+
+        if (!willRetry) {
+          logger.error(`Failed to deliver notification ${notificationId} by ${channel}`, {
+            target,
+            attempts: attempt,
+            error: error.message
+          });
+          break;
+        }
+
+        logger.warn(`Notification ${notificationId} ${channel} attempt ${attempt} failed, retrying`, { target, error: error.message });
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * 2 ** (attempt - 1)));
+      }
+    }
+
+    return db.get('SELECT * FROM notification_deliveries WHERE id = ?', [deliveryId]);
+  }
+
+  /**
+   * Send email notification through the configured SMTP server
+   * @param {Object} options - Email options: to, subject, text
+   * @returns {Promise<{response: string}>} SMTP response
+   */
+  async sendEmail(options) {
+    return channels.sendEmail(options);
+  }
+
+  /**
+   * Send webhook notification
+   * @param {Object} options - Webhook options: url, payload, headers
+   * @returns {Promise<{response: string}>} HTTP status of the receiver
+   */
+  async sendWebhook(options) {
+    return channels.sendWebhook(options);
   }
 }
 
 // Singleton instance
 const pipelineNotificationService = new PipelineNotificationService();
 
-export default pipelineNotificationService; 
\ No newline at end of file
+export default pipelineNotificationService;
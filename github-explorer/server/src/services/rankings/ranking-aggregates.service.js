@@ -0,0 +1,257 @@
+/**
+ * Ranking Aggregates Service
+ *
+ * Maintains the per-contributor aggregates the ranking calculation reads, so a
+ * `calculate` no longer scans the whole commits table.
+ *
+ * - contributor_commit_aggregates: commit count and lines changed per contributor
+ * - contributor_merge_request_aggregates: commit rows and lines changed per
+ *   contributor and merge request (code efficiency and collaboration)
+ *
+ * Triggers on the commits table queue the contributors whose commits were
+ * written, whichever code path wrote them. refreshRankingAggregates() then
+ * recomputes only the queued contributors. rebuildRankingAggregates()
+ * recomputes everything and reports how far the incremental aggregates had
+ * drifted, as a consistency check.
+ */
+
+import { getConnection } from '../../db/connection-manager.js';
+import { withTransaction } from '../../db/transaction-manager.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('ranking-aggregates-service');
+
+// Commit columns the aggregates are derived from
+const AGGREGATED_COMMIT_COLUMNS = 'contributor_id, pull_request_id, repository_id, github_id, additions, deletions';
+
+// Aggregate rows computed from the commits table, optionally for a single contributor
+const COMMIT_AGGREGATES_QUERY = (where) => `
+  SELECT
+    c.contributor_id,
+    COUNT(DISTINCT c.github_id) AS commit_count,
+    COALESCE(SUM(c.additions), 0) AS lines_added,
+    COALESCE(SUM(c.deletions), 0) AS lines_removed
+  FROM commits c
+  JOIN repositories r ON c.repository_id = r.id
+  WHERE ${where}
+  GROUP BY c.contributor_id
+`;
+
+const MERGE_REQUEST_AGGREGATES_QUERY = (where) => `
+  SELECT
+    c.contributor_id,
+    c.pull_request_id AS merge_request_id,
+    COUNT(*) AS commit_rows,
+    COALESCE(SUM(c.additions + c.deletions), 0) AS commit_changes
+  FROM commits c
+  WHERE ${where} AND c.pull_request_id IS NOT NULL
+  GROUP BY c.contributor_id, c.pull_request_id
+`;
+
+/**
+ * Ensure the aggregate tables, the queue and the commits triggers exist
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureRankingAggregateTablesExist(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS contributor_commit_aggregates (
+      contributor_id TEXT PRIMARY KEY,
+      commit_count INTEGER NOT NULL DEFAULT 0,
+      lines_added INTEGER NOT NULL DEFAULT 0,
+      lines_removed INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS contributor_merge_request_aggregates (
+      contributor_id TEXT NOT NULL,
+      merge_request_id TEXT NOT NULL,
+      commit_rows INTEGER NOT NULL DEFAULT 0,
+      commit_changes INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (contributor_id, merge_request_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_contributor_mr_aggregates_merge_request_id
+      ON contributor_merge_request_aggregates(merge_request_id);
+
+    CREATE TABLE IF NOT EXISTS ranking_aggregate_queue (
+      contributor_id TEXT PRIMARY KEY,
+      queued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TRIGGER IF NOT EXISTS queue_ranking_aggregates_commit_insert
+    AFTER INSERT ON commits
+    WHEN NEW.contributor_id IS NOT NULL
+    BEGIN
+      INSERT OR IGNORE INTO ranking_aggregate_queue (contributor_id) VALUES (NEW.contributor_id);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS queue_ranking_aggregates_commit_update
+    AFTER UPDATE OF ${AGGREGATED_COMMIT_COLUMNS} ON commits
+    BEGIN
+      INSERT OR IGNORE INTO ranking_aggregate_queue (contributor_id)
+        SELECT OLD.contributor_id WHERE OLD.contributor_id IS NOT NULL;
+      INSERT OR IGNORE INTO ranking_aggregate_queue (contributor_id)
+        SELECT NEW.contributor_id WHERE NEW.contributor_id IS NOT NULL;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS queue_ranking_aggregates_commit_delete
+    AFTER DELETE ON commits
+    WHEN OLD.contributor_id IS NOT NULL
+    BEGIN
+      INSERT OR IGNORE INTO ranking_aggregate_queue (contributor_id) VALUES (OLD.contributor_id);
+    END;
+  `);
+}
+
+/**
+ * Recompute the aggregates of one contributor from their commits
+ * @param {Object} db - SQLite database connection
+ * @param {string} contributorId - Contributor ID
+ * @returns {Promise<void>}
+ */
+async function refreshContributor(db, contributorId) {
+  await db.run('DELETE FROM contributor_commit_aggregates WHERE contributor_id = ?', [contributorId]);
+  await db.run('DELETE FROM contributor_merge_request_aggregates WHERE contributor_id = ?', [contributorId]);
+
+  await db.run(
+    `INSERT INTO contributor_commit_aggregates (contributor_id, commit_count, lines_added, lines_removed)
+     ${COMMIT_AGGREGATES_QUERY('c.contributor_id = ?')}`,
+    [contributorId]
+  );
+
+  await db.run(
+    `INSERT INTO contributor_merge_request_aggregates (contributor_id, merge_request_id, commit_rows, commit_changes)
+     ${MERGE_REQUEST_AGGREGATES_QUERY('c.contributor_id = ?')}`,
+    [contributorId]
+  );
+}
+
+/**
+ * Recompute the aggregates of the contributors queued since the last refresh.
+ * Databases that have commits but were never aggregated get a full rebuild.
+ * @returns {Promise<{contributors: number, rebuilt: boolean}>} Number of contributors refreshed
+ */
+export async function refreshRankingAggregates() {
+  const db = await getConnection();
+  await ensureRankingAggregateTablesExist(db);
+
+  const hasAggregates = await db.get('SELECT 1 FROM contributor_commit_aggregates LIMIT 1');
+
+  if (!hasAggregates) {
+    const hasCommits = await db.get('SELECT 1 FROM commits WHERE contributor_id IS NOT NULL LIMIT 1');
+
+    if (hasCommits) {
+      const result = await rebuildRankingAggregates();
+      return { contributors: result.contributors, rebuilt: true };
+    }
+  }
+
+  const queued = await db.all('SELECT contributor_id FROM ranking_aggregate_queue');
+
+  for (const { contributor_id: contributorId } of queued) {
+    await withTransaction(async (connection) => {
+      await refreshContributor(connection, contributorId);
+      await connection.run('DELETE FROM ranking_aggregate_queue WHERE contributor_id = ?', [contributorId]);
+    });
+  }
+
+  if (queued.length > 0) {
+    logger.info(`Refreshed ranking aggregates for ${queued.length} contributors`);
+  }
+
+  return { contributors: queued.length, rebuilt: false };
+}
+
+/**
+ * Recompute all aggregates from the commits table
+ * @returns {Promise<Object>} Aggregate row counts and the number of rows that
+ *   differed from the incrementally maintained aggregates
+ */
+export async function rebuildRankingAggregates() {
+  const db = await getConnection();
+  await ensureRankingAggregateTablesExist(db);
+
+  logger.info('Rebuilding ranking aggregates from the commits table');
+
+  await db.run('DROP TABLE IF EXISTS temp_commit_aggregates');
+  await db.run('DROP TABLE IF EXISTS temp_merge_request_aggregates');
+
+  await db.run(`
+    CREATE TEMPORARY TABLE temp_commit_aggregates AS
+    ${COMMIT_AGGREGATES_QUERY('c.contributor_id IS NOT NULL')}
+  `);
+  await db.run(`
+    CREATE TEMPORARY TABLE temp_merge_request_aggregates AS
+    ${MERGE_REQUEST_AGGREGATES_QUERY('c.contributor_id IS NOT NULL')}
+  `);
+
+  // Rows missing from either side or with different values
+  const commitMismatches = await db.get(`
+    SELECT COUNT(*) AS count FROM (
+      SELECT * FROM (
+        SELECT contributor_id, commit_count, lines_added, lines_removed FROM temp_commit_aggregates
+        EXCEPT
+        SELECT contributor_id, commit_count, lines_added, lines_removed FROM contributor_commit_aggregates
+      )
+      UNION ALL
+      SELECT * FROM (
+        SELECT contributor_id, commit_count, lines_added, lines_removed FROM contributor_commit_aggregates
+        EXCEPT
+        SELECT contributor_id, commit_count, lines_added, lines_removed FROM temp_commit_aggregates
+      )
+    )
+  `);
+  const mergeRequestMismatches = await db.get(`
+    SELECT COUNT(*) AS count FROM (
+      SELECT * FROM (
+        SELECT contributor_id, merge_request_id, commit_rows, commit_changes FROM temp_merge_request_aggregates
+        EXCEPT
+        SELECT contributor_id, merge_request_id, commit_rows, commit_changes FROM contributor_merge_request_aggregates
+      )
+      UNION ALL
+      SELECT * FROM (
+        SELECT contributor_id, merge_request_id, commit_rows, commit_changes FROM contributor_merge_request_aggregates
+        EXCEPT
+        SELECT contributor_id, merge_request_id, commit_rows, commit_changes FROM temp_merge_request_aggregates
+      )
+    )
+  `);
+
+  try {
+    await withTransaction(async (connection) => {
+      await connection.run('DELETE FROM contributor_commit_aggregates');
+      await connection.run('DELETE FROM contributor_merge_request_aggregates');
+      await connection.run(`
+        INSERT INTO contributor_commit_aggregates (contributor_id, commit_count, lines_added, lines_removed)
+        SELECT contributor_id, commit_count, lines_added, lines_removed FROM temp_commit_aggregates
+      `);
+      await connection.run(`
+        INSERT INTO contributor_merge_request_aggregates (contributor_id, merge_request_id, commit_rows, commit_changes)
+        SELECT contributor_id, merge_request_id, commit_rows, commit_changes FROM temp_merge_request_aggregates
+      `);
+      await connection.run('DELETE FROM ranking_aggregate_queue');
+    });
+  } finally {
+    await db.run('DROP TABLE IF EXISTS temp_commit_aggregates');
+    await db.run('DROP TABLE IF EXISTS temp_merge_request_aggregates');
+  }
+
+  const contributors = await db.get('SELECT COUNT(*) AS count FROM contributor_commit_aggregates');
+  const mergeRequestRows = await db.get('SELECT COUNT(*) AS count FROM contributor_merge_request_aggregates');
+
+  const result = {
+    contributors: contributors.count,
+    mergeRequestRows: mergeRequestRows.count,
+    mismatches: {
+      commitAggregates: commitMismatches.count,
+      mergeRequestAggregates: mergeRequestMismatches.count
+    }
+  };
+
+  logger.info('Rebuilt ranking aggregates', result);
+
+  return result;
+}
@@ -0,0 +1,96 @@
+/**
+ * Ranking Changes Service
+ *
+ * Compares the latest contributor rankings of a profile with the rankings
+ * calculated a given number of days earlier, for the weekly ranking changes
+ * notification.
+ */
+
+import { getConnection } from '../../db/connection-manager.js';
+
+/**
+ * Get how the top of a leaderboard changed since an earlier calculation
+ * @param {Object} options - Options
+ * @param {string} options.profileName - Ranking profile name
+ * @param {string} [options.timeframe='all'] - Ranking window
+ * @param {number} [options.days=7] - Compare with the latest calculation at least this many days older
+ * @param {number} [options.limit=10] - Size of the top compared
+ * @returns {Promise<Object|null>} { current_calculated_at, previous_calculated_at, top, dropped },
+ *   or null when there is no calculation old enough to compare with
+ */
+export async function getRankingChanges({ profileName, timeframe = 'all', days = 7, limit = 10 }) {
+  const db = await getConnection();
+
+  const current = await db.get(
+    `SELECT MAX(calculation_timestamp) AS calculated_at FROM contributor_rankings
+     WHERE ranking_profile_name = ? AND ranking_window = ?`,
+    [profileName, timeframe]
+  );
+
+  if (!current?.calculated_at) {
+    return null;
+  }
+
+  const previous = await db.get(
+    `SELECT MAX(calculation_timestamp) AS calculated_at FROM contributor_rankings
+     WHERE ranking_profile_name = ? AND ranking_window = ?
+     AND calculation_timestamp <= strftime('%Y-%m-%d %H:%M:%f', ?, ?)`,
+    [profileName, timeframe, current.calculated_at, `-${days} days`]
+  );
+
+  if (!previous?.calculated_at) {
+    return null;
+  }
+
+  // Bots and merged aliases are left out of the leaderboard, so they are left out here too
+  const leaderboard = (calculatedAt) => db.all(
+    `SELECT cr.contributor_id, cr.rank_position, c.username, c.name
+     FROM contributor_rankings cr
+     JOIN contributors c ON cr.contributor_id = c.id
+     WHERE cr.calculation_timestamp = ? AND cr.ranking_profile_name = ? AND cr.ranking_window = ?
+     AND COALESCE(c.is_bot, 0) = 0 AND c.merged_into_id IS NULL
+     ORDER BY cr.rank_position ASC`,
+    [calculatedAt, profileName, timeframe]
+  );
+
+  const currentRows = await leaderboard(current.calculated_at);
+  const previousRanks = new Map(
+    (await leaderboard(previous.calculated_at)).map(row => [row.contributor_id, row])
+  );
+  const currentRanks = new Map(currentRows.map(row => [row.contributor_id, row]));
+
+  const top = currentRows.slice(0, limit).map(row => {
+    const previousRank = previousRanks.get(row.contributor_id)?.rank_position ?? null;
+
+    return {
+      contributor_id: row.contributor_id,
+      username: row.username,
+      name: row.name,
+      rank: row.rank_position,
+      previous_rank: previousRank,
+      // Positive when the contributor moved up
+      change: previousRank === null ? null : previousRank - row.rank_position
+    };
+  });
+
+  const topIds = new Set(top.map(entry => entry.contributor_id));
+
+  const dropped = [...previousRanks.values()]
+    .filter(row => row.rank_position <= limit && !topIds.has(row.contributor_id))
+    .map(row => ({
+      contributor_id: row.contributor_id,
+      username: row.username,
+      name: row.name,
+      rank: currentRanks.get(row.contributor_id)?.rank_position ?? null,
+      previous_rank: row.rank_position
+    }));
+
+  return {
+    profile: profileName,
+    timeframe,
+    current_calculated_at: current.calculated_at,
+    previous_calculated_at: previous.calculated_at,
+    top,
+    dropped
+  };
+}
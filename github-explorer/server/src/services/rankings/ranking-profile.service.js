@@ -0,0 +1,228 @@
+/**
+ * Ranking Profile Service
+ *
+ * Manages the named weight sets used to calculate contributor rankings.
+ * Profiles are versioned: saving weights under an existing name creates the
+ * next version instead of changing the old one, so every contributor_rankings
+ * row can be traced back to the exact weights that produced it.
+ */
+
+import { randomUUID } from 'crypto';
+import { getConnection } from '../../db/connection-manager.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('ranking-profile-service');
+
+// Name of the profile seeded with the original ranking formula
+export const DEFAULT_PROFILE_NAME = 'default';
+
+/**
+ * Weights of the original ranking formula
+ * - total: share of each 0-100 component score in the total score
+ * - popularity: share of stars and forks in a repository's popularity
+ * - profile_completeness: points for each filled-in profile field (sums to 100)
+ */
+export const DEFAULT_RANKING_WEIGHTS = {
+  total: {
+    code_volume: 0.05,
+    commit_impact: 0.10,
+    code_efficiency: 0.15,
+    collaboration: 0.20,
+    repo_popularity: 0.20,
+    repo_influence: 0.10,
+    followers: 0.15,
+    profile_completeness: 0.05
+  },
+  popularity: {
+    stars: 0.7,
+    forks: 0.3
+  },
+  profile_completeness: {
+    username: 10,
+    name: 10,
+    avatar: 10,
+    bio: 15,
+    company: 10,
+    location: 10,
+    blog: 10,
+    twitter_username: 10,
+    top_languages: 15
+  }
+};
+
+/**
+ * Ensure the ranking_profiles table exists and contains the default profile
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureRankingProfilesTableExists(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS ranking_profiles (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      weights TEXT NOT NULL,
+      description TEXT,
+      is_default INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(name, version)
+    );
+  `);
+
+  await db.run(
+    `INSERT OR IGNORE INTO ranking_profiles (id, name, version, weights, description, is_default)
+     VALUES (?, ?, 1, ?, ?, 1)`,
+    [
+      `${DEFAULT_PROFILE_NAME}-v1`,
+      DEFAULT_PROFILE_NAME,
+      JSON.stringify(DEFAULT_RANKING_WEIGHTS),
+      'Original contributor ranking formula'
+    ]
+  );
+}
+
+/**
+ * Convert a ranking_profiles row to a profile object
+ * @param {Object} row - Database row
+ * @returns {Object} Profile
+ */
+function fromRow(row) {
+  return {
+    ...row,
+    weights: JSON.parse(row.weights),
+    is_default: Boolean(row.is_default)
+  };
+}
+
+/**
+ * Validate weights and fill in anything left out from the default weights
+ * @param {Object} weights - Partial weights, grouped like DEFAULT_RANKING_WEIGHTS
+ * @returns {Object} Complete weights
+ * @throws {Error} If a group or key is unknown or a weight is not a non-negative number
+ */
+export function resolveWeights(weights = {}) {
+  if (typeof weights !== 'object' || weights === null || Array.isArray(weights)) {
+    throw new Error('Invalid ranking weights: weights must be an object');
+  }
+
+  const resolved = {};
+
+  for (const [group, defaults] of Object.entries(DEFAULT_RANKING_WEIGHTS)) {
+    resolved[group] = { ...defaults };
+  }
+
+  for (const [group, values] of Object.entries(weights)) {
+    if (!resolved[group]) {
+      throw new Error(`Invalid ranking weights: unknown group '${group}'`);
+    }
+
+    for (const [key, value] of Object.entries(values || {})) {
+      if (!(key in resolved[group])) {
+        throw new Error(`Invalid ranking weights: unknown weight '${group}.${key}'`);
+      }
+
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid ranking weights: '${group}.${key}' must be a non-negative number`);
+      }
+
+      resolved[group][key] = value;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * List all ranking profiles, newest version first within each name
+ * @returns {Promise<Array>} Profiles
+ */
+export async function listRankingProfiles() {
+  const db = await getConnection();
+  await ensureRankingProfilesTableExists(db);
+
+  const rows = await db.all('SELECT * FROM ranking_profiles ORDER BY name ASC, version DESC');
+
+  return rows.map(fromRow);
+}
+
+/**
+ * Get a ranking profile
+ * @param {string} [name] - Profile name; the default profile when omitted
+ * @param {number} [version] - Profile version; the latest version when omitted
+ * @returns {Promise<Object|null>} Profile or null if not found
+ */
+export async function getRankingProfile(name, version) {
+  const db = await getConnection();
+  await ensureRankingProfilesTableExists(db);
+
+  const conditions = [];
+  const params = [];
+
+  if (name) {
+    conditions.push('name = ?');
+    params.push(name);
+  } else {
+    conditions.push('is_default = 1');
+  }
+
+  if (version) {
+    conditions.push('version = ?');
+    params.push(version);
+  }
+
+  const row = await db.get(
+    `SELECT * FROM ranking_profiles
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY version DESC
+     LIMIT 1`,
+    params
+  );
+
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * Save a weight set as a new version of a profile
+ * @param {Object} options - Profile details
+ * @param {string} options.name - Profile name
+ * @param {Object} [options.weights] - Weights; anything left out uses the default weights
+ * @param {string} [options.description] - Description of the profile
+ * @param {boolean} [options.isDefault] - Make this profile the default one; new versions of the default profile stay default
+ * @returns {Promise<Object>} Created profile version
+ */
+export async function createRankingProfile({ name, weights, description = null, isDefault }) {
+  if (!name || !/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+    throw new Error('Invalid ranking profile name. Use letters, digits, dashes and underscores');
+  }
+
+  const resolvedWeights = resolveWeights(weights);
+
+  const db = await getConnection();
+  await ensureRankingProfilesTableExists(db);
+
+  const current = await db.get(
+    'SELECT MAX(version) AS version, MAX(is_default) AS is_default FROM ranking_profiles WHERE name = ?',
+    [name]
+  );
+
+  const version = (current?.version || 0) + 1;
+  // The default only moves when another profile is made default
+  const makeDefault = Boolean(isDefault) || Boolean(current?.is_default);
+
+  if (makeDefault) {
+    await db.run('UPDATE ranking_profiles SET is_default = CASE WHEN name = ? THEN 1 ELSE 0 END', [name]);
+  }
+
+  const id = randomUUID();
+
+  await db.run(
+    `INSERT INTO ranking_profiles (id, name, version, weights, description, is_default)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, name, version, JSON.stringify(resolvedWeights), description, makeDefault ? 1 : 0]
+  );
+
+  logger.info(`Saved ranking profile ${name} v${version}`, { isDefault: makeDefault });
+
+  return fromRow(await db.get('SELECT * FROM ranking_profiles WHERE id = ?', [id]));
+}
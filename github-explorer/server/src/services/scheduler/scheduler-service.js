@@ -1,18 +1,96 @@
 /**
  * Pipeline Scheduler Service
- * 
+ *
  * This service manages pipeline scheduling using node-schedule.
  * It provides functionality to schedule, update, and trigger pipeline jobs.
- * 
- * Note: This is currently a memory-only implementation that doesn't persist schedules to a database.
+ *
+ * Schedules are persisted in the pipeline_schedules table and re-armed when the
+ * server starts. Runs that were missed while the server was down are handled
+ * according to each schedule's catch-up policy. Every run claims a lock on the
+ * schedule row first, so when several server instances share the database a
+ * given run only fires once.
  */
 
+import os from 'os';
 import nodeSchedule from 'node-schedule';
+import cronParser from 'cron-parser';
 import { v4 as uuidv4 } from 'uuid';
 import { pipelineFactory } from '../../pipeline/core/pipeline-factory.js';
+import { getConnection } from '../../db/connection-manager.js';
 import { logger } from '../../utils/logger.js';
 import EventEmitter from 'events';
 
+/**
+ * What to do with runs that were missed while no server was running
+ */
+export const CATCH_UP_POLICIES = {
+  SKIP: 'skip',
+  RUN_ONCE: 'run_once',
+  RUN_ALL: 'run_all'
+};
+
+// How long a claimed run holds the schedule lock before other instances may take over
+const LOCK_TTL_MINUTES = parseInt(process.env.SCHEDULER_LOCK_TTL_MINUTES, 10) || 60;
+
+// Upper bound for the 'run_all' policy so a long outage can't queue thousands of runs
+const MAX_CATCH_UP_RUNS = parseInt(process.env.SCHEDULER_MAX_CATCH_UP_RUNS, 10) || 24;
+
+/**
+ * Ensure the pipeline_schedules table exists with the columns the scheduler needs.
+ * Databases created before schedules were persisted are upgraded in place.
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureSchedulesTableExists(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS pipeline_schedules (
+      id TEXT PRIMARY KEY,
+      pipeline_type TEXT NOT NULL,
+      cron_expression TEXT,
+      is_active BOOLEAN DEFAULT 0,
+      parameters TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      description TEXT,
+      name TEXT,
+      time_zone TEXT NOT NULL DEFAULT 'UTC',
+      configuration_id TEXT,
+      catch_up_policy TEXT NOT NULL DEFAULT 'skip',
+      last_run_at TIMESTAMP,
+      next_run_at TIMESTAMP,
+      last_result TEXT,
+      locked_by TEXT,
+      locked_until TIMESTAMP,
+      UNIQUE(pipeline_type)
+    );
+  `);
+
+  const columns = [
+    'name TEXT',
+    "time_zone TEXT NOT NULL DEFAULT 'UTC'",
+    'configuration_id TEXT',
+    "catch_up_policy TEXT NOT NULL DEFAULT 'skip'",
+    'last_run_at TIMESTAMP',
+    'next_run_at TIMESTAMP',
+    'last_result TEXT',
+    'locked_by TEXT',
+    'locked_until TIMESTAMP'
+  ];
+
+  for (const column of columns) {
+    await db.run(`ALTER TABLE pipeline_schedules ADD COLUMN ${column}`).catch(err => {
+      // Ignore error if column already exists
+      if (!err.message.includes('duplicate column name')) {
+        throw err;
+      }
+    });
+  }
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_pipeline_schedules_next_run_at ON pipeline_schedules(next_run_at);
+  `);
+}
+
 /**
  * Pipeline scheduler service
  * @extends EventEmitter
@@ -25,30 +103,75 @@ export class SchedulerService extends EventEmitter {
     super();
     this.schedules = new Map();
     this.jobs = new Map();
-    
-    logger.info('Pipeline scheduler service initialized (memory-only implementation)');
+    this.initialized = false;
+
+    // Identifies this process as the holder of schedule locks
+    this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+    logger.info('Pipeline scheduler service initialized', { instance_id: this.instanceId });
   }
-  
+
   /**
    * Check if the database is available
    * @returns {Promise<boolean>} Whether the database is available
    */
   async checkDatabaseAvailability() {
-    // For now, we're not using a database
-    logger.info('Database availability check skipped (using memory-only implementation)');
-    return true;
+    try {
+      const db = await getConnection();
+      await db.get('SELECT 1');
+      return true;
+    } catch (error) {
+      logger.error('Scheduler database is not available', { error });
+      return false;
+    }
   }
-  
+
   /**
-   * Initialize schedules from database
+   * Load schedules from the database, catch up on missed runs and re-arm active schedules
+   * @param {Object} [options] - Initialization options
+   * @param {boolean} [options.startJobs=true] - Arm jobs and run catch-up; pass false to only load schedules
    * @returns {Promise<void>}
    */
-  async initializeFromDatabase() {
-    logger.info('Database initialization skipped (using memory-only implementation)');
-    // No database initialization needed in memory-only mode
-    return;
+  async initializeFromDatabase({ startJobs = true } = {}) {
+    if (this.initialized) {
+      return;
+    }
+
+    const db = await getConnection();
+    await ensureSchedulesTableExists(db);
+
+    const rows = await db.all('SELECT * FROM pipeline_schedules ORDER BY created_at ASC');
+    const now = new Date();
+
+    for (const row of rows) {
+      const schedule = this._fromRow(row);
+      this.schedules.set(schedule.id, schedule);
+
+      if (!startJobs || !schedule.isActive || !schedule.cronExpression) {
+        continue;
+      }
+
+      // Work out missed runs before arming the job moves next_run_at forward
+      const missedRuns = this.getMissedRunTimes(schedule, now);
+
+      this._createScheduleJob(schedule);
+      await this._persistNextRunAt(schedule);
+
+      if (missedRuns.length > 0) {
+        this._catchUp(schedule, missedRuns).catch(error => {
+          logger.error(`Catch-up failed for schedule: ${schedule.name}`, { error });
+        });
+      }
+    }
+
+    this.initialized = true;
+
+    logger.info(`Loaded ${rows.length} pipeline schedules from the database`, {
+      active: Array.from(this.schedules.values()).filter(s => s.isActive).length,
+      jobs_started: startJobs
+    });
   }
-  
+
   /**
    * Create or update a schedule
    * @param {Object} options - Schedule options
@@ -58,6 +181,9 @@ export class SchedulerService extends EventEmitter {
    * @param {string} [options.configurationId] - Pipeline configuration ID
    * @param {string} [options.timeZone='UTC'] - Timezone for the schedule
    * @param {boolean} [options.isActive=true] - Whether the schedule is active
+   * @param {string} [options.catchUpPolicy='skip'] - Missed-run policy: skip, run_once or run_all
+   * @param {Object} [options.parameters] - Values passed to the pipeline context
+   * @param {string} [options.description] - Schedule description
    * @returns {Promise<Object>} Created or updated schedule
    */
   async scheduleJob(options) {
@@ -68,139 +194,175 @@ export class SchedulerService extends EventEmitter {
         cronExpression,
         configurationId,
         timeZone = 'UTC',
-        isActive = true
+        isActive = true,
+        catchUpPolicy = CATCH_UP_POLICIES.SKIP,
+        parameters = null,
+        description = null
       } = options;
-      
+
       // Validate pipeline type
-      if (!pipelineFactory.getPipelineConfig(pipelineType)) {
+      if (!pipelineFactory.getPipelineDefinition(pipelineType)) {
         throw new Error(`Pipeline type not found: ${pipelineType}`);
       }
-      
+
       // Validate cron expression
       if (!this.validateCronExpression(cronExpression)) {
         throw new Error(`Invalid cron expression: ${cronExpression}`);
       }
-      
+
+      this._validateCatchUpPolicy(catchUpPolicy);
+
+      if (this.getSchedules(pipelineType).length > 0) {
+        throw new Error(`Schedule already exists for pipeline type: ${pipelineType}`);
+      }
+
       // Calculate next run time
       const nextRunAt = this.calculateNextRunTime(cronExpression, timeZone);
-      
+      const createdAt = new Date().toISOString();
+
       // Create schedule object
       const schedule = {
         id: uuidv4(),
         name,
         pipelineType,
         cronExpression,
-        configurationId,
+        configurationId: configurationId || null,
         timeZone,
         isActive,
-        createdAt: new Date().toISOString(),
-        nextRunAt: nextRunAt.toISOString()
+        catchUpPolicy,
+        parameters,
+        description,
+        createdAt,
+        updatedAt: createdAt,
+        lastRunAt: null,
+        nextRunAt: isActive ? nextRunAt.toISOString() : null,
+        lastResult: null
       };
-      
+
+      await this.persistSchedule(schedule);
+
       // Add to schedules map
       this.schedules.set(schedule.id, schedule);
-      
-      // Log schedule persistence (would normally save to database)
-      logger.info(`[MEMORY] Persisting schedule to memory: ${schedule.name}`, {
-        schedule_id: schedule.id
-      });
-      
+
       // If active, create the schedule job
       if (isActive) {
         this._createScheduleJob(schedule);
+        await this._persistNextRunAt(schedule);
       }
-      
+
       // Emit schedule created event
       this.emit('schedule:created', schedule);
-      
+
       logger.info(`Pipeline schedule created: ${schedule.name}`, {
         schedule_id: schedule.id,
         pipeline_type: schedule.pipelineType,
         cron_expression: schedule.cronExpression
       });
-      
+
       return schedule;
     } catch (error) {
       logger.error('Failed to create pipeline schedule', { error });
       throw error;
     }
   }
-  
+
   /**
    * Execute a scheduled job
+   *
+   * The run first claims the schedule row. The claim fails when another run of
+   * the schedule still holds the lock, or when another instance has already
+   * run the same fire time, in which case the run is skipped.
    * @param {Object} schedule - Schedule to execute
+   * @param {Object} [options] - Execution options
+   * @param {Date} [options.fireDate] - Scheduled time of this run; omitted for manual triggers
    * @returns {Promise<Object>} Result of job execution
    */
-  async executeJob(schedule) {
+  async executeJob(schedule, { fireDate } = {}) {
+    const claimed = await this._claimRun(schedule, fireDate);
+
+    if (!claimed) {
+      if (!fireDate) {
+        throw new Error(`Schedule is already running: ${schedule.id}`);
+      }
+
+      logger.info(`Skipping scheduled run of ${schedule.name}, already claimed by another run`, {
+        schedule_id: schedule.id,
+        fire_date: fireDate.toISOString()
+      });
+
+      return { status: 'skipped', reason: 'already_claimed' };
+    }
+
+    const lastRunAt = (fireDate || new Date()).toISOString();
+    schedule.lastRunAt = lastRunAt;
+    let lastResult = null;
+
     try {
       logger.info(`Executing scheduled pipeline: ${schedule.name}`, {
         schedule_id: schedule.id,
         pipeline_type: schedule.pipelineType
       });
-      
-      // Update last run time
-      const lastRunAt = new Date().toISOString();
-      const updatedSchedule = this.schedules.get(schedule.id);
-      if (updatedSchedule) {
-        updatedSchedule.lastRunAt = lastRunAt;
-      }
-      
+
       // Emit schedule executing event
       this.emit('schedule:executing', { ...schedule, lastRunAt });
-      
-      // Log the update (would normally update database)
-      logger.info(`[MEMORY] Updated last run time for schedule: ${schedule.id}`);
-      
-      // Get pipeline configuration if we have a configuration ID
-      let pipelineConfig = {};
-      
-      if (schedule.configurationId) {
-        logger.info(`Using configuration ID: ${schedule.configurationId} (would fetch from database)`);
-      }
-      
+
       // Create and execute the pipeline
-      const pipeline = pipelineFactory.createPipeline(schedule.pipelineType, pipelineConfig);
-      
-      // Execute the pipeline
-      const result = await pipeline.execute();
-      
-      // Update last result in memory
-      if (updatedSchedule) {
-        updatedSchedule.lastResult = {
-          status: result.status,
-          error: result.error,
-          timestamp: new Date().toISOString()
-        };
-      }
-      
-      // Log the update (would normally update database)
-      logger.info(`[MEMORY] Updated last result for schedule: ${schedule.id}`);
-      
+      const pipeline = pipelineFactory.createPipeline(schedule.pipelineType);
+
+      const context = await pipeline.run({
+        ...(schedule.parameters || {}),
+        scheduleId: schedule.id
+      });
+
+      const errors = context?.errors || [];
+      const result = {
+        status: errors.length > 0 ? 'completed_with_errors' : 'completed',
+        error: errors.length > 0 ? errors[0].message : null,
+        stats: context?.stats || {}
+      };
+
+      lastResult = {
+        status: result.status,
+        error: result.error,
+        timestamp: new Date().toISOString()
+      };
+
       // Emit completion event
       this.emit('schedule:executed', {
         schedule: { ...schedule, lastRunAt },
         result
       });
-      
+
       logger.info(`Pipeline execution complete: ${schedule.name}`, {
         schedule_id: schedule.id,
         status: result.status
       });
-      
+
       return result;
     } catch (error) {
       logger.error(`Failed to execute pipeline: ${schedule.name}`, { error });
-      
+
+      lastResult = {
+        status: 'failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+
       // Emit error event
       this.emit('schedule:error', {
         schedule,
         error
       });
-      
+
       throw error;
+    } finally {
+      schedule.lastResult = lastResult;
+      await this._releaseRun(schedule).catch(error => {
+        logger.error(`Failed to release lock for schedule: ${schedule.id}`, { error });
+      });
     }
   }
-  
+
   /**
    * Update an existing schedule
    * @param {string} scheduleId - ID of schedule to update
@@ -213,78 +375,56 @@ export class SchedulerService extends EventEmitter {
       if (!this.schedules.has(scheduleId)) {
         throw new Error(`Schedule not found: ${scheduleId}`);
       }
-      
-      const schedule = this.schedules.get(scheduleId);
-      const originalIsActive = schedule.isActive;
-      
+
+      const current = this.schedules.get(scheduleId);
+      const schedule = { ...current };
+
+      if (updates.cronExpression && !this.validateCronExpression(updates.cronExpression)) {
+        throw new Error(`Invalid cron expression: ${updates.cronExpression}`);
+      }
+
+      if (updates.catchUpPolicy) {
+        this._validateCatchUpPolicy(updates.catchUpPolicy);
+      }
+
       // Apply updates
       Object.keys(updates).forEach(key => {
-        // Special handling for specific fields
-        if (key === 'cronExpression' && updates.cronExpression) {
-          if (!this.validateCronExpression(updates.cronExpression)) {
-            throw new Error(`Invalid cron expression: ${updates.cronExpression}`);
-          }
-          schedule.cronExpression = updates.cronExpression;
-          
-          // Recalculate next run time if cron expression changes
-          schedule.nextRunAt = this.calculateNextRunTime(
-            schedule.cronExpression, 
-            schedule.timeZone
-          ).toISOString();
-        } 
-        else if (key === 'timeZone' && updates.timeZone) {
-          schedule.timeZone = updates.timeZone;
-          
-          // Recalculate next run time if timezone changes
-          schedule.nextRunAt = this.calculateNextRunTime(
-            schedule.cronExpression, 
-            schedule.timeZone
-          ).toISOString();
-        }
-        else if (key in schedule) {
+        if (key in schedule && key !== 'id') {
           schedule[key] = updates[key];
         }
       });
-      
+
+      schedule.updatedAt = new Date().toISOString();
+      schedule.nextRunAt = schedule.isActive
+        ? this.calculateNextRunTime(schedule.cronExpression, schedule.timeZone).toISOString()
+        : null;
+
+      await this.persistSchedule(schedule);
+
       // Update the schedule in memory
       this.schedules.set(scheduleId, schedule);
-      
-      // Log the update (would normally update database)
-      logger.info(`[MEMORY] Updated schedule in memory: ${schedule.name}`, {
-        schedule_id: schedule.id
-      });
-      
-      // Handle job scheduling based on active status
-      if (schedule.isActive !== originalIsActive) {
-        if (schedule.isActive) {
-          // If newly activated, create job
-          this._createScheduleJob(schedule);
-        } else {
-          // If newly deactivated, cancel job
-          this._cancelJob(scheduleId);
-        }
-      } 
-      // If still active but cron or timezone changed, recreate the job
-      else if (schedule.isActive && 
-              (updates.cronExpression || updates.timeZone)) {
-        this._cancelJob(scheduleId);
+
+      // Re-arm the job so it picks up the new cron expression, timezone or active flag
+      this._cancelJob(scheduleId);
+      if (schedule.isActive) {
         this._createScheduleJob(schedule);
+        await this._persistNextRunAt(schedule);
       }
-      
+
       // Emit schedule updated event
       this.emit('schedule:updated', schedule);
-      
+
       logger.info(`Pipeline schedule updated: ${schedule.name}`, {
         schedule_id: schedule.id
       });
-      
+
       return schedule;
     } catch (error) {
       logger.error(`Failed to update schedule: ${scheduleId}`, { error });
       throw error;
     }
   }
-  
+
   /**
    * Delete a schedule
    * @param {string} scheduleId - ID of schedule to delete
@@ -296,34 +436,32 @@ export class SchedulerService extends EventEmitter {
       if (!this.schedules.has(scheduleId)) {
         throw new Error(`Schedule not found: ${scheduleId}`);
       }
-      
+
       const schedule = this.schedules.get(scheduleId);
-      
+
       // Cancel any active job
       this._cancelJob(scheduleId);
-      
+
+      const db = await getConnection();
+      await db.run('DELETE FROM pipeline_schedules WHERE id = ?', [scheduleId]);
+
       // Remove from schedules map
       this.schedules.delete(scheduleId);
-      
-      // Log the delete (would normally delete from database)
-      logger.info(`[MEMORY] Deleted schedule from memory: ${schedule.name}`, {
-        schedule_id: schedule.id
-      });
-      
+
       // Emit schedule deleted event
       this.emit('schedule:deleted', { id: scheduleId });
-      
+
       logger.info(`Pipeline schedule deleted: ${schedule.name}`, {
         schedule_id: schedule.id
       });
-      
+
       return true;
     } catch (error) {
       logger.error(`Failed to delete schedule: ${scheduleId}`, { error });
       throw error;
     }
   }
-  
+
   /**
    * Get all schedules, optionally filtered by pipeline type
    * @param {string} [pipelineType] - Pipeline type to filter by
@@ -331,14 +469,14 @@ export class SchedulerService extends EventEmitter {
    */
   getSchedules(pipelineType) {
     const schedules = Array.from(this.schedules.values());
-    
+
     if (pipelineType) {
       return schedules.filter(s => s.pipelineType === pipelineType);
     }
-    
+
     return schedules;
   }
-  
+
   /**
    * Get a schedule by ID
    * @param {string} scheduleId - ID of schedule to get
@@ -347,7 +485,7 @@ export class SchedulerService extends EventEmitter {
   getScheduleById(scheduleId) {
     return this.schedules.get(scheduleId) || null;
   }
-  
+
   /**
    * Trigger a job immediately
    * @param {string} scheduleId - ID of schedule to trigger
@@ -359,13 +497,13 @@ export class SchedulerService extends EventEmitter {
       if (!this.schedules.has(scheduleId)) {
         throw new Error(`Schedule not found: ${scheduleId}`);
       }
-      
+
       const schedule = this.schedules.get(scheduleId);
-      
+
       logger.info(`Manually triggering schedule: ${schedule.name}`, {
         schedule_id: schedule.id
       });
-      
+
       // Execute the job
       return await this.executeJob(schedule);
     } catch (error) {
@@ -373,7 +511,25 @@ export class SchedulerService extends EventEmitter {
       throw error;
     }
   }
-  
+
+  /**
+   * Cancel all jobs and release any locks held by this instance
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    for (const scheduleId of Array.from(this.jobs.keys())) {
+      this._cancelJob(scheduleId);
+    }
+
+    const db = await getConnection();
+    await db.run(
+      'UPDATE pipeline_schedules SET locked_by = NULL, locked_until = NULL WHERE locked_by = ?',
+      [this.instanceId]
+    );
+
+    logger.info('Pipeline scheduler stopped', { instance_id: this.instanceId });
+  }
+
   /**
    * Register an event listener
    * @param {string} event - Event name
@@ -385,7 +541,7 @@ export class SchedulerService extends EventEmitter {
     logger.debug(`Event listener registered for "${event}"`);
     return this;
   }
-  
+
   /**
    * Remove an event listener
    * @param {string} event - Event name
@@ -397,7 +553,7 @@ export class SchedulerService extends EventEmitter {
     logger.debug(`Event listener removed for "${event}"`);
     return this;
   }
-  
+
   /**
    * Validate a cron expression
    * @param {string} expression - Cron expression to validate
@@ -405,15 +561,15 @@ export class SchedulerService extends EventEmitter {
    */
   validateCronExpression(expression) {
     try {
-      // node-schedule will throw an error if the expression is invalid
-      nodeSchedule.scheduleJob(expression, function() {});
+      // cron-parser is what node-schedule uses to interpret cron rules
+      cronParser.parseExpression(expression);
       return true;
     } catch (error) {
       logger.error(`Invalid cron expression: ${expression}`, { error });
       return false;
     }
   }
-  
+
   /**
    * Parse a timezone string
    * @param {string} timeZone - Timezone to parse
@@ -429,50 +585,266 @@ export class SchedulerService extends EventEmitter {
       return 'UTC';
     }
   }
-  
+
   /**
    * Calculate the next run time for a cron expression
    * @param {string} cronExpression - Cron expression
    * @param {string} [timeZone='UTC'] - Timezone for calculation
+   * @param {Date} [fromDate=new Date()] - Calculate the first run after this date
    * @returns {Date} Next run time
    */
-  calculateNextRunTime(cronExpression, timeZone = 'UTC') {
+  calculateNextRunTime(cronExpression, timeZone = 'UTC', fromDate = new Date()) {
     try {
-      // Parse timezone
-      const parsedTimeZone = this.parseTimezone(timeZone);
-      
-      // Calculate next run time
-      const currentDate = new Date();
-      const nextDate = nodeSchedule.scheduleJob({
-        rule: cronExpression,
-        tz: parsedTimeZone
-      }, function() {}).nextInvocation();
-      
-      return nextDate || currentDate;
+      const interval = cronParser.parseExpression(cronExpression, {
+        currentDate: fromDate,
+        tz: this.parseTimezone(timeZone)
+      });
+
+      return interval.next().toDate();
     } catch (error) {
       logger.error('Failed to calculate next run time', { error });
       return new Date();
     }
   }
-  
+
+  /**
+   * Get the fire times a schedule missed while no server was running,
+   * i.e. everything from the persisted next run up to now that hasn't run yet
+   * @param {Object} schedule - Schedule to check
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Array<Date>} Missed fire times, oldest first
+   */
+  getMissedRunTimes(schedule, now = new Date()) {
+    if (!schedule.nextRunAt) {
+      return [];
+    }
+
+    const firstMissed = new Date(schedule.nextRunAt);
+
+    if (firstMissed > now) {
+      return [];
+    }
+
+    const missed = [firstMissed];
+    const interval = cronParser.parseExpression(schedule.cronExpression, {
+      currentDate: firstMissed,
+      endDate: now,
+      tz: this.parseTimezone(schedule.timeZone)
+    });
+
+    // Collect one more than the cap so callers can tell the list was truncated
+    while (interval.hasNext() && missed.length <= MAX_CATCH_UP_RUNS) {
+      missed.push(interval.next().toDate());
+    }
+
+    const lastRunAt = schedule.lastRunAt ? new Date(schedule.lastRunAt) : null;
+
+    return missed.filter(date => !lastRunAt || date > lastRunAt);
+  }
+
   /**
-   * Persist a schedule to memory (stub implementation)
+   * Persist a schedule's definition to the database
    * @param {Object} schedule - Schedule to persist
    * @returns {Promise<Object>} Persisted schedule
    */
   async persistSchedule(schedule) {
     try {
-      logger.info(`[MEMORY] Persisting schedule to memory: ${schedule.name}`, {
-        schedule_id: schedule.id
-      });
-      
+      const db = await getConnection();
+      await ensureSchedulesTableExists(db);
+
+      await db.run(
+        `INSERT INTO pipeline_schedules (
+          id, pipeline_type, name, cron_expression, time_zone, is_active, parameters,
+          configuration_id, catch_up_policy, description, next_run_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name,
+          cron_expression = excluded.cron_expression,
+          time_zone = excluded.time_zone,
+          is_active = excluded.is_active,
+          parameters = excluded.parameters,
+          configuration_id = excluded.configuration_id,
+          catch_up_policy = excluded.catch_up_policy,
+          description = excluded.description,
+          next_run_at = excluded.next_run_at,
+          updated_at = excluded.updated_at`,
+        [
+          schedule.id,
+          schedule.pipelineType,
+          schedule.name,
+          schedule.cronExpression,
+          schedule.timeZone,
+          schedule.isActive ? 1 : 0,
+          schedule.parameters ? JSON.stringify(schedule.parameters) : null,
+          schedule.configurationId || null,
+          schedule.catchUpPolicy,
+          schedule.description || null,
+          schedule.nextRunAt,
+          schedule.createdAt,
+          schedule.updatedAt
+        ]
+      );
+
       return schedule;
     } catch (error) {
       logger.error(`Failed to persist schedule: ${schedule.name}`, { error });
+
+      if (error.message.includes('UNIQUE constraint failed: pipeline_schedules.pipeline_type')) {
+        throw new Error(`Schedule already exists for pipeline type: ${schedule.pipelineType}`);
+      }
+
       throw error;
     }
   }
-  
+
+  /**
+   * Run missed fire times according to the schedule's catch-up policy
+   * @param {Object} schedule - Schedule to catch up
+   * @param {Array<Date>} missedRuns - Missed fire times, oldest first
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _catchUp(schedule, missedRuns) {
+    const policy = schedule.catchUpPolicy || CATCH_UP_POLICIES.SKIP;
+
+    logger.info(`Schedule ${schedule.name} missed ${missedRuns.length} run(s) while offline`, {
+      schedule_id: schedule.id,
+      catch_up_policy: policy
+    });
+
+    let runs = [];
+
+    if (policy === CATCH_UP_POLICIES.RUN_ONCE) {
+      runs = [missedRuns[missedRuns.length - 1]];
+    } else if (policy === CATCH_UP_POLICIES.RUN_ALL) {
+      if (missedRuns.length > MAX_CATCH_UP_RUNS) {
+        logger.warn(`Limiting catch-up for ${schedule.name} to the ${MAX_CATCH_UP_RUNS} oldest missed runs`);
+      }
+      runs = missedRuns.slice(0, MAX_CATCH_UP_RUNS);
+    }
+
+    for (const fireDate of runs) {
+      try {
+        await this.executeJob(schedule, { fireDate });
+      } catch (error) {
+        logger.error(`Catch-up run failed for schedule: ${schedule.name}`, {
+          error,
+          fire_date: fireDate.toISOString()
+        });
+      }
+    }
+  }
+
+  /**
+   * Claim a run of a schedule. Succeeds only if no other run holds the lock and,
+   * for scheduled runs, nobody has run this fire time yet.
+   * @param {Object} schedule - Schedule to claim
+   * @param {Date} [fireDate] - Scheduled time of the run
+   * @returns {Promise<boolean>} Whether this instance may run the schedule
+   * @private
+   */
+  async _claimRun(schedule, fireDate) {
+    const db = await getConnection();
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + LOCK_TTL_MINUTES * 60 * 1000);
+    const runAt = (fireDate || now).toISOString();
+
+    const conditions = ['id = ?', '(locked_until IS NULL OR locked_until < ?)'];
+    const params = [this.instanceId, lockedUntil.toISOString(), runAt, now.toISOString(), schedule.id, now.toISOString()];
+
+    if (fireDate) {
+      conditions.push('is_active = 1', '(last_run_at IS NULL OR last_run_at < ?)');
+      params.push(runAt);
+    }
+
+    const result = await db.run(
+      `UPDATE pipeline_schedules
+       SET locked_by = ?, locked_until = ?, last_run_at = ?, updated_at = ?
+       WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
+    return result.changes === 1;
+  }
+
+  /**
+   * Release the lock after a run and record its result and the next run time
+   * @param {Object} schedule - Schedule that ran
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _releaseRun(schedule) {
+    const db = await getConnection();
+    const job = this.jobs.get(schedule.id);
+    const nextRun = job ? job.nextInvocation() : null;
+
+    schedule.nextRunAt = nextRun ? new Date(nextRun).toISOString() : schedule.nextRunAt;
+
+    await db.run(
+      `UPDATE pipeline_schedules
+       SET locked_by = NULL, locked_until = NULL, last_result = ?, next_run_at = ?, updated_at = ?
+       WHERE id = ? AND locked_by = ?`,
+      [
+        schedule.lastResult ? JSON.stringify(schedule.lastResult) : null,
+        schedule.nextRunAt,
+        new Date().toISOString(),
+        schedule.id,
+        this.instanceId
+      ]
+    );
+  }
+
+  /**
+   * Store the next run time of an armed schedule
+   * @param {Object} schedule - Schedule to update
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persistNextRunAt(schedule) {
+    const db = await getConnection();
+    await db.run(
+      'UPDATE pipeline_schedules SET next_run_at = ? WHERE id = ?',
+      [schedule.nextRunAt, schedule.id]
+    );
+  }
+
+  /**
+   * Throw if a catch-up policy is not supported
+   * @param {string} policy - Catch-up policy
+   * @private
+   */
+  _validateCatchUpPolicy(policy) {
+    if (!Object.values(CATCH_UP_POLICIES).includes(policy)) {
+      throw new Error(`Invalid catch-up policy: ${policy}. Must be one of: ${Object.values(CATCH_UP_POLICIES).join(', ')}`);
+    }
+  }
+
+  /**
+   * Convert a pipeline_schedules row to a schedule object
+   * @param {Object} row - Database row
+   * @returns {Object} Schedule
+   * @private
+   */
+  _fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name || row.description || row.pipeline_type,
+      pipelineType: row.pipeline_type,
+      cronExpression: row.cron_expression,
+      configurationId: row.configuration_id,
+      timeZone: row.time_zone || 'UTC',
+      isActive: Boolean(row.is_active),
+      catchUpPolicy: row.catch_up_policy || CATCH_UP_POLICIES.SKIP,
+      parameters: row.parameters ? JSON.parse(row.parameters) : null,
+      description: row.description,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      lastRunAt: row.last_run_at,
+      nextRunAt: row.next_run_at,
+      lastResult: row.last_result ? JSON.parse(row.last_result) : null
+    };
+  }
+
   /**
    * Create a scheduled job
    * @param {Object} schedule - Schedule to create job for
@@ -482,40 +854,47 @@ export class SchedulerService extends EventEmitter {
     try {
       // Cancel existing job if it exists
       this._cancelJob(schedule.id);
-      
+
       logger.debug(`Creating scheduled job: ${schedule.name}`, {
         schedule_id: schedule.id,
         cron: schedule.cronExpression,
         timezone: schedule.timeZone
       });
-      
+
       // Create job
       const job = nodeSchedule.scheduleJob({
         rule: schedule.cronExpression,
         tz: this.parseTimezone(schedule.timeZone)
-      }, async () => {
+      }, async (fireDate) => {
+        // Always run the latest version of the schedule
+        const current = this.schedules.get(schedule.id);
+
+        if (!current) {
+          return;
+        }
+
         try {
-          logger.info(`Scheduled job triggered: ${schedule.name}`, {
-            schedule_id: schedule.id
+          logger.info(`Scheduled job triggered: ${current.name}`, {
+            schedule_id: current.id
           });
-          
+
           // Execute the job
-          await this.executeJob(schedule);
+          await this.executeJob(current, { fireDate: fireDate || new Date() });
         } catch (error) {
-          logger.error(`Error executing scheduled job: ${schedule.name}`, { error });
+          logger.error(`Error executing scheduled job: ${current.name}`, { error });
           // Don't throw - we want the schedule to continue
         }
       });
-      
+
       // Store job reference
       this.jobs.set(schedule.id, job);
-      
+
       // Update next run time in memory
       const nextRun = job.nextInvocation();
       if (nextRun) {
-        this.schedules.get(schedule.id).nextRunAt = nextRun.toISOString();
-        
-        logger.debug(`Next run time: ${nextRun.toISOString()}`, {
+        schedule.nextRunAt = new Date(nextRun).toISOString();
+
+        logger.debug(`Next run time: ${schedule.nextRunAt}`, {
           schedule_id: schedule.id
         });
       }
@@ -524,7 +903,7 @@ export class SchedulerService extends EventEmitter {
       throw error;
     }
   }
-  
+
   /**
    * Cancel a scheduled job
    * @param {string} scheduleId - ID of schedule to cancel job for
@@ -535,13 +914,13 @@ export class SchedulerService extends EventEmitter {
       // Check if job exists
       if (this.jobs.has(scheduleId)) {
         const job = this.jobs.get(scheduleId);
-        
+
         // Cancel job
         job.cancel();
-        
+
         // Remove job reference
         this.jobs.delete(scheduleId);
-        
+
         logger.debug(`Cancelled scheduled job: ${scheduleId}`);
       }
     } catch (error) {
@@ -554,4 +933,4 @@ export class SchedulerService extends EventEmitter {
 // Create singleton instance
 const schedulerService = new SchedulerService();
 
-export default schedulerService; 
\ No newline at end of file
+export default schedulerService;
@@ -0,0 +1,133 @@
+/**
+ * Search Index Service
+ *
+ * Maintains the SQLite FTS5 indexes behind the search API:
+ *
+ * - repositories_fts: name, full_name, description
+ * - contributors_fts: username, name, bio, company
+ * - merge_requests_fts: title, description
+ * - commits_fts: message
+ *
+ * The indexes are external-content tables over the entity tables, so they
+ * store only the index, not a second copy of the text. Triggers on the entity
+ * tables update them whenever a row is written, which keeps them in sync with
+ * every writer (pipeline database writer, enrichers, webhooks) without those
+ * code paths knowing about search. Indexes created on a database that already
+ * has data are rebuilt once from their content table.
+ */
+
+import { getConnection } from '../../db/connection-manager.js';
+import { setupLogger } from '../../utils/logger.js';
+
+// Setup component logger
+const logger = setupLogger('search-index-service');
+
+// Indexed entity tables and the columns indexed for each
+export const SEARCH_INDEXES = {
+  repositories: ['name', 'full_name', 'description'],
+  contributors: ['username', 'name', 'bio', 'company'],
+  merge_requests: ['title', 'description'],
+  commits: ['message']
+};
+
+/**
+ * SQL creating the FTS5 table of an entity table and the triggers keeping it in sync
+ * @param {string} table - Entity table
+ * @param {Array<string>} columns - Indexed columns
+ * @returns {string} SQL statements
+ */
+function searchIndexSql(table, columns) {
+  const index = `${table}_fts`;
+  const columnList = columns.join(', ');
+  const newValues = columns.map(column => `NEW.${column}`).join(', ');
+  const oldValues = columns.map(column => `OLD.${column}`).join(', ');
+
+  return `
+    CREATE VIRTUAL TABLE IF NOT EXISTS ${index} USING fts5(
+      ${columnList},
+      content = '${table}',
+      content_rowid = 'rowid',
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS ${index}_insert AFTER INSERT ON ${table}
+    BEGIN
+      INSERT INTO ${index} (rowid, ${columnList}) VALUES (NEW.rowid, ${newValues});
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${index}_delete AFTER DELETE ON ${table}
+    BEGIN
+      INSERT INTO ${index} (${index}, rowid, ${columnList}) VALUES ('delete', OLD.rowid, ${oldValues});
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${index}_update AFTER UPDATE OF ${columnList} ON ${table}
+    BEGIN
+      INSERT INTO ${index} (${index}, rowid, ${columnList}) VALUES ('delete', OLD.rowid, ${oldValues});
+      INSERT INTO ${index} (rowid, ${columnList}) VALUES (NEW.rowid, ${newValues});
+    END;
+  `;
+}
+
+/**
+ * Ensure the search indexes and their triggers exist, building indexes that
+ * are created on top of existing data
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureSearchIndexesExist(db) {
+  for (const [table, columns] of Object.entries(SEARCH_INDEXES)) {
+    const existing = await db.get(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`,
+      [`${table}_fts`]
+    );
+
+    await db.exec(searchIndexSql(table, columns));
+
+    if (!existing) {
+      await db.run(`INSERT INTO ${table}_fts (${table}_fts) VALUES ('rebuild')`);
+      logger.info(`Created search index ${table}_fts`);
+    }
+  }
+}
+
+/**
+ * Rebuild every search index from its entity table
+ * @returns {Promise<Object>} Indexed row count per entity table
+ */
+export async function rebuildSearchIndexes() {
+  const db = await getConnection();
+  await ensureSearchIndexesExist(db);
+
+  const result = {};
+
+  for (const table of Object.keys(SEARCH_INDEXES)) {
+    await db.run(`INSERT INTO ${table}_fts (${table}_fts) VALUES ('rebuild')`);
+
+    const { count } = await db.get(`SELECT COUNT(*) AS count FROM ${table}`);
+    result[table] = count;
+  }
+
+  logger.info('Rebuilt search indexes', result);
+
+  return result;
+}
+
+/**
+ * Turn free text into an FTS5 query: every word must match, the last one as
+ * a prefix so results show up while the user is still typing
+ * @param {string} text - Search text from the user
+ * @returns {string|null} FTS5 MATCH expression, or null if the text has no words
+ */
+export function toMatchQuery(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}_]+/gu);
+
+  if (!words) {
+    return null;
+  }
+
+  return words
+    .slice(0, 10)
+    .map((word, index, all) => `"${word}"${index === all.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
@@ -0,0 +1,440 @@
+/**
+ * GitHub Webhook Delivery Service
+ *
+ * Verifies, persists and processes GitHub webhook deliveries.
+ *
+ * Every delivery is stored in the webhook_deliveries table (keyed on the
+ * X-GitHub-Delivery header) before it is acknowledged, so duplicate deliveries
+ * are detected and deliveries interrupted by a restart can be picked up again.
+ * Stored payloads can be replayed through the webhook processor pipeline.
+ */
+
+import crypto from 'crypto';
+import { getConnection } from '../../db/connection-manager.js';
+import { processWebhookPayload } from '../../pipeline/stages/webhook-processor-pipeline.js';
+import { storeIssue, linkClosingMergeRequests } from '../github/issue.service.js';
+import { storeMergeRequestReviews } from '../github/review.service.js';
+import { logger } from '../../utils/logger.js';
+
+// Delivery lifecycle states
+export const DELIVERY_STATUS = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  IGNORED: 'ignored'
+};
+
+// Deliveries are processed one at a time to avoid SQLite lock contention
+let processingQueue = Promise.resolve();
+
+// Deliveries waiting in or running through the queue, so a delivery is never queued twice
+const queuedDeliveries = new Map();
+
+// Stored deliveries in these states are not processed again when GitHub redelivers them
+const FINISHED_STATUSES = [DELIVERY_STATUS.PROCESSED, DELIVERY_STATUS.PROCESSING];
+
+/**
+ * Handlers for supported GitHub event types. Each handler receives the webhook
+ * payload and returns the pipeline summary, or null when there is nothing to do.
+ */
+const EVENT_HANDLERS = {
+  /**
+   * Pull request opened/edited/closed/merged - refresh the merge request and
+   * link the issues its description closes
+   */
+  pull_request: async (payload) => {
+    const result = await processWebhookPayload({
+      repository: payload.repository,
+      pull_request: payload.pull_request
+    });
+
+    const issuesLinked = await linkClosingMergeRequests({ repositoryGithubId: payload.repository?.id });
+
+    return { ...result, issuesLinked };
+  },
+
+  /**
+   * Review submitted/edited/dismissed - refresh the reviewed merge request
+   * and store the review
+   */
+  pull_request_review: async (payload) => {
+    const result = await processWebhookPayload({
+      repository: payload.repository,
+      pull_request: payload.pull_request
+    });
+
+    const db = await getConnection();
+    const mergeRequest = await db.get(
+      `SELECT mr.id, mr.repository_id
+       FROM merge_requests mr
+       JOIN repositories r ON mr.repository_id = r.id
+       WHERE r.github_id = ? AND mr.github_id = ?`,
+      [payload.repository?.id, payload.pull_request?.number]
+    );
+
+    if (!mergeRequest || !payload.review) {
+      return result;
+    }
+
+    const reviewsStored = await storeMergeRequestReviews(db, mergeRequest, [payload.review]);
+
+    return { ...result, reviewsStored: reviewsStored.reviews };
+  },
+
+  /**
+   * Push to a branch - refresh the repository
+   */
+  push: async (payload) => {
+    if (payload.deleted) {
+      return null;
+    }
+
+    return processWebhookPayload({
+      repository: payload.repository
+    });
+  },
+
+  /**
+   * Issue opened/edited/closed/labeled - store the issue
+   */
+  issues: async (payload) => {
+    const issue = await storeIssue(payload.issue, payload.repository);
+
+    if (!issue) {
+      return null;
+    }
+
+    const issuesLinked = await linkClosingMergeRequests({ repositoryId: issue.repository_id });
+
+    return { issueId: issue.id, state: issue.state, issuesLinked };
+  }
+};
+
+/**
+ * Get the GitHub event types that have a handler
+ * @returns {string[]} Supported event types
+ */
+export function getSupportedEvents() {
+  return Object.keys(EVENT_HANDLERS);
+}
+
+/**
+ * Verify the X-Hub-Signature-256 header of a webhook request
+ * @param {Buffer|string} rawBody - Raw request body exactly as received
+ * @param {string} signatureHeader - Value of the X-Hub-Signature-256 header
+ * @param {string} secret - Webhook secret configured on GitHub
+ * @returns {boolean} True if the signature matches
+ */
+export function verifyWebhookSignature(rawBody, signatureHeader, secret) {
+  if (!rawBody || !signatureHeader || !secret) {
+    return false;
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(signatureHeader);
+
+  // timingSafeEqual throws on length mismatch
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Ensure the webhook_deliveries table exists
+ * @param {Object} db - SQLite database connection
+ * @returns {Promise<void>}
+ */
+export async function ensureWebhookDeliveriesTableExists(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      delivery_id TEXT PRIMARY KEY,
+      event TEXT NOT NULL,
+      action TEXT,
+      repository_full_name TEXT,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'received',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      result TEXT,
+      received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      processed_at TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON webhook_deliveries(event);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received_at ON webhook_deliveries(received_at);
+  `);
+}
+
+/**
+ * Persist a delivery. GitHub redeliveries reuse the delivery ID: a stored
+ * delivery that is processed or being processed is reported as a duplicate,
+ * while one that failed or never finished is reset so it is processed again.
+ * @param {Object} delivery - Delivery details
+ * @param {string} delivery.deliveryId - X-GitHub-Delivery header
+ * @param {string} delivery.event - X-GitHub-Event header
+ * @param {Object} delivery.payload - Parsed webhook payload
+ * @returns {Promise<{duplicate: boolean, redelivered: boolean, delivery: Object}>} Stored delivery
+ */
+export async function recordDelivery({ deliveryId, event, payload }) {
+  const db = await getConnection();
+  await ensureWebhookDeliveriesTableExists(db);
+
+  const status = EVENT_HANDLERS[event] ? DELIVERY_STATUS.RECEIVED : DELIVERY_STATUS.IGNORED;
+  const values = [
+    event,
+    payload?.action || null,
+    payload?.repository?.full_name || null,
+    JSON.stringify(payload),
+    status
+  ];
+
+  const inserted = await db.run(
+    `INSERT OR IGNORE INTO webhook_deliveries
+     (event, action, repository_full_name, payload, status, delivery_id, received_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+    [...values, deliveryId]
+  );
+
+  let reset = { changes: 0 };
+
+  if (inserted.changes === 0) {
+    reset = await db.run(
+      `UPDATE webhook_deliveries
+       SET event = ?, action = ?, repository_full_name = ?, payload = ?, status = ?,
+           last_error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE delivery_id = ? AND status NOT IN (${FINISHED_STATUSES.map(() => '?').join(', ')})`,
+      [...values, deliveryId, ...FINISHED_STATUSES]
+    );
+  }
+
+  const delivery = await db.get('SELECT * FROM webhook_deliveries WHERE delivery_id = ?', [deliveryId]);
+
+  return {
+    duplicate: inserted.changes === 0 && reset.changes === 0,
+    redelivered: reset.changes > 0,
+    delivery
+  };
+}
+
+/**
+ * Process a stored delivery through the handler for its event type
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} Updated delivery row
+ */
+async function runDelivery(deliveryId) {
+  const db = await getConnection();
+
+  const delivery = await db.get('SELECT * FROM webhook_deliveries WHERE delivery_id = ?', [deliveryId]);
+
+  if (!delivery) {
+    throw new Error(`Webhook delivery ${deliveryId} not found`);
+  }
+
+  const handler = EVENT_HANDLERS[delivery.event];
+
+  if (!handler) {
+    logger.info(`No handler for webhook event '${delivery.event}', ignoring delivery ${deliveryId}`);
+    await db.run(
+      'UPDATE webhook_deliveries SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE delivery_id = ?',
+      [DELIVERY_STATUS.IGNORED, deliveryId]
+    );
+    return db.get('SELECT * FROM webhook_deliveries WHERE delivery_id = ?', [deliveryId]);
+  }
+
+  await db.run(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE delivery_id = ?`,
+    [DELIVERY_STATUS.PROCESSING, deliveryId]
+  );
+
+  try {
+    const payload = JSON.parse(delivery.payload);
+    const result = await handler(payload);
+
+    await db.run(
+      `UPDATE webhook_deliveries
+       SET status = ?, last_error = NULL, result = ?, processed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE delivery_id = ?`,
+      [DELIVERY_STATUS.PROCESSED, result ? JSON.stringify(result) : null, deliveryId]
+    );
+
+    logger.info(`Processed webhook delivery ${deliveryId}`, {
+      event: delivery.event,
+      action: delivery.action,
+      repository: delivery.repository_full_name
+    });
+  } catch (error) {
+    logger.error(`Failed to process webhook delivery ${deliveryId}`, {
+      error,
+      event: delivery.event
+    });
+
+    await db.run(
+      `UPDATE webhook_deliveries
+       SET status = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE delivery_id = ?`,
+      [DELIVERY_STATUS.FAILED, error.message, deliveryId]
+    );
+  }
+
+  return db.get('SELECT * FROM webhook_deliveries WHERE delivery_id = ?', [deliveryId]);
+}
+
+/**
+ * Queue a stored delivery for processing
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} Resolves with the updated delivery once it has run
+ */
+export function processDelivery(deliveryId) {
+  if (queuedDeliveries.has(deliveryId)) {
+    return queuedDeliveries.get(deliveryId);
+  }
+
+  const run = processingQueue
+    .then(() => {
+      // A redelivery arriving while this one runs is queued again
+      queuedDeliveries.delete(deliveryId);
+      return runDelivery(deliveryId);
+    });
+
+  queuedDeliveries.set(deliveryId, run);
+
+  // Keep the queue alive even if this delivery fails
+  processingQueue = run.catch(() => {});
+
+  return run;
+}
+
+/**
+ * Replay stored deliveries through the webhook processor pipeline
+ * @param {Object} options - Replay selection
+ * @param {string} [options.deliveryId] - Replay a single delivery
+ * @param {string} [options.status] - Replay all deliveries with this status (e.g. 'failed')
+ * @param {string} [options.event] - Restrict to one event type
+ * @param {number} [options.limit=100] - Maximum deliveries to replay
+ * @returns {Promise<Array>} Updated delivery rows
+ */
+export async function replayDeliveries({ deliveryId, status, event, limit = 100 } = {}) {
+  const db = await getConnection();
+  await ensureWebhookDeliveriesTableExists(db);
+
+  let deliveryIds;
+
+  if (deliveryId) {
+    deliveryIds = [deliveryId];
+  } else {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    if (event) {
+      conditions.push('event = ?');
+      params.push(event);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(limit);
+
+    const rows = await db.all(
+      `SELECT delivery_id FROM webhook_deliveries ${whereClause} ORDER BY received_at ASC LIMIT ?`,
+      params
+    );
+    deliveryIds = rows.map(row => row.delivery_id);
+  }
+
+  logger.info(`Replaying ${deliveryIds.length} webhook deliveries`);
+
+  const results = [];
+  for (const id of deliveryIds) {
+    results.push(await processDelivery(id));
+  }
+
+  return results;
+}
+
+/**
+ * Re-queue deliveries that were received but never finished processing,
+ * e.g. because the server stopped mid-way. Called once on startup.
+ * @returns {Promise<number>} Number of deliveries re-queued
+ */
+export async function resumePendingDeliveries() {
+  const db = await getConnection();
+  await ensureWebhookDeliveriesTableExists(db);
+
+  const pending = await db.all(
+    `SELECT delivery_id FROM webhook_deliveries
+     WHERE status IN (?, ?)
+     ORDER BY received_at ASC`,
+    [DELIVERY_STATUS.RECEIVED, DELIVERY_STATUS.PROCESSING]
+  );
+
+  if (pending.length > 0) {
+    logger.info(`Resuming ${pending.length} unfinished webhook deliveries`);
+  }
+
+  for (const { delivery_id: deliveryId } of pending) {
+    processDelivery(deliveryId).catch(error => {
+      logger.error(`Failed to resume webhook delivery ${deliveryId}`, { error });
+    });
+  }
+
+  return pending.length;
+}
+
+/**
+ * List stored deliveries, newest first
+ * @param {Object} options - Filters
+ * @param {string} [options.status] - Filter by status
+ * @param {string} [options.event] - Filter by event type
+ * @param {number} [options.limit=50] - Page size
+ * @param {number} [options.offset=0] - Page offset
+ * @returns {Promise<{deliveries: Array, total: number}>} Deliveries without payloads
+ */
+export async function listDeliveries({ status, event, limit = 50, offset = 0 } = {}) {
+  const db = await getConnection();
+  await ensureWebhookDeliveriesTableExists(db);
+
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  if (event) {
+    conditions.push('event = ?');
+    params.push(event);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { total } = await db.get(
+    `SELECT COUNT(*) as total FROM webhook_deliveries ${whereClause}`,
+    params
+  );
+
+  const deliveries = await db.all(
+    `SELECT delivery_id, event, action, repository_full_name, status, attempts,
+            last_error, received_at, processed_at, updated_at
+     FROM webhook_deliveries
+     ${whereClause}
+     ORDER BY received_at DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return { deliveries, total };
+}
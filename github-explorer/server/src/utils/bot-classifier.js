@@ -0,0 +1,154 @@
+/**
+ * Bot Classifier
+ *
+ * Shared rules for telling automation accounts from people:
+ *
+ * 1. The account type GitHub reports (`Bot` for GitHub Apps).
+ * 2. The `[bot]` suffix GitHub gives app accounts.
+ * 3. Known automation accounts that are registered as regular users.
+ * 4. Logins that look like automation (`release-bot`, `ci-robot`).
+ * 5. Behaviour: commit messages generated from templates (dependency bumps,
+ *    release commits) and a commit cadence no person keeps up.
+ *
+ * The first three decide on their own. The others are weaker and only mark
+ * an account as a bot together.
+ */
+
+// Automation accounts registered as regular GitHub users
+const KNOWN_AUTOMATION_ACCOUNTS = new Set([
+  'dependabot',
+  'dependabot-preview',
+  'renovate-bot',
+  'renovatebot',
+  'greenkeeperio-bot',
+  'snyk-bot',
+  'pyup-bot',
+  'imgbot',
+  'codecov-io',
+  'coveralls',
+  'allcontributors',
+  'github-actions',
+  'web-flow',
+  'pre-commit-ci',
+  'mergify',
+  'kodiakhq',
+  'semantic-release-bot',
+  'k8s-ci-robot',
+  'copybara-service',
+  'netlify',
+  'vercel',
+  'sonarcloud',
+  'deepsource-autofix',
+  'stale'
+]);
+
+// Logins that read like automation
+const BOT_LOGIN = /(^|[-_])(bot|robot|automation|ci)$|^(bot|robot|ci)[-_]/i;
+
+// First lines of commit messages generated by tools
+const TEMPLATED_MESSAGES = [
+  /^(build|chore|fix)\(deps(-dev)?\): bump /i,
+  /^bump \S+ from \S+ to \S+/i,
+  /^update dependency \S+ to /i,
+  /^(chore|fix)\(deps\): update /i,
+  /^\[snyk\] /i,
+  /^chore\(release\): /i,
+  /^\[skip ci\] /i,
+  /^auto(mated|matic)? (update|commit|changes?)\b/i,
+  /^apply automatic changes/i,
+  /^update (changelog|contributors)/i
+];
+
+// Signals that only mark an account as a bot together, with their weights
+const SIGNAL_WEIGHTS = {
+  bot_login: 0.4,
+  templated_messages: 0.6,
+  inhuman_cadence: 0.5
+};
+
+// Combined weight at which an account is classified as a bot
+const BOT_THRESHOLD = 0.7;
+
+// Commits needed before the behavioural signals are considered
+const MIN_COMMITS_FOR_TEMPLATES = 10;
+const MIN_COMMITS_FOR_CADENCE = 50;
+
+// Share of templated commit messages that suggests automation
+const TEMPLATED_SHARE = 0.8;
+
+// Commits in one hour, and distinct hours of the day with commits, that no person keeps up
+const MAX_HUMAN_COMMITS_PER_HOUR = 30;
+const MAX_HUMAN_HOURS_OF_DAY = 22;
+
+/**
+ * Whether a commit message was generated from a template
+ * @param {string} title - First line of the commit message
+ * @returns {boolean} True for templated messages
+ */
+export function isTemplatedCommitMessage(title) {
+  return TEMPLATED_MESSAGES.some(pattern => pattern.test(title || ''));
+}
+
+/**
+ * Classify an account as a bot or a person
+ * @param {Object} account - Account
+ * @param {string} [account.login] - GitHub login
+ * @param {string} [account.type] - GitHub account type (User, Bot, Organization)
+ * @param {Object} [activity] - Commit activity of the account
+ * @param {number} [activity.commits=0] - Commits
+ * @param {number} [activity.templated_commits=0] - Commits with templated messages
+ * @param {number} [activity.max_commits_per_hour=0] - Most commits in one hour
+ * @param {number} [activity.hours_of_day=0] - Distinct hours of the day (UTC) with commits
+ * @returns {Object} Classification: { is_bot, confidence, reasons: [{ signal, detail }] }
+ */
+export function classifyBot({ login, type } = {}, activity = {}) {
+  const name = (login || '').toLowerCase();
+  const {
+    commits = 0,
+    templated_commits: templatedCommits = 0,
+    max_commits_per_hour: maxCommitsPerHour = 0,
+    hours_of_day: hoursOfDay = 0
+  } = activity;
+
+  if (type === 'Bot') {
+    return { is_bot: true, confidence: 1, reasons: [{ signal: 'github_type', detail: 'GitHub reports the account type as Bot' }] };
+  }
+
+  if (name.endsWith('[bot]')) {
+    return { is_bot: true, confidence: 1, reasons: [{ signal: 'bot_suffix', detail: `Login ${login} ends in [bot]` }] };
+  }
+
+  if (KNOWN_AUTOMATION_ACCOUNTS.has(name)) {
+    return { is_bot: true, confidence: 1, reasons: [{ signal: 'known_account', detail: `${login} is a known automation account` }] };
+  }
+
+  const reasons = [];
+
+  if (BOT_LOGIN.test(name)) {
+    reasons.push({ signal: 'bot_login', detail: `Login ${login} looks like an automation account` });
+  }
+
+  if (commits >= MIN_COMMITS_FOR_TEMPLATES && templatedCommits / commits >= TEMPLATED_SHARE) {
+    reasons.push({
+      signal: 'templated_messages',
+      detail: `${templatedCommits} of ${commits} commit messages follow tool templates such as dependency bumps`
+    });
+  }
+
+  if (commits >= MIN_COMMITS_FOR_CADENCE &&
+    (maxCommitsPerHour >= MAX_HUMAN_COMMITS_PER_HOUR || hoursOfDay >= MAX_HUMAN_HOURS_OF_DAY)) {
+    reasons.push({
+      signal: 'inhuman_cadence',
+      detail: `Up to ${maxCommitsPerHour} commits in an hour, at ${hoursOfDay} different hours of the day`
+    });
+  }
+
+  // Signals are independent evidence: the chance that none of them is right
+  const confidence = 1 - reasons.reduce((remaining, reason) => remaining * (1 - SIGNAL_WEIGHTS[reason.signal]), 1);
+
+  return {
+    is_bot: confidence >= BOT_THRESHOLD,
+    confidence: Math.round(confidence * 100) / 100,
+    reasons
+  };
+}
@@ -4,9 +4,20 @@
  * Provides an event-based system for cache invalidation to maintain data freshness.
  * This service handles clearing appropriate caches when data changes, with support
  * for entity-specific invalidation patterns and selective invalidation capabilities.
+ *
+ * Entries are invalidated by the tags they were stored with (CACHE_TAGS), so an
+ * update to one contributor or repository only drops the entries computed from it.
+ * Prefix invalidation (ENTITY_PREFIXES) remains for clearing a whole entity type.
  */
 
-import { invalidateCache, invalidateCacheByPrefix, clearCache } from './cache.js';
+import {
+  invalidateCache,
+  invalidateCacheByPrefix,
+  invalidateCacheByTags,
+  clearCache,
+  getConfiguredWarmers,
+  warmCache
+} from './cache.js';
 import { setupLogger } from './logger.js';
 
 // Setup component logger
@@ -18,29 +29,37 @@ export const ENTITY_PREFIXES = {
   REPOSITORIES: 'repositories',
   COMMITS: 'commits',
   MERGE_REQUESTS: 'merge-requests',
+  ISSUES: 'issues',
+  SEARCH: 'search',
   ENTITY_COUNTS: 'entity-counts',
   ACTIVITY: 'activity',
   IMPACT: 'impact'
 };
 
+// Tags cache entries are stored with, naming what their value was computed from
+export const CACHE_TAGS = {
+  ENTITY_COUNTS: 'entity-counts',
+  SEARCH: 'search',
+  RANKINGS: 'rankings',
+  REPOSITORY_LIST: 'list:repositories',
+  MERGE_REQUEST_LIST: 'list:merge-requests',
+  ISSUE_LIST: 'list:issues',
+  contributor: (contributorId) => `contributor:${contributorId}`,
+  repository: (repositoryId) => `repository:${repositoryId}`
+};
+
 /**
  * Invalidate cache for a specific contributor
  * @param {string|number} contributorId - The contributor ID
- * @returns {Object} Results of invalidation operations
+ * @returns {Promise<Object>} Results of invalidation operations
  */
-export function invalidateContributorCache(contributorId) {
+export async function invalidateContributorCache(contributorId) {
   logger.info(`Invalidating cache for contributor: ${contributorId}`);
   
   const results = {
-    profile: invalidateCache(`${ENTITY_PREFIXES.CONTRIBUTORS}:${contributorId}`),
-    activity: invalidateCache(`${ENTITY_PREFIXES.ACTIVITY}:${contributorId}`),
-    repositories: invalidateCache(`${ENTITY_PREFIXES.REPOSITORIES}:contributor:${contributorId}`),
-    impact: invalidateCache(`${ENTITY_PREFIXES.IMPACT}:${contributorId}`)
+    tagged: await invalidateCacheByTags([CACHE_TAGS.contributor(contributorId)])
   };
   
-  // Also invalidate any lists that might include this contributor
-  invalidateCache(`${ENTITY_PREFIXES.CONTRIBUTORS}:list`);
-  
   logger.debug('Contributor cache invalidation results', results);
   return results;
 }
@@ -48,39 +67,36 @@ export function invalidateContributorCache(contributorId) {
 /**
  * Invalidate cache for a specific repository
  * @param {string|number} repositoryId - The repository ID
- * @returns {Object} Results of invalidation operations
+ * @returns {Promise<Object>} Results of invalidation operations
  */
-export function invalidateRepositoryCache(repositoryId) {
+export async function invalidateRepositoryCache(repositoryId) {
   logger.info(`Invalidating cache for repository: ${repositoryId}`);
   
   const results = {
-    repository: invalidateCache(`${ENTITY_PREFIXES.REPOSITORIES}:${repositoryId}`),
-    commits: invalidateCache(`${ENTITY_PREFIXES.COMMITS}:repository:${repositoryId}`),
-    mergeRequests: invalidateCache(`${ENTITY_PREFIXES.MERGE_REQUESTS}:repository:${repositoryId}`)
+    tagged: await invalidateCacheByTags([CACHE_TAGS.repository(repositoryId)]),
+    // Also invalidate any lists that might include this repository
+    list: await invalidateCacheByTags([CACHE_TAGS.REPOSITORY_LIST])
   };
   
-  // Also invalidate any lists that might include this repository
-  invalidateCache(`${ENTITY_PREFIXES.REPOSITORIES}:list`);
-  
   logger.debug('Repository cache invalidation results', results);
   return results;
 }
 
 /**
  * Invalidate entity counts cache
- * @returns {number} Number of cache entries invalidated
+ * @returns {Promise<number>} Number of cache entries invalidated
  */
-export function invalidateEntityCountsCache() {
+export async function invalidateEntityCountsCache() {
   logger.info('Invalidating entity counts cache');
-  return invalidateCacheByPrefix(ENTITY_PREFIXES.ENTITY_COUNTS);
+  return invalidateCacheByTags([CACHE_TAGS.ENTITY_COUNTS]);
 }
 
 /**
  * Invalidate all caches for a specific entity type
  * @param {string} entityType - The entity type (use ENTITY_PREFIXES constants)
- * @returns {number} Number of cache entries invalidated
+ * @returns {Promise<number>} Number of cache entries invalidated
  */
-export function invalidateEntityTypeCache(entityType) {
+export async function invalidateEntityTypeCache(entityType) {
   if (!Object.values(ENTITY_PREFIXES).includes(entityType)) {
     logger.warn(`Invalid entity type for cache invalidation: ${entityType}`);
     return 0;
@@ -94,9 +110,9 @@ export function invalidateEntityTypeCache(entityType) {
  * Invalidate caches based on data update event
  * @param {string} eventType - The type of update event
  * @param {Object} data - Data related to the update event
- * @returns {Object} Results of invalidation operations
+ * @returns {Promise<Object>} Results of invalidation operations
  */
-export function invalidateOnDataUpdate(eventType, data = {}) {
+export async function invalidateOnDataUpdate(eventType, data = {}) {
   logger.info(`Invalidating caches for event: ${eventType}`, data);
   
   const results = {};
@@ -104,47 +120,61 @@ export function invalidateOnDataUpdate(eventType, data = {}) {
   switch (eventType) {
     case 'contributor_updated':
       if (data.contributorId) {
-        results.contributor = invalidateContributorCache(data.contributorId);
+        results.contributor = await invalidateContributorCache(data.contributorId);
       }
       break;
       
     case 'repository_updated':
       if (data.repositoryId) {
-        results.repository = invalidateRepositoryCache(data.repositoryId);
+        results.repository = await invalidateRepositoryCache(data.repositoryId);
       }
       break;
       
     case 'new_commit_processed':
       if (data.repositoryId) {
-        results.repository = invalidateRepositoryCache(data.repositoryId);
+        results.repository = await invalidateRepositoryCache(data.repositoryId);
       }
       if (data.contributorId) {
-        results.contributor = invalidateContributorCache(data.contributorId);
+        results.contributor = await invalidateContributorCache(data.contributorId);
       }
-      results.entityCounts = invalidateEntityCountsCache();
+      results.entityCounts = await invalidateEntityCountsCache();
       break;
       
     case 'new_merge_request_processed':
       if (data.repositoryId) {
-        results.repository = invalidateRepositoryCache(data.repositoryId);
+        results.repository = await invalidateRepositoryCache(data.repositoryId);
       }
       if (data.contributorId) {
-        results.contributor = invalidateContributorCache(data.contributorId);
+        results.contributor = await invalidateContributorCache(data.contributorId);
       }
-      results.entityCounts = invalidateEntityCountsCache();
+      results.entityCounts = await invalidateEntityCountsCache();
+      results.mergeRequests = await invalidateCacheByTags([CACHE_TAGS.MERGE_REQUEST_LIST]);
       break;
       
     case 'pipeline_completed':
-      // After a complete pipeline run, invalidate all entity counts
-      results.entityCounts = invalidateEntityCountsCache();
-      // Also invalidate contributor rankings
-      results.contributors = invalidateCacheByPrefix(ENTITY_PREFIXES.CONTRIBUTORS);
+      // After a complete pipeline run, invalidate everything computed across entities:
+      // counts, rankings, lists and search. Per-entity entries are invalidated by the
+      // writer for the contributors and repositories it modified.
+      results.pipeline = await invalidateCacheByTags([
+        CACHE_TAGS.ENTITY_COUNTS,
+        CACHE_TAGS.RANKINGS,
+        CACHE_TAGS.REPOSITORY_LIST,
+        CACHE_TAGS.MERGE_REQUEST_LIST,
+        CACHE_TAGS.ISSUE_LIST,
+        // New rows are searchable as soon as they are written
+        CACHE_TAGS.SEARCH
+      ]);
+      // Recompute the hot keys in CACHE_WARMUP_KEYS in the background, so the
+      // first requests after the run don't all wait for them
+      results.warming = getConfiguredWarmers();
+      warmCache(results.warming).catch(error => {
+        logger.error('Error warming cache after pipeline run', { error });
+      });
       break;
       
     case 'full_refresh_required':
       // In case of major data changes, clear all caches
-      clearCache();
-      results.fullClear = true;
+      results.fullClear = await clearCache();
       break;
       
     default:
@@ -169,20 +199,20 @@ export function invalidateOnDataUpdate(eventType, data = {}) {
 export function scheduleInvalidation(entityType, entityId, delayMs = 5000) {
   logger.info(`Scheduling cache invalidation for ${entityType}:${entityId} in ${delayMs}ms`);
   
-  return setTimeout(() => {
+  return setTimeout(async () => {
     logger.info(`Executing scheduled invalidation for ${entityType}:${entityId}`);
     
     switch (entityType) {
       case ENTITY_PREFIXES.CONTRIBUTORS:
-        invalidateContributorCache(entityId);
+        await invalidateContributorCache(entityId);
         break;
         
       case ENTITY_PREFIXES.REPOSITORIES:
-        invalidateRepositoryCache(entityId);
+        await invalidateRepositoryCache(entityId);
         break;
         
       default:
-        invalidateCache(`${entityType}:${entityId}`);
+        await invalidateCache(`${entityType}:${entityId}`);
         break;
     }
   }, delayMs);
@@ -195,5 +225,6 @@ export default {
   invalidateEntityTypeCache,
   invalidateOnDataUpdate,
   scheduleInvalidation,
-  ENTITY_PREFIXES
+  ENTITY_PREFIXES,
+  CACHE_TAGS
 }; 
\ No newline at end of file
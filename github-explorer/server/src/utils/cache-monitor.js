@@ -16,6 +16,12 @@ const metrics = {
   // Hit/miss counts
   hits: 0,
   misses: 0,
+  // Stale values served while refreshing, and misses that waited for a running computation
+  stale: 0,
+  coalesced: 0,
+  // Background and warm-up recomputations
+  refreshes: 0,
+  refreshErrors: 0,
   // Operation counts
   sets: 0,
   gets: 0,
@@ -78,6 +84,52 @@ export function recordMiss(key, responseTime = 0) {
   }
 }
 
+/**
+ * Record a stale value served while it is refreshed
+ * @param {string} key - The cache key that was stale
+ * @param {number} responseTime - Time taken to retrieve from cache in ms
+ */
+export function recordStale(key, responseTime = 0) {
+  metrics.stale++;
+  metrics.gets++;
+  metrics.totalGetTime += responseTime;
+  
+  // Served from the cache, so it counts as a hit of its prefix
+  const prefix = key.split(':')[0];
+  if (prefix) {
+    metrics.prefixHits[prefix] = (metrics.prefixHits[prefix] || 0) + 1;
+  }
+}
+
+/**
+ * Record a cache miss that waited for the computation another request started
+ * @param {string} key - The cache key that was missed
+ */
+export function recordCoalesced(key) {
+  metrics.coalesced++;
+  metrics.gets++;
+}
+
+/**
+ * Record a recomputation of a cached value outside a miss
+ * @param {string} key - The cache key that was refreshed
+ * @param {number} responseTime - Time taken to compute the value in ms
+ * @param {Error} [error] - Error if the refresh failed
+ */
+export function recordRefresh(key, responseTime = 0, error = null) {
+  metrics.refreshes++;
+
+  if (error) {
+    metrics.refreshErrors++;
+    return;
+  }
+
+  // Log slow computations
+  if (responseTime > 500) {
+    logger.warn(`Slow cache refresh computation for key: ${key}, took ${responseTime}ms`);
+  }
+}
+
 /**
  * Record a cache set event
  * @param {string} key - The cache key that was set
@@ -109,22 +161,31 @@ export function recordDelete(key, reason = 'manual') {
  * Log the current hit rate
  */
 function logHitRate() {
-  const total = metrics.hits + metrics.misses;
+  const total = metrics.hits + metrics.stale + metrics.misses;
   if (total === 0) return;
   
-  const hitRate = (metrics.hits / total * 100).toFixed(2);
+  // Stale values are served from the cache, so they count as hits
+  const hitRate = ((metrics.hits + metrics.stale) / total * 100).toFixed(2);
   const avgGetTime = metrics.gets > 0 ? (metrics.totalGetTime / metrics.gets).toFixed(2) : 0;
   
-  logger.info(`Cache hit rate: ${hitRate}%, hits: ${metrics.hits}, misses: ${metrics.misses}, avg get time: ${avgGetTime}ms`);
+  logger.info(`Cache hit rate: ${hitRate}%, hits: ${metrics.hits}, stale: ${metrics.stale}, misses: ${metrics.misses}, coalesced: ${metrics.coalesced}, avg get time: ${avgGetTime}ms`);
+}
+
+/**
+ * Get the hit and miss counts since the last reset
+ * @returns {Object} { hits, stale, misses, coalesced }
+ */
+export function getCounters() {
+  return { hits: metrics.hits, stale: metrics.stale, misses: metrics.misses, coalesced: metrics.coalesced };
 }
 
 /**
  * Get cache monitoring metrics
- * @returns {Object} Current cache metrics
+ * @returns {Promise<Object>} Current cache metrics, with the size of the active backend
  */
-export function getMetrics() {
-  const total = metrics.hits + metrics.misses;
-  const hitRate = total > 0 ? (metrics.hits / total * 100).toFixed(2) : 0;
+export async function getMetrics() {
+  const total = metrics.hits + metrics.stale + metrics.misses;
+  const hitRate = total > 0 ? ((metrics.hits + metrics.stale) / total * 100).toFixed(2) : 0;
   const avgGetTime = metrics.gets > 0 ? (metrics.totalGetTime / metrics.gets).toFixed(2) : 0;
   
   // Calculate hit rates by prefix
@@ -137,13 +198,18 @@ export function getMetrics() {
   }
   
   // Get current cache stats
-  const cacheStats = getCacheStats();
+  const cacheStats = await getCacheStats();
   
   return {
+    backend: cacheStats.backend,
     summary: {
       hitRate: `${hitRate}%`,
       hits: metrics.hits,
+      stale: metrics.stale,
       misses: metrics.misses,
+      coalesced: metrics.coalesced,
+      refreshes: metrics.refreshes,
+      refreshErrors: metrics.refreshErrors,
       sets: metrics.sets,
       deletes: metrics.deletes,
       avgGetTime: `${avgGetTime}ms`,
@@ -166,6 +232,10 @@ export function getMetrics() {
 export function resetMetrics() {
   metrics.hits = 0;
   metrics.misses = 0;
+  metrics.stale = 0;
+  metrics.coalesced = 0;
+  metrics.refreshes = 0;
+  metrics.refreshErrors = 0;
   metrics.sets = 0;
   metrics.gets = 0;
   metrics.deletes = 0;
@@ -178,21 +248,26 @@ export function resetMetrics() {
   logger.info('Cache monitoring metrics reset');
 }
 
-// Start periodic logging of cache stats
-setInterval(() => {
-  const metrics = getMetrics();
+// Start periodic logging of cache stats, without keeping the process running for it
+setInterval(async () => {
+  const metrics = await getMetrics();
   logger.info('Periodic cache stats', { 
+    backend: metrics.backend,
     hitRate: metrics.summary.hitRate,
     keys: metrics.cacheSize.keys,
     memory: metrics.cacheSize.estimatedMemoryUsage
   });
-}, 60000); // Log every minute
+}, 60000).unref(); // Log every minute
 
 export default {
   recordHit,
   recordMiss,
+  recordStale,
+  recordCoalesced,
+  recordRefresh,
   recordSet,
   recordDelete,
+  getCounters,
   getMetrics,
   resetMetrics
 }; 
\ No newline at end of file
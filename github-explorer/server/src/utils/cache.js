@@ -1,74 +1,85 @@
 /**
  * Cache Utility Module
- * 
- * Provides an in-memory caching system for the application to improve performance
+ *
+ * Provides a caching system for the application to improve performance
  * by reducing database load for frequently accessed or computationally expensive operations.
- * 
- * Uses the singleton pattern to ensure a single shared cache instance across the application.
+ *
+ * Entries live in a pluggable backend chosen by CACHE_BACKEND:
+ * - memory (default): in this process, see services/cache/memory-cache-backend.js
+ * - sqlite: in the application database, shared by every process that opens it,
+ *   see services/cache/sqlite-cache-backend.js
+ *
+ * Entries can be tagged with the entities they were computed from (see CACHE_TAGS
+ * in cache-invalidation.js), so a data update invalidates exactly the entries that
+ * depend on it. Cache failures are logged and treated as misses; they never fail
+ * the request that uses the cache.
+ *
+ * cacheOrCompute runs one computation per key at a time in this process: concurrent
+ * misses wait for the computation already running (single flight). Entries stored
+ * with a staleTtl are served stale for that long after they expire while one
+ * background computation refreshes them (stale-while-revalidate). Named warmers
+ * listed in CACHE_WARMUP_KEYS recompute hot keys after a pipeline run.
+ *
+ * Uses the singleton pattern to ensure a single shared backend across the application.
  */
 
-import NodeCache from 'node-cache';
 import { setupLogger } from './logger.js';
-
-// Try to import the cache monitor, but don't fail if it doesn't exist yet
-// This prevents circular dependency issues during initial setup
-let cacheMonitor = null;
-try {
-  cacheMonitor = require('./cache-monitor.js').default;
-} catch (error) {
-  // Cache monitor not yet available, we'll check later
-}
+import cacheMonitor from './cache-monitor.js';
+import { MemoryCacheBackend } from '../services/cache/memory-cache-backend.js';
+import { SqliteCacheBackend } from '../services/cache/sqlite-cache-backend.js';
 
 // Setup component logger
 const logger = setupLogger('cache');
 
 // Default TTL settings (in seconds)
 const DEFAULT_TTL = 3600; // 1 hour
-const CHECK_PERIOD = 120; // Check for expired keys every 2 minutes
 
-// Cache instance (singleton)
-let cacheInstance = null;
+// Available backends by CACHE_BACKEND value
+const BACKENDS = {
+  memory: MemoryCacheBackend,
+  sqlite: SqliteCacheBackend
+};
+
+// Backend instance (singleton)
+let cacheBackend = null;
+
+// Computations running by key, shared by concurrent misses
+const inflight = new Map();
+
+// Incremented by every invalidation. A computation that started before an
+// invalidation may have read the old data, so its value is not stored.
+let generation = 0;
+
+// Warmers by name, see registerCacheWarmer()
+const warmers = new Map();
 
 /**
- * Get the singleton cache instance
- * @returns {NodeCache} The cache instance
+ * Get the singleton cache backend
+ * @returns {MemoryCacheBackend|SqliteCacheBackend} The cache backend
  */
-export function getCacheInstance() {
-  if (!cacheInstance) {
-    logger.info('Initializing cache instance');
-    
-    cacheInstance = new NodeCache({
-      stdTTL: DEFAULT_TTL,
-      checkperiod: CHECK_PERIOD,
-      useClones: false, // For better performance
-      maxKeys: 1000 // Limit cache size to prevent memory issues
-    });
-    
-    // Setup event listeners for monitoring
-    cacheInstance.on('expired', (key, value) => {
-      logger.debug(`Cache key expired: ${key}`);
-      
-      // Record deletion in monitor if available
-      if (cacheMonitor) {
-        cacheMonitor.recordDelete(key, 'expired');
-      }
-    });
-    
-    cacheInstance.on('del', (key, value) => {
-      logger.debug(`Cache key deleted: ${key}`);
-      
-      // Record deletion in monitor if available
-      if (cacheMonitor) {
-        cacheMonitor.recordDelete(key, 'deleted');
+export function getCacheBackend() {
+  if (!cacheBackend) {
+    let name = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+    if (!BACKENDS[name]) {
+      logger.warn(`Unknown CACHE_BACKEND "${process.env.CACHE_BACKEND}", using memory`);
+      name = 'memory';
+    }
+
+    logger.info(`Initializing ${name} cache backend`);
+
+    const maxKeys = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || undefined;
+
+    cacheBackend = new BACKENDS[name]({
+      maxKeys,
+      onDelete: (key, reason) => {
+        logger.debug(`Cache key ${reason}: ${key}`);
+        cacheMonitor.recordDelete(key, reason);
       }
     });
-    
-    cacheInstance.on('flush', () => {
-      logger.info('Cache flushed');
-    });
   }
-  
-  return cacheInstance;
+
+  return cacheBackend;
 }
 
 /**
@@ -81,49 +92,47 @@ export function generateCacheKey(prefix, params = '') {
   if (typeof params === 'object' && params !== null) {
     return `${prefix}:${JSON.stringify(params)}`;
   }
-  
+
   return `${prefix}:${params}`;
 }
 
 /**
- * Get a value from the cache
+ * Read an entry from the backend without recording a hit or miss
  * @param {string} key - The cache key
- * @returns {any|undefined} The cached value or undefined if not found
+ * @returns {Promise<Object>} { entry, responseTime }; entry is { value, stale }, undefined if not found
  */
-export function getCacheValue(key) {
-  const cache = getCacheInstance();
+async function readCacheEntry(key) {
   const startTime = Date.now();
-  const value = cache.get(key);
-  const responseTime = Date.now() - startTime;
-  
-  // Try to load the monitor again if it wasn't available initially
-  if (!cacheMonitor) {
-    try {
-      cacheMonitor = require('./cache-monitor.js').default;
-    } catch (error) {
-      // Still not available, will try again next time
-    }
+  let entry;
+
+  try {
+    entry = await getCacheBackend().get(key);
+  } catch (error) {
+    logger.error('Error reading from cache', { error, key });
   }
-  
-  if (value === undefined) {
+
+  return { entry, responseTime: Date.now() - startTime };
+}
+
+/**
+ * Get a value from the cache. Stale entries are not returned; only
+ * cacheOrCompute serves them, because it refreshes them.
+ * @param {string} key - The cache key
+ * @returns {Promise<any|undefined>} The cached value or undefined if not found
+ */
+export async function getCacheValue(key) {
+  const { entry, responseTime } = await readCacheEntry(key);
+
+  if (!entry || entry.stale) {
     logger.debug(`Cache miss: ${key}`);
-    
-    // Record cache miss in monitor if available
-    if (cacheMonitor) {
-      cacheMonitor.recordMiss(key);
-    }
-    
+    cacheMonitor.recordMiss(key);
     return undefined;
   }
-  
+
   logger.debug(`Cache hit: ${key}`);
-  
-  // Record cache hit in monitor if available
-  if (cacheMonitor) {
-    cacheMonitor.recordHit(key, responseTime);
-  }
-  
-  return value;
+  cacheMonitor.recordHit(key, responseTime);
+
+  return entry.value;
 }
 
 /**
@@ -131,126 +140,243 @@ export function getCacheValue(key) {
  * @param {string} key - The cache key
  * @param {any} value - The value to cache
  * @param {number} ttl - Time to live in seconds (optional, uses default if not specified)
- * @returns {boolean} True if the value was set successfully
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.tags] - Tags of the entities the value depends on
+ * @param {number} [options.staleTtl=0] - Seconds the value may be served stale after the TTL
+ * @returns {Promise<boolean>} True if the value was set successfully
  */
-export function setCacheValue(key, value, ttl = DEFAULT_TTL) {
-  const cache = getCacheInstance();
-  const startTime = Date.now();
-  const success = cache.set(key, value, ttl);
-  const responseTime = Date.now() - startTime;
-  
+export async function setCacheValue(key, value, ttl = DEFAULT_TTL, { tags = [], staleTtl = 0 } = {}) {
+  let success = false;
+
+  try {
+    success = await getCacheBackend().set(key, value, { ttl, staleTtl, tags });
+  } catch (error) {
+    logger.error('Error writing to cache', { error, key });
+  }
+
   if (success) {
-    logger.debug(`Cache set: ${key}, TTL: ${ttl}s`);
-    
-    // Record cache set in monitor if available
-    if (cacheMonitor) {
-      // Estimate the size of the value
-      const objectSize = JSON.stringify(value).length;
-      cacheMonitor.recordSet(key, objectSize, ttl);
-    }
+    logger.debug(`Cache set: ${key}, TTL: ${ttl}s${tags.length > 0 ? `, tags: ${tags.join(', ')}` : ''}`);
+
+    // Estimate the size of the value
+    const objectSize = JSON.stringify(value).length;
+    cacheMonitor.recordSet(key, objectSize, ttl);
   } else {
     logger.warn(`Failed to set cache: ${key}`);
   }
-  
+
   return success;
 }
 
+/**
+ * Stop storing the values of running computations, which may have read data
+ * an invalidation is about, and let the next miss start a new computation
+ */
+function discardInflight() {
+  generation++;
+  inflight.clear();
+}
+
 /**
  * Remove a value from the cache
  * @param {string} key - The cache key to invalidate
- * @returns {number} Number of keys removed (0 or 1)
+ * @returns {Promise<number>} Number of keys removed (0 or 1)
  */
-export function invalidateCache(key) {
-  const cache = getCacheInstance();
-  const count = cache.del(key);
-  
-  logger.debug(`Cache invalidated: ${key}, removed: ${count} entries`);
-  return count;
+export async function invalidateCache(key) {
+  discardInflight();
+
+  try {
+    const count = await getCacheBackend().delete(key);
+    logger.debug(`Cache invalidated: ${key}, removed: ${count} entries`);
+    return count;
+  } catch (error) {
+    logger.error('Error invalidating cache key', { error, key });
+    return 0;
+  }
 }
 
 /**
  * Invalidate all cache entries with a specific prefix
  * @param {string} prefix - The prefix to invalidate
- * @returns {number} Number of keys removed
+ * @returns {Promise<number>} Number of keys removed
  */
-export function invalidateCacheByPrefix(prefix) {
-  const cache = getCacheInstance();
-  const allKeys = cache.keys();
-  const keysToDelete = allKeys.filter(key => key.startsWith(`${prefix}:`));
-  
-  let count = 0;
-  keysToDelete.forEach(key => {
-    count += cache.del(key);
-  });
-  
-  logger.info(`Cache invalidated by prefix: ${prefix}, removed: ${count} entries`);
-  return count;
+export async function invalidateCacheByPrefix(prefix) {
+  discardInflight();
+
+  try {
+    const count = await getCacheBackend().deleteByPrefix(`${prefix}:`);
+    logger.info(`Cache invalidated by prefix: ${prefix}, removed: ${count} entries`);
+    return count;
+  } catch (error) {
+    logger.error('Error invalidating cache by prefix', { error, prefix });
+    return 0;
+  }
+}
+
+/**
+ * Invalidate all cache entries tagged with any of the given tags
+ * @param {Array<string>} tags - Tags, see CACHE_TAGS in cache-invalidation.js
+ * @returns {Promise<number>} Number of keys removed
+ */
+export async function invalidateCacheByTags(tags) {
+  if (tags.length === 0) {
+    return 0;
+  }
+
+  discardInflight();
+
+  try {
+    const count = await getCacheBackend().deleteByTags(tags);
+    logger.info(`Cache invalidated by tags: ${tags.join(', ')}, removed: ${count} entries`);
+    return count;
+  } catch (error) {
+    logger.error('Error invalidating cache by tags', { error, tags });
+    return 0;
+  }
 }
 
 /**
  * Clear all cache entries
- * @returns {boolean} True if the operation was successful
+ * @returns {Promise<boolean>} True if the operation was successful
  */
-export function clearCache() {
-  const cache = getCacheInstance();
-  const success = cache.flushAll();
-  
-  logger.info('Cache cleared');
-  return success;
+export async function clearCache() {
+  discardInflight();
+
+  try {
+    await getCacheBackend().clear();
+    logger.info('Cache cleared');
+    return true;
+  } catch (error) {
+    logger.error('Error clearing cache', { error });
+    return false;
+  }
 }
 
 /**
  * Get cache statistics
- * @returns {Object} Cache statistics
+ * @returns {Promise<Object>} Cache statistics
  */
-export function getCacheStats() {
-  const cache = getCacheInstance();
+export async function getCacheStats() {
+  const backend = getCacheBackend();
+  const { hits, stale, misses, coalesced } = cacheMonitor.getCounters();
+  let size = { keys: 0, ksize: 0, vsize: 0 };
+
+  try {
+    size = await backend.stats();
+  } catch (error) {
+    logger.error('Error reading cache statistics', { error });
+  }
+
   const stats = {
-    keys: cache.keys().length,
-    hits: cache.getStats().hits,
-    misses: cache.getStats().misses,
-    ksize: cache.getStats().ksize,
-    vsize: cache.getStats().vsize
+    backend: backend.name,
+    keys: size.keys,
+    hits,
+    stale,
+    misses,
+    coalesced,
+    ksize: size.ksize,
+    vsize: size.vsize
   };
-  
+
   logger.debug('Cache stats retrieved', stats);
   return stats;
 }
 
+/**
+ * Compute a value and store it, joining the computation already running for
+ * the key if there is one
+ * @param {string} key - Cache key
+ * @param {Function} computeFn - Function to compute the value
+ * @param {number} ttl - Time to live in seconds
+ * @param {Object} options - Options of cacheOrCompute()
+ * @returns {Promise<any>} The computed value
+ */
+function computeOnce(key, computeFn, ttl, { tags = [], staleTtl = 0 }) {
+  if (inflight.has(key)) {
+    return inflight.get(key);
+  }
+
+  const startedAt = generation;
+
+  const computation = (async () => {
+    try {
+      const computedValue = await computeFn();
+
+      // Store in cache if computation was successful and nothing was invalidated meanwhile
+      if (computedValue !== undefined && computedValue !== null && startedAt === generation) {
+        const entryTags = typeof tags === 'function' ? tags(computedValue) : tags;
+        await setCacheValue(key, computedValue, ttl, { tags: entryTags.filter(Boolean), staleTtl });
+      }
+
+      return computedValue;
+    } finally {
+      if (inflight.get(key) === computation) {
+        inflight.delete(key);
+      }
+    }
+  })();
+
+  inflight.set(key, computation);
+  return computation;
+}
+
 /**
  * Cache-or-compute pattern utility function
  * Gets a value from cache or computes it if not available
- * 
+ *
+ * Concurrent misses for a key share one computation. With a staleTtl, an
+ * expired value is returned for that many more seconds while one background
+ * computation refreshes it; a failed refresh is logged and the stale value
+ * kept until the stale period ends.
+ *
  * @param {string} key - Cache key
  * @param {Function} computeFn - Function to compute the value if not in cache
  * @param {number} ttl - Time to live in seconds
+ * @param {Object} [options] - Options
+ * @param {Array<string>|Function} [options.tags] - Tags of the entities the value depends on,
+ *   or a function of the computed value returning them
+ * @param {number} [options.staleTtl=0] - Seconds the value may be served stale after the TTL.
+ *   computeFn must not depend on the request, since it may run after the response was sent.
  * @returns {Promise<any>} The cached or computed value
  */
-export async function cacheOrCompute(key, computeFn, ttl = DEFAULT_TTL) {
+export async function cacheOrCompute(key, computeFn, ttl = DEFAULT_TTL, options = {}) {
   // Try to get from cache first
-  const cachedValue = getCacheValue(key);
-  
-  if (cachedValue !== undefined) {
-    return cachedValue;
+  const { entry, responseTime } = await readCacheEntry(key);
+
+  if (entry && !entry.stale) {
+    logger.debug(`Cache hit: ${key}`);
+    cacheMonitor.recordHit(key, responseTime);
+    return entry.value;
+  }
+
+  if (entry) {
+    logger.debug(`Cache stale: ${key}`);
+    cacheMonitor.recordStale(key, responseTime);
+
+    if (!inflight.has(key)) {
+      refreshCache(key, computeFn, ttl, options).catch(() => {
+        // Failures are logged by refreshCache()
+      });
+    }
+
+    return entry.value;
   }
-  
+
+  // Wait for the computation another request started
+  if (inflight.has(key)) {
+    logger.debug(`Cache miss coalesced: ${key}`);
+    cacheMonitor.recordCoalesced(key);
+    return inflight.get(key);
+  }
+
   // Compute the value if not in cache
   try {
     logger.debug(`Computing value for cache key: ${key}`);
     const startTime = Date.now();
-    const computedValue = await computeFn();
-    const computeTime = Date.now() - startTime;
-    
-    // Store in cache if computation was successful
-    if (computedValue !== undefined && computedValue !== null) {
-      setCacheValue(key, computedValue, ttl);
-      
-      // Record computation time for monitoring
-      if (cacheMonitor) {
-        cacheMonitor.recordMiss(key, computeTime);
-      }
-    }
-    
+    const computedValue = await computeOnce(key, computeFn, ttl, options);
+
+    // Record the miss with its computation time for monitoring
+    cacheMonitor.recordMiss(key, Date.now() - startTime);
+
     return computedValue;
   } catch (error) {
     logger.error('Error computing value for cache', { error, key });
@@ -258,5 +384,79 @@ export async function cacheOrCompute(key, computeFn, ttl = DEFAULT_TTL) {
   }
 }
 
-// Export the default cache instance for direct use
-export default getCacheInstance(); 
\ No newline at end of file
+/**
+ * Recompute a value and store it, whether or not it is cached
+ * @param {string} key - Cache key
+ * @param {Function} computeFn - Function to compute the value
+ * @param {number} ttl - Time to live in seconds
+ * @param {Object} [options] - Options of cacheOrCompute()
+ * @returns {Promise<any>} The computed value
+ */
+export async function refreshCache(key, computeFn, ttl = DEFAULT_TTL, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    const computedValue = await computeOnce(key, computeFn, ttl, options);
+    cacheMonitor.recordRefresh(key, Date.now() - startTime);
+    return computedValue;
+  } catch (error) {
+    logger.error('Error refreshing cache value', { error, key });
+    cacheMonitor.recordRefresh(key, Date.now() - startTime, error);
+    throw error;
+  }
+}
+
+/**
+ * Register a warmer that recomputes a hot cache key. Warmers named in
+ * CACHE_WARMUP_KEYS run after a pipeline run invalidated the cache.
+ * @param {string} name - Warmer name, usually the key or key prefix it warms
+ * @param {Function} warm - Async function that calls refreshCache() for its keys
+ */
+export function registerCacheWarmer(name, warm) {
+  warmers.set(name, warm);
+}
+
+/**
+ * Names of the warmers configured in CACHE_WARMUP_KEYS
+ * @returns {Array<string>} Warmer names
+ */
+export function getConfiguredWarmers() {
+  return (process.env.CACHE_WARMUP_KEYS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Run cache warmers one after the other, so warming does not compete with
+ * itself for the database
+ * @param {Array<string>} [names] - Warmer names, defaults to CACHE_WARMUP_KEYS
+ * @returns {Promise<Object>} { warmed, failed, unknown } warmer names
+ */
+export async function warmCache(names = getConfiguredWarmers()) {
+  const result = { warmed: [], failed: [], unknown: [] };
+
+  for (const name of names) {
+    const warm = warmers.get(name);
+
+    if (!warm) {
+      logger.warn(`No cache warmer registered for ${name}`);
+      result.unknown.push(name);
+      continue;
+    }
+
+    try {
+      await warm();
+      result.warmed.push(name);
+    } catch (error) {
+      logger.error(`Cache warmer ${name} failed`, { error });
+      result.failed.push(name);
+    }
+  }
+
+  if (names.length > 0) {
+    logger.info(`Cache warm-up finished: ${result.warmed.length} warmed, ${result.failed.length} failed`);
+  }
+
+  return result;
+}
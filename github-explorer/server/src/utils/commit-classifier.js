@@ -0,0 +1,90 @@
+/**
+ * Commit Classifier
+ *
+ * Shared rules for classifying a commit from its message, so the pipeline
+ * and the delivery metrics agree on what counts as a feature, a fix or a
+ * revert:
+ *
+ * 1. Conventional commit prefixes (`feat:`, `fix(scope):`, `refactor!:`).
+ *    Only these mark a commit as following Conventional Commits.
+ * 2. Reverts created by `git revert` or GitHub's revert button, whose title
+ *    is `Revert "<original title>"`.
+ * 3. Keywords anywhere in the message.
+ * 4. Merge commits, by message or by having more than one parent.
+ */
+
+// Conventional commit prefixes and the type each one maps to
+const CONVENTIONAL_TYPES = [
+  ['feat', 'feature'],
+  ['fix', 'bugfix'],
+  ['docs', 'documentation'],
+  ['style', 'style'],
+  ['refactor', 'refactor'],
+  ['perf', 'performance'],
+  ['test', 'test'],
+  ['build', 'build'],
+  ['chore', 'chore'],
+  ['ci', 'ci'],
+  ['revert', 'revert']
+];
+
+// Keywords checked when there is no prefix, in order, with their confidence
+const KEYWORD_TYPES = [
+  { type: 'bugfix', confidence: 0.7, keywords: ['fix', 'bug', 'issue'] },
+  { type: 'feature', confidence: 0.6, keywords: ['feature', 'add ', 'new '] },
+  { type: 'refactor', confidence: 0.7, keywords: ['refactor', 'restructure', 'reorganize'] },
+  { type: 'documentation', confidence: 0.7, keywords: ['doc', 'readme', 'comment'] },
+  { type: 'test', confidence: 0.7, keywords: ['test', 'spec'] },
+  { type: 'style', confidence: 0.7, keywords: ['style', 'format', 'lint'] },
+  { type: 'merge', confidence: 0.8, keywords: ['merge'] }
+];
+
+// Title of a commit made by `git revert` or GitHub's revert button
+const REVERT_TITLE = /^revert\s+"/i;
+
+/**
+ * Classify a commit from its message
+ * @param {string} title - First line of the commit message
+ * @param {Object} [options] - Options
+ * @param {string} [options.body] - Rest of the commit message
+ * @param {Array} [options.parents] - Parent commits
+ * @returns {Object} Classification: { type, subtype, confidence, is_conventional, message }
+ */
+export function classifyCommitMessage(title, { body, parents } = {}) {
+  const subject = title || '';
+  const message = subject + (body ? '\n' + body : '');
+  const lowerMessage = message.toLowerCase();
+  const result = { type: 'unknown', subtype: null, confidence: 0.5, is_conventional: false, message: message.split('\n')[0] };
+
+  for (const [prefix, type] of CONVENTIONAL_TYPES) {
+    const match = subject.match(new RegExp(`^${prefix}(\\((.*)\\))?!?:`, 'i'));
+    if (match) {
+      return { ...result, type, subtype: match[2] || null, confidence: 0.9, is_conventional: true };
+    }
+  }
+
+  if (REVERT_TITLE.test(subject)) {
+    return { ...result, type: 'revert', confidence: 0.9 };
+  }
+
+  for (const { type, confidence, keywords } of KEYWORD_TYPES) {
+    if (keywords.some(keyword => lowerMessage.includes(keyword))) {
+      return { ...result, type, confidence };
+    }
+  }
+
+  if (parents && parents.length > 1) {
+    return { ...result, type: 'merge', confidence: 0.9 };
+  }
+
+  return result;
+}
+
+/**
+ * Whether a commit message is a revert of another commit
+ * @param {string} title - First line of the commit message
+ * @returns {boolean} True for reverts
+ */
+export function isRevertCommit(title) {
+  return classifyCommitMessage(title).type === 'revert';
+}
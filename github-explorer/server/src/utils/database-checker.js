@@ -169,11 +169,14 @@ export function getFallbackTableSchema(tableName) {
       return `
         CREATE TABLE IF NOT EXISTS notification_settings (
           id TEXT PRIMARY KEY,
-          level TEXT NOT NULL,
+          level TEXT NOT NULL UNIQUE,
           email_enabled INTEGER NOT NULL DEFAULT 0,
+          email_recipients TEXT,
           webhook_enabled INTEGER NOT NULL DEFAULT 0,
+          webhook_url TEXT,
           is_active INTEGER NOT NULL DEFAULT 1,
-          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
         );
       `;
       
@@ -0,0 +1,317 @@
+/**
+ * Language Classifier
+ *
+ * Shared rules for detecting the language of a file from its path, modeled
+ * on GitHub Linguist, so the pipeline, contributor profiles and repository
+ * breakdowns all report the same languages:
+ *
+ * 1. Vendored and generated files (dependencies, build output, lock files,
+ *    minified bundles) are excluded.
+ * 2. Well-known file names (Dockerfile, Makefile, Gemfile, .gitignore).
+ * 3. The extension after the last dot of the file name, so `foo.test.ts` is
+ *    TypeScript and `.github/ci.yml` is YAML.
+ * 4. The interpreter of a `#!` line, for scripts without an extension.
+ *
+ * Every language has a Linguist type. Only programming and markup languages
+ * count towards language statistics by default; data (JSON, YAML) and prose
+ * (Markdown) are classified but left out.
+ */
+
+export const LANGUAGE_TYPES = {
+  PROGRAMMING: 'programming',
+  MARKUP: 'markup',
+  DATA: 'data',
+  PROSE: 'prose'
+};
+
+// Types counted in language statistics, as on GitHub
+export const COUNTED_LANGUAGE_TYPES = [LANGUAGE_TYPES.PROGRAMMING, LANGUAGE_TYPES.MARKUP];
+
+const { PROGRAMMING, MARKUP, DATA, PROSE } = LANGUAGE_TYPES;
+
+/**
+ * Language definitions: type, extensions (lowercase, without the dot), exact
+ * file names and script interpreters
+ */
+const LANGUAGES = {
+  'JavaScript': { type: PROGRAMMING, extensions: ['js', 'mjs', 'cjs', 'jsx'], interpreters: ['node', 'nodejs'] },
+  'TypeScript': { type: PROGRAMMING, extensions: ['ts', 'mts', 'cts'], interpreters: ['deno', 'ts-node', 'bun', 'tsx'] },
+  'TSX': { type: PROGRAMMING, extensions: ['tsx'] },
+  'Python': { type: PROGRAMMING, extensions: ['py', 'pyw', 'pyi'], filenames: ['SConstruct', 'SConscript'], interpreters: ['python', 'python2', 'python3'] },
+  'Ruby': {
+    type: PROGRAMMING,
+    extensions: ['rb', 'rake', 'gemspec', 'ru'],
+    filenames: ['Gemfile', 'Rakefile', 'Vagrantfile', 'Podfile', 'Brewfile', 'Guardfile', 'Fastfile'],
+    interpreters: ['ruby']
+  },
+  'Java': { type: PROGRAMMING, extensions: ['java'] },
+  'Kotlin': { type: PROGRAMMING, extensions: ['kt', 'kts'] },
+  'Scala': { type: PROGRAMMING, extensions: ['scala', 'sc'], interpreters: ['scala'] },
+  'Groovy': { type: PROGRAMMING, extensions: ['groovy', 'gradle'], filenames: ['Jenkinsfile'], interpreters: ['groovy'] },
+  'Go': { type: PROGRAMMING, extensions: ['go'] },
+  'Rust': { type: PROGRAMMING, extensions: ['rs'] },
+  'C': { type: PROGRAMMING, extensions: ['c', 'h'] },
+  'C++': { type: PROGRAMMING, extensions: ['cpp', 'cc', 'cxx', 'c++', 'hpp', 'hh', 'hxx', 'h++', 'ipp'] },
+  'C#': { type: PROGRAMMING, extensions: ['cs', 'csx'] },
+  'F#': { type: PROGRAMMING, extensions: ['fs', 'fsx', 'fsi'] },
+  'Visual Basic .NET': { type: PROGRAMMING, extensions: ['vb'] },
+  'Objective-C': { type: PROGRAMMING, extensions: ['m'] },
+  'Objective-C++': { type: PROGRAMMING, extensions: ['mm'] },
+  'Swift': { type: PROGRAMMING, extensions: ['swift'] },
+  'PHP': { type: PROGRAMMING, extensions: ['php', 'phtml', 'php3', 'php4', 'php5'], interpreters: ['php'] },
+  'Perl': { type: PROGRAMMING, extensions: ['pl', 'pm'], interpreters: ['perl'] },
+  'Lua': { type: PROGRAMMING, extensions: ['lua'], interpreters: ['lua'] },
+  'R': { type: PROGRAMMING, extensions: ['r'], interpreters: ['Rscript'] },
+  'Julia': { type: PROGRAMMING, extensions: ['jl'], interpreters: ['julia'] },
+  'Dart': { type: PROGRAMMING, extensions: ['dart'] },
+  'Elixir': { type: PROGRAMMING, extensions: ['ex', 'exs'], interpreters: ['elixir'] },
+  'Erlang': { type: PROGRAMMING, extensions: ['erl', 'hrl'], filenames: ['rebar.config'], interpreters: ['escript'] },
+  'Haskell': { type: PROGRAMMING, extensions: ['hs', 'lhs'], interpreters: ['runhaskell'] },
+  'Clojure': { type: PROGRAMMING, extensions: ['clj', 'cljs', 'cljc'] },
+  'OCaml': { type: PROGRAMMING, extensions: ['ml', 'mli'], interpreters: ['ocaml'] },
+  'Elm': { type: PROGRAMMING, extensions: ['elm'] },
+  'Zig': { type: PROGRAMMING, extensions: ['zig'] },
+  'Nim': { type: PROGRAMMING, extensions: ['nim'] },
+  'Crystal': { type: PROGRAMMING, extensions: ['cr'], interpreters: ['crystal'] },
+  'CoffeeScript': { type: PROGRAMMING, extensions: ['coffee'], interpreters: ['coffee'] },
+  'Solidity': { type: PROGRAMMING, extensions: ['sol'] },
+  'Assembly': { type: PROGRAMMING, extensions: ['asm', 's', 'nasm'] },
+  'Fortran': { type: PROGRAMMING, extensions: ['f', 'f90', 'f95', 'for'] },
+  'Shell': {
+    type: PROGRAMMING,
+    extensions: ['sh', 'bash', 'zsh', 'ksh', 'command'],
+    filenames: ['.bashrc', '.bash_profile', '.bash_aliases', '.zshrc', '.zshenv', '.profile'],
+    interpreters: ['sh', 'bash', 'zsh', 'ksh', 'dash', 'ash']
+  },
+  'PowerShell': { type: PROGRAMMING, extensions: ['ps1', 'psm1', 'psd1'], interpreters: ['pwsh', 'powershell'] },
+  'Batchfile': { type: PROGRAMMING, extensions: ['bat', 'cmd'] },
+  'Dockerfile': { type: PROGRAMMING, extensions: ['dockerfile'], filenames: ['Dockerfile', 'Containerfile'] },
+  'Makefile': { type: PROGRAMMING, extensions: ['mk', 'mak'], filenames: ['Makefile', 'makefile', 'GNUmakefile'], interpreters: ['make'] },
+  'CMake': { type: PROGRAMMING, extensions: ['cmake'], filenames: ['CMakeLists.txt'] },
+  'HCL': { type: PROGRAMMING, extensions: ['hcl', 'tf', 'tfvars'] },
+  'Nix': { type: PROGRAMMING, extensions: ['nix'] },
+  'Starlark': { type: PROGRAMMING, extensions: ['bzl', 'star'], filenames: ['BUILD', 'BUILD.bazel', 'WORKSPACE', 'WORKSPACE.bazel'] },
+  'Vue': { type: MARKUP, extensions: ['vue'] },
+  'Svelte': { type: MARKUP, extensions: ['svelte'] },
+  'Astro': { type: MARKUP, extensions: ['astro'] },
+  'HTML': { type: MARKUP, extensions: ['html', 'htm', 'xhtml'] },
+  'CSS': { type: MARKUP, extensions: ['css'] },
+  'SCSS': { type: MARKUP, extensions: ['scss'] },
+  'Sass': { type: MARKUP, extensions: ['sass'] },
+  'Less': { type: MARKUP, extensions: ['less'] },
+  'Stylus': { type: MARKUP, extensions: ['styl'] },
+  'Handlebars': { type: MARKUP, extensions: ['hbs', 'handlebars'] },
+  'Jupyter Notebook': { type: MARKUP, extensions: ['ipynb'] },
+  'JSON': { type: DATA, extensions: ['json', 'jsonc', 'json5', 'geojson', 'webmanifest'], filenames: ['.babelrc', '.eslintrc', '.prettierrc'] },
+  'YAML': { type: DATA, extensions: ['yml', 'yaml'], filenames: ['.clang-format', '.clang-tidy'] },
+  'TOML': { type: DATA, extensions: ['toml'], filenames: ['Pipfile'] },
+  'XML': { type: DATA, extensions: ['xml', 'xsd', 'xsl', 'plist', 'svg', 'csproj', 'vbproj', 'fsproj', 'props', 'targets'] },
+  'INI': { type: DATA, extensions: ['ini', 'cfg', 'properties'], filenames: ['.editorconfig', '.npmrc', '.gitconfig'] },
+  'CSV': { type: DATA, extensions: ['csv', 'tsv'] },
+  'SQL': { type: DATA, extensions: ['sql'] },
+  'GraphQL': { type: DATA, extensions: ['graphql', 'gql'] },
+  'Protocol Buffer': { type: DATA, extensions: ['proto'] },
+  'Dotenv': { type: DATA, extensions: ['env'], filenames: ['.env'] },
+  'Ignore List': { type: DATA, filenames: ['.gitignore', '.dockerignore', '.npmignore', '.eslintignore', '.prettierignore', '.helmignore'] },
+  'Git Attributes': { type: DATA, filenames: ['.gitattributes'] },
+  'Markdown': { type: PROSE, extensions: ['md', 'markdown', 'mdx'] },
+  'reStructuredText': { type: PROSE, extensions: ['rst'] },
+  'AsciiDoc': { type: PROSE, extensions: ['adoc', 'asciidoc'] },
+  'Text': { type: PROSE, extensions: ['txt'], filenames: ['LICENSE', 'COPYING', 'AUTHORS', 'CODEOWNERS'] }
+};
+
+// Lookup tables built from the definitions
+const BY_EXTENSION = new Map();
+const BY_FILENAME = new Map();
+const BY_INTERPRETER = new Map();
+
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  for (const extension of language.extensions || []) BY_EXTENSION.set(extension, name);
+  for (const filename of language.filenames || []) BY_FILENAME.set(filename, name);
+  for (const interpreter of language.interpreters || []) BY_INTERPRETER.set(interpreter, name);
+}
+
+// Dependencies and third-party code checked into the repository
+const VENDORED_PATTERNS = [
+  /(^|\/)node_modules\//,
+  /(^|\/)bower_components\//,
+  /(^|\/)vendors?\//i,
+  /(^|\/)third[-_]?party\//i,
+  /(^|\/)\.yarn\//,
+  /(^|\/)Pods\//,
+  /(^|\/)Carthage\//,
+  /(^|\/)\.?venv\//,
+  /(^|\/)site-packages\//,
+  /(^|\/)jspm_packages\//,
+  /(^|\/)dist\//,
+  /(^|\/)(jquery|bootstrap)([.-][\w.-]*)?\.(js|css)$/i
+];
+
+// Files written by tools rather than people
+const GENERATED_PATTERNS = [
+  /\.min\.(js|css)$/i,
+  /\.(js|css)\.map$/i,
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb)$/,
+  /(^|\/)(Cargo\.lock|Gemfile\.lock|composer\.lock|poetry\.lock|Pipfile\.lock|go\.sum|mix\.lock|pubspec\.lock|Podfile\.lock|flake\.lock)$/,
+  /\.pb\.(go|cc|h)$/,
+  /_pb2(_grpc)?\.pyi?$/,
+  /\.generated\.\w+$/i,
+  /\.designer\.cs$/i,
+  /(^|\/)__generated__\//,
+  /(^|\/)__snapshots__\/.*\.snap$/,
+  /(^|\/)coverage\//
+];
+
+/**
+ * Whether a path is vendored (third-party) code
+ * @param {string} path - File path relative to the repository root
+ * @returns {boolean} True for dependencies and vendored code
+ */
+export function isVendoredPath(path) {
+  return VENDORED_PATTERNS.some(pattern => pattern.test(path));
+}
+
+/**
+ * Whether a path is a generated file
+ * @param {string} path - File path relative to the repository root
+ * @returns {boolean} True for lock files, minified bundles and generated code
+ */
+export function isGeneratedPath(path) {
+  return GENERATED_PATTERNS.some(pattern => pattern.test(path));
+}
+
+/**
+ * Read the `#!` line of a file from the patch that created or changed its
+ * first line
+ * @param {string} patch - Unified diff of the file
+ * @returns {string|null} The shebang line, or null if the patch doesn't show one
+ */
+export function extractShebang(patch) {
+  if (!patch) {
+    return null;
+  }
+
+  const match = /^@@ -\d+(?:,\d+)? \+1(?:,\d+)? @@[^\n]*\n[+ ](#![^\n]*)/.exec(patch);
+  return match ? match[1] : null;
+}
+
+/**
+ * Language of a script from its `#!` line
+ * @param {string} shebang - Shebang line, e.g. `#!/usr/bin/env python3`
+ * @returns {string|null} Language name, or null for unknown interpreters
+ */
+function languageFromShebang(shebang) {
+  const [command, ...args] = shebang.replace(/^#!\s*/, '').trim().split(/\s+/);
+  let interpreter = command.split('/').pop();
+
+  // #!/usr/bin/env [-S] interpreter
+  if (interpreter === 'env') {
+    interpreter = args.find(arg => !arg.startsWith('-') && !arg.includes('=')) || '';
+  }
+
+  // python3.11 -> python3 -> python
+  interpreter = interpreter.replace(/[\d.]+$/, '') || interpreter;
+
+  return BY_INTERPRETER.get(interpreter) || BY_INTERPRETER.get(interpreter.replace(/\d+$/, '')) || null;
+}
+
+/**
+ * Detect the language of a file, whether or not it is vendored or generated
+ * @param {string} path - File path relative to the repository root
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.shebang] - `#!` line of the file, if known
+ * @returns {{name: string, type: string}|null} Language, or null if unknown
+ */
+export function detectLanguage(path, { shebang } = {}) {
+  const filename = String(path || '').split('/').pop();
+
+  if (!filename) {
+    return null;
+  }
+
+  let name = BY_FILENAME.get(filename);
+
+  // Dockerfile.dev, Dockerfile.prod
+  if (!name && /^(Docker|Container)file\./.test(filename)) {
+    name = 'Dockerfile';
+  }
+
+  // The extension is what follows the last dot; a leading dot alone (.bashrc)
+  // is not an extension
+  const dot = filename.lastIndexOf('.');
+  if (!name && dot > 0) {
+    name = BY_EXTENSION.get(filename.slice(dot + 1).toLowerCase());
+  }
+
+  if (!name && shebang) {
+    name = languageFromShebang(shebang);
+  }
+
+  return name ? { name, type: LANGUAGES[name].type } : null;
+}
+
+/**
+ * Classify a changed file for language statistics
+ * @param {string} path - File path relative to the repository root
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.shebang] - `#!` line of the file, if known
+ * @param {string} [options.patch] - Patch of the change, used to find a `#!` line
+ * @returns {{name: string, type: string}|null} Language, or null if unknown, vendored or generated
+ */
+export function classifyFile(path, { shebang, patch } = {}) {
+  if (!path || isVendoredPath(path) || isGeneratedPath(path)) {
+    return null;
+  }
+
+  return detectLanguage(path, { shebang: shebang || extractShebang(patch) });
+}
+
+/**
+ * Summarize file changes by language
+ * @param {Array<Object>} changes - Changed files: { filename, additions, deletions, patch?, shebang?, changes? }
+ *   where `changes` is the number of changes the row stands for (default 1)
+ * @param {Object} [options] - Summary options
+ * @param {Array<string>} [options.types] - Language types to count (default: programming and markup)
+ * @param {number} [options.limit] - Languages to return
+ * @returns {Array<Object>} Languages by lines changed: { name, type, files, count, lines_changed, percentage }
+ */
+export function summarizeLanguages(changes, { types = COUNTED_LANGUAGE_TYPES, limit } = {}) {
+  const languages = new Map();
+
+  for (const change of changes) {
+    const language = classifyFile(change.filename, change);
+
+    if (!language || !types.includes(language.type)) {
+      continue;
+    }
+
+    if (!languages.has(language.name)) {
+      languages.set(language.name, { ...language, files: new Set(), count: 0, lines_changed: 0 });
+    }
+
+    const entry = languages.get(language.name);
+    entry.files.add(change.filename);
+    entry.count += Number(change.changes ?? 1);
+    entry.lines_changed += Number(change.additions || 0) + Number(change.deletions || 0);
+  }
+
+  const entries = [...languages.values()];
+  const totalLines = entries.reduce((sum, entry) => sum + entry.lines_changed, 0);
+  const totalCount = entries.reduce((sum, entry) => sum + entry.count, 0);
+
+  // Share of lines changed, or of changes when no lines were changed at all
+  const summary = entries
+    .map(entry => ({
+      name: entry.name,
+      type: entry.type,
+      files: entry.files.size,
+      count: entry.count,
+      lines_changed: entry.lines_changed,
+      percentage: totalLines > 0
+        ? Math.round((entry.lines_changed / totalLines) * 1000) / 10
+        : Math.round((entry.count / totalCount) * 1000) / 10
+    }))
+    .sort((a, b) => b.lines_changed - a.lines_changed || b.count - a.count || a.name.localeCompare(b.name));
+
+  return limit ? summary.slice(0, limit) : summary;
+}